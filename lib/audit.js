@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { getCaller } = require('./context');
+const { logger } = require('./logger');
+const { parseDocumentId } = require('./versions');
+
+const log = logger.child({ component: 'audit' });
+
+// Append-only audit trail of searches and document access, one JSON record per line.
+// Records go to audit.jsonl, which is renamed to audit-<time>.jsonl once it passes
+// maxBytes or a new (UTC) day starts; rotated files are deleted after retentionDays.
+// Records are never rewritten, and the query below only reads them.
+
+const CURRENT_FILE = 'audit.jsonl';
+const ROTATED_FILE = /^audit-.+\.jsonl$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_QUERY_LIMIT = 1000;
+
+function auditError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function utcDay(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// A from/to query bound in milliseconds. A bare date as `to` includes that whole day.
+function parseBound(value, name) {
+    if (value === undefined || value === '') return null;
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw auditError(`${name} must be an ISO 8601 date or time`);
+    }
+    return name === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + DAY_MS - 1 : time;
+}
+
+// Whether an audited document id is the document asked for: any version of it, or
+// only the version the asked-for id names
+function sameDocument(id, wanted) {
+    if (wanted.version === null) {
+        return parseDocumentId(id).base.toLowerCase() === wanted.base.toLowerCase();
+    }
+    return String(id).toLowerCase() === `${wanted.base}.${wanted.version}`.toLowerCase();
+}
+
+class AuditLog {
+    // retentionDays: 0 keeps rotated files forever
+    constructor({ enabled = true, dir, maxBytes = 50 * 1024 * 1024, retentionDays = 365 } = {}) {
+        this.enabled = enabled && Boolean(dir);
+        this.dir = dir;
+        this.maxBytes = maxBytes;
+        this.retentionDays = retentionDays;
+        this.current = null;
+        this.writing = Promise.resolve();
+        this.failedWrites = 0;
+    }
+
+    currentPath() {
+        return path.join(this.dir, CURRENT_FILE);
+    }
+
+    // Add a record with the caller and the time filled in. Records are written one at a
+    // time in the order they arrive; a failed write is logged and counted, never thrown,
+    // so an unwritable log does not fail the request it records.
+    record(entry, caller = getCaller()) {
+        if (!this.enabled) return Promise.resolve();
+
+        const line = JSON.stringify({
+            time: new Date().toISOString(),
+            user: (caller && caller.user) || null,
+            auth_type: (caller && caller.authType) || null,
+            client_id: (caller && caller.clientId) || null,
+            route: (caller && caller.route) || null,
+            request_id: (caller && caller.requestId) || null,
+            ...entry
+        }) + '\n';
+
+        this.writing = this.writing.then(() => this.append(line)).catch(error => {
+            this.failedWrites++;
+            log.error('Could not write audit record', { dir: this.dir, error: error });
+        });
+        return this.writing;
+    }
+
+    async open() {
+        if (this.current) return;
+        await fs.promises.mkdir(this.dir, { recursive: true, mode: 0o700 });
+        const stat = await fs.promises.stat(this.currentPath()).catch(() => null);
+        this.current = { size: stat ? stat.size : 0, day: utcDay(stat ? stat.mtime : new Date()) };
+        await this.prune();
+    }
+
+    async append(line) {
+        await this.open();
+        const today = utcDay(new Date());
+        const bytes = Buffer.byteLength(line);
+        if (this.current.size > 0 && (this.current.size + bytes > this.maxBytes || this.current.day !== today)) {
+            await this.rotate();
+        }
+        await fs.promises.appendFile(this.currentPath(), line, { mode: 0o600 });
+        this.current.size += bytes;
+        this.current.day = today;
+    }
+
+    async rotate() {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        let target = path.join(this.dir, `audit-${stamp}.jsonl`);
+        for (let n = 1; fs.existsSync(target); n++) {
+            target = path.join(this.dir, `audit-${stamp}-${n}.jsonl`);
+        }
+        await fs.promises.rename(this.currentPath(), target);
+        log.info('Rotated audit log', { file: path.basename(target) });
+        this.current = { size: 0, day: utcDay(new Date()) };
+        await this.prune();
+    }
+
+    // Delete rotated files last written before the retention period
+    async prune() {
+        if (!this.retentionDays) return;
+        const cutoff = Date.now() - this.retentionDays * DAY_MS;
+        for (const file of await this.files()) {
+            if (file.name !== CURRENT_FILE && file.modified < cutoff) {
+                await fs.promises.unlink(file.path).catch(() => {});
+                log.info('Deleted audit log past retention', { file: file.name, retention_days: this.retentionDays });
+            }
+        }
+    }
+
+    // The current and rotated files, most recently written first
+    async files() {
+        const names = await fs.promises.readdir(this.dir).catch(() => []);
+        const files = [];
+        for (const name of names) {
+            if (name !== CURRENT_FILE && !ROTATED_FILE.test(name)) continue;
+            const stat = await fs.promises.stat(path.join(this.dir, name)).catch(() => null);
+            if (stat) {
+                files.push({ name: name, path: path.join(this.dir, name), modified: stat.mtimeMs });
+            }
+        }
+        return files.sort((a, b) => b.modified - a.modified);
+    }
+
+    // Records matching every given filter, newest first: `user` (case-insensitive),
+    // `document` (any version unless the id names one), `tool`, `outcome` and a
+    // `from`/`to` time range. At most `limit` records are returned, and only the newest
+    // `limit` matches are held while reading; files are read newest first and the rest
+    // skipped once they can only hold older records, so `total` then counts the matches
+    // in the files read.
+    async query({ user, document, tool, outcome, from, to, limit = 100 } = {}) {
+        const since = parseBound(from, 'from');
+        const until = parseBound(to, 'to');
+        const max = Number(limit);
+        if (!Number.isInteger(max) || max < 1 || max > MAX_QUERY_LIMIT) {
+            throw auditError(`limit must be an integer from 1 to ${MAX_QUERY_LIMIT}`);
+        }
+        const wanted = document ? parseDocumentId(document) : null;
+
+        const matches = record => {
+            const time = Date.parse(record.time);
+            if (since !== null && time < since) return false;
+            if (until !== null && time > until) return false;
+            if (user && String(record.user).toLowerCase() !== String(user).toLowerCase()) return false;
+            if (tool && record.tool !== tool) return false;
+            if (outcome && record.outcome !== outcome) return false;
+            if (wanted) {
+                const ids = [...(record.returned || []), ...(record.documents || []).map(doc => doc.id)];
+                if (!ids.some(id => sameDocument(id, wanted))) return false;
+            }
+            return true;
+        };
+
+        // The newest `max` of the records kept so far
+        let newest = [];
+        const trim = () => {
+            newest.sort((a, b) => b.time.localeCompare(a.time));
+            newest = newest.slice(0, max);
+        };
+
+        // Let queued records reach the file first
+        await this.writing;
+
+        let total = 0;
+        let skipped = false;
+        for (const file of this.enabled ? await this.files() : []) {
+            // Last written before the range starts, so every record in it is too
+            if (since !== null && file.modified < since) continue;
+            // Every record here, and in the files after it, is older than those already kept
+            trim();
+            if (newest.length === max && Date.parse(newest[max - 1].time) > file.modified) {
+                skipped = true;
+                break;
+            }
+
+            const lines = readline.createInterface({ input: fs.createReadStream(file.path), crlfDelay: Infinity });
+            for await (const line of lines) {
+                if (!line.trim()) continue;
+                try {
+                    const record = JSON.parse(line);
+                    if (!matches(record)) continue;
+                    total++;
+                    newest.push(record);
+                    if (newest.length >= max * 2) trim();
+                } catch (error) {
+                    log.warn('Skipping unreadable audit record', { file: file.name });
+                }
+            }
+        }
+
+        trim();
+        return {
+            records: newest,
+            total: total,
+            truncated: total > max || skipped
+        };
+    }
+
+    status() {
+        return {
+            enabled: this.enabled,
+            dir: this.enabled ? this.dir : null,
+            max_bytes: this.maxBytes,
+            retention_days: this.retentionDays || null,
+            failed_writes: this.failedWrites
+        };
+    }
+}
+
+// AUDIT_ENABLED=false turns the audit log off. AUDIT_DIR holds the files (default
+// ./audit), AUDIT_MAX_MB is the size a file is rotated at and AUDIT_RETENTION_DAYS
+// how long rotated files are kept (0 keeps them forever).
+function createAuditLog(env = process.env) {
+    const number = (name, fallback) => env[name] !== undefined && env[name] !== '' ? Number(env[name]) : fallback;
+    return new AuditLog({
+        enabled: env.AUDIT_ENABLED !== 'false',
+        dir: path.resolve(env.AUDIT_DIR || 'audit'),
+        maxBytes: number('AUDIT_MAX_MB', 50) * 1024 * 1024,
+        retentionDays: number('AUDIT_RETENTION_DAYS', 365)
+    });
+}
+
+module.exports = {
+    AuditLog,
+    createAuditLog
+};
@@ -0,0 +1,528 @@
+const crypto = require('crypto');
+const bodyParser = require('body-parser');
+const { mcpAuthRouter, getOAuthProtectedResourceMetadataUrl } = require('@modelcontextprotocol/sdk/server/auth/router.js');
+const { InvalidGrantError, InvalidRequestError, InvalidTokenError } = require('@modelcontextprotocol/sdk/server/auth/errors.js');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'auth' });
+
+const SCOPES = ['imanage:read'];
+const ACCESS_TOKEN_TTL = 60 * 60; // 1 hour
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60; // 30 days
+const AUTHORIZATION_CODE_TTL = 10 * 60; // 10 minutes
+const PENDING_LOGIN_TTL = 10 * 60; // 10 minutes
+const MAX_LOGIN_ATTEMPTS = 3; // wrong passwords before a sign-in request must be started again
+const USER_LOCKOUT_FAILURES = 10; // wrong passwords for one user before their sign-in is paused
+const USER_LOCKOUT_WINDOW = 15 * 60; // 15 minutes
+const MAX_TRACKED_USERS = 10000; // usernames with recent wrong passwords kept for the lockout
+const PRUNE_INTERVAL = 60; // seconds between sweeps of expired sign-ins, codes and tokens
+
+function randomToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+function nowSeconds() {
+    return Math.floor(Date.now() / 1000);
+}
+
+// Compare secrets without leaking their length or content through timing
+function secretsMatch(a, b) {
+    const digestA = crypto.createHash('sha256').update(String(a)).digest();
+    const digestB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(digestA, digestB);
+}
+
+// Parse "name:secret,name2:secret2" into [{ name, secret }]. A bare secret gets the name
+// `unnamed(secret)` returns, or is left out when that is null; the secret itself would
+// otherwise become the caller's name in logs, audit records and cache keys.
+function parseCredentialList(value, unnamed = () => null) {
+    return (value || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const separator = entry.indexOf(':');
+            return separator === -1
+                ? { name: unnamed(entry), secret: entry }
+                : { name: entry.slice(0, separator), secret: entry.slice(separator + 1) };
+        })
+        .filter(credential => credential.name);
+}
+
+// Name for an API key listed without one: a short hash that identifies it without revealing it
+function apiKeyName(secret) {
+    return `key-${crypto.createHash('sha256').update(secret).digest('hex').slice(0, 8)}`;
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Read inbound authentication settings from the environment:
+//   API_KEYS          - "name:key,..." static bearer tokens / X-API-Key values for scripts; a key
+//                       listed without a name is named key-<hash of the key>
+//   OAUTH_USERS       - "username:password,..." accounts allowed to sign in through the OAuth
+//                       flow; entries without a password are ignored
+//   OAUTH_ISSUER_URL  - public base URL of this server (defaults to the Render hostname or localhost)
+//   IMANAGE_AUTH_MODE - "delegated" signs users in through iManage itself instead of OAUTH_USERS
+//   ADMIN_USERS       - "name,..." API key names or users allowed to use the /admin routes
+function loadAuthConfig(env = process.env) {
+    const port = env.PORT || 3000;
+    const defaultIssuer = env.RENDER_EXTERNAL_HOSTNAME
+        ? `https://${env.RENDER_EXTERNAL_HOSTNAME}`
+        : `http://localhost:${port}`;
+
+    const apiKeys = parseCredentialList(env.API_KEYS, apiKeyName);
+    const users = parseCredentialList(env.OAUTH_USERS);
+    const passwordless = (env.OAUTH_USERS || '').split(',').filter(entry => entry.trim() && !entry.includes(':')).length;
+    if (passwordless > 0) {
+        log.warn('Ignoring OAUTH_USERS entries without a password', { entries: passwordless });
+    }
+    const delegated = env.IMANAGE_AUTH_MODE === 'delegated';
+
+    return {
+        apiKeys: apiKeys,
+        users: users,
+        delegated: delegated,
+        adminUsers: (env.ADMIN_USERS || '').split(',').map(user => user.trim().toLowerCase()).filter(Boolean),
+        oauthEnabled: users.length > 0 || delegated,
+        enabled: apiKeys.length > 0 || users.length > 0 || delegated,
+        issuerUrl: new URL(env.OAUTH_ISSUER_URL || defaultIssuer)
+    };
+}
+
+// Dynamically registered OAuth clients, kept in memory
+class InMemoryClientsStore {
+    constructor() {
+        this.clients = new Map();
+    }
+
+    async getClient(clientId) {
+        return this.clients.get(clientId);
+    }
+
+    async registerClient(metadata) {
+        const client = {
+            ...metadata,
+            client_id: crypto.randomUUID(),
+            client_id_issued_at: nowSeconds()
+        };
+        this.clients.set(client.client_id, client);
+        log.info('Registered OAuth client', { client_id: client.client_id, client_name: client.client_name });
+        return client;
+    }
+}
+
+// OAuth 2.1 authorization server provider for the MCP SDK auth router.
+// The SDK handles client registration, PKCE verification and the OAuth endpoints;
+// this class runs the sign-in step and issues and verifies tokens. With a delegation
+// the sign-in happens at iManage, otherwise against the OAUTH_USERS accounts.
+class ConnectorAuthProvider {
+    constructor(config, delegation = null) {
+        this.config = config;
+        this.delegation = delegation;
+        this.clientsStore = new InMemoryClientsStore();
+        this.pendingLogins = new Map();
+        this.failedLogins = new Map();
+        this.authorizationCodes = new Map();
+        this.accessTokens = new Map();
+        this.refreshTokens = new Map();
+        this.prunedAt = nowSeconds();
+    }
+
+    // Entries are otherwise only removed when they are used, so unused ones would pile up.
+    // Runs when something new is stored, at most once every PRUNE_INTERVAL.
+    pruneExpired() {
+        const now = nowSeconds();
+        if (this.prunedAt + PRUNE_INTERVAL > now) {
+            return;
+        }
+        this.prunedAt = now;
+        for (const store of [this.pendingLogins, this.authorizationCodes, this.accessTokens, this.refreshTokens]) {
+            for (const [key, entry] of store) {
+                if (entry.expiresAt < now) store.delete(key);
+            }
+        }
+        for (const [username, failures] of this.failedLogins) {
+            if (failures.since + USER_LOCKOUT_WINDOW < now) this.failedLogins.delete(username);
+        }
+    }
+
+    // Start sign-in. The authorization request is parked server-side so the login form
+    // (or the iManage state parameter) only carries an opaque id that cannot be tampered with
+    async authorize(client, params, res) {
+        this.pruneExpired();
+        const loginId = randomToken();
+        this.pendingLogins.set(loginId, {
+            clientId: client.client_id,
+            params: params,
+            attempts: 0,
+            expiresAt: nowSeconds() + PENDING_LOGIN_TTL
+        });
+
+        if (this.delegation) {
+            return res.redirect(302, this.delegation.authorizationUrl(loginId));
+        }
+
+        res.status(200).type('html').send(this.renderLoginPage(loginId, client));
+    }
+
+    takePendingLogin(loginId) {
+        const pending = loginId ? this.pendingLogins.get(loginId) : null;
+        if (!pending || pending.expiresAt < nowSeconds()) {
+            this.pendingLogins.delete(loginId);
+            return null;
+        }
+        return pending;
+    }
+
+    // Whether a username has had too many wrong passwords lately, across sign-in requests
+    isLockedOut(username) {
+        const failures = this.failedLogins.get(username);
+        if (failures && failures.since + USER_LOCKOUT_WINDOW < nowSeconds()) {
+            this.failedLogins.delete(username);
+            return false;
+        }
+        return Boolean(failures) && failures.count >= USER_LOCKOUT_FAILURES;
+    }
+
+    recordFailedLogin(username) {
+        this.pruneExpired();
+        const failures = this.failedLogins.get(username);
+        if (failures && failures.since + USER_LOCKOUT_WINDOW >= nowSeconds()) {
+            failures.count++;
+            return;
+        }
+        // Maps keep insertion order, so the first entry is the oldest failure
+        this.failedLogins.delete(username);
+        if (this.failedLogins.size >= MAX_TRACKED_USERS) {
+            this.failedLogins.delete(this.failedLogins.keys().next().value);
+        }
+        this.failedLogins.set(username, { count: 1, since: nowSeconds() });
+    }
+
+    renderLoginPage(loginId, client, errorMessage) {
+        const clientName = escapeHtml(client.client_name || client.client_id);
+        const error = errorMessage ? `<p style="color:#b00">${escapeHtml(errorMessage)}</p>` : '';
+
+        return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>iManage Deep Research - Sign in</title></head>
+<body style="font-family:sans-serif;max-width:420px;margin:60px auto">
+<h2>iManage Deep Research</h2>
+<p><strong>${clientName}</strong> is requesting access to search and read iManage documents.</p>
+${error}
+<form method="post" action="/oauth/login">
+<input type="hidden" name="login_id" value="${escapeHtml(loginId)}">
+<p><label>Username<br><input name="username" autocomplete="username" required></label></p>
+<p><label>Password<br><input name="password" type="password" autocomplete="current-password" required></label></p>
+<p><button type="submit">Allow access</button></p>
+</form>
+</body>
+</html>`;
+    }
+
+    // Handle the sign-in form and redirect back to the client with an authorization code
+    async completeLogin(req, res) {
+        const { login_id: loginId, username, password } = req.body || {};
+        const pending = this.takePendingLogin(loginId);
+
+        if (!pending) {
+            return res.status(400).type('html').send('<p>This sign-in request has expired. Please start again from your client.</p>');
+        }
+
+        if (this.isLockedOut(username)) {
+            log.warn('OAuth sign-in refused while locked out', { user: username });
+            return res.status(429).type('html').send('<p>Too many failed sign-in attempts. Please wait a few minutes and start again from your client.</p>');
+        }
+
+        const user = this.config.users.find(u => u.name === username);
+        if (!user || !secretsMatch(user.secret, password || '')) {
+            log.warn('OAuth sign-in failed', { user: username });
+            if (user) this.recordFailedLogin(user.name);
+            // A sign-in request only allows a few guesses; after that the client has to start a new one
+            if (++pending.attempts >= MAX_LOGIN_ATTEMPTS) {
+                this.pendingLogins.delete(loginId);
+                return res.status(401).type('html').send('<p>Too many failed sign-in attempts. Please start again from your client.</p>');
+            }
+            const client = await this.clientsStore.getClient(pending.clientId);
+            return res.status(401).type('html').send(this.renderLoginPage(loginId, client, 'Invalid username or password'));
+        }
+
+        this.failedLogins.delete(username);
+        this.pendingLogins.delete(loginId);
+        this.redirectWithCode(pending, user.name, res);
+    }
+
+    // Handle iManage redirecting back after the user signed in there
+    async completeDelegatedLogin(req, res) {
+        const { code, state: loginId, error, error_description: errorDescription } = req.query;
+        const pending = this.takePendingLogin(loginId);
+
+        if (!pending) {
+            return res.status(400).type('html').send('<p>This sign-in request has expired. Please start again from your client.</p>');
+        }
+        this.pendingLogins.delete(loginId);
+
+        if (error || !code) {
+            log.warn('iManage sign-in was not completed', { error: error || 'no code returned' });
+            const redirectUrl = new URL(pending.params.redirectUri);
+            redirectUrl.searchParams.set('error', 'access_denied');
+            redirectUrl.searchParams.set('error_description', errorDescription || 'iManage sign-in was not completed');
+            if (pending.params.state !== undefined) {
+                redirectUrl.searchParams.set('state', pending.params.state);
+            }
+            return res.redirect(302, redirectUrl.href);
+        }
+
+        try {
+            const user = await this.delegation.completeAuthorization(code);
+            this.redirectWithCode(pending, user, res);
+        } catch (exchangeError) {
+            log.error('iManage authorization code exchange failed', { error: exchangeError });
+            res.status(502).type('html').send('<p>Signing in to iManage failed. Please start again from your client.</p>');
+        }
+    }
+
+    // Issue our own authorization code for a signed-in user and send them back to the client
+    redirectWithCode(pending, user, res) {
+        this.pruneExpired();
+        const code = randomToken();
+        this.authorizationCodes.set(code, {
+            clientId: pending.clientId,
+            params: pending.params,
+            user: user,
+            expiresAt: nowSeconds() + AUTHORIZATION_CODE_TTL
+        });
+
+        log.info('OAuth sign-in succeeded', { user: user });
+
+        const redirectUrl = new URL(pending.params.redirectUri);
+        redirectUrl.searchParams.set('code', code);
+        if (pending.params.state !== undefined) {
+            redirectUrl.searchParams.set('state', pending.params.state);
+        }
+        res.redirect(302, redirectUrl.href);
+    }
+
+    getAuthorizationCode(client, authorizationCode) {
+        const codeData = this.authorizationCodes.get(authorizationCode);
+        if (!codeData || codeData.clientId !== client.client_id || codeData.expiresAt < nowSeconds()) {
+            throw new InvalidGrantError('Invalid or expired authorization code');
+        }
+        return codeData;
+    }
+
+    async challengeForAuthorizationCode(client, authorizationCode) {
+        return this.getAuthorizationCode(client, authorizationCode).params.codeChallenge;
+    }
+
+    async exchangeAuthorizationCode(client, authorizationCode, codeVerifier, redirectUri) {
+        const codeData = this.getAuthorizationCode(client, authorizationCode);
+        if (redirectUri && redirectUri !== codeData.params.redirectUri) {
+            throw new InvalidGrantError('redirect_uri does not match the authorization request');
+        }
+
+        // Authorization codes are single use
+        this.authorizationCodes.delete(authorizationCode);
+
+        const scopes = codeData.params.scopes && codeData.params.scopes.length > 0 ? codeData.params.scopes : SCOPES;
+        return this.issueTokens(client.client_id, codeData.user, scopes, codeData.params.resource);
+    }
+
+    async exchangeRefreshToken(client, refreshToken, scopes, resource) {
+        const tokenData = this.refreshTokens.get(refreshToken);
+        if (!tokenData || tokenData.clientId !== client.client_id || tokenData.expiresAt < nowSeconds()) {
+            throw new InvalidGrantError('Invalid or expired refresh token');
+        }
+        if (scopes && scopes.some(scope => !tokenData.scopes.includes(scope))) {
+            throw new InvalidRequestError('Requested scopes exceed the original grant');
+        }
+
+        // Refresh tokens rotate on every use
+        this.refreshTokens.delete(refreshToken);
+        return this.issueTokens(client.client_id, tokenData.user, scopes || tokenData.scopes, resource || tokenData.resource);
+    }
+
+    issueTokens(clientId, user, scopes, resource) {
+        this.pruneExpired();
+        const accessToken = randomToken();
+        const refreshToken = randomToken();
+
+        this.accessTokens.set(accessToken, {
+            clientId: clientId,
+            user: user,
+            scopes: scopes,
+            resource: resource,
+            expiresAt: nowSeconds() + ACCESS_TOKEN_TTL
+        });
+        this.refreshTokens.set(refreshToken, {
+            clientId: clientId,
+            user: user,
+            scopes: scopes,
+            resource: resource,
+            expiresAt: nowSeconds() + REFRESH_TOKEN_TTL
+        });
+
+        return {
+            access_token: accessToken,
+            token_type: 'bearer',
+            expires_in: ACCESS_TOKEN_TTL,
+            refresh_token: refreshToken,
+            scope: scopes.join(' ')
+        };
+    }
+
+    async revokeToken(client, request) {
+        const { token } = request;
+        for (const store of [this.accessTokens, this.refreshTokens]) {
+            const tokenData = store.get(token);
+            if (tokenData && tokenData.clientId === client.client_id) {
+                store.delete(token);
+            }
+        }
+    }
+
+    // Accepts both static API keys and OAuth access tokens
+    async verifyAccessToken(token) {
+        const apiKey = this.config.apiKeys.find(key => secretsMatch(key.secret, token));
+        if (apiKey) {
+            return {
+                token: token,
+                clientId: `api-key:${apiKey.name}`,
+                scopes: SCOPES,
+                extra: { user: apiKey.name, authType: 'api_key' }
+            };
+        }
+
+        const tokenData = this.accessTokens.get(token);
+        if (!tokenData || tokenData.expiresAt < nowSeconds()) {
+            this.accessTokens.delete(token);
+            throw new InvalidTokenError('Invalid or expired access token');
+        }
+
+        return {
+            token: token,
+            clientId: tokenData.clientId,
+            scopes: tokenData.scopes,
+            expiresAt: tokenData.expiresAt,
+            resource: tokenData.resource,
+            extra: { user: tokenData.user, authType: 'oauth' }
+        };
+    }
+}
+
+// Describe the configured scheme for the plugin manifest, OpenAPI spec and /tools
+function describeAuthScheme(config) {
+    const issuer = config.issuerUrl.href.replace(/\/$/, '');
+
+    if (config.oauthEnabled) {
+        return {
+            type: 'oauth',
+            authorization_url: `${issuer}/authorize`,
+            token_url: `${issuer}/token`,
+            registration_url: `${issuer}/register`,
+            metadata_url: `${issuer}/.well-known/oauth-authorization-server`,
+            scopes: SCOPES,
+            pkce: 'S256',
+            imanage_delegation: config.delegated,
+            api_keys: config.apiKeys.length > 0
+        };
+    }
+
+    if (config.apiKeys.length > 0) {
+        return {
+            type: 'bearer',
+            header: 'Authorization',
+            alternative_header: 'X-API-Key'
+        };
+    }
+
+    return { type: 'none' };
+}
+
+// Install the OAuth endpoints (when enabled) and return middleware that protects
+// a route with API key / bearer token authentication.
+// Pass an IManageDelegation when config.delegated is set.
+function mountAuth(app, config, delegation = null) {
+    if (!config.enabled) {
+        log.warn('Inbound authentication is disabled - set API_KEYS or OAUTH_USERS to protect this server');
+        return (req, res, next) => next();
+    }
+
+    const provider = new ConnectorAuthProvider(config, config.delegated ? delegation : null);
+    const resourceServerUrl = new URL('/mcp', config.issuerUrl);
+    const resourceMetadataUrl = config.oauthEnabled ? getOAuthProtectedResourceMetadataUrl(resourceServerUrl) : null;
+
+    if (config.oauthEnabled) {
+        app.use(mcpAuthRouter({
+            provider: provider,
+            issuerUrl: config.issuerUrl,
+            resourceServerUrl: resourceServerUrl,
+            scopesSupported: SCOPES,
+            resourceName: 'iManage Deep Research'
+        }));
+
+        if (provider.delegation) {
+            app.get('/oauth/imanage/callback', (req, res) => provider.completeDelegatedLogin(req, res));
+        } else {
+            app.post('/oauth/login', bodyParser.urlencoded({ extended: false }), (req, res) => provider.completeLogin(req, res));
+        }
+    }
+
+    log.info('Inbound authentication enabled', { scheme: describeAuthScheme(config).type, api_keys: config.apiKeys.length });
+
+    return async (req, res, next) => {
+        const authorization = req.get('Authorization') || '';
+        const token = authorization.match(/^Bearer\s+(.+)$/i)?.[1] || req.get('X-API-Key');
+
+        const challenge = (error, description) => {
+            let header = `Bearer error="${error}", error_description="${description}"`;
+            if (resourceMetadataUrl) {
+                header += `, resource_metadata="${resourceMetadataUrl}"`;
+            }
+            res.set('WWW-Authenticate', header);
+            res.status(401).json({ error: error, error_description: description });
+        };
+
+        if (!token) {
+            return challenge('invalid_token', 'Missing Authorization header');
+        }
+
+        try {
+            const authInfo = await provider.verifyAccessToken(token);
+            if (!SCOPES.every(scope => authInfo.scopes.includes(scope))) {
+                return res.status(403).json({ error: 'insufficient_scope', error_description: 'Token lacks the imanage:read scope' });
+            }
+            req.auth = authInfo;
+            next();
+        } catch (error) {
+            challenge('invalid_token', error.message);
+        }
+    };
+}
+
+// Middleware for the /admin routes, after the one returned by mountAuth: the caller must
+// be in ADMIN_USERS (compared case-insensitively, as iManage user ids are upper case).
+// Without inbound authentication every route is open, the admin routes included.
+function requireAdmin(config) {
+    return (req, res, next) => {
+        const user = req.auth && req.auth.extra && req.auth.extra.user;
+        if (!config.enabled || (user && config.adminUsers.includes(String(user).toLowerCase()))) {
+            return next();
+        }
+        res.status(403).json({ error: 'forbidden', error_description: 'Admin routes are limited to ADMIN_USERS' });
+    };
+}
+
+module.exports = {
+    ConnectorAuthProvider,
+    describeAuthScheme,
+    loadAuthConfig,
+    mountAuth,
+    requireAdmin
+};
@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getCaller } = require('./context');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'cache' });
+
+// Response cache for search results, document profiles and extracted content: an
+// in-memory LRU in front of an optional disk store. Entries live in namespaces with
+// their own TTL; an entry saved with a version (a document's edit_date) is dropped
+// when it is read back with another one. Keys always include the caller and how they
+// signed in, so one caller never sees what another's iManage access returned: an API
+// key caller searches as the service account, while an OAuth user of the same name may
+// search with their own delegated iManage token.
+
+const NAMESPACES = ['search', 'details', 'content'];
+
+function cacheScope() {
+    const caller = getCaller();
+    return caller && caller.user ? `${caller.authType || 'user'}:${String(caller.user).toLowerCase()}` : 'service';
+}
+
+// Least recently used entries go first once the entries' total size passes maxBytes
+class MemoryLru {
+    constructor({ maxBytes }) {
+        this.maxBytes = maxBytes;
+        this.entries = new Map();
+        this.bytes = 0;
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+        }
+        return entry;
+    }
+
+    // Returns the number of entries evicted to make room
+    set(key, entry) {
+        this.delete(key);
+        this.entries.set(key, entry);
+        this.bytes += entry.size;
+
+        let evicted = 0;
+        for (const [oldest, { size }] of this.entries) {
+            if (this.bytes <= this.maxBytes) break;
+            this.entries.delete(oldest);
+            this.bytes -= size;
+            evicted++;
+        }
+        return evicted;
+    }
+
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            this.entries.delete(key);
+            this.bytes -= entry.size;
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+        this.bytes = 0;
+    }
+}
+
+// One JSON file per entry, named by the hash of its key. The directory is scanned on
+// first use; the least recently used files are removed once it grows past maxBytes.
+class DiskStore {
+    constructor({ dir, maxBytes }) {
+        this.dir = dir;
+        this.maxBytes = maxBytes;
+        this.files = null;
+        this.bytes = 0;
+    }
+
+    fileName(key) {
+        return `${crypto.createHash('sha256').update(key).digest('hex')}.json`;
+    }
+
+    async scan() {
+        if (this.files) return;
+        await fs.promises.mkdir(this.dir, { recursive: true, mode: 0o700 });
+        const files = new Map();
+        this.bytes = 0;
+        for (const name of await fs.promises.readdir(this.dir)) {
+            if (!name.endsWith('.json')) continue;
+            const stat = await fs.promises.stat(path.join(this.dir, name)).catch(() => null);
+            if (stat) {
+                files.set(name, { size: stat.size, used: stat.mtimeMs });
+                this.bytes += stat.size;
+            }
+        }
+        this.files = files;
+    }
+
+    async get(key) {
+        await this.scan();
+        const name = this.fileName(key);
+        const file = this.files.get(name);
+        if (!file) return undefined;
+
+        try {
+            const saved = JSON.parse(await fs.promises.readFile(path.join(this.dir, name), 'utf8'));
+            if (saved.key !== key) return undefined;
+            file.used = Date.now();
+            return saved.entry;
+        } catch (error) {
+            await this.delete(key);
+            return undefined;
+        }
+    }
+
+    // Write to a temporary file first so a crash never leaves a half-written entry
+    async set(key, entry) {
+        await this.scan();
+        const name = this.fileName(key);
+        const data = JSON.stringify({ key: key, entry: entry });
+        const temporary = path.join(this.dir, `${name}.tmp`);
+        await fs.promises.writeFile(temporary, data, { mode: 0o600 });
+        await fs.promises.rename(temporary, path.join(this.dir, name));
+
+        this.forget(name);
+        this.files.set(name, { size: Buffer.byteLength(data), used: Date.now() });
+        this.bytes += Buffer.byteLength(data);
+        return this.trim();
+    }
+
+    async delete(key) {
+        await this.scan();
+        const name = this.fileName(key);
+        if (this.forget(name)) {
+            await fs.promises.unlink(path.join(this.dir, name)).catch(() => {});
+        }
+    }
+
+    forget(name) {
+        const file = this.files.get(name);
+        if (!file) return false;
+        this.files.delete(name);
+        this.bytes -= file.size;
+        return true;
+    }
+
+    async trim() {
+        let evicted = 0;
+        if (this.bytes <= this.maxBytes) return evicted;
+
+        const oldestFirst = [...this.files].sort((a, b) => a[1].used - b[1].used);
+        for (const [name] of oldestFirst) {
+            if (this.bytes <= this.maxBytes) break;
+            this.forget(name);
+            await fs.promises.unlink(path.join(this.dir, name)).catch(() => {});
+            evicted++;
+        }
+        return evicted;
+    }
+
+    async clear() {
+        await this.scan();
+        for (const name of [...this.files.keys()]) {
+            this.forget(name);
+            await fs.promises.unlink(path.join(this.dir, name)).catch(() => {});
+        }
+    }
+}
+
+class ResponseCache {
+    // ttlSeconds: TTL per namespace. `dir` adds the disk store behind the memory LRU.
+    constructor({ enabled = true, maxBytes = 100 * 1024 * 1024, ttlSeconds = {}, dir = null, diskMaxBytes = 1024 * 1024 * 1024 } = {}) {
+        this.enabled = enabled;
+        this.ttlSeconds = { search: 60, details: 300, content: 3600, ...ttlSeconds };
+        this.memory = new MemoryLru({ maxBytes });
+        this.disk = enabled && dir ? new DiskStore({ dir, maxBytes: diskMaxBytes }) : null;
+        this.counters = Object.fromEntries(NAMESPACES.map(namespace => [namespace, { hits: 0, misses: 0, expired: 0, invalidated: 0 }]));
+        this.evicted = 0;
+    }
+
+    key(namespace, key) {
+        return `${namespace}:${cacheScope()}:${key}`;
+    }
+
+    // The cached value, or undefined on a miss. `version` must match the version the
+    // entry was saved with.
+    async get(namespace, key, { version } = {}) {
+        if (!this.enabled) return undefined;
+
+        const counters = this.counters[namespace];
+        const fullKey = this.key(namespace, key);
+        let entry = this.memory.get(fullKey);
+        if (!entry && this.disk) {
+            entry = await this.disk.get(fullKey);
+            if (entry) {
+                this.evicted += this.memory.set(fullKey, entry);
+            }
+        }
+
+        if (entry && entry.expires <= Date.now()) {
+            counters.expired++;
+            await this.delete(fullKey);
+            entry = null;
+        } else if (entry && version !== undefined && entry.version !== version) {
+            counters.invalidated++;
+            await this.delete(fullKey);
+            entry = null;
+        }
+
+        if (!entry) {
+            counters.misses++;
+            return undefined;
+        }
+        counters.hits++;
+        return entry.value;
+    }
+
+    async set(namespace, key, value, { version } = {}) {
+        if (!this.enabled) return;
+
+        const fullKey = this.key(namespace, key);
+        const entry = {
+            value: value,
+            version: version,
+            expires: Date.now() + this.ttlSeconds[namespace] * 1000,
+            size: Buffer.byteLength(JSON.stringify(value))
+        };
+        // An entry too large for the memory cache would only push everything else out
+        if (entry.size > this.memory.maxBytes) return;
+
+        this.evicted += this.memory.set(fullKey, entry);
+        if (this.disk) {
+            try {
+                this.evicted += await this.disk.set(fullKey, entry);
+            } catch (error) {
+                log.warn('Could not write cache entry', { dir: this.disk.dir, error: error });
+            }
+        }
+    }
+
+    // The cached value, or the result of load() which is cached for next time
+    async wrap(namespace, key, load, options = {}) {
+        const cached = await this.get(namespace, key, options);
+        if (cached !== undefined) {
+            return cached;
+        }
+        const value = await load();
+        await this.set(namespace, key, value, options);
+        return value;
+    }
+
+    async delete(fullKey) {
+        this.memory.delete(fullKey);
+        if (this.disk) {
+            await this.disk.delete(fullKey);
+        }
+    }
+
+    async clear() {
+        this.memory.clear();
+        if (this.disk) {
+            await this.disk.clear();
+        }
+    }
+
+    stats() {
+        const namespaces = {};
+        for (const [namespace, counters] of Object.entries(this.counters)) {
+            const lookups = counters.hits + counters.misses;
+            namespaces[namespace] = {
+                ...counters,
+                hit_ratio: lookups > 0 ? Math.round(counters.hits / lookups * 1e4) / 1e4 : null,
+                ttl_seconds: this.ttlSeconds[namespace]
+            };
+        }
+        return {
+            enabled: this.enabled,
+            entries: this.memory.entries.size,
+            bytes: this.memory.bytes,
+            max_bytes: this.memory.maxBytes,
+            evicted: this.evicted,
+            disk: this.disk ? { dir: this.disk.dir, entries: this.disk.files ? this.disk.files.size : null, bytes: this.disk.files ? this.disk.bytes : null, max_bytes: this.disk.maxBytes } : null,
+            namespaces: namespaces
+        };
+    }
+}
+
+// CACHE_ENABLED=false turns the cache off. CACHE_MAX_MB bounds the memory cache;
+// CACHE_DIR adds the disk store, bounded by CACHE_DISK_MAX_MB. CACHE_SEARCH_TTL_SECONDS,
+// CACHE_DETAILS_TTL_SECONDS and CACHE_CONTENT_TTL_SECONDS set the TTLs.
+function createResponseCache(env = process.env) {
+    const number = (name, fallback) => env[name] !== undefined && env[name] !== '' ? Number(env[name]) : fallback;
+    return new ResponseCache({
+        enabled: env.CACHE_ENABLED !== 'false',
+        maxBytes: number('CACHE_MAX_MB', 100) * 1024 * 1024,
+        ttlSeconds: {
+            search: number('CACHE_SEARCH_TTL_SECONDS', 60),
+            details: number('CACHE_DETAILS_TTL_SECONDS', 300),
+            content: number('CACHE_CONTENT_TTL_SECONDS', 3600)
+        },
+        dir: env.CACHE_DIR || null,
+        diskMaxBytes: number('CACHE_DISK_MAX_MB', 1024) * 1024 * 1024
+    });
+}
+
+module.exports = {
+    ResponseCache,
+    createResponseCache
+};
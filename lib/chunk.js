@@ -0,0 +1,246 @@
+// Splits extracted document text into chunks that an agent can read step by step:
+// by page range, by character offset/length or by section (markdown heading).
+
+const PAGES_PER_CHUNK = 10;
+const MAX_OUTLINE_ENTRIES = 200;
+
+function chunkError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function isCount(value, min) {
+    return Number.isInteger(value) && value >= min;
+}
+
+// What a cursor of each mode must hold, checked as resolvePosition checks explicit arguments
+const CURSOR_FIELDS = {
+    pages: position => isCount(position.start, 1) && isCount(position.span, 1),
+    chars: position => isCount(position.offset, 0) && ([null, undefined].includes(position.length) || isCount(position.length, 1)),
+    section: position => isCount(position.section, 0)
+};
+
+function decodeCursor(cursor) {
+    try {
+        const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!position || typeof position !== 'object' || !Object.hasOwn(CURSOR_FIELDS, position.mode)) {
+            throw new Error('unknown mode');
+        }
+        if (!CURSOR_FIELDS[position.mode](position)) {
+            throw new Error('invalid position');
+        }
+        return position;
+    } catch (error) {
+        throw chunkError('Invalid cursor');
+    }
+}
+
+// Find markdown headings (and PDF page markers) to use as sections
+function splitSections(text) {
+    const headings = [];
+    const pattern = /^(#{1,6}) +(.+)$/gm;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        headings.push({ title: match[2].trim(), level: match[1].length, start: match.index });
+    }
+
+    if (headings.length === 0 || headings[0].start > 0) {
+        headings.unshift({ title: '(untitled)', level: 0, start: 0 });
+    }
+
+    return headings.map((heading, index) => ({
+        index: index,
+        title: heading.title,
+        level: heading.level,
+        start: heading.start,
+        end: index + 1 < headings.length ? headings[index + 1].start : text.length
+    }));
+}
+
+function findSection(sections, section) {
+    if (typeof section === 'number' || /^\d+$/.test(String(section))) {
+        const found = sections[Number(section)];
+        if (!found) {
+            throw chunkError(`Section ${section} is out of range (document has ${sections.length} sections)`);
+        }
+        return found;
+    }
+
+    const wanted = String(section).trim().toLowerCase();
+    const found = sections.find(s => s.title.toLowerCase() === wanted) ||
+                  sections.find(s => s.title.toLowerCase().includes(wanted));
+    if (!found) {
+        throw chunkError(`No section matching "${section}"`);
+    }
+    return found;
+}
+
+// Work out which part of the document was asked for. An explicit cursor wins,
+// then page range, then section, then character offset.
+function resolvePosition(args, hasPages) {
+    if (args.cursor) {
+        return decodeCursor(args.cursor);
+    }
+
+    if (args.page_start !== undefined || args.page_end !== undefined) {
+        if (!hasPages) {
+            throw chunkError('This document has no page information; use offset/length or section instead');
+        }
+        const start = Number(args.page_start || 1);
+        const end = args.page_end !== undefined ? Number(args.page_end) : start + PAGES_PER_CHUNK - 1;
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || end < start) {
+            throw chunkError('page_start and page_end must be positive integers with page_start <= page_end');
+        }
+        return { mode: 'pages', start: start, span: end - start + 1 };
+    }
+
+    if (args.section !== undefined && args.section !== null && args.section !== '') {
+        return { mode: 'section', section: args.section };
+    }
+
+    if (args.offset !== undefined || args.length !== undefined) {
+        const offset = Number(args.offset || 0);
+        const length = args.length !== undefined ? Number(args.length) : null;
+        if (!Number.isInteger(offset) || offset < 0 || (length !== null && (!Number.isInteger(length) || length < 1))) {
+            throw chunkError('offset must be a non-negative integer and length a positive integer');
+        }
+        return { mode: 'chars', offset: offset, length: length };
+    }
+
+    return null;
+}
+
+function selectPages(pages, position, maxChunkChars) {
+    const totalPages = pages.length;
+    if (position.start > totalPages) {
+        throw chunkError(`page_start ${position.start} is out of range (document has ${totalPages} pages)`);
+    }
+
+    const requestedEnd = Math.min(position.start + position.span - 1, totalPages);
+    const parts = [];
+    let length = 0;
+    let end = position.start - 1;
+    let truncated = false;
+
+    // Stop adding pages once the chunk limit is reached, always returning at least one
+    for (let page = position.start; page <= requestedEnd; page++) {
+        let part = `--- Page ${page} ---\n${pages[page - 1].text}`;
+        if (parts.length > 0 && length + part.length + 2 > maxChunkChars) break;
+        if (part.length > maxChunkChars) {
+            part = part.slice(0, maxChunkChars);
+            truncated = true;
+        }
+        parts.push(part);
+        length += part.length + 2;
+        end = page;
+    }
+
+    const span = position.span;
+    return {
+        text: parts.join('\n\n'),
+        chunk: {
+            mode: 'pages',
+            page_start: position.start,
+            page_end: end,
+            total_pages: totalPages,
+            index: Math.floor((position.start - 1) / span),
+            total_chunks: Math.ceil(totalPages / span),
+            truncated: truncated,
+            next_cursor: end < totalPages ? encodeCursor({ mode: 'pages', start: end + 1, span: span }) : null,
+            previous_cursor: position.start > 1 ? encodeCursor({ mode: 'pages', start: Math.max(1, position.start - span), span: span }) : null
+        }
+    };
+}
+
+function selectChars(text, position, maxChunkChars) {
+    const totalChars = text.length;
+    if (position.offset > 0 && position.offset >= totalChars) {
+        throw chunkError(`offset ${position.offset} is out of range (document has ${totalChars} characters)`);
+    }
+
+    const length = Math.min(position.length || maxChunkChars, maxChunkChars);
+    const end = Math.min(position.offset + length, totalChars);
+
+    return {
+        text: text.slice(position.offset, end),
+        chunk: {
+            mode: 'chars',
+            offset: position.offset,
+            length: end - position.offset,
+            total_chars: totalChars,
+            index: Math.floor(position.offset / length),
+            total_chunks: Math.max(1, Math.ceil(totalChars / length)),
+            truncated: false,
+            next_cursor: end < totalChars ? encodeCursor({ mode: 'chars', offset: end, length: length }) : null,
+            previous_cursor: position.offset > 0 ? encodeCursor({ mode: 'chars', offset: Math.max(0, position.offset - length), length: length }) : null
+        }
+    };
+}
+
+function selectSection(text, sections, position, maxChunkChars) {
+    const section = findSection(sections, position.section);
+    const sectionText = text.slice(section.start, section.end);
+    const truncated = sectionText.length > maxChunkChars;
+    const next = sections[section.index + 1];
+    const previous = sections[section.index - 1];
+
+    return {
+        text: truncated ? sectionText.slice(0, maxChunkChars) : sectionText,
+        chunk: {
+            mode: 'section',
+            section: { index: section.index, title: section.title, level: section.level },
+            offset: section.start,
+            length: Math.min(sectionText.length, maxChunkChars),
+            total_chars: text.length,
+            index: section.index,
+            total_chunks: sections.length,
+            truncated: truncated,
+            next_cursor: next ? encodeCursor({ mode: 'section', section: next.index }) : null,
+            previous_cursor: previous ? encodeCursor({ mode: 'section', section: previous.index }) : null
+        }
+    };
+}
+
+// Select the requested chunk of an extraction result ({ text, pages }).
+// Without any chunk arguments the whole text is returned when it fits in one chunk,
+// otherwise the first maxChunkChars characters with a cursor to the rest.
+function selectChunk(extracted, args = {}, { maxChunkChars }) {
+    const hasPages = Array.isArray(extracted.pages) && extracted.pages.length > 0;
+    const sections = splitSections(extracted.text);
+    const position = resolvePosition(args, hasPages);
+    let selected;
+
+    if (!position) {
+        selected = selectChars(extracted.text, { offset: 0, length: maxChunkChars }, maxChunkChars);
+        if (!selected.chunk.next_cursor) {
+            selected.chunk.mode = 'full';
+        }
+    } else if (position.mode === 'pages') {
+        if (!hasPages) {
+            throw chunkError('This document has no page information; use offset/length or section instead');
+        }
+        selected = selectPages(extracted.pages, position, maxChunkChars);
+    } else if (position.mode === 'section') {
+        selected = selectSection(extracted.text, sections, position, maxChunkChars);
+    } else {
+        selected = selectChars(extracted.text, position, maxChunkChars);
+    }
+
+    selected.chunk.total_pages = hasPages ? extracted.pages.length : null;
+    selected.chunk.total_chars = extracted.text.length;
+    selected.chunk.total_sections = sections.length;
+    selected.chunk.outline = sections.slice(0, MAX_OUTLINE_ENTRIES).map(s => ({ index: s.index, title: s.title, level: s.level }));
+
+    return selected;
+}
+
+module.exports = {
+    selectChunk,
+    splitSections
+};
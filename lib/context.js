@@ -0,0 +1,49 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { randomUUID } = require('crypto');
+
+// Per-request context (the request id and the authenticated caller) that follows a
+// request through route handlers, MCP tool calls and the iManage helpers they call
+const requestContext = new AsyncLocalStorage();
+
+// A client's own X-Request-Id is kept when it is short and plain enough to log
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Express middleware giving each request an id, echoed in the X-Request-Id response
+// header, logged with everything done for the request and sent on to iManage
+function bindRequest(req, res, next) {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && REQUEST_ID.test(incoming) ? incoming : randomUUID();
+    res.setHeader('X-Request-Id', requestId);
+    requestContext.run({ requestId: requestId }, next);
+}
+
+// Express middleware binding the caller from req.auth (set by the auth middleware)
+// and the route they called
+function bindCaller(req, res, next) {
+    const extra = (req.auth && req.auth.extra) || {};
+    requestContext.run({
+        ...requestContext.getStore(),
+        user: extra.user || null,
+        authType: extra.authType || null,
+        clientId: req.auth ? req.auth.clientId : null,
+        ip: req.ip,
+        route: req.originalUrl.split('?')[0]
+    }, next);
+}
+
+function getCaller() {
+    return requestContext.getStore() || null;
+}
+
+function getRequestId() {
+    const store = requestContext.getStore();
+    return (store && store.requestId) || null;
+}
+
+module.exports = {
+    bindCaller,
+    bindRequest,
+    getCaller,
+    getRequestId,
+    requestContext
+};
@@ -0,0 +1,183 @@
+const axios = require('axios');
+const { getRequestId } = require('./context');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+const { traceHttpCall } = require('./tracing');
+
+const log = logger.child({ component: 'delegation' });
+
+// Refresh tokens this many seconds before iManage says they expire
+const EXPIRY_MARGIN = 60;
+
+function delegationError(message, status = 401) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// iManage access tokens keyed by user. The service account is stored under
+// SERVICE_ACCOUNT; delegated users under their iManage user id.
+class UserTokenStore {
+    constructor() {
+        this.tokens = new Map();
+    }
+
+    get(user) {
+        return this.tokens.get(user) || null;
+    }
+
+    set(user, { accessToken, refreshToken, expiresIn }) {
+        const entry = {
+            token: accessToken,
+            refreshToken: refreshToken || null,
+            expires: new Date(Date.now() + ((expiresIn || 1800) - EXPIRY_MARGIN) * 1000)
+        };
+        this.tokens.set(user, entry);
+        return entry;
+    }
+
+    delete(user) {
+        this.tokens.delete(user);
+    }
+
+    // Treat `token` as expired if it is still the one stored for `user`, e.g. after iManage
+    // rejected it before its expiry. The refresh token, if any, is kept.
+    expire(user, token) {
+        const entry = this.tokens.get(user);
+        if (entry && entry.token === token) {
+            entry.expires = new Date(0);
+        }
+    }
+
+    isValid(entry) {
+        return Boolean(entry && entry.token && entry.expires && new Date() < entry.expires);
+    }
+}
+
+UserTokenStore.SERVICE_ACCOUNT = '__service_account__';
+
+// Authorization-code delegation against the iManage Work OAuth server, so every
+// connector user searches and downloads with their own iManage permissions
+class IManageDelegation {
+    constructor({ authUrlPrefix, urlPrefix, clientId, clientSecret, redirectUri, scope = 'user', httpsAgent, tokenStore, timeout = 30000 }) {
+        this.authUrlPrefix = authUrlPrefix;
+        this.urlPrefix = urlPrefix;
+        this.clientId = clientId;
+        this.clientSecret = clientSecret;
+        this.redirectUri = redirectUri;
+        this.scope = scope;
+        this.httpsAgent = httpsAgent;
+        this.tokenStore = tokenStore;
+        this.timeout = timeout;
+        this.pendingRefreshes = new Map();
+    }
+
+    authorizationUrl(state) {
+        const url = new URL(`${this.authUrlPrefix}/oauth2/authorize`);
+        url.searchParams.set('response_type', 'code');
+        url.searchParams.set('client_id', this.clientId);
+        url.searchParams.set('redirect_uri', this.redirectUri);
+        url.searchParams.set('scope', this.scope);
+        url.searchParams.set('state', state);
+        return url.href;
+    }
+
+    async requestToken(params) {
+        const body = new URLSearchParams({
+            ...params,
+            client_id: this.clientId,
+            client_secret: this.clientSecret
+        });
+
+        const requestId = getRequestId();
+        let response;
+        try {
+            response = await traceHttpCall('iManage POST /oauth2/token', { 'imanage.grant_type': params.grant_type }, traceHeaders =>
+                axios.post(`${this.authUrlPrefix}/oauth2/token`, body.toString(), {
+                    headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...(requestId ? { 'X-Request-Id': requestId } : {}), ...traceHeaders },
+                    httpsAgent: this.httpsAgent,
+                    timeout: this.timeout
+                }));
+        } catch (error) {
+            metrics.tokenRequests.inc({ grant: params.grant_type, outcome: 'failure' });
+            throw error;
+        }
+        metrics.tokenRequests.inc({ grant: params.grant_type, outcome: 'success' });
+
+        return {
+            accessToken: response.data.access_token,
+            refreshToken: response.data.refresh_token,
+            expiresIn: response.data.expires_in
+        };
+    }
+
+    // Look up the iManage user behind a token
+    async lookupUser(accessToken) {
+        const requestId = getRequestId();
+        const response = await traceHttpCall('iManage GET /api', {}, traceHeaders => axios.get(`${this.urlPrefix}/api`, {
+            headers: { 'X-Auth-Token': accessToken, ...(requestId ? { 'X-Request-Id': requestId } : {}), ...traceHeaders },
+            httpsAgent: this.httpsAgent,
+            timeout: this.timeout
+        }));
+        const user = response.data.data && response.data.data.user;
+        if (!user || !user.id) {
+            throw new Error('iManage did not return the signed-in user');
+        }
+        return user.id;
+    }
+
+    // Exchange the code iManage redirected back with; returns the iManage user id
+    async completeAuthorization(code) {
+        const tokens = await this.requestToken({
+            grant_type: 'authorization_code',
+            code: code,
+            redirect_uri: this.redirectUri
+        });
+        const user = await this.lookupUser(tokens.accessToken);
+
+        this.tokenStore.set(user, tokens);
+        log.info('iManage delegation established', { user: user });
+        return user;
+    }
+
+    // Return a valid iManage token for the user, refreshing it when it has expired
+    async getAccessToken(user) {
+        const entry = this.tokenStore.get(user);
+
+        if (this.tokenStore.isValid(entry)) {
+            return entry.token;
+        }
+
+        if (!entry || !entry.refreshToken) {
+            throw delegationError(`No iManage authorization for user ${user}; sign in to the connector again`);
+        }
+
+        // Share one refresh between concurrent requests for the same user
+        if (!this.pendingRefreshes.has(user)) {
+            this.pendingRefreshes.set(user, this.refresh(user, entry).finally(() => this.pendingRefreshes.delete(user)));
+        }
+        return this.pendingRefreshes.get(user);
+    }
+
+    async refresh(user, entry) {
+        log.info('Refreshing iManage token', { user: user });
+        try {
+            const tokens = await this.requestToken({
+                grant_type: 'refresh_token',
+                refresh_token: entry.refreshToken
+            });
+            // iManage may not rotate the refresh token
+            return this.tokenStore.set(user, { ...tokens, refreshToken: tokens.refreshToken || entry.refreshToken }).token;
+        } catch (error) {
+            log.error('iManage token refresh failed', { user: user, error: error });
+            this.tokenStore.delete(user);
+            throw delegationError(`iManage authorization for user ${user} has expired; sign in to the connector again`);
+        }
+    }
+}
+
+module.exports = {
+    IManageDelegation,
+    UserTokenStore,
+    delegationError
+};
@@ -0,0 +1,153 @@
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'embeddings' });
+
+// Text embedding models for semantic search. embed(texts) resolves to one
+// L2-normalised Float32Array per text, so the dot product of two vectors is their
+// cosine similarity. `id` names the model; vectors from different ids don't mix.
+
+const DEFAULT_MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+function embeddingError(message, status = 503) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function normalise(vector) {
+    let norm = 0;
+    for (const value of vector) {
+        norm += value * value;
+    }
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+        for (let i = 0; i < vector.length; i++) {
+            vector[i] /= norm;
+        }
+    }
+    return vector;
+}
+
+// Sentence-transformer model run on the CPU with ONNX Runtime (@huggingface/transformers).
+// The model is downloaded into `cacheDir` on first use unless `localOnly` is set, in
+// which case it must already be there (or `model` must be a local directory).
+class TransformersEmbedder {
+    constructor({ model = DEFAULT_MODEL, cacheDir, localOnly = false, batchSize = 16 } = {}) {
+        this.model = model;
+        this.cacheDir = cacheDir;
+        this.localOnly = localOnly;
+        this.batchSize = batchSize;
+        this.pipeline = null;
+    }
+
+    get id() {
+        return `transformers:${this.model}`;
+    }
+
+    // Load the model once; a failed load is retried on the next call
+    load() {
+        if (!this.pipeline) {
+            this.pipeline = (async () => {
+                const transformers = await import('@huggingface/transformers');
+                if (this.cacheDir) {
+                    transformers.env.cacheDir = this.cacheDir;
+                }
+                transformers.env.allowRemoteModels = !this.localOnly;
+                log.info('Loading embedding model', { model: this.model });
+                return transformers.pipeline('feature-extraction', this.model, { dtype: 'q8' });
+            })().catch(error => {
+                this.pipeline = null;
+                throw embeddingError(`Embedding model ${this.model} could not be loaded: ${error.message}`);
+            });
+        }
+        return this.pipeline;
+    }
+
+    async embed(texts) {
+        const extractor = await this.load();
+        const vectors = [];
+
+        for (let start = 0; start < texts.length; start += this.batchSize) {
+            const output = await extractor(texts.slice(start, start + this.batchSize), { pooling: 'mean', normalize: true });
+            const dimensions = output.dims[output.dims.length - 1];
+            for (let row = 0; row < output.dims[0]; row++) {
+                vectors.push(Float32Array.from(output.data.subarray(row * dimensions, (row + 1) * dimensions)));
+            }
+        }
+        return vectors;
+    }
+}
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with']);
+
+// Offline fallback: signed feature hashing of stemmed words and word pairs. It needs no
+// model download but only matches documents that share words with the query, not
+// paraphrases, so it suits tests and air-gapped trials rather than production.
+class HashingEmbedder {
+    constructor({ dimensions = 512 } = {}) {
+        this.dimensions = dimensions;
+    }
+
+    get id() {
+        return `hashing:${this.dimensions}`;
+    }
+
+    static tokens(text) {
+        return (String(text).toLowerCase().match(/[a-z0-9]+/g) || [])
+            .filter(word => !STOP_WORDS.has(word))
+            .map(word => word.length > 4 ? word.replace(/(ing|ed|es|s)$/, '') : word);
+    }
+
+    // 32-bit FNV-1a
+    static hash(token) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < token.length; i++) {
+            hash ^= token.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    embedOne(text) {
+        const vector = new Float32Array(this.dimensions);
+        const words = HashingEmbedder.tokens(text);
+        const features = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+
+        for (const feature of features) {
+            const hash = HashingEmbedder.hash(feature);
+            vector[hash % this.dimensions] += (hash & 0x80000000) ? -1 : 1;
+        }
+        return normalise(vector);
+    }
+
+    async embed(texts) {
+        return texts.map(text => this.embedOne(text));
+    }
+}
+
+// EMBEDDING_PROVIDER is 'transformers' (default) or 'hashing'; EMBEDDING_MODEL,
+// EMBEDDING_CACHE_DIR and EMBEDDING_LOCAL_ONLY configure the transformers model
+function createEmbedder(env = process.env) {
+    const provider = env.EMBEDDING_PROVIDER || 'transformers';
+
+    switch (provider) {
+        case 'transformers':
+            return new TransformersEmbedder({
+                model: env.EMBEDDING_MODEL || DEFAULT_MODEL,
+                cacheDir: env.EMBEDDING_CACHE_DIR || undefined,
+                localOnly: env.EMBEDDING_LOCAL_ONLY === 'true'
+            });
+        case 'hashing':
+            return new HashingEmbedder({ dimensions: parseInt(env.EMBEDDING_DIMENSIONS, 10) || undefined });
+        default:
+            throw new Error(`Unknown EMBEDDING_PROVIDER: ${provider} (expected transformers or hashing)`);
+    }
+}
+
+module.exports = {
+    DEFAULT_MODEL,
+    STOP_WORDS,
+    HashingEmbedder,
+    TransformersEmbedder,
+    createEmbedder
+};
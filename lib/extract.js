@@ -0,0 +1,239 @@
+const ExcelJS = require('exceljs');
+const mammoth = require('mammoth');
+const MsgReader = require('@kenjiuno/msgreader').default;
+const { PDFParse } = require('pdf-parse');
+const { simpleParser } = require('mailparser');
+
+// iManage document types (doc.type) mapped to the extension we extract them as,
+// for documents whose profile has no usable extension
+const TYPE_EXTENSIONS = {
+    ACROBAT: 'pdf',
+    PDF: 'pdf',
+    WORDX: 'docx',
+    WORD: 'doc',
+    EXCELX: 'xlsx',
+    EXCEL: 'xls',
+    MIME: 'eml',
+    MSG: 'msg',
+    ANSI: 'txt',
+    TEXT: 'txt',
+    HTML: 'html'
+};
+
+// Content types used when neither the extension nor the type is recognised
+const CONTENT_TYPE_EXTENSIONS = {
+    'application/pdf': 'pdf',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+    'application/vnd.ms-outlook': 'msg',
+    'message/rfc822': 'eml',
+    'text/plain': 'txt',
+    'text/csv': 'csv',
+    'text/html': 'html'
+};
+
+function stripHtml(html) {
+    return html
+        .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|h[1-6]|li|tr)>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+function escapeTableCell(value) {
+    return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+async function extractPdf(buffer) {
+    const parser = new PDFParse({ data: buffer });
+
+    try {
+        const result = await parser.getText();
+        const pages = result.pages.map(p => ({ page: p.num, text: p.text.trim() }));
+
+        return {
+            format: 'text',
+            pages: pages,
+            text: pages.map(p => `--- Page ${p.page} ---\n${p.text}`).join('\n\n')
+        };
+    } finally {
+        await parser.destroy();
+    }
+}
+
+async function extractDocx(buffer) {
+    // Markdown output keeps the document's heading structure
+    const result = await mammoth.convertToMarkdown({ buffer: buffer });
+    return {
+        format: 'markdown',
+        pages: null,
+        text: result.value.replace(/\n{3,}/g, '\n\n').trim()
+    };
+}
+
+async function extractXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const sections = [];
+    workbook.eachSheet((sheet) => {
+        const rows = [];
+        sheet.eachRow({ includeEmpty: false }, (row) => {
+            const cells = [];
+            for (let col = 1; col <= sheet.columnCount; col++) {
+                cells.push(escapeTableCell(row.getCell(col).text || ''));
+            }
+            rows.push(`| ${cells.join(' | ')} |`);
+        });
+
+        let section = `## ${sheet.name}\n\n`;
+        if (rows.length === 0) {
+            section += '_Empty sheet_';
+        } else {
+            const separator = `|${' --- |'.repeat(sheet.columnCount)}`;
+            section += [rows[0], separator, ...rows.slice(1)].join('\n');
+        }
+        sections.push(section);
+    });
+
+    return {
+        format: 'markdown',
+        pages: null,
+        text: sections.join('\n\n')
+    };
+}
+
+function formatEmail({ subject, from, to, cc, date, attachments, body }) {
+    const headers = [`# ${subject || '(no subject)'}`, ''];
+    if (from) headers.push(`**From:** ${from}`);
+    if (to) headers.push(`**To:** ${to}`);
+    if (cc) headers.push(`**Cc:** ${cc}`);
+    if (date) headers.push(`**Date:** ${date}`);
+    if (attachments && attachments.length > 0) headers.push(`**Attachments:** ${attachments.join(', ')}`);
+
+    return {
+        format: 'markdown',
+        pages: null,
+        text: `${headers.join('\n')}\n\n${(body || '').trim()}`
+    };
+}
+
+async function extractMsg(buffer) {
+    const reader = new MsgReader(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length));
+    const msg = reader.getFileData();
+
+    if (msg.error) {
+        throw new Error(msg.error);
+    }
+
+    const recipients = (type) => (msg.recipients || [])
+        .filter(r => (r.recipType || 'to') === type)
+        .map(r => r.email ? `${r.name || r.email} <${r.email}>` : r.name)
+        .join(', ');
+
+    return formatEmail({
+        subject: msg.subject,
+        from: msg.senderEmail ? `${msg.senderName || msg.senderEmail} <${msg.senderEmail}>` : msg.senderName,
+        to: recipients('to'),
+        cc: recipients('cc'),
+        date: msg.clientSubmitTime || msg.messageDeliveryTime,
+        attachments: (msg.attachments || []).map(a => a.fileName || a.name).filter(Boolean),
+        body: msg.body || (msg.bodyHtml ? stripHtml(msg.bodyHtml) : '')
+    });
+}
+
+async function extractEml(buffer) {
+    const mail = await simpleParser(buffer);
+
+    return formatEmail({
+        subject: mail.subject,
+        from: mail.from && mail.from.text,
+        to: mail.to && [].concat(mail.to).map(a => a.text).join(', '),
+        cc: mail.cc && [].concat(mail.cc).map(a => a.text).join(', '),
+        date: mail.date && mail.date.toISOString(),
+        attachments: (mail.attachments || []).map(a => a.filename).filter(Boolean),
+        body: mail.text || (mail.html ? stripHtml(mail.html) : '')
+    });
+}
+
+async function extractPlainText(buffer) {
+    return {
+        format: 'text',
+        pages: null,
+        text: buffer.toString('utf8')
+    };
+}
+
+async function extractHtml(buffer) {
+    return {
+        format: 'text',
+        pages: null,
+        text: stripHtml(buffer.toString('utf8'))
+    };
+}
+
+const EXTRACTORS = {
+    pdf: extractPdf,
+    docx: extractDocx,
+    docm: extractDocx,
+    dotx: extractDocx,
+    xlsx: extractXlsx,
+    xlsm: extractXlsx,
+    msg: extractMsg,
+    eml: extractEml,
+    txt: extractPlainText,
+    csv: extractPlainText,
+    md: extractPlainText,
+    json: extractPlainText,
+    xml: extractPlainText,
+    htm: extractHtml,
+    html: extractHtml
+};
+
+// Work out which extractor applies, preferring the profile's extension, then its type,
+// then the content type the download came back with
+function resolveExtension({ extension, type, contentType } = {}) {
+    const ext = (extension || '').replace(/^\./, '').toLowerCase();
+    if (EXTRACTORS[ext]) return ext;
+
+    const typeExt = TYPE_EXTENSIONS[(type || '').toUpperCase()];
+    if (typeExt && EXTRACTORS[typeExt]) return typeExt;
+
+    const mime = (contentType || '').split(';')[0].trim().toLowerCase();
+    if (CONTENT_TYPE_EXTENSIONS[mime]) return CONTENT_TYPE_EXTENSIONS[mime];
+
+    return ext || typeExt || null;
+}
+
+function isExtractable(info) {
+    return Boolean(EXTRACTORS[resolveExtension(info)]);
+}
+
+// Extract readable text from a downloaded document.
+// Returns { format, text, pages, extension } where pages is an array of
+// { page, text } for paginated formats, or null when the format is unsupported.
+async function extractText(buffer, info = {}) {
+    const extension = resolveExtension(info);
+    const extractor = EXTRACTORS[extension];
+
+    if (!extractor) {
+        return null;
+    }
+
+    const result = await extractor(buffer);
+    return { ...result, extension: extension };
+}
+
+module.exports = {
+    extractText,
+    isExtractable,
+    resolveExtension
+};
@@ -0,0 +1,360 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { extractText, isExtractable } = require('./extract');
+const { logger } = require('./logger');
+const { DocumentSource, sourceError } = require('./sources');
+
+const log = logger.child({ component: 'folder-source' });
+
+// Document source over a local directory tree, for demos and offline development.
+// Top-level directories are workspaces, directories below them are folders, and
+// every file is a single-version document. Text is extracted when a file is first
+// indexed so keyword searches can match document bodies; the tree is rescanned at
+// most every `refresh_seconds` and only new or changed files are re-extracted.
+
+const DEFAULT_REFRESH_SECONDS = 10;
+// Larger files are listed and can be fetched, but their body is not searchable
+const MAX_INDEX_BYTES = 50 * 1024 * 1024;
+
+// File extensions reported as iManage document types
+const EXTENSION_TYPES = {
+    pdf: ['ACROBAT', 'Adobe Acrobat'],
+    docx: ['WORDX', 'Microsoft Word'],
+    docm: ['WORDX', 'Microsoft Word'],
+    doc: ['WORD', 'Microsoft Word 97-2003'],
+    xlsx: ['EXCELX', 'Microsoft Excel'],
+    xlsm: ['EXCELX', 'Microsoft Excel'],
+    xls: ['EXCEL', 'Microsoft Excel 97-2003'],
+    eml: ['MIME', 'Email message'],
+    msg: ['MSG', 'Outlook message'],
+    txt: ['ANSI', 'Text'],
+    md: ['ANSI', 'Text'],
+    csv: ['ANSI', 'Text'],
+    htm: ['HTML', 'Web page'],
+    html: ['HTML', 'Web page']
+};
+
+const CONTENT_TYPES = {
+    pdf: 'application/pdf',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    eml: 'message/rfc822',
+    msg: 'application/vnd.ms-outlook',
+    txt: 'text/plain',
+    md: 'text/plain',
+    csv: 'text/csv',
+    htm: 'text/html',
+    html: 'text/html'
+};
+
+// Search fields matched as case-insensitive text; every word of the query must appear
+const TEXT_FIELDS = {
+    title: entry => [entry.profile.name],
+    body: entry => [entry.text],
+    comments: entry => [entry.profile.comment],
+    author: entry => [entry.profile.author, entry.profile.author_description],
+    anywhere: entry => [entry.profile.name, entry.text, entry.profile.comment, entry.profile.author_description, entry.profile.workspace_name]
+};
+
+// Advanced filters compared with the profile field for equality
+const EXACT_FILTERS = {
+    type: profile => [profile.type, profile.type_description],
+    extension: profile => [profile.extension],
+    custom1: profile => [profile.custom1_description],
+    custom2: profile => [profile.custom2_description],
+    workspace_id: profile => [profile.workspace_id]
+};
+
+function matchesText(values, query) {
+    const haystack = values.filter(Boolean).join('\n').toLowerCase();
+    const words = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+    return words.every(word => haystack.includes(word));
+}
+
+function matchesExact(values, wanted) {
+    const needle = String(wanted).toLowerCase();
+    return values.some(value => value !== undefined && value !== null && String(value).toLowerCase() === needle);
+}
+
+// Stable number for a path, so ids survive rescans and restarts
+function pathNumber(kind, relativePath) {
+    const hash = crypto.createHash('sha1').update(`${kind}:${relativePath}`).digest('hex');
+    return parseInt(hash.slice(0, 12), 16);
+}
+
+function notFound(message) {
+    return sourceError(message, 404);
+}
+
+class FolderSource extends DocumentSource {
+    constructor(library) {
+        super(library);
+        this.root = library.path;
+        this.refreshMs = (library.refreshSeconds !== undefined ? library.refreshSeconds : DEFAULT_REFRESH_SECONDS) * 1000;
+        this.documents = new Map();
+        this.containers = new Map();
+        this.scannedAt = 0;
+        this.scanning = null;
+    }
+
+    get kind() {
+        return 'folder';
+    }
+
+    // Rescan the tree when the last scan is older than the refresh interval
+    async index() {
+        if (Date.now() - this.scannedAt < this.refreshMs && this.scannedAt > 0) {
+            return;
+        }
+        if (!this.scanning) {
+            this.scanning = this.scan().finally(() => {
+                this.scanning = null;
+            });
+        }
+        await this.scanning;
+    }
+
+    async scan() {
+        if (!fs.existsSync(this.root)) {
+            throw sourceError(`Document folder ${this.root} for library ${this.library.name} does not exist`, 500);
+        }
+
+        const documents = new Map();
+        const containers = new Map();
+        await this.scanDirectory('', null, null, documents, containers);
+
+        this.documents = documents;
+        this.containers = containers;
+        this.scannedAt = Date.now();
+        log.info('Scanned folder library', { library: this.library.name, documents: documents.size, folders: containers.size });
+    }
+
+    async scanDirectory(relativeDir, parent, workspace, documents, containers) {
+        const entries = await fs.promises.readdir(path.join(this.root, relativeDir), { withFileTypes: true });
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+
+        for (const entry of entries) {
+            // Hidden files and symbolic links (which could leave the root) are skipped
+            if (entry.name.startsWith('.') || entry.isSymbolicLink()) continue;
+            const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+
+            if (entry.isDirectory()) {
+                const container = this.containerProfile(relativePath, entry.name, parent, workspace);
+                containers.set(container.profile.id, container);
+                if (parent) {
+                    parent.profile.has_subfolders = true;
+                }
+                await this.scanDirectory(relativePath, container, workspace || container, documents, containers);
+            } else if (entry.isFile()) {
+                const doc = await this.indexFile(relativePath, parent, workspace);
+                documents.set(doc.profile.id, doc);
+            }
+        }
+    }
+
+    containerProfile(relativePath, name, parent, workspace) {
+        const id = `${this.library.id}!${pathNumber('dir', relativePath)}`;
+        const profile = workspace
+            ? {
+                id: id,
+                database: this.library.id,
+                wstype: 'folder',
+                folder_type: 'regular',
+                name: name,
+                parent_id: parent.profile.id,
+                workspace_id: workspace.profile.id,
+                has_subfolders: false
+            }
+            : {
+                id: id,
+                database: this.library.id,
+                wstype: 'workspace',
+                name: name,
+                description: '',
+                has_subfolders: false
+            };
+        return { profile: profile, relativePath: relativePath, parentId: parent ? parent.profile.id : null };
+    }
+
+    // Profile and searchable text of one file, reusing the previous scan when unchanged
+    async indexFile(relativePath, parent, workspace) {
+        const file = path.join(this.root, relativePath);
+        const stats = await fs.promises.stat(file);
+        const number = pathNumber('file', relativePath);
+        const id = `${this.library.id}!${number}.1`;
+        const previous = this.documents.get(id);
+
+        if (previous && previous.mtimeMs === stats.mtimeMs && previous.size === stats.size) {
+            return previous;
+        }
+
+        const extension = path.extname(relativePath).slice(1).toLowerCase();
+        const [type, typeDescription] = EXTENSION_TYPES[extension] || [extension.toUpperCase() || 'UNKNOWN', `${extension || 'Unknown'} file`];
+        const text = await this.readText(file, stats.size, extension);
+        // Emails name their sender; other files have no author on disk
+        const sender = text.match(/^\*\*From:\*\* (.+)$/m);
+
+        const profile = {
+            id: id,
+            database: this.library.id,
+            document_number: number,
+            version: 1,
+            name: path.basename(relativePath, path.extname(relativePath)),
+            extension: extension,
+            type: type,
+            type_description: typeDescription,
+            size: stats.size,
+            author: sender ? sender[1] : '',
+            author_description: sender ? sender[1] : '',
+            comment: '',
+            create_date: stats.birthtime.toISOString(),
+            edit_date: stats.mtime.toISOString(),
+            workspace_id: workspace ? workspace.profile.id : null,
+            workspace_name: workspace ? workspace.profile.name : null,
+            folder_id: parent ? parent.profile.id : null,
+            path: relativePath,
+            iwl: null
+        };
+
+        return { profile, file, text, mtimeMs: stats.mtimeMs, size: stats.size };
+    }
+
+    async readText(file, size, extension) {
+        if (size > MAX_INDEX_BYTES || !isExtractable({ extension })) {
+            return '';
+        }
+        try {
+            const extracted = await extractText(await fs.promises.readFile(file), { extension });
+            return extracted ? extracted.text : '';
+        } catch (error) {
+            log.warn('Could not index document text', { file: file, error: error });
+            return '';
+        }
+    }
+
+    // Page of profiles, newest first like iManage
+    page(entries, limit, position) {
+        const sorted = entries
+            .map(entry => entry.profile)
+            .sort((a, b) => String(b.edit_date || '').localeCompare(String(a.edit_date || '')) || a.name.localeCompare(b.name));
+        const results = sorted.slice(position.offset, position.offset + limit);
+        const consumed = position.offset + results.length;
+
+        return {
+            results: results,
+            total: sorted.length,
+            offset: position.offset,
+            next: consumed < sorted.length ? { offset: consumed } : null
+        };
+    }
+
+    searchFilter(query) {
+        if (query.filters) {
+            const checks = Object.entries(query.filters).map(([field, value]) => {
+                if (TEXT_FIELDS[field]) return entry => matchesText(TEXT_FIELDS[field](entry), value);
+                if (EXACT_FILTERS[field]) return entry => matchesExact(EXACT_FILTERS[field](entry.profile), value);
+                if (field === 'edit_date_from') return entry => entry.profile.edit_date >= new Date(value).toISOString();
+                if (field === 'edit_date_to') return entry => entry.profile.edit_date <= new Date(value).toISOString();
+                throw sourceError(`Unsupported filter for library ${this.library.name}: ${field}`, 400);
+            });
+            return entry => checks.every(check => check(entry));
+        }
+        if (query.title !== undefined) {
+            return entry => matchesText(TEXT_FIELDS.title(entry), query.title);
+        }
+        const fields = TEXT_FIELDS[query.searchIn] || TEXT_FIELDS.anywhere;
+        return entry => matchesText(fields(entry), query.keywords);
+    }
+
+    async search(query, { limit = 50, position = { offset: 0 } } = {}) {
+        if (query.filters) {
+            for (const field of ['edit_date_from', 'edit_date_to']) {
+                if (query.filters[field] !== undefined && isNaN(new Date(query.filters[field]))) {
+                    throw sourceError(`${field} must be an ISO 8601 date`, 400);
+                }
+            }
+        }
+        const filter = this.searchFilter(query);
+        await this.index();
+        return { ...this.page([...this.documents.values()].filter(filter), limit, position), responseKeys: [] };
+    }
+
+    async entry(id) {
+        await this.index();
+        const entry = this.documents.get(id);
+        if (!entry) {
+            throw notFound(`Document ${id} not found in library ${this.library.name}`);
+        }
+        return entry;
+    }
+
+    async getDetails(id) {
+        return (await this.entry(id)).profile;
+    }
+
+    async download(id, { stream = false } = {}) {
+        const entry = await this.entry(id);
+        const contentType = CONTENT_TYPES[entry.profile.extension] || 'application/octet-stream';
+        return stream
+            ? { stream: fs.createReadStream(entry.file), contentType: contentType }
+            : { buffer: await fs.promises.readFile(entry.file), contentType: contentType };
+    }
+
+    async container(id, wstype) {
+        await this.index();
+        const container = this.containers.get(id);
+        if (!container || (wstype && container.profile.wstype !== wstype)) {
+            throw notFound(`${wstype === 'workspace' ? 'Workspace' : 'Folder'} ${id} not found in library ${this.library.name}`);
+        }
+        return container;
+    }
+
+    async list({ type, workspace_id, folder_id, query, limit = 50, position = { offset: 0 } }) {
+        switch (type) {
+            case 'workspaces': {
+                await this.index();
+                const workspaces = [...this.containers.values()]
+                    .filter(c => c.profile.wstype === 'workspace')
+                    .filter(c => !query || matchesText([c.profile.name], query));
+                return this.page(workspaces, limit, position);
+            }
+            case 'folders': {
+                const parent = await this.container(workspace_id || folder_id, workspace_id ? 'workspace' : 'folder');
+                const folders = [...this.containers.values()]
+                    .filter(c => c.parentId === parent.profile.id)
+                    .map(c => c.profile)
+                    .sort((a, b) => a.name.localeCompare(b.name));
+                return { results: folders, total: folders.length, offset: 0, next: null };
+            }
+            case 'documents': {
+                // Files directly inside a workspace directory are listed under the workspace id
+                const folder = await this.container(folder_id);
+                const documents = [...this.documents.values()].filter(d => d.profile.folder_id === folder.profile.id);
+                return this.page(documents, limit, position);
+            }
+            default:
+                throw sourceError(`Unknown list type: ${type}`, 400);
+        }
+    }
+
+    async getWorkspace(id) {
+        return (await this.container(id, 'workspace')).profile;
+    }
+
+    async listVersions(id) {
+        return [(await this.entry(id)).profile];
+    }
+
+    async check() {
+        try {
+            await fs.promises.access(this.root, fs.constants.R_OK);
+        } catch (error) {
+            throw sourceError(`Document folder ${this.root} for library ${this.library.name} cannot be read`, 503);
+        }
+    }
+}
+
+module.exports = {
+    FolderSource
+};
@@ -0,0 +1,92 @@
+// Reciprocal rank fusion (RRF) of the ranked result lists produced by the search
+// strategies of a batch search. A document scores weight / (k + rank) for every
+// strategy that returned it, so documents found by several strategies, or near
+// the top of one, rank highest. k damps the advantage of the very first ranks.
+
+const DEFAULT_RRF_K = 60;
+
+function fusionError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Per-strategy weights from a request object ({ title: 2 }) or an env string
+// ("title=2,body=1"), over the defaults. Unknown strategies and negative weights
+// are rejected; a weight of 0 leaves the strategy out.
+function resolveWeights(strategies, defaults, overrides) {
+    let parsed = overrides || {};
+    if (typeof parsed === 'string') {
+        parsed = Object.fromEntries(parsed.split(',').filter(Boolean).map(pair => {
+            const [name, value] = pair.split('=').map(part => part.trim());
+            return [name, value];
+        }));
+    }
+    if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw fusionError('weights must be an object of strategy weights');
+    }
+
+    const weights = { ...defaults };
+    for (const [name, value] of Object.entries(parsed)) {
+        if (!strategies.includes(name)) {
+            throw fusionError(`Unknown batch strategy in weights: ${name} (expected ${strategies.join(', ')})`);
+        }
+        const weight = Number(value);
+        if (value === '' || value === null || !Number.isFinite(weight) || weight < 0) {
+            throw fusionError(`Weight for ${name} must be a non-negative number`);
+        }
+        weights[name] = weight;
+    }
+
+    if (Object.values(weights).every(weight => weight === 0)) {
+        throw fusionError('At least one batch strategy needs a weight above 0');
+    }
+    return weights;
+}
+
+function round(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+// rankings: [{ strategy, results }] with results in rank order. Returns every
+// document once as { doc, relevance }, best first. relevance.score is the RRF score
+// scaled to 0-1 against a document ranked first by every weighted strategy.
+function fuseRankings(rankings, { weights, k = DEFAULT_RRF_K }) {
+    const fused = new Map();
+
+    for (const { strategy, results } of rankings) {
+        const weight = weights[strategy] || 0;
+        results.forEach((doc, index) => {
+            const rank = index + 1;
+            if (!fused.has(doc.id)) {
+                fused.set(doc.id, { doc, rrf: 0, strategies: [], order: fused.size });
+            }
+            const entry = fused.get(doc.id);
+            if (entry.strategies.some(s => s.strategy === strategy)) return;
+            const contribution = weight / (k + rank);
+            entry.rrf += contribution;
+            entry.strategies.push({ strategy, rank, weight, contribution: round(contribution) });
+        });
+    }
+
+    const bestPossible = rankings.reduce((sum, { strategy }) => sum + (weights[strategy] || 0) / (k + 1), 0);
+    const bestRank = entry => Math.min(...entry.strategies.map(s => s.rank));
+
+    return [...fused.values()]
+        .sort((a, b) => b.rrf - a.rrf || b.strategies.length - a.strategies.length || bestRank(a) - bestRank(b) || a.order - b.order)
+        .map(entry => ({
+            doc: entry.doc,
+            relevance: {
+                score: bestPossible > 0 ? round(entry.rrf / bestPossible) : 0,
+                rrf: round(entry.rrf),
+                matched: entry.strategies.map(s => s.strategy),
+                strategies: entry.strategies
+            }
+        }));
+}
+
+module.exports = {
+    DEFAULT_RRF_K,
+    fuseRankings,
+    resolveWeights
+};
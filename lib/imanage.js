@@ -0,0 +1,149 @@
+const axios = require('axios');
+const { getRequestId } = require('./context');
+const { libraryBaseUrl } = require('./libraries');
+const { logger } = require('./logger');
+const { traceHttpCall } = require('./tracing');
+const { UpstreamPolicy, toUpstreamError } = require('./upstream');
+
+const log = logger.child({ component: 'imanage' });
+
+// iManage Work REST client for one library. Paths are relative to the library's
+// /customers/{customer}/libraries/{library} URL, and every call sends the token
+// returned by getAccessToken(tenant) as X-Auth-Token, so the caller decides whose
+// iManage permissions apply (service account or delegated user). Calls run under the
+// shared upstream policy (lib/upstream): timeouts, retries and the tenant's breaker,
+// and carry the id of the request they were made for as X-Request-Id. Each call, retries
+// included, is traced in a span named after the operation, e.g. GET /documents/{id}.
+// Ids are encoded into the path, so one cannot reach past its own library.
+class IManageClient {
+    constructor(library, { getAccessToken, invalidateToken, httpsAgent, upstream }) {
+        this.library = library;
+        this.baseUrl = libraryBaseUrl(library);
+        this.getAccessToken = getAccessToken;
+        this.invalidateToken = invalidateToken;
+        this.httpsAgent = httpsAgent;
+        this.upstream = upstream || new UpstreamPolicy();
+    }
+
+    request(method, path, options = {}) {
+        return this.upstream.run(`iManage (${this.library.tenant.name})`, () => this.send(method, path, options), { signal: options.signal });
+    }
+
+    async send(method, path, { params, data, responseType, timeout, signal } = {}) {
+        const requestId = getRequestId();
+        const operation = operationPath(path);
+        const call = accessToken => traceHttpCall(`iManage ${method} ${operation}`, {
+            'http.request.method': method,
+            'url.template': operation,
+            'imanage.tenant': this.library.tenant.name,
+            'imanage.library': this.library.name
+        }, traceHeaders => axios.request({
+            method: method,
+            url: `${this.baseUrl}${path}`,
+            headers: { 'X-Auth-Token': accessToken, ...(requestId ? { 'X-Request-Id': requestId } : {}), ...traceHeaders },
+            params: params,
+            data: data,
+            responseType: responseType,
+            httpsAgent: this.httpsAgent,
+            signal: signal,
+            timeout: timeout || this.upstream.timeoutMs
+        }));
+
+        const accessToken = await this.getAccessToken(this.library.tenant);
+        try {
+            return await call(accessToken);
+        } catch (error) {
+            if (!error.response || error.response.status !== 401 || !this.invalidateToken) throw error;
+            // iManage revoked the token before its cached expiry: sign in again, once
+            log.info('iManage rejected the access token; getting a new one', { tenant: this.library.tenant.name });
+            this.invalidateToken(this.library.tenant, accessToken);
+            return call(await this.getAccessToken(this.library.tenant));
+        }
+    }
+
+    // Cheapest call showing the token works and the library answers, for readiness
+    // checks: one workspace, straight to iManage without retries or the breaker
+    async ping({ timeout } = {}) {
+        try {
+            await this.send('GET', '/workspaces', { params: { limit: 1 }, timeout });
+        } catch (error) {
+            throw toUpstreamError(error, `iManage (${this.library.tenant.name})`);
+        }
+    }
+
+    // `signal` aborts the call, e.g. when a batch search times out or is cancelled
+    async get(path, params, { signal } = {}) {
+        const response = await this.request('GET', path, { params, signal });
+        return response.data;
+    }
+
+    async post(path, body, { signal } = {}) {
+        const response = await this.request('POST', path, { data: body, signal });
+        return response.data;
+    }
+
+    // GET /documents with title, anywhere, body or comments parameters
+    searchDocuments(params, options) {
+        return this.get('/documents', params, options);
+    }
+
+    // POST /documents/search with a filters body
+    advancedSearch(body, options) {
+        return this.post('/documents/search', body, options);
+    }
+
+    async getDocument(id) {
+        const data = await this.get(`/documents/${encodeURIComponent(id)}`);
+        return data.data;
+    }
+
+    // The raw download response: a Buffer-able arraybuffer, or a stream when asked
+    downloadDocument(id, { stream = false, timeout } = {}) {
+        return this.request('GET', `/documents/${encodeURIComponent(id)}/download`, {
+            responseType: stream ? 'stream' : 'arraybuffer',
+            timeout: timeout
+        });
+    }
+
+    async listVersions(id) {
+        return listItems(await this.get(`/documents/${encodeURIComponent(id)}/versions`));
+    }
+
+    listWorkspaces(params) {
+        return this.get('/workspaces', params);
+    }
+
+    async getWorkspace(id) {
+        const data = await this.get(`/workspaces/${encodeURIComponent(id)}`);
+        return data.data || data;
+    }
+
+    async workspaceFolders(id) {
+        return listItems(await this.get(`/workspaces/${encodeURIComponent(id)}/children`));
+    }
+
+    async folderChildren(id) {
+        return listItems(await this.get(`/folders/${encodeURIComponent(id)}/children`));
+    }
+
+    folderDocuments(id, params) {
+        return this.get(`/folders/${encodeURIComponent(id)}/documents`, params);
+    }
+}
+
+// A library path with its document, workspace and folder ids left out, so calls to the
+// same operation share a span name
+function operationPath(path) {
+    return path.replace(/\/(documents|workspaces|folders)\/(?!search$)[^/]+/g, '/$1/{id}');
+}
+
+// iManage returns lists as { data: [...] }, { results: [...] } or a bare array
+function listItems(data) {
+    const items = (data && (data.data || data.results)) || data || [];
+    return Array.isArray(items) ? items : [];
+}
+
+module.exports = {
+    IManageClient,
+    listItems
+};
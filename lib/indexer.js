@@ -0,0 +1,266 @@
+const fs = require('fs');
+const path = require('path');
+const { requestContext } = require('./context');
+const { logger } = require('./logger');
+const { documentKey } = require('./semantic');
+
+const log = logger.child({ component: 'indexer' });
+
+// Keeps the semantic index in step with each library. A sync pages through the
+// documents edited since the library's checkpoint (an edit_date_from filter), reads
+// and embeds the ones whose edit_date changed, and moves the checkpoint to the newest
+// edit_date seen. Edits never show deletions, so a full sync now and then lists every
+// document and drops the ones that are gone or no longer visible to the service
+// account (re-secured). Syncs run as the service account, outside any caller's context.
+
+const SYNC_PAGE_SIZE = 100;
+
+function indexError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+class Indexer {
+    // index: a SemanticIndex; sourceFor(library) and loadText(library, doc) as for the
+    // search routes. `path` persists the index and checkpoints between restarts;
+    // `intervalSeconds` > 0 syncs every library in the background, otherwise a library
+    // is synced on its first search and again once older than `refreshSeconds`.
+    constructor({ index, libraries, sourceFor, loadText, path: indexPath, intervalSeconds = 0, refreshSeconds = 600, fullSyncSeconds = 86400, maxDocuments = 5000 }) {
+        this.index = index;
+        this.libraries = libraries;
+        this.sourceFor = sourceFor;
+        this.loadText = loadText;
+        this.path = indexPath || null;
+        this.intervalSeconds = intervalSeconds;
+        this.refreshSeconds = refreshSeconds;
+        this.fullSyncSeconds = fullSyncSeconds;
+        this.maxDocuments = maxDocuments;
+        this.states = new Map();
+        this.timer = null;
+    }
+
+    state(library) {
+        if (!this.states.has(library.name)) {
+            this.states.set(library.name, {
+                checkpoint: null,
+                lastSync: null,
+                lastFullSync: null,
+                lastError: null,
+                lastRun: null,
+                running: null
+            });
+        }
+        return this.states.get(library.name);
+    }
+
+    // Restore the index and checkpoints saved by a previous run. An index built with
+    // another embedding model is discarded, so every library is indexed again.
+    load() {
+        if (!this.path || !fs.existsSync(this.path)) {
+            return false;
+        }
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+            if (!this.index.load(saved.index)) {
+                log.warn('Search index was built with another embedding model; reindexing', { path: this.path });
+                return false;
+            }
+            for (const [name, checkpoint] of Object.entries(saved.checkpoints || {})) {
+                Object.assign(this.state({ name }), checkpoint);
+            }
+            log.info('Loaded search index', { path: this.path });
+            return true;
+        } catch (error) {
+            log.error('Could not load search index', { path: this.path, error: error });
+            return false;
+        }
+    }
+
+    // Write to a temporary file first so a crash never leaves a half-written index
+    async save() {
+        if (!this.path) return;
+
+        const checkpoints = {};
+        for (const [name, { checkpoint, lastSync, lastFullSync }] of this.states) {
+            checkpoints[name] = { checkpoint, lastSync, lastFullSync };
+        }
+        const temporary = `${this.path}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+        await fs.promises.writeFile(temporary, JSON.stringify({ checkpoints, index: this.index.toJSON() }));
+        await fs.promises.rename(temporary, this.path);
+    }
+
+    start() {
+        if (this.intervalSeconds > 0 && !this.timer) {
+            this.timer = setInterval(() => this.syncAll(), this.intervalSeconds * 1000);
+            this.timer.unref();
+            this.syncAll();
+        }
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    syncAll({ full = false } = {}) {
+        return Promise.all(this.libraries.map(library => this.sync(library, { full }).catch(() => {})));
+    }
+
+    // Sync one library; concurrent calls share the sync already running
+    sync(library, { full = false } = {}) {
+        const state = this.state(library);
+        if (!state.running) {
+            state.running = requestContext.exit(() => this.runSync(library, state, full))
+                .finally(() => { state.running = null; });
+        }
+        return state.running;
+    }
+
+    // Drop a library's index and checkpoint and index it again from scratch
+    async reindex(library) {
+        const state = this.state(library);
+        await (state.running || Promise.resolve()).catch(() => {});
+        for (const id of this.index.ids(library)) {
+            this.index.remove(library, id);
+        }
+        state.checkpoint = null;
+        state.lastFullSync = null;
+        return this.sync(library, { full: true });
+    }
+
+    // Called before searching a library. Until its first sync finishes the library cannot
+    // be searched: the first search starts that sync in the background and searches fail
+    // with a 503 meanwhile, rather than holding the request for the whole sync. Later
+    // searches trigger a background sync when the library is stale and no interval runs.
+    async ensureIndexed(library) {
+        const state = this.state(library);
+        if (!state.lastSync) {
+            this.sync(library).catch(() => {});
+            throw indexError(`The search index of library ${library.name} is still being built; try again in a few minutes`, 503);
+        } else if (!this.timer && Date.now() - Date.parse(state.lastSync) > this.refreshSeconds * 1000) {
+            this.sync(library).catch(() => {});
+        }
+    }
+
+    // A document the search routes found deleted is dropped without waiting for a full sync
+    evict(library, id) {
+        if (this.index.remove(library, id)) {
+            log.info('Removed document from the search index', { doc_id: id });
+        }
+    }
+
+    async runSync(library, state, requestedFull) {
+        const started = Date.now();
+        const full = requestedFull || !state.checkpoint || !state.lastFullSync ||
+            Date.now() - Date.parse(state.lastFullSync) > this.fullSyncSeconds * 1000;
+        const run = { full: full, listed: 0, indexed: 0, unchanged: 0, removed: 0, failed: 0 };
+        log.info(`${full ? 'Full' : 'Incremental'} sync started`, { library: library.name, ...(full ? {} : { since: state.checkpoint }) });
+
+        try {
+            const { latest, truncated } = await this.listDocuments(library, full ? null : state.checkpoint);
+            run.listed = latest.size;
+            run.truncated = truncated;
+
+            let newest = state.checkpoint;
+            let oldestFailure = null;
+            for (const doc of latest.values()) {
+                if (!newest || Date.parse(doc.edit_date) > Date.parse(newest)) {
+                    newest = doc.edit_date;
+                }
+                if (this.index.isCurrent(library, doc)) {
+                    run.unchanged++;
+                    continue;
+                }
+                try {
+                    await this.index.add(library, doc, await this.loadText(library, doc));
+                    run.indexed++;
+                } catch (error) {
+                    // Embedding model problems affect every document: stop and report them
+                    if (error.status === 503) throw error;
+                    log.warn('Could not index document', { doc_id: doc.id, error: error });
+                    run.failed++;
+                    if (!oldestFailure || Date.parse(doc.edit_date) < Date.parse(oldestFailure)) {
+                        oldestFailure = doc.edit_date;
+                    }
+                }
+            }
+
+            if (full) {
+                // A truncated listing cannot tell which documents are gone
+                const listed = new Set([...latest.values()].map(doc => doc.id));
+                for (const id of truncated ? [] : this.index.ids(library)) {
+                    if (!listed.has(id)) {
+                        this.index.remove(library, id);
+                        run.removed++;
+                    }
+                }
+                state.lastFullSync = new Date(started).toISOString();
+            }
+
+            // Documents that failed are listed again by the next sync. So are the ones an
+            // incremental listing cut off at maxDocuments, which may be older than those it
+            // listed, so the checkpoint stays where it was.
+            if (full || !truncated) {
+                state.checkpoint = oldestFailure || newest;
+            }
+            state.lastSync = new Date(started).toISOString();
+            state.lastError = null;
+            await this.save();
+        } catch (error) {
+            state.lastError = error.message;
+            log.error('Sync failed', { library: library.name, error: error });
+            throw error;
+        } finally {
+            state.lastRun = { ...run, duration_ms: Date.now() - started };
+        }
+        log.info('Sync completed', { library: library.name, listed: run.listed, indexed: run.indexed, removed: run.removed, failed: run.failed });
+        return state.lastRun;
+    }
+
+    // Latest version of every document edited since `since` (every document when null),
+    // keyed by document. Listing stops at maxDocuments, flagged as `truncated`.
+    async listDocuments(library, since) {
+        const source = this.sourceFor(library);
+        const filters = since ? { edit_date_from: since } : {};
+        const latest = new Map();
+        let position = { offset: 0 };
+
+        while (position) {
+            const page = await source.search({ filters }, { limit: SYNC_PAGE_SIZE, position });
+            for (const doc of page.results) {
+                const current = latest.get(documentKey(doc.id));
+                if (!current || Number(doc.version) > Number(current.version)) {
+                    latest.set(documentKey(doc.id), doc);
+                }
+            }
+            if (latest.size >= this.maxDocuments && page.next) {
+                log.warn('Indexing only the first documents of the library', { library: library.name, max_documents: this.maxDocuments });
+                return { latest, truncated: true };
+            }
+            position = page.next;
+        }
+        return { latest, truncated: false };
+    }
+
+    status() {
+        return this.libraries.map(library => {
+            const state = this.state(library);
+            return {
+                library: library.name,
+                ...this.index.stats(library),
+                checkpoint: state.checkpoint,
+                last_sync: state.lastSync,
+                last_full_sync: state.lastFullSync,
+                syncing: Boolean(state.running),
+                last_run: state.lastRun,
+                last_error: state.lastError
+            };
+        });
+    }
+}
+
+module.exports = {
+    Indexer
+};
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config.yml');
+
+function libraryError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Tenant settings fall back to the single-library environment variables
+function buildTenant(name, settings, env) {
+    return {
+        name: name,
+        authUrlPrefix: settings.auth_url_prefix || env.AUTH_URL_PREFIX,
+        urlPrefix: settings.url_prefix || env.URL_PREFIX,
+        customerId: String(settings.customer_id || env.CUSTOMER_ID),
+        username: settings.username || env._USERNAME,
+        password: settings.password || env.PASSWORD,
+        clientId: settings.client_id || env.CLIENT_ID,
+        clientSecret: settings.client_secret || env.CLIENT_SECRET
+    };
+}
+
+// Libraries are iManage libraries unless `type: folder`, which serves a local
+// directory (`path`, relative to the config file) through the folder document source
+function buildSource(entry, baseDir) {
+    const type = entry.type || 'imanage';
+    if (type === 'imanage') {
+        return { type: type };
+    }
+    if (type !== 'folder') {
+        throw new Error(`Library ${entry.name || entry.id} has unknown type ${type}`);
+    }
+    if (!entry.path) {
+        throw new Error(`Folder library ${entry.name || entry.id} has no path`);
+    }
+    return {
+        type: type,
+        path: path.resolve(baseDir, String(entry.path)),
+        refreshSeconds: entry.refresh_seconds
+    };
+}
+
+// Load named libraries (and optionally several tenants) from config.yml, or from
+// LIBRARIES_CONFIG when set. Without a config file the server keeps working against
+// the single library named by the CUSTOMER_ID / LIBRARY_ID environment variables,
+// or against the local directory in DOCUMENTS_FOLDER when that is set.
+function loadLibraryConfig(env = process.env) {
+    const configPath = env.LIBRARIES_CONFIG || DEFAULT_CONFIG_PATH;
+
+    if (!fs.existsSync(configPath)) {
+        const tenant = buildTenant('default', {}, env);
+        const folder = env.DOCUMENTS_FOLDER;
+        const name = env.LIBRARY_ID || (folder ? 'Local' : 'default');
+        return {
+            source: 'environment',
+            tenants: [tenant],
+            libraries: [{
+                name: name,
+                id: env.LIBRARY_ID || (folder ? 'LOCAL' : undefined),
+                tenant: tenant,
+                ...buildSource(folder ? { type: 'folder', path: folder } : {}, process.cwd()),
+                description: '',
+                allowedUsers: null
+            }],
+            defaultLibrary: name,
+            defaultTenant: tenant
+        };
+    }
+
+    const raw = yaml.load(fs.readFileSync(configPath, 'utf8')) || {};
+    const tenantSettings = raw.tenants || { default: {} };
+    const tenants = Object.entries(tenantSettings).map(([name, settings]) => buildTenant(name, settings || {}, env));
+    const defaultTenant = tenants.find(t => t.name === raw.default_tenant) || tenants[0];
+
+    const libraries = (raw.libraries || []).map(entry => {
+        const tenant = entry.tenant ? tenants.find(t => t.name === entry.tenant) : defaultTenant;
+        if (!tenant) {
+            throw new Error(`Library ${entry.name || entry.id} refers to unknown tenant ${entry.tenant}`);
+        }
+        if (!entry.id) {
+            throw new Error(`Library ${entry.name} in ${configPath} has no id`);
+        }
+        return {
+            name: entry.name || entry.id,
+            id: entry.id,
+            tenant: tenant,
+            ...buildSource(entry, path.dirname(configPath)),
+            description: entry.description || '',
+            allowedUsers: Array.isArray(entry.allowed_users) ? entry.allowed_users.map(String) : null
+        };
+    });
+
+    if (libraries.length === 0) {
+        throw new Error(`No libraries configured in ${configPath}`);
+    }
+
+    return {
+        source: configPath,
+        tenants: tenants,
+        libraries: libraries,
+        defaultLibrary: raw.default_library || libraries[0].name,
+        defaultTenant: defaultTenant
+    };
+}
+
+// Looks up configured libraries by name, by iManage library id, or from the
+// "LIBRARY!number.version" prefix of a document id
+class LibraryRegistry {
+    constructor(config) {
+        this.config = config;
+        this.libraries = config.libraries;
+        this.defaultTenant = config.defaultTenant || config.tenants[0];
+    }
+
+    get defaultLibrary() {
+        return this.find(this.config.defaultLibrary) || this.libraries[0];
+    }
+
+    find(nameOrId) {
+        if (!nameOrId) return undefined;
+        const wanted = String(nameOrId).toLowerCase();
+        return this.libraries.find(l => l.name.toLowerCase() === wanted) ||
+               this.libraries.find(l => String(l.id).toLowerCase() === wanted);
+    }
+
+    resolve(nameOrId) {
+        if (!nameOrId) return this.defaultLibrary;
+        const library = this.find(nameOrId);
+        if (!library) {
+            throw libraryError(`Unknown library: ${nameOrId}`, 404);
+        }
+        return library;
+    }
+
+    // Route a document id such as 'Legal_QA!3402.1' to its library. An explicit library
+    // argument is used for ids without a known prefix, and must agree with one otherwise;
+    // ids without either go to the default library.
+    forDocument(docId, explicitLibrary) {
+        // The id goes into iManage URL paths; '/', '?' or '#' could point it at another library
+        if (!/^[^/?#]+$/.test(String(docId))) {
+            throw libraryError(`Invalid id: ${docId}`, 400);
+        }
+        const separator = String(docId).indexOf('!');
+        const prefixed = separator > 0 ? this.find(String(docId).slice(0, separator)) : undefined;
+        if (explicitLibrary) {
+            const library = this.resolve(explicitLibrary);
+            if (prefixed && prefixed !== library) {
+                throw libraryError(`Document ${docId} belongs to library ${prefixed.name}, not ${library.name}`, 400);
+            }
+            return library;
+        }
+        return prefixed || this.defaultLibrary;
+    }
+
+    // allowed_users are matched without regard to case, as user names are elsewhere
+    isAllowed(library, caller) {
+        if (!library.allowedUsers || !caller || !caller.user) return true;
+        const user = String(caller.user).toLowerCase();
+        return library.allowedUsers.some(allowed => allowed.toLowerCase() === user);
+    }
+
+    assertAllowed(library, caller) {
+        if (!this.isAllowed(library, caller)) {
+            throw libraryError(`Access to library ${library.name} is not allowed`, 403);
+        }
+        return library;
+    }
+
+    allowedFor(caller) {
+        return this.libraries.filter(library => this.isAllowed(library, caller));
+    }
+
+    // Public description of the libraries a caller may use
+    describe(caller) {
+        return this.allowedFor(caller).map(library => ({
+            name: library.name,
+            id: library.id,
+            type: library.type,
+            tenant: library.type === 'imanage' ? library.tenant.name : null,
+            description: library.description,
+            default: library === this.defaultLibrary
+        }));
+    }
+}
+
+function libraryBaseUrl(library) {
+    return `${library.tenant.urlPrefix}/api/v2/customers/${library.tenant.customerId}/libraries/${library.id}`;
+}
+
+module.exports = {
+    LibraryRegistry,
+    libraryBaseUrl,
+    loadLibraryConfig
+};
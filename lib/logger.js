@@ -0,0 +1,135 @@
+const { getCaller } = require('./context');
+
+// Structured logger used instead of console.log. Each entry has a time, a level, a
+// message and fields; entries logged while handling a request also carry its request
+// id. Values of redacted fields never reach the output: credentials always, and the
+// fields named in LOG_REDACT (search terms and document titles by default), at any
+// depth. The output is one line per entry, human readable or JSON (LOG_FORMAT=json),
+// with warnings and errors on stderr.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Field names that hold credentials, whatever LOG_REDACT says
+const CREDENTIAL_FIELD = /token|password|secret|authorization|api[-_]?key|cookie/i;
+const DEFAULT_REDACT = ['query', 'title', 'keywords', 'filters', 'searchTerm'];
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+function redact(value, fields, depth = 0) {
+    if (value instanceof Error) {
+        return value.message;
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[Object]';
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, fields, depth + 1));
+    }
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        copy[key] = CREDENTIAL_FIELD.test(key) || fields.has(key.toLowerCase()) ? REDACTED : redact(item, fields, depth + 1);
+    }
+    return copy;
+}
+
+// `time LEVEL message key=value ...`, quoting values with spaces
+function formatText({ time, level, msg, ...fields }) {
+    const pairs = Object.entries(fields)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => {
+            const text = typeof value === 'string' ? value : JSON.stringify(value);
+            return `${key}=${/[\s"]/.test(text) ? JSON.stringify(text) : text}`;
+        });
+    return [time, level.toUpperCase().padEnd(5), msg, ...pairs].join(' ');
+}
+
+class Logger {
+    // Children share their parent's settings, so setLevel applies to every logger
+    constructor(settings, fields = {}) {
+        this.settings = settings;
+        this.fields = fields;
+    }
+
+    // A logger adding these fields (e.g. the component) to every entry
+    child(fields) {
+        return new Logger(this.settings, { ...this.fields, ...fields });
+    }
+
+    setLevel(level) {
+        if (!Object.hasOwn(LEVELS, level)) {
+            throw new Error(`Unknown log level: ${level}`);
+        }
+        this.settings.level = level;
+    }
+
+    isEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.settings.level];
+    }
+
+    log(level, message, fields = {}) {
+        if (!this.isEnabled(level)) return;
+
+        const caller = getCaller();
+        const entry = {
+            time: new Date().toISOString(),
+            level: level,
+            msg: message,
+            ...this.fields,
+            ...(caller && caller.requestId ? { request_id: caller.requestId } : {}),
+            ...redact(fields, this.settings.redact)
+        };
+        const line = this.settings.format === 'json' ? JSON.stringify(entry) : formatText(entry);
+        if (LEVELS[level] >= LEVELS.warn) {
+            console.error(line);
+        } else {
+            console.log(line);
+        }
+    }
+
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+}
+
+// LOG_LEVEL: debug, info (default), warn, error or silent. LOG_FORMAT: text (default) or
+// json. LOG_REDACT: comma-separated field names to redact instead of the defaults, or
+// `none` to redact only credentials.
+function createLogger(env = process.env) {
+    const level = (env.LOG_LEVEL || 'info').toLowerCase();
+    const redactList = env.LOG_REDACT === undefined || env.LOG_REDACT === '' ? DEFAULT_REDACT
+        : env.LOG_REDACT.toLowerCase() === 'none' ? [] : env.LOG_REDACT.split(',');
+
+    const logger = new Logger({
+        level: Object.hasOwn(LEVELS, level) ? level : 'info',
+        format: env.LOG_FORMAT === 'json' ? 'json' : 'text',
+        redact: new Set(redactList.map(field => field.trim().toLowerCase()).filter(Boolean))
+    });
+    if (!Object.hasOwn(LEVELS, level)) {
+        logger.warn('Unknown LOG_LEVEL; logging at info', { log_level: env.LOG_LEVEL });
+    }
+    return logger;
+}
+
+// The process-wide logger, configured from the environment when first required
+const logger = createLogger();
+
+module.exports = {
+    Logger,
+    createLogger,
+    logger
+};
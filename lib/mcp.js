@@ -0,0 +1,189 @@
+const { randomUUID } = require('crypto');
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { SSEServerTransport } = require('@modelcontextprotocol/sdk/server/sse.js');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const {
+    CallToolRequestSchema,
+    ErrorCode,
+    ListToolsRequestSchema,
+    McpError,
+    isInitializeRequest
+} = require('@modelcontextprotocol/sdk/types.js');
+const { getCaller } = require('./context');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'mcp' });
+
+const SERVER_INFO = {
+    name: 'imanage-research',
+    version: '2.0.0'
+};
+
+// Build an MCP server exposing the given tools.
+// Each tool is { name, description, inputSchema, handler(args, { signal }) } and the
+// handler result is returned to the client as JSON text content. `signal` aborts when
+// the client cancels the call or disconnects.
+function createMcpServer(tools) {
+    const server = new Server(SERVER_INFO, {
+        capabilities: { tools: {} }
+    });
+
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({
+        tools: tools.map(({ name, description, inputSchema }) => ({ name, description, inputSchema }))
+    }));
+
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+        const { name, arguments: args = {} } = request.params;
+        const tool = tools.find(t => t.name === name);
+
+        if (!tool) {
+            throw new McpError(ErrorCode.InvalidParams, `Unknown tool: ${name}`);
+        }
+
+        // Mirror the "Missing required field" checks done by the REST routes
+        const missing = (tool.inputSchema.required || []).filter(field => args[field] === undefined || args[field] === '');
+        if (missing.length > 0) {
+            return {
+                content: [{ type: 'text', text: `Missing required field: ${missing.join(', ')}` }],
+                isError: true
+            };
+        }
+
+        try {
+            log.info('MCP tool call', { tool: name });
+            const result = await tool.handler(args, { signal: extra.signal });
+            return {
+                content: [{ type: 'text', text: JSON.stringify(result) }],
+                structuredContent: result
+            };
+        } catch (error) {
+            log.error('MCP tool call failed', { tool: name, status: error.status, error: error });
+            return {
+                content: [{ type: 'text', text: `${name} failed: ${error.message}` }],
+                isError: true
+            };
+        }
+    });
+
+    return server;
+}
+
+// Who a session belongs to: the user who started it and how they signed in, or null
+// when inbound authentication is off
+function sessionOwner(caller = getCaller()) {
+    return caller && caller.user ? `${caller.authType || 'user'}:${String(caller.user).toLowerCase()}` : null;
+}
+
+// A session id is only honoured for the caller who started the session; to anyone else
+// the session does not exist
+function ownedSession(transports, sessionId) {
+    const transport = sessionId ? transports[sessionId] : null;
+    if (transport && transport.owner !== sessionOwner()) {
+        log.warn('MCP session used by another caller', { session_id: sessionId });
+        return null;
+    }
+    return transport;
+}
+
+function jsonRpcError(res, status, message) {
+    res.status(status).json({
+        jsonrpc: '2.0',
+        error: { code: ErrorCode.ConnectionClosed, message: message },
+        id: null
+    });
+}
+
+// Mount the MCP transports on an express app:
+//   POST/GET/DELETE /mcp       - Streamable HTTP (current spec)
+//   GET /sse + POST /messages  - HTTP+SSE (legacy clients)
+function mountMcpRoutes(app, tools) {
+    const streamableTransports = {};
+    const sseTransports = {};
+
+    app.post('/mcp', async (req, res) => {
+        const sessionId = req.get('mcp-session-id');
+        let transport = ownedSession(streamableTransports, sessionId);
+
+        if (!transport) {
+            if (sessionId) {
+                return jsonRpcError(res, 404, 'Session not found');
+            }
+            if (!isInitializeRequest(req.body)) {
+                return jsonRpcError(res, 400, 'Bad Request: No valid session ID provided');
+            }
+
+            transport = new StreamableHTTPServerTransport({
+                sessionIdGenerator: () => randomUUID(),
+                onsessioninitialized: (newSessionId) => {
+                    log.info('MCP session started', { session_id: newSessionId });
+                    streamableTransports[newSessionId] = transport;
+                }
+            });
+            transport.owner = sessionOwner();
+            transport.onclose = () => {
+                if (transport.sessionId) {
+                    log.info('MCP session closed', { session_id: transport.sessionId });
+                    delete streamableTransports[transport.sessionId];
+                }
+            };
+
+            await createMcpServer(tools).connect(transport);
+        }
+
+        await transport.handleRequest(req, res, req.body);
+    });
+
+    // Server-to-client notification stream and session termination
+    const handleSessionRequest = async (req, res) => {
+        const sessionId = req.get('mcp-session-id');
+        const transport = ownedSession(streamableTransports, sessionId);
+
+        if (!transport) {
+            return jsonRpcError(res, sessionId ? 404 : 400, sessionId ? 'Session not found' : 'Bad Request: No valid session ID provided');
+        }
+
+        await transport.handleRequest(req, res);
+    };
+
+    app.get('/mcp', handleSessionRequest);
+    app.delete('/mcp', handleSessionRequest);
+
+    app.get('/sse', async (req, res) => {
+        const transport = new SSEServerTransport('/messages', res);
+        transport.owner = sessionOwner();
+        sseTransports[transport.sessionId] = transport;
+        log.info('SSE session started', { session_id: transport.sessionId });
+
+        res.on('close', () => {
+            log.info('SSE session closed', { session_id: transport.sessionId });
+            delete sseTransports[transport.sessionId];
+        });
+
+        await createMcpServer(tools).connect(transport);
+    });
+
+    app.post('/messages', async (req, res) => {
+        const transport = ownedSession(sseTransports, req.query.sessionId);
+
+        if (!transport) {
+            return res.status(400).json({ error: 'No SSE session found for sessionId' });
+        }
+
+        await transport.handlePostMessage(req, res, req.body);
+    });
+}
+
+// Serve MCP over stdin/stdout for desktop clients that launch the server as a subprocess.
+// Callers must keep stdout free of anything but JSON-RPC messages.
+async function startStdioServer(tools) {
+    const transport = new StdioServerTransport();
+    await createMcpServer(tools).connect(transport);
+    log.info('MCP stdio server ready');
+}
+
+module.exports = {
+    createMcpServer,
+    mountMcpRoutes,
+    startStdioServer
+};
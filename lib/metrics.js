@@ -0,0 +1,184 @@
+// Prometheus metrics in the text exposition format: counters, gauges and histograms
+// with labels, kept in a registry that GET /metrics renders. `metrics` below holds the
+// server's own metrics; values kept elsewhere (cache counters, breaker states) are
+// copied in by collectors that run before each render.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    // The series for these labels; labels outside labelNames are ignored, missing ones are ''
+    seriesFor(labels, create) {
+        const values = this.labelNames.map(name => labels[name] === undefined || labels[name] === null ? '' : String(labels[name]));
+        const key = values.join('\u0000');
+        if (!this.series.has(key)) {
+            this.series.set(key, create(Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]]))));
+        }
+        return this.series.get(key);
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const series of this.series.values()) {
+            lines.push(...this.renderSeries(series));
+        }
+        return lines.join('\n');
+    }
+
+    renderSeries({ labels, value }) {
+        return [`${this.name}${formatLabels(labels)} ${formatValue(value)}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, value = 1) {
+        this.seriesFor(labels, seriesLabels => ({ labels: seriesLabels, value: 0 })).value += value;
+    }
+
+    // For totals counted elsewhere and copied in by a collector
+    set(labels, value) {
+        this.seriesFor(labels, seriesLabels => ({ labels: seriesLabels, value: 0 })).value = value;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super('gauge', name, help, labelNames);
+    }
+
+    set(labels, value) {
+        this.seriesFor(labels, seriesLabels => ({ labels: seriesLabels, value: 0 })).value = value;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const series = this.seriesFor(labels, seriesLabels => ({
+            labels: seriesLabels,
+            counts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        }));
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    // Call the returned function when the timed work is done to observe its seconds
+    startTimer(labels = {}) {
+        const started = process.hrtime.bigint();
+        return (moreLabels = {}) => this.observe({ ...labels, ...moreLabels }, Number(process.hrtime.bigint() - started) / 1e9);
+    }
+
+    renderSeries({ labels, counts, sum, count }) {
+        return [
+            ...this.buckets.map((bound, i) => `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`),
+            `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+            `${this.name}_sum${formatLabels(labels)} ${sum}`,
+            `${this.name}_count${formatLabels(labels)} ${count}`
+        ];
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+        this.collectors = [];
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames) {
+        return this.register(new Gauge(name, help, labelNames));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    // `collect()` runs before every render to bring copied values up to date
+    onCollect(collect) {
+        this.collectors.push(collect);
+    }
+
+    render() {
+        for (const collect of this.collectors) {
+            collect();
+        }
+        return this.metrics.map(metric => metric.render()).join('\n') + '\n';
+    }
+}
+
+// The process-wide registry and the server's metrics
+const registry = new MetricsRegistry();
+
+const metrics = {
+    registry: registry,
+    httpRequests: registry.counter('imanage_mcp_http_requests_total', 'HTTP requests answered, by method, route and status', ['method', 'route', 'status']),
+    httpRequestDuration: registry.histogram('imanage_mcp_http_request_duration_seconds', 'Time taken to answer HTTP requests, by method and route', ['method', 'route']),
+    toolCalls: registry.counter('imanage_mcp_tool_calls_total', 'Searches and document access through REST routes and MCP tools, by tool and outcome', ['tool', 'outcome']),
+    toolCallDuration: registry.histogram('imanage_mcp_tool_call_duration_seconds', 'Time taken by searches and document access, by tool', ['tool']),
+    upstreamRequests: registry.counter('imanage_mcp_upstream_requests_total', 'Calls to iManage, by upstream and result (HTTP status, timeout or network_error)', ['upstream', 'result']),
+    upstreamRequestDuration: registry.histogram('imanage_mcp_upstream_request_duration_seconds', 'Time taken by calls to iManage, by upstream', ['upstream']),
+    upstreamRetries: registry.counter('imanage_mcp_upstream_retries_total', 'Calls to iManage retried after a transient failure, by upstream', ['upstream']),
+    upstreamCircuitState: registry.gauge('imanage_mcp_upstream_circuit_state', 'Circuit breaker state of each upstream: 0 closed, 1 half-open, 2 open', ['upstream']),
+    tokenRequests: registry.counter('imanage_mcp_token_requests_total', 'iManage token requests (sign-ins and refreshes), by grant type and outcome', ['grant', 'outcome']),
+    downloadedBytes: registry.counter('imanage_mcp_downloaded_bytes_total', 'Bytes of document content downloaded from iManage, by library', ['library']),
+    rateLimited: registry.counter('imanage_mcp_rate_limited_total', 'Requests and tool calls refused by the rate limits or download quota, by group and reason', ['group', 'reason']),
+    batchSearchSize: registry.histogram('imanage_mcp_batch_search_size', 'Searches fanned out per batch search request', [], [1, 2, 5, 10, 20, 50, 100]),
+    cacheLookups: registry.counter('imanage_mcp_cache_lookups_total', 'Response cache lookups, by namespace and result', ['namespace', 'result']),
+    cacheEntries: registry.gauge('imanage_mcp_cache_entries', 'Entries in the in-memory response cache', []),
+    cacheBytes: registry.gauge('imanage_mcp_cache_bytes', 'Size of the in-memory response cache in bytes', [])
+};
+
+module.exports = {
+    Counter,
+    Gauge,
+    Histogram,
+    MetricsRegistry,
+    metrics
+};
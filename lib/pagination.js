@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+
+// Paging through iManage search results. A page position is { offset } plus the
+// continuation cursor when iManage returns one. Positions are handed to clients
+// inside an opaque next_cursor that is tied to the search it came from.
+
+function paginationError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function initialPosition(offset) {
+    if (offset === undefined || offset === null || offset === '') {
+        return { offset: 0 };
+    }
+    const value = Number(offset);
+    if (!Number.isInteger(value) || value < 0) {
+        throw paginationError('offset must be a non-negative integer');
+    }
+    return { offset: value };
+}
+
+// Query parameters (or body fields for documents/search) that request a page
+function pageParams(position) {
+    const params = { offset: position.offset, total: true };
+    if (position.cursor) {
+        params.cursor = position.cursor;
+    }
+    return params;
+}
+
+// Read results, total and the position of the following page from an iManage response
+function readPage(data, position, limit) {
+    const iManageData = data.data || data.results || data || [];
+    const results = Array.isArray(iManageData) ? iManageData : (iManageData.results || []);
+    const reportedTotal = [data.total_count, data.total, data.count].find(value => Number.isInteger(value));
+    const total = reportedTotal !== undefined ? reportedTotal : null;
+    const consumed = position.offset + results.length;
+
+    let next = null;
+    if (typeof data.cursor === 'string' && data.cursor && results.length > 0) {
+        next = { offset: consumed, cursor: data.cursor };
+    } else if (results.length > 0 && results.length >= limit && (total === null || consumed < total)) {
+        next = { offset: consumed };
+    }
+
+    return {
+        results: results,
+        total: total !== null ? total : consumed,
+        offset: position.offset,
+        next: next
+    };
+}
+
+// Short hash of the search parameters so a cursor cannot be replayed against another query
+function fingerprint(search) {
+    return crypto.createHash('sha1').update(JSON.stringify(search)).digest('base64url').slice(0, 12);
+}
+
+function encodeSearchCursor(search, state) {
+    return Buffer.from(JSON.stringify({ q: fingerprint(search), ...state })).toString('base64url');
+}
+
+function decodeSearchCursor(cursor, search) {
+    let state;
+    try {
+        state = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+        throw paginationError('Invalid cursor');
+    }
+    if (!state || typeof state !== 'object' || typeof state.q !== 'string') {
+        throw paginationError('Invalid cursor');
+    }
+    if (state.q !== fingerprint(search)) {
+        throw paginationError('Cursor does not belong to this search; repeat the original search parameters with the cursor');
+    }
+    const { q, ...rest } = state;
+    return rest;
+}
+
+// Position for a single-library search: from the request's cursor, else its offset
+function startPosition({ cursor, offset }, search) {
+    if (!cursor) {
+        return initialPosition(offset);
+    }
+    const state = decodeSearchCursor(cursor, search);
+    if (!state.page || !Number.isInteger(state.page.offset)) {
+        throw paginationError('Invalid cursor');
+    }
+    return state.page;
+}
+
+function pageCursor(page, search) {
+    return page.next ? encodeSearchCursor(search, { page: page.next }) : null;
+}
+
+module.exports = {
+    decodeSearchCursor,
+    encodeSearchCursor,
+    initialPosition,
+    pageCursor,
+    pageParams,
+    readPage,
+    startPosition
+};
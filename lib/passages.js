@@ -0,0 +1,122 @@
+// Matching passages for search results: short windows of a document's extracted text
+// around the query's words, with the words highlighted as **word** and the page each
+// passage is on. PDF text carries "--- Page N ---" markers (lib/extract) that give the
+// page numbers; text from other formats has no pages.
+
+const { STOP_WORDS } = require('./embeddings');
+
+const SNIPPET_CHARS = 300;
+const MAX_PASSAGES = 3;
+// Matches looked at per document, so very long texts stay cheap to scan
+const MAX_MATCHES = 500;
+const PAGE_MARKER = /--- Page (\d+) ---/g;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Crude stem, so a query word also matches its inflections ("deliveries" finds "delivery")
+function stem(word) {
+    return word.length > 4 ? word.replace(/(ies|ing|ed|es|s|y)$/, '') : word;
+}
+
+// The query's words without stop words, and one pattern matching any of them
+function queryTerms(query) {
+    const stems = [...new Set((String(query || '').toLowerCase().match(/[a-z0-9]+/g) || [])
+        .filter(word => !STOP_WORDS.has(word))
+        .map(stem))]
+        .sort((a, b) => b.length - a.length);
+
+    if (stems.length === 0) return null;
+    return {
+        pattern: new RegExp(`\\b(?:${stems.map(escapeRegExp).join('|')})[a-z0-9]*`, 'gi'),
+        termOf: match => stems.find(term => match.toLowerCase().startsWith(term))
+    };
+}
+
+// Page of the character at `offset`: the last page marker at or before it, or `page`
+// when there is none (the page a passage cut from a longer document starts on)
+function pageAt(text, offset, page = null) {
+    for (const marker of text.matchAll(PAGE_MARKER)) {
+        if (marker.index > offset) break;
+        page = Number(marker[1]);
+    }
+    return page;
+}
+
+// The text between start and end widened to whole words, without page markers, with
+// an ellipsis where it was cut
+function excerpt(text, start, end, terms) {
+    while (start > 0 && /\S/.test(text[start - 1])) start--;
+    while (end < text.length && /\S/.test(text[end])) end++;
+    // Never cut a page marker in two
+    for (const marker of text.matchAll(PAGE_MARKER)) {
+        const markerEnd = marker.index + marker[0].length;
+        if (marker.index >= end) break;
+        if (marker.index < start && markerEnd > start) start = markerEnd;
+        if (markerEnd > end) end = marker.index;
+    }
+
+    const plain = text.slice(start, end).replace(PAGE_MARKER, ' ').replace(/\s+/g, ' ').trim();
+    const cut = value => `${start > 0 ? '…' : ''}${value}${end < text.length ? '…' : ''}`;
+    return {
+        text: cut(plain),
+        highlighted: cut(terms ? plain.replace(terms.pattern, '**$&**') : plain),
+        offset: start
+    };
+}
+
+// Up to `max` passages of `text` around the query's words, best first: a passage with
+// more of the different words beats one repeating the same word. Each is
+// { text, highlighted, page, offset }; `page` is the page `text` starts on.
+function findPassages(text, query, { max = MAX_PASSAGES, size = SNIPPET_CHARS, page = null } = {}) {
+    const terms = queryTerms(query);
+    if (!terms || !text) return [];
+
+    const matches = [];
+    for (const match of text.matchAll(terms.pattern)) {
+        matches.push({ index: match.index, end: match.index + match[0].length, term: terms.termOf(match[0]) });
+        if (matches.length >= MAX_MATCHES) break;
+    }
+
+    // Each match opens a window starting a little before it
+    const windows = matches.map(first => {
+        const start = Math.max(0, first.index - Math.floor(size / 4));
+        const end = Math.min(text.length, start + size);
+        const inside = matches.filter(match => match.index >= start && match.end <= end);
+        return { start, end, first, terms: new Set(inside.map(match => match.term)).size, matches: inside.length };
+    }).sort((a, b) => b.terms - a.terms || b.matches - a.matches || a.start - b.start);
+
+    const chosen = [];
+    for (const window of windows) {
+        if (chosen.length >= max) break;
+        if (chosen.every(other => window.end <= other.start || window.start >= other.end)) {
+            chosen.push(window);
+        }
+    }
+    return chosen.map(window => ({
+        ...excerpt(text, window.start, window.end, terms),
+        page: pageAt(text, window.first.index, page)
+    }));
+}
+
+// Shorten passages ranked by the semantic index ({ text, start, page, score }) to the
+// part around the query's words, or to their opening words when none of the words
+// occur (a match in meaning only). Offsets are approximate: the index collapses the
+// whitespace of its passages.
+function highlightPassages(passages, query, { size = SNIPPET_CHARS } = {}) {
+    return passages.map(passage => {
+        const [found] = findPassages(passage.text, query, { max: 1, size, page: passage.page || null });
+        const best = found || {
+            ...excerpt(passage.text, 0, Math.min(size, passage.text.length), queryTerms(query)),
+            page: pageAt(passage.text, 0, passage.page || null)
+        };
+        return { ...best, offset: passage.start + best.offset, score: passage.score };
+    });
+}
+
+module.exports = {
+    findPassages,
+    highlightPassages,
+    pageAt
+};
@@ -0,0 +1,86 @@
+// Bounded-concurrency runner for the searches of a batch. Each task is called with an
+// AbortSignal that fires when the task times out or the whole run is cancelled (the
+// client disconnected), so in-flight iManage calls are abandoned rather than awaited.
+
+function poolError(message, status, name) {
+    const error = new Error(message);
+    error.status = status;
+    error.name = name;
+    return error;
+}
+
+// Error for a run cancelled through `signal`; its own reason is kept when it has a status
+function cancelled(signal) {
+    return signal.reason && signal.reason.status ? signal.reason : poolError('Request cancelled', 499, 'AbortError');
+}
+
+// Run `tasks` (functions of an AbortSignal returning a promise) with at most
+// `concurrency` in flight. Resolves, like Promise.allSettled, to one
+// { status: 'fulfilled', value } or { status: 'rejected', reason } per task in
+// task order. A task still running after `timeout` ms is rejected with a 504;
+// once `signal` aborts, running tasks are aborted and queued ones never start.
+async function runPool(tasks, { concurrency = 4, timeout = 0, signal } = {}) {
+    const outcomes = new Array(tasks.length);
+    let next = 0;
+
+    async function runTask(task) {
+        if (signal && signal.aborted) {
+            throw cancelled(signal);
+        }
+
+        const controller = new AbortController();
+        let timer;
+        const onAbort = () => controller.abort(cancelled(signal));
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        // Settle as soon as the task's signal fires, even if the task ignores it
+        const aborted = new Promise((resolve, reject) => {
+            controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+        });
+        if (timeout > 0) {
+            timer = setTimeout(() => controller.abort(poolError(`Search timed out after ${timeout}ms`, 504, 'TimeoutError')), timeout);
+        }
+
+        try {
+            return await Promise.race([task(controller.signal), aborted]);
+        } finally {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        }
+    }
+
+    async function worker() {
+        while (next < tasks.length) {
+            const index = next++;
+            try {
+                outcomes[index] = { status: 'fulfilled', value: await runTask(tasks[index]) };
+            } catch (error) {
+                outcomes[index] = { status: 'rejected', reason: error };
+            }
+        }
+    }
+
+    const workers = Math.max(1, Math.min(concurrency, tasks.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+    return outcomes;
+}
+
+// AbortSignal that fires when the client goes away before the response is sent
+function disconnectSignal(res) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            controller.abort(poolError('Client disconnected', 499, 'AbortError'));
+        }
+    });
+    return controller.signal;
+}
+
+module.exports = {
+    disconnectSignal,
+    runPool
+};
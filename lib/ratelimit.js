@@ -0,0 +1,254 @@
+const { getCaller } = require('./context');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+
+const log = logger.child({ component: 'ratelimit' });
+
+// Per-client rate limits and daily download quotas, so one runaway client cannot get the
+// service account throttled by iManage. A client is the authenticated user, or the IP
+// address when inbound authentication is off (set TRUST_PROXY behind a proxy). Each client has a token bucket per group
+// of routes and tools: `search`, `documents` (fetch, downloads, details and version
+// comparisons) and `browse` (workspaces, folders and version lists). A bucket holds up to
+// `burst` requests and refills at `perMinute`; a batch takes one token per sub-search.
+// Document content a client opens counts against their `downloadBytes` for the UTC day;
+// once it is used up, further downloads are refused until midnight UTC. The download that
+// crosses the quota is let through, as its size is only known once it has been read.
+
+const GROUPS = ['search', 'documents', 'browse'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Buckets are dropped once full again, checked whenever this many more have been made
+const PRUNE_EVERY = 1000;
+
+function rateLimitError(message, retryAfter, reason) {
+    const error = new Error(message);
+    error.status = 429;
+    error.retryAfter = retryAfter;
+    error.reason = reason;
+    return error;
+}
+
+function utcDay(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+function refilled(bucket, now) {
+    return Math.min(bucket.burst, bucket.tokens + (now - bucket.updated) * bucket.perMs);
+}
+
+function formatBytes(bytes) {
+    return bytes >= 1024 * 1024 ? `${Math.round(bytes / (1024 * 1024))} MB` : `${bytes} bytes`;
+}
+
+function untilMidnight(now) {
+    return DAY_MS - (now % DAY_MS);
+}
+
+class RateLimiter {
+    // limits: { [group]: { perMinute, burst } }, 0 perMinute leaving a group unlimited.
+    // downloadBytes: the daily quota, 0 for none. clients: overrides of both by client name.
+    constructor({ enabled = true, limits = {}, downloadBytes = 0, clients = {}, now = Date.now } = {}) {
+        this.enabled = enabled;
+        this.limits = limits;
+        this.downloadBytes = downloadBytes;
+        this.clients = new Map(Object.entries(clients).map(([name, settings]) => [name.toLowerCase(), settings]));
+        this.now = now;
+        this.buckets = new Map();
+        this.downloads = new Map();
+        this.created = 0;
+    }
+
+    // The caller's client name and any overrides configured for their user name. An API
+    // key and an OAuth user of the same name are different clients, as in the response cache.
+    clientOf(caller) {
+        if (caller && caller.user) {
+            const user = String(caller.user).toLowerCase();
+            return { name: `${caller.authType || 'user'}:${user}`, settings: this.clients.get(user) || {} };
+        }
+        return { name: `ip:${(caller && caller.ip) || 'unknown'}`, settings: {} };
+    }
+
+    limitFor(client, group) {
+        const override = client.settings[group] || {};
+        const limit = { ...this.limits[group], ...override };
+        return { perMinute: limit.perMinute || 0, burst: limit.burst || limit.perMinute || 0 };
+    }
+
+    quotaFor(client) {
+        return client.settings.downloadBytes !== undefined ? client.settings.downloadBytes : this.downloadBytes;
+    }
+
+    // Take `cost` tokens from the caller's bucket for `group`, or throw a 429 error
+    // whose retryAfter (ms) is when enough tokens will be back
+    take(group, cost = 1, caller = getCaller()) {
+        if (!this.enabled) return;
+        const client = this.clientOf(caller);
+        const { perMinute, burst } = this.limitFor(client, group);
+        if (!perMinute) return;
+
+        if (cost > burst) {
+            this.reject(client, group, 'burst');
+            throw rateLimitError(`A request of ${cost} ${group} calls exceeds the limit of ${burst} at once; split it into smaller requests`, null, 'burst');
+        }
+
+        const now = this.now();
+        const bucket = this.bucket(`${client.name}\u0000${group}`, { perMs: perMinute / 60000, burst: burst }, now);
+        bucket.tokens = refilled(bucket, now);
+        bucket.updated = now;
+
+        if (bucket.tokens < cost) {
+            const retryAfter = Math.ceil((cost - bucket.tokens) / bucket.perMs);
+            this.reject(client, group, 'rate');
+            throw rateLimitError(`Rate limit of ${perMinute} ${group} calls per minute exceeded; retry in ${Math.ceil(retryAfter / 1000)}s`, retryAfter, 'rate');
+        }
+        bucket.tokens -= cost;
+    }
+
+    // The bucket for a key, made full; a changed rate or burst applies from now on
+    bucket(key, { perMs, burst }, now) {
+        if (!this.buckets.has(key)) {
+            this.buckets.set(key, { tokens: burst, updated: now });
+            if (++this.created % PRUNE_EVERY === 0) this.prune(now);
+        }
+        return Object.assign(this.buckets.get(key), { perMs: perMs, burst: burst });
+    }
+
+    // Forget buckets that have refilled, as a new one starts full anyway
+    prune(now) {
+        for (const [key, bucket] of this.buckets) {
+            if (refilled(bucket, now) >= bucket.burst) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+
+    // Throw a 429 error when the caller has used up today's download quota
+    checkQuota(caller = getCaller()) {
+        if (!this.enabled) return;
+        const client = this.clientOf(caller);
+        const quota = this.quotaFor(client);
+        if (!quota) return;
+
+        const now = this.now();
+        if (this.downloadedToday(client.name, now) >= quota) {
+            this.reject(client, 'documents', 'quota');
+            throw rateLimitError(`Daily download quota of ${formatBytes(quota)} used up; it resets at midnight UTC`, untilMidnight(now), 'quota');
+        }
+    }
+
+    // Count document bytes the caller has opened against their quota
+    addDownload(bytes, caller = getCaller()) {
+        if (!this.enabled || !bytes) return;
+        const client = this.clientOf(caller);
+        const today = utcDay(this.now());
+        const usage = this.downloads.get(client.name);
+        if (usage && usage.day === today) {
+            usage.bytes += bytes;
+        } else {
+            this.downloads.set(client.name, { day: today, bytes: bytes });
+        }
+    }
+
+    downloadedToday(name, now) {
+        const usage = this.downloads.get(name);
+        return usage && usage.day === utcDay(now) ? usage.bytes : 0;
+    }
+
+    reject(client, group, reason) {
+        metrics.rateLimited.inc({ group: group, reason: reason });
+        log.warn('Rate limited', { client: client.name, group: group, reason: reason });
+    }
+
+    // Express middleware applying `take(group, cost(req))`, and the download quota with
+    // `quota`, answering 429 with Retry-After when the caller is over the limit
+    middleware(group, { cost = () => 1, quota = false } = {}) {
+        return (req, res, next) => {
+            try {
+                if (quota) this.checkQuota();
+                this.take(group, cost(req));
+            } catch (error) {
+                if (error.status !== 429) return next(error);
+                if (error.retryAfter !== null) {
+                    res.set('Retry-After', String(Math.ceil(error.retryAfter / 1000)));
+                }
+                return res.status(429).json({
+                    error: error.reason === 'quota' ? 'Download quota exceeded' : 'Too many requests',
+                    message: error.message,
+                    retry_after: error.retryAfter !== null ? Math.ceil(error.retryAfter / 1000) : null
+                });
+            }
+            next();
+        };
+    }
+
+    // Configured limits and each client's download use today
+    status() {
+        const now = this.now();
+        const today = utcDay(now);
+        return {
+            enabled: this.enabled,
+            limits: Object.fromEntries(GROUPS.map(group => [group, this.limits[group] || null])),
+            download_quota_bytes: this.downloadBytes || null,
+            clients: Object.fromEntries(this.clients),
+            downloads_today: [...this.downloads]
+                .filter(([, usage]) => usage.day === today)
+                .map(([client, usage]) => ({ client: client, bytes: usage.bytes }))
+                .sort((a, b) => b.bytes - a.bytes)
+        };
+    }
+}
+
+// "name:search=300;documents=100;download_mb=5000,name2:..." into per-client overrides
+function parseClientLimits(value) {
+    const clients = {};
+    for (const entry of (value || '').split(',').map(item => item.trim()).filter(Boolean)) {
+        const separator = entry.indexOf(':');
+        if (separator === -1) {
+            log.warn('Ignoring RATE_LIMIT_CLIENTS entry without settings', { entry: entry });
+            continue;
+        }
+        const settings = {};
+        for (const pair of entry.slice(separator + 1).split(';').map(item => item.trim()).filter(Boolean)) {
+            const [key, raw] = pair.split('=').map(part => part.trim());
+            const number = Number(raw);
+            if (Number.isNaN(number) || number < 0) {
+                log.warn('Ignoring invalid RATE_LIMIT_CLIENTS setting', { setting: pair });
+            } else if (key === 'download_mb') {
+                settings.downloadBytes = number * 1024 * 1024;
+            } else if (GROUPS.includes(key)) {
+                settings[key] = { perMinute: number, burst: number };
+            } else {
+                log.warn('Ignoring unknown RATE_LIMIT_CLIENTS setting', { setting: pair });
+            }
+        }
+        clients[entry.slice(0, separator).trim()] = settings;
+    }
+    return clients;
+}
+
+// RATE_LIMIT_ENABLED=false turns limits and quotas off. RATE_LIMIT_SEARCH_PER_MINUTE,
+// RATE_LIMIT_DOCUMENTS_PER_MINUTE and RATE_LIMIT_BROWSE_PER_MINUTE set each group's rate
+// (0 for no limit), and RATE_LIMIT_<GROUP>_BURST how many may come at once (default: a
+// minute's worth). DOWNLOAD_QUOTA_MB_PER_DAY is the daily download quota (0 for none).
+// RATE_LIMIT_CLIENTS overrides them for named clients:
+// "research-bot:search=300;documents=200;download_mb=5000,alice:search=30".
+function createRateLimiter(env = process.env) {
+    const number = (name, fallback) => env[name] !== undefined && env[name] !== '' ? Number(env[name]) : fallback;
+    const defaults = { search: 60, documents: 60, browse: 120 };
+    const limits = Object.fromEntries(GROUPS.map(group => {
+        const prefix = `RATE_LIMIT_${group.toUpperCase()}`;
+        const perMinute = number(`${prefix}_PER_MINUTE`, defaults[group]);
+        return [group, { perMinute: perMinute, burst: number(`${prefix}_BURST`, perMinute) }];
+    }));
+    return new RateLimiter({
+        enabled: env.RATE_LIMIT_ENABLED !== 'false',
+        limits: limits,
+        downloadBytes: number('DOWNLOAD_QUOTA_MB_PER_DAY', 1024) * 1024 * 1024,
+        clients: parseClientLimits(env.RATE_LIMIT_CLIENTS)
+    });
+}
+
+module.exports = {
+    RateLimiter,
+    createRateLimiter,
+    parseClientLimits
+};
@@ -0,0 +1,184 @@
+// Semantic search over extracted document text. Each library's documents are split
+// into overlapping passages, embedded with an embedder from lib/embeddings and kept
+// in a vector index; a query is embedded the same way and documents are ranked by
+// the cosine similarity of their best passages.
+
+const { pageAt } = require('./passages');
+
+const PASSAGE_CHARS = 1000;
+const PASSAGE_OVERLAP = 200;
+// Passages embedded per document (about 200k characters) and returned per hit
+const MAX_PASSAGES_PER_DOCUMENT = 200;
+const PASSAGES_PER_HIT = 3;
+
+// Split text into passages of about `size` characters, ending at a paragraph or word
+// boundary and overlapping the previous passage by about `overlap` characters.
+// Each passage keeps the character offset it starts at.
+function splitPassages(text, { size = PASSAGE_CHARS, overlap = PASSAGE_OVERLAP } = {}) {
+    const passages = [];
+    let start = 0;
+
+    while (start < text.length) {
+        let end = Math.min(text.length, start + size);
+        if (end < text.length) {
+            const paragraph = text.lastIndexOf('\n\n', end);
+            const space = text.lastIndexOf(' ', end);
+            if (paragraph > start + size / 2) {
+                end = paragraph;
+            } else if (space > start + size / 2) {
+                end = space;
+            }
+        }
+
+        const raw = text.slice(start, end);
+        const passage = raw.trim().replace(/\s+/g, ' ');
+        if (passage) {
+            passages.push({ text: passage, start: start + raw.length - raw.trimStart().length });
+        }
+        if (end >= text.length) break;
+
+        const boundary = text.indexOf(' ', Math.max(start + 1, end - overlap));
+        start = boundary !== -1 && boundary < end ? boundary + 1 : end;
+    }
+    return passages;
+}
+
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        sum += a[i] * b[i];
+    }
+    return sum;
+}
+
+function round(value) {
+    return Math.round(value * 1e4) / 1e4;
+}
+
+// ACTIVE!1002.2 and ACTIVE!1002.1 are versions of the same document
+function documentKey(id) {
+    return String(id).replace(/\.\d+$/, '');
+}
+
+function encodeVector(vector) {
+    return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength).toString('base64');
+}
+
+function decodeVector(encoded) {
+    const bytes = Buffer.from(encoded, 'base64');
+    return new Float32Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+}
+
+// Embedded passages of the latest version of each indexed document, per library.
+// lib/indexer decides what goes in; this class embeds, stores and searches it.
+class SemanticIndex {
+    constructor({ embedder, minScore = 0.2 }) {
+        this.embedder = embedder;
+        this.minScore = minScore;
+        this.libraries = new Map();
+    }
+
+    documents(libraryName) {
+        if (!this.libraries.has(libraryName)) {
+            this.libraries.set(libraryName, new Map());
+        }
+        return this.libraries.get(libraryName);
+    }
+
+    // True when `doc` is indexed at its current edit_date
+    isCurrent(library, doc) {
+        const entry = this.documents(library.name).get(doc.id);
+        return Boolean(entry) && entry.doc.edit_date === doc.edit_date;
+    }
+
+    // Embed a document's text (null or empty for documents without text, which are kept
+    // so they are not read again until they change), replacing its older versions.
+    // Passages remember the page they start on.
+    async add(library, doc, text) {
+        const passages = text
+            ? splitPassages(text).slice(0, MAX_PASSAGES_PER_DOCUMENT).map(passage => ({ ...passage, page: pageAt(text, passage.start) }))
+            : [];
+        const vectors = passages.length > 0 ? await this.embedder.embed(passages.map(p => p.text)) : [];
+        const documents = this.documents(library.name);
+
+        for (const id of documents.keys()) {
+            if (id !== doc.id && documentKey(id) === documentKey(doc.id)) {
+                documents.delete(id);
+            }
+        }
+        documents.set(doc.id, {
+            doc: doc,
+            passages: passages.map((passage, i) => ({ ...passage, vector: vectors[i] }))
+        });
+        return passages.length;
+    }
+
+    remove(library, id) {
+        return this.documents(library.name).delete(id);
+    }
+
+    ids(library) {
+        return [...this.documents(library.name).keys()];
+    }
+
+    stats(library) {
+        const entries = [...this.documents(library.name).values()];
+        return {
+            documents: entries.length,
+            passages: entries.reduce((sum, entry) => sum + entry.passages.length, 0)
+        };
+    }
+
+    // Documents ranked by their best passage, scoring at least minScore:
+    // { hits: [{ doc, score, passages: [{ text, start, page, score }] }], total }
+    async search(library, query, { limit = 10 } = {}) {
+        const [vector] = await this.embedder.embed([query]);
+        const hits = [];
+
+        for (const { doc, passages } of this.documents(library.name).values()) {
+            const scored = passages
+                .map(passage => ({ text: passage.text, start: passage.start, page: passage.page || null, score: round(dot(vector, passage.vector)) }))
+                .sort((a, b) => b.score - a.score);
+            if (scored.length > 0 && scored[0].score >= this.minScore) {
+                hits.push({ doc, score: scored[0].score, passages: scored.slice(0, PASSAGES_PER_HIT) });
+            }
+        }
+
+        hits.sort((a, b) => b.score - a.score);
+        return { hits: hits.slice(0, limit), total: hits.length };
+    }
+
+    // Plain JSON for persisting the index; vectors are base64 Float32 arrays
+    toJSON() {
+        const libraries = {};
+        for (const [name, documents] of this.libraries) {
+            libraries[name] = [...documents.values()].map(({ doc, passages }) => ({
+                doc: doc,
+                passages: passages.map(({ vector, ...passage }) => ({ ...passage, vector: encodeVector(vector) }))
+            }));
+        }
+        return { embedder: this.embedder.id, libraries: libraries };
+    }
+
+    // Restore a persisted index. Returns false (and keeps nothing) when it was built with
+    // another embedding model, whose vectors cannot be compared with this one's.
+    load(data) {
+        if (!data || data.embedder !== this.embedder.id) {
+            return false;
+        }
+        this.libraries = new Map(Object.entries(data.libraries || {}).map(([name, entries]) => [
+            name,
+            new Map(entries.map(({ doc, passages }) => [doc.id, {
+                doc: doc,
+                passages: passages.map(passage => ({ ...passage, vector: decodeVector(passage.vector) }))
+            }]))
+        ]));
+        return true;
+    }
+}
+
+module.exports = {
+    SemanticIndex,
+    documentKey,
+    splitPassages
+};
@@ -0,0 +1,162 @@
+const { metrics } = require('./metrics');
+const { pageParams, readPage } = require('./pagination');
+
+// Document sources answer the search, fetch and browse tools for one configured
+// library, so repositories other than iManage can sit behind the same tools.
+//
+// Documents, workspaces and folders are returned in the iManage profile shape
+// (id, name, author, author_description, workspace_name, workspace_id, size,
+// edit_date, create_date, type, type_description, extension, version,
+// custom1_description ...) and pages follow lib/pagination: a position is
+// { offset, cursor? } and a page is { results, total, offset, next }.
+
+function sourceError(message, status = 501) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Keyword search fields; anything else searches anywhere
+const KEYWORD_FIELDS = ['anywhere', 'body', 'comments', 'title'];
+
+class DocumentSource {
+    constructor(library) {
+        this.library = library;
+    }
+
+    get kind() {
+        return 'unknown';
+    }
+
+    unsupported(operation) {
+        return sourceError(`${operation} is not supported by the ${this.kind} source of library ${this.library.name}`);
+    }
+
+    // `query` is { title }, { keywords, searchIn } or { filters, profileFields };
+    // `signal` aborts a search that is no longer wanted
+    async search(query, { limit, position, signal }) {
+        throw this.unsupported('Search');
+    }
+
+    async getDetails(id) {
+        throw this.unsupported('Document details');
+    }
+
+    // { buffer, contentType }, or { stream, contentType } when `stream` is set
+    async download(id, { stream, timeout } = {}) {
+        throw this.unsupported('Download');
+    }
+
+    // One level of the library's hierarchy, as a page:
+    //   { type: 'workspaces', query }                    workspaces
+    //   { type: 'folders', workspace_id | folder_id }    folders of a workspace, or subfolders
+    //   { type: 'documents', folder_id }                 documents filed in a folder
+    async list({ type }) {
+        throw this.unsupported(`Listing ${type}`);
+    }
+
+    // Optional: workspace profile and document versions
+    async getWorkspace(id) {
+        throw this.unsupported('Workspaces');
+    }
+
+    async listVersions(id) {
+        throw this.unsupported('Version history');
+    }
+
+    // Readiness: throws when the library cannot be used right now
+    async check({ timeout } = {}) {}
+}
+
+// Source backed by the iManage Work API through an IManageClient
+class IManageSource extends DocumentSource {
+    constructor(library, client) {
+        super(library);
+        this.client = client;
+    }
+
+    get kind() {
+        return 'imanage';
+    }
+
+    async search(query, { limit = 50, position = { offset: 0 }, signal } = {}) {
+        let data;
+
+        if (query.filters) {
+            const body = { limit: limit, filters: query.filters, ...pageParams(position) };
+            if (query.profileFields) {
+                body.profile_fields = query.profileFields;
+            }
+            data = await this.client.advancedSearch(body, { signal });
+        } else {
+            const params = { limit: limit, latest: true, ...pageParams(position) };
+            if (query.title !== undefined) {
+                params.title = query.title;
+            } else {
+                params[KEYWORD_FIELDS.includes(query.searchIn) ? query.searchIn : 'anywhere'] = query.keywords;
+            }
+            data = await this.client.searchDocuments(params, { signal });
+        }
+
+        return { ...readPage(data, position, limit), responseKeys: Object.keys(data) };
+    }
+
+    getDetails(id) {
+        return this.client.getDocument(id);
+    }
+
+    async download(id, { stream = false, timeout } = {}) {
+        const response = await this.client.downloadDocument(id, { stream, timeout });
+        const contentType = response.headers['content-type'] || 'application/octet-stream';
+        const downloaded = { library: this.library.name };
+        if (stream) {
+            response.data.on('data', chunk => metrics.downloadedBytes.inc(downloaded, chunk.length));
+            return { stream: response.data, contentType: contentType };
+        }
+        const buffer = Buffer.from(response.data);
+        metrics.downloadedBytes.inc(downloaded, buffer.length);
+        return { buffer: buffer, contentType: contentType };
+    }
+
+    async list({ type, workspace_id, folder_id, query, limit = 50, position = { offset: 0 } }) {
+        switch (type) {
+            case 'workspaces': {
+                const params = { limit: limit, ...pageParams(position) };
+                if (query) {
+                    params.anywhere = query;
+                }
+                return readPage(await this.client.listWorkspaces(params), position, limit);
+            }
+            case 'folders': {
+                const folders = workspace_id
+                    ? await this.client.workspaceFolders(workspace_id)
+                    : await this.client.folderChildren(folder_id);
+                return { results: folders, total: folders.length, offset: 0, next: null };
+            }
+            case 'documents': {
+                const params = { limit: limit, latest: true, ...pageParams(position) };
+                return readPage(await this.client.folderDocuments(folder_id, params), position, limit);
+            }
+            default:
+                throw sourceError(`Unknown list type: ${type}`, 400);
+        }
+    }
+
+    getWorkspace(id) {
+        return this.client.getWorkspace(id);
+    }
+
+    listVersions(id) {
+        return this.client.listVersions(id);
+    }
+
+    check({ timeout } = {}) {
+        return this.client.ping({ timeout });
+    }
+}
+
+module.exports = {
+    DocumentSource,
+    IManageSource,
+    sourceError
+};
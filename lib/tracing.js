@@ -0,0 +1,121 @@
+const { SpanKind, SpanStatusCode, context, propagation, trace } = require('@opentelemetry/api');
+const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+const { defaultResource, detectResources, envDetector, resourceFromAttributes } = require('@opentelemetry/resources');
+const { BatchSpanProcessor, NodeTracerProvider } = require('@opentelemetry/sdk-trace-node');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'tracing' });
+
+// OpenTelemetry tracing. Each inbound request gets a server span that continues the
+// trace named in its traceparent header; MCP tool calls and batch sub-searches get spans
+// of their own, and every call to iManage (sign-in, searches, profiles, downloads) a
+// client span whose traceparent header carries the trace on. Spans leave out search
+// terms, like the logs. Tracing is off, and spans cost next to nothing, until
+// startTracing finds an OTLP endpoint to export to.
+
+const tracer = trace.getTracer('imanage-mcp-server');
+let provider = null;
+
+// Spans are exported over OTLP/HTTP to OTEL_EXPORTER_OTLP_TRACES_ENDPOINT, or to
+// OTEL_EXPORTER_OTLP_ENDPOINT + /v1/traces (e.g. a local collector at
+// http://localhost:4318). OTEL_SERVICE_NAME, OTEL_RESOURCE_ATTRIBUTES, OTEL_TRACES_SAMPLER
+// and the OTEL_BSP_* batch settings apply as usual; OTEL_SDK_DISABLED=true turns it off.
+function startTracing(env = process.env) {
+    if (provider) return provider;
+    const endpoint = env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT || env.OTEL_EXPORTER_OTLP_ENDPOINT;
+    if (!endpoint || env.OTEL_SDK_DISABLED === 'true') return null;
+
+    provider = new NodeTracerProvider({
+        resource: defaultResource()
+            .merge(resourceFromAttributes({ 'service.name': 'imanage-mcp-server' }))
+            .merge(detectResources({ detectors: [envDetector] })),
+        spanProcessors: [new BatchSpanProcessor(new OTLPTraceExporter())]
+    });
+    // Also installs the async context manager and the W3C trace context propagator
+    provider.register();
+    log.info('Exporting traces', { endpoint: endpoint });
+    return provider;
+}
+
+// Export the spans still waiting in the batch
+function flushTracing() {
+    return provider ? provider.forceFlush() : Promise.resolve();
+}
+
+function failSpan(span, error) {
+    span.recordException(error);
+    span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+}
+
+// Run `fn(span)` in a new span, the current one's child, which ends when it settles
+function withSpan(name, attributes, fn, { kind = SpanKind.INTERNAL } = {}) {
+    return tracer.startActiveSpan(name, { kind: kind, attributes: attributes }, async span => {
+        try {
+            return await fn(span);
+        } catch (error) {
+            failSpan(span, error);
+            throw error;
+        } finally {
+            span.end();
+        }
+    });
+}
+
+// Client span around one HTTP call to iManage. `send(headers)` makes the call with these
+// trace context headers added; the span records the status iManage answered with.
+function traceHttpCall(name, attributes, send) {
+    return withSpan(name, attributes, async span => {
+        const headers = {};
+        propagation.inject(context.active(), headers);
+        try {
+            const response = await send(headers);
+            span.setAttribute('http.response.status_code', response.status);
+            return response;
+        } catch (error) {
+            if (error.response) {
+                span.setAttribute('http.response.status_code', error.response.status);
+            }
+            throw error;
+        }
+    }, { kind: SpanKind.CLIENT });
+}
+
+// Middleware: a server span per request, continuing the caller's trace. It is named
+// after the route the request matched once it is answered.
+function traceRequest(req, res, next) {
+    const parent = propagation.extract(context.active(), req.headers);
+    const span = tracer.startSpan(req.method, {
+        kind: SpanKind.SERVER,
+        attributes: {
+            'http.request.method': req.method,
+            'url.path': req.path,
+            'user_agent.original': req.get('User-Agent')
+        }
+    }, parent);
+
+    res.once('close', () => {
+        if (req.route) {
+            const route = req.baseUrl + req.route.path;
+            span.updateName(`${req.method} ${route}`);
+            span.setAttribute('http.route', route);
+        }
+        span.setAttribute('http.response.status_code', res.statusCode);
+        if (res.statusCode >= 500) {
+            span.setStatus({ code: SpanStatusCode.ERROR });
+        }
+        if (!res.writableFinished) {
+            span.setAttribute('imanage_mcp.aborted', true);
+        }
+        span.end();
+    });
+
+    context.with(trace.setSpan(parent, span), next);
+}
+
+module.exports = {
+    flushTracing,
+    startTracing,
+    traceHttpCall,
+    traceRequest,
+    withSpan
+};
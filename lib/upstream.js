@@ -0,0 +1,262 @@
+const axios = require('axios');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+
+const log = logger.child({ component: 'upstream' });
+
+// Shared policy for calls to iManage: every call gets a timeout; 429, 5xx and network
+// errors are retried with exponential backoff and full jitter, waiting at least as long
+// as Retry-After asks; and a circuit breaker per upstream fails calls fast while it keeps
+// failing. Whatever still fails is turned into an error whose status a route can return:
+// 4xx answers keep their status, 429 and 503 stay retryable, timeouts become 504 and
+// other upstream failures 502.
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+function upstreamError(message, status, { retryAfter = null, cause } = {}) {
+    const error = new Error(message);
+    error.status = status;
+    error.retryAfter = retryAfter;
+    error.upstream = true;
+    if (cause) error.cause = cause;
+    return error;
+}
+
+// Milliseconds asked for by a Retry-After header (seconds or an HTTP date), or null
+function retryAfterMs(error) {
+    const header = error.response && error.response.headers && error.response.headers['retry-after'];
+    if (!header) return null;
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function isTimeout(error) {
+    return TIMEOUT_CODES.includes(error.code);
+}
+
+// How an attempt ended, for the upstream request metrics
+function attemptResult(error) {
+    if (error.response) return String(error.response.status);
+    if (axios.isCancel(error)) return 'cancelled';
+    if (isTimeout(error)) return 'timeout';
+    return error.isAxiosError ? 'network_error' : 'error';
+}
+
+// Worth another attempt: rate limited, a server error, or no answer at all
+function isTransient(error) {
+    if (!error.isAxiosError || axios.isCancel(error)) return false;
+    return error.response ? RETRYABLE_STATUSES.includes(error.response.status) : true;
+}
+
+// The message iManage (or its OAuth server) gave for a failed call, if any
+function upstreamMessage(error) {
+    const data = error.response && error.response.data;
+    if (!data || typeof data !== 'object') return null;
+    return (data.error && data.error.message) || data.error_description || data.message || (typeof data.error === 'string' ? data.error : null);
+}
+
+// Map a failed call to a status for our own clients. Errors that are not axios
+// errors (our own, or already mapped) and cancellations pass through unchanged.
+function toUpstreamError(error, name = 'iManage') {
+    if (!error.isAxiosError || axios.isCancel(error)) return error;
+
+    const retryAfter = retryAfterMs(error);
+    if (!error.response) {
+        return isTimeout(error)
+            ? upstreamError(`${name} did not answer in time`, 504, { cause: error })
+            : upstreamError(`${name} is unreachable: ${error.code || error.message}`, 502, { cause: error });
+    }
+
+    const status = error.response.status;
+    const detail = upstreamMessage(error);
+    const message = `${name} returned ${status}${detail ? `: ${detail}` : ''}`;
+    if (status === 429 || status === 503 || status === 504) {
+        return upstreamError(message, status, { retryAfter, cause: error });
+    }
+    return upstreamError(message, status >= 500 ? 502 : status, { cause: error });
+}
+
+// Closed: calls go through. Open after `threshold` failures in a row: calls fail at once
+// until `cooldownMs` has passed. Then half-open: one trial call decides which it is.
+class CircuitBreaker {
+    constructor(name, { threshold, cooldownMs }) {
+        this.name = name;
+        this.threshold = threshold;
+        this.cooldownMs = cooldownMs;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialRunning = false;
+    }
+
+    // Throws a 503 while open, or while the half-open trial call is still running
+    enter() {
+        if (this.state === 'open') {
+            const wait = this.openedAt + this.cooldownMs - Date.now();
+            if (wait > 0) {
+                throw upstreamError(`${this.name} is unavailable after repeated failures; retry in ${Math.ceil(wait / 1000)}s`, 503, { retryAfter: wait });
+            }
+            this.state = 'half-open';
+        }
+        if (this.state === 'half-open') {
+            if (this.trialRunning) {
+                throw upstreamError(`${this.name} is recovering from repeated failures; retry shortly`, 503, { retryAfter: 1000 });
+            }
+            this.trialRunning = true;
+        }
+    }
+
+    succeeded() {
+        if (this.state !== 'closed') {
+            log.info('Upstream is answering again; circuit closed', { upstream: this.name });
+        }
+        this.state = 'closed';
+        this.failures = 0;
+        this.trialRunning = false;
+    }
+
+    // A call cancelled by our own caller says nothing about the upstream: the state stays
+    // as it was, and a half-open breaker lets the next call be the trial
+    released() {
+        this.trialRunning = false;
+    }
+
+    failed() {
+        this.failures++;
+        this.trialRunning = false;
+        if (this.state === 'half-open' || (this.state === 'closed' && this.failures >= this.threshold)) {
+            log.warn('Upstream keeps failing; circuit open', { upstream: this.name, failures: this.failures, cooldown_ms: this.cooldownMs });
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    status() {
+        return { name: this.name, state: this.state, consecutive_failures: this.failures };
+    }
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) return reject(signal.reason);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+class UpstreamPolicy {
+    // retries: attempts after the first. A Retry-After longer than maxRetryAfterMs is not
+    // waited for; the 429 or 503 goes back to the caller instead.
+    constructor({ timeoutMs = 30000, retries = 2, baseDelayMs = 250, maxDelayMs = 5000, maxRetryAfterMs = 30000, breakerThreshold = 5, breakerCooldownMs = 30000 } = {}) {
+        this.timeoutMs = timeoutMs;
+        this.retries = retries;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.maxRetryAfterMs = maxRetryAfterMs;
+        this.breakerOptions = { threshold: breakerThreshold, cooldownMs: breakerCooldownMs };
+        this.breakers = new Map();
+    }
+
+    breaker(name) {
+        if (!this.breakers.has(name)) {
+            this.breakers.set(name, new CircuitBreaker(name, this.breakerOptions));
+        }
+        return this.breakers.get(name);
+    }
+
+    // Full jitter: anywhere between 0 and the exponential backoff for this retry
+    backoff(retry) {
+        return Math.round(Math.random() * Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** retry));
+    }
+
+    // Run `attempt` (an axios call) under the policy. `name` picks the circuit breaker
+    // and labels errors; `signal` stops the retries when the caller goes away.
+    async run(name, attempt, { signal } = {}) {
+        const breaker = this.breaker(name);
+
+        for (let retry = 0; ; retry++) {
+            breaker.enter();
+            const timer = metrics.upstreamRequestDuration.startTimer({ upstream: name });
+            let error;
+            try {
+                const result = await attempt();
+                timer();
+                metrics.upstreamRequests.inc({ upstream: name, result: String(result.status || 'ok') });
+                breaker.succeeded();
+                return result;
+            } catch (caught) {
+                error = caught;
+                timer();
+                metrics.upstreamRequests.inc({ upstream: name, result: attemptResult(error) });
+            }
+
+            // Rate limiting and client errors show the upstream is up
+            const transient = isTransient(error);
+            if (axios.isCancel(error) || error.name === 'AbortError' || (signal && signal.aborted)) {
+                breaker.released();
+            } else if (transient && !(error.response && error.response.status === 429)) {
+                breaker.failed();
+            } else {
+                breaker.succeeded();
+            }
+
+            const retryAfter = retryAfterMs(error);
+            const canRetry = transient && retry < this.retries && !(signal && signal.aborted) &&
+                (retryAfter === null || retryAfter <= this.maxRetryAfterMs);
+            if (!canRetry) {
+                throw toUpstreamError(error, name);
+            }
+
+            const delay = Math.max(retryAfter || 0, this.backoff(retry));
+            metrics.upstreamRetries.inc({ upstream: name });
+            log.info('Retrying upstream call', { upstream: name, status: error.response ? error.response.status : error.code, retry: retry + 1, retries: this.retries, delay_ms: delay });
+            await sleep(delay, signal);
+        }
+    }
+
+    status() {
+        return [...this.breakers.values()].map(breaker => breaker.status());
+    }
+}
+
+const CIRCUIT_STATES = { closed: 0, 'half-open': 1, open: 2 };
+
+// Copy each breaker's state into the circuit state gauge before /metrics renders
+function collectCircuitStates(policy) {
+    for (const breaker of policy.breakers.values()) {
+        metrics.upstreamCircuitState.set({ upstream: breaker.name }, CIRCUIT_STATES[breaker.state]);
+    }
+}
+
+// UPSTREAM_TIMEOUT_MS, UPSTREAM_RETRIES, UPSTREAM_RETRY_BASE_MS, UPSTREAM_RETRY_MAX_MS,
+// UPSTREAM_MAX_RETRY_AFTER_MS, UPSTREAM_BREAKER_THRESHOLD and UPSTREAM_BREAKER_COOLDOWN_MS
+function createUpstreamPolicy(env = process.env) {
+    const number = (name, fallback) => env[name] !== undefined && env[name] !== '' ? Number(env[name]) : fallback;
+    return new UpstreamPolicy({
+        timeoutMs: number('UPSTREAM_TIMEOUT_MS', 30000),
+        retries: number('UPSTREAM_RETRIES', 2),
+        baseDelayMs: number('UPSTREAM_RETRY_BASE_MS', 250),
+        maxDelayMs: number('UPSTREAM_RETRY_MAX_MS', 5000),
+        maxRetryAfterMs: number('UPSTREAM_MAX_RETRY_AFTER_MS', 30000),
+        breakerThreshold: number('UPSTREAM_BREAKER_THRESHOLD', 5),
+        breakerCooldownMs: number('UPSTREAM_BREAKER_COOLDOWN_MS', 30000)
+    });
+}
+
+module.exports = {
+    UpstreamPolicy,
+    collectCircuitStates,
+    createUpstreamPolicy,
+    toUpstreamError,
+    upstreamError
+};
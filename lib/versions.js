@@ -0,0 +1,160 @@
+const { diffLines, diffWords } = require('diff');
+
+// Document versions and version-to-version comparison. iManage document ids end in
+// the version number ('Legal_QA!3402.2' is version 2 of document 3402).
+
+const CONTEXT_WORDS = 12;
+const MAX_CHANGES = 200;
+// Word diffs run on the event loop and get slow on long, heavily edited documents, so
+// texts longer than WORD_DIFF_MAX_CHARS, or diffs taking over WORD_DIFF_TIMEOUT_MS,
+// fall back to a line diff
+const WORD_DIFF_MAX_CHARS = 200000;
+const WORD_DIFF_TIMEOUT_MS = 1000;
+
+function versionError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Split a document id into the document and its version number ('Legal_QA!3402.2' ->
+// 'Legal_QA!3402' and 2); the version is null when the id has none
+function parseDocumentId(id) {
+    const text = String(id);
+    const separator = text.lastIndexOf('.');
+    if (separator <= text.indexOf('!')) {
+        return { base: text, version: null };
+    }
+    const version = Number(text.slice(separator + 1));
+    return { base: text.slice(0, separator), version: Number.isInteger(version) ? version : null };
+}
+
+// Id of another version of the same document
+function versionId(id, version) {
+    const number = Number(version);
+    if (!Number.isInteger(number) || number < 1) {
+        throw versionError('version must be a positive integer');
+    }
+    return `${parseDocumentId(id).base}.${number}`;
+}
+
+function summarizeVersion(doc) {
+    return {
+        id: doc.id,
+        version: Number(doc.version) || 1,
+        author: doc.author_description || doc.author || 'Unknown',
+        last_user: doc.last_user_description || doc.last_user || '',
+        comment: doc.comment || '',
+        create_date: doc.create_date || null,
+        edit_date: doc.edit_date || null,
+        size: doc.size || 0,
+        extension: doc.extension || ''
+    };
+}
+
+function countWords(text) {
+    const words = text.trim().match(/\S+/g);
+    return words ? words.length : 0;
+}
+
+function lastWords(text, count) {
+    const words = text.split(/\s+/).filter(Boolean);
+    return words.slice(-count).join(' ');
+}
+
+function firstWords(text, count) {
+    const words = text.split(/\s+/).filter(Boolean);
+    return words.slice(0, count).join(' ');
+}
+
+function diffParts(before, after) {
+    const words = before.length + after.length <= WORD_DIFF_MAX_CHARS && diffWords(before, after, { timeout: WORD_DIFF_TIMEOUT_MS });
+    if (words) {
+        return { granularity: 'words', parts: words };
+    }
+    return { granularity: 'lines', parts: diffLines(before, after) };
+}
+
+// Compare two extracted texts. Adjacent removals and insertions are grouped into one
+// change, shown with a few words of context as [-removed-]{+added+} redline markup.
+// Page numbers (from the "--- Page N ---" markers of paginated formats) refer to the
+// newer text.
+function compareTexts(before, after) {
+    const { granularity, parts } = diffParts(before, after);
+    const changes = [];
+    let wordsAdded = 0;
+    let wordsRemoved = 0;
+    let page = null;
+    let current = null;
+    let previousText = '';
+
+    const trackPages = text => {
+        const markers = [...text.matchAll(/--- Page (\d+) ---/g)];
+        if (markers.length > 0) {
+            page = Number(markers[markers.length - 1][1]);
+        }
+    };
+
+    for (const part of parts) {
+        if (!part.added && !part.removed) {
+            if (current) {
+                current.context_after = firstWords(part.value, CONTEXT_WORDS);
+                changes.push(current);
+                current = null;
+            }
+            trackPages(part.value);
+            previousText = part.value;
+            continue;
+        }
+
+        if (!current) {
+            current = { type: null, removed: '', added: '', page: page, context_before: lastWords(previousText, CONTEXT_WORDS), context_after: '' };
+        }
+        if (part.added) {
+            current.added += part.value;
+            wordsAdded += countWords(part.value);
+            trackPages(part.value);
+        } else {
+            current.removed += part.value;
+            wordsRemoved += countWords(part.value);
+        }
+    }
+    if (current) {
+        changes.push(current);
+    }
+
+    for (const change of changes) {
+        change.type = change.added && change.removed ? 'replace' : (change.added ? 'insert' : 'delete');
+    }
+
+    const shown = changes.slice(0, MAX_CHANGES);
+    const redline = shown.map(change => {
+        const removed = change.removed.trim() ? `[-${change.removed.trim()}-]` : '';
+        const added = change.added.trim() ? `{+${change.added.trim()}+}` : '';
+        const location = change.page ? `(page ${change.page}) ` : '';
+        return `${location}…${change.context_before} ${removed}${added} ${change.context_after}…`;
+    }).join('\n\n');
+
+    return {
+        granularity: granularity,
+        summary: {
+            changes: changes.length,
+            insertions: changes.filter(c => c.type === 'insert').length,
+            deletions: changes.filter(c => c.type === 'delete').length,
+            replacements: changes.filter(c => c.type === 'replace').length,
+            words_added: wordsAdded,
+            words_removed: wordsRemoved,
+            identical: changes.length === 0
+        },
+        redline: redline,
+        changes: shown,
+        truncated: changes.length > MAX_CHANGES
+    };
+}
+
+module.exports = {
+    compareTexts,
+    parseDocumentId,
+    summarizeVersion,
+    versionId
+};
@@ -0,0 +1,538 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+// Local stand-in for the iManage Work API, serving the fixture documents in
+// mock/fixtures. Run it with `npm run mock` to develop offline; the test suite
+// starts it in-process and points the server at it.
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+const CONTENT_TYPES = {
+    pdf: 'application/pdf',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    eml: 'message/rfc822',
+    txt: 'text/plain',
+    tif: 'image/tiff'
+};
+
+// Profile fields matched by the text filters of documents and documents/search
+const TEXT_FILTERS = {
+    title: doc => [doc.name],
+    body: doc => [doc.body],
+    comments: doc => [doc.comment],
+    author: doc => [doc.author],
+    anywhere: doc => [doc.name, doc.body, doc.comment, doc.author, doc.workspace_name]
+};
+
+function matches(values, wanted) {
+    const needle = String(wanted).toLowerCase();
+    return values.some(value => value && String(value).toLowerCase().includes(needle));
+}
+
+// Build document, workspace and folder profiles from the fixture catalog
+function loadCatalog(catalog) {
+    const documents = new Map();
+    const workspaces = new Map();
+    const folders = new Map();
+
+    for (const [library, content] of Object.entries(catalog.libraries)) {
+        const workspaceNames = {};
+
+        for (const workspace of content.workspaces) {
+            const id = `${library}!${workspace.number}`;
+            workspaceNames[workspace.number] = workspace.name;
+            workspaces.set(id, {
+                profile: {
+                    id: id,
+                    database: library,
+                    wstype: 'workspace',
+                    name: workspace.name,
+                    description: workspace.description,
+                    owner: workspace.owner,
+                    owner_description: workspace.owner,
+                    custom1: workspace.custom1,
+                    custom1_description: workspace.custom1_description,
+                    custom2: workspace.custom2,
+                    custom2_description: workspace.custom2_description,
+                    edit_date: workspace.edit_date,
+                    iwl: `iwl:dms=mock&&lib=${library}&&num=${workspace.number}`
+                },
+                folders: []
+            });
+
+            const addFolders = (entries, parentId, into) => {
+                for (const folder of entries || []) {
+                    const folderId = `${library}!${folder.number}`;
+                    into.push(folderId);
+                    const children = [];
+                    folders.set(folderId, {
+                        profile: {
+                            id: folderId,
+                            database: library,
+                            wstype: 'folder',
+                            folder_type: 'regular',
+                            name: folder.name,
+                            parent_id: parentId,
+                            workspace_id: id,
+                            has_subfolders: Boolean(folder.folders && folder.folders.length)
+                        },
+                        children: children,
+                        documents: (folder.documents || []).map(number => `${library}!${number}`)
+                    });
+                    addFolders(folder.folders, folderId, children);
+                }
+            };
+            addFolders(workspace.folders, id, workspaces.get(id).folders);
+        }
+
+        for (const doc of content.documents) {
+            const versions = doc.versions.map((version, index) => {
+                const file = path.join(FIXTURES_DIR, version.file);
+                return {
+                    id: `${library}!${doc.number}.${index + 1}`,
+                    database: library,
+                    document_number: doc.number,
+                    version: index + 1,
+                    name: doc.name,
+                    type: doc.type,
+                    type_description: doc.type_description,
+                    extension: doc.extension,
+                    size: fs.statSync(file).size,
+                    author: version.author,
+                    author_description: version.author,
+                    last_user: version.author,
+                    last_user_description: version.author,
+                    comment: version.comment,
+                    create_date: doc.versions[0].edit_date,
+                    edit_date: version.edit_date,
+                    workspace_id: `${library}!${doc.workspace}`,
+                    workspace_name: workspaceNames[doc.workspace],
+                    custom1_description: workspaces.get(`${library}!${doc.workspace}`).profile.custom1_description,
+                    custom2_description: workspaces.get(`${library}!${doc.workspace}`).profile.custom2_description,
+                    default_security: 'public',
+                    iwl: `iwl:dms=mock&&lib=${library}&&num=${doc.number}&&ver=${index + 1}`,
+                    body: doc.body,
+                    file: file
+                };
+            });
+            documents.set(`${library}!${doc.number}`, versions);
+        }
+    }
+
+    return { documents, workspaces, folders };
+}
+
+function publicProfile(doc) {
+    const { body, file, allowedUsers, ...profile } = doc;
+    return profile;
+}
+
+class MockIManage {
+    constructor({ catalog, tokenLifetime = 1800 } = {}) {
+        this.catalog = catalog || JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'catalog.json'), 'utf8'));
+        this.data = loadCatalog(this.catalog);
+        this.tokenLifetime = tokenLifetime;
+        this.tokens = new Map();
+        this.refreshTokens = new Map();
+        this.codes = new Map();
+        this.failures = [];
+        this.delays = [];
+        this.drops = [];
+        // Requests being answered right now, and the most seen at once
+        this.inFlight = 0;
+        this.peakInFlight = 0;
+        this.tokenRequests = [];
+        this.requests = [];
+        // User signed in when the connector redirects to /oauth2/authorize
+        this.interactiveUser = 'ALICE';
+        this.app = this.createApp();
+        this.server = null;
+    }
+
+    get url() {
+        return `http://127.0.0.1:${this.server.address().port}`;
+    }
+
+    get authUrlPrefix() {
+        return `${this.url}/auth`;
+    }
+
+    get urlPrefix() {
+        return `${this.url}/work`;
+    }
+
+    // Environment variables that point the connector at this mock
+    env() {
+        const serviceUser = this.catalog.users[0];
+        return {
+            AUTH_URL_PREFIX: this.authUrlPrefix,
+            URL_PREFIX: this.urlPrefix,
+            CUSTOMER_ID: String(this.catalog.customer_id),
+            LIBRARY_ID: Object.keys(this.catalog.libraries)[0],
+            _USERNAME: serviceUser.username,
+            PASSWORD: serviceUser.password,
+            CLIENT_ID: this.catalog.client.id,
+            CLIENT_SECRET: this.catalog.client.secret
+        };
+    }
+
+    start(port = 0) {
+        return new Promise((resolve, reject) => {
+            this.server = this.app.listen(port, '127.0.0.1', () => resolve(this.url));
+            this.server.once('error', reject);
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => {
+            if (!this.server) return resolve();
+            this.server.closeAllConnections();
+            this.server.close(() => resolve());
+        });
+    }
+
+    // Invalidate every access token issued so far, as if they had all expired
+    expireTokens() {
+        for (const token of this.tokens.values()) {
+            token.expires = 0;
+        }
+    }
+
+    // Answer the next `times` requests whose path contains `pathPart` with an error
+    failNext(pathPart, status, { times = 1, headers = {}, body } = {}) {
+        this.failures.push({ pathPart, status, times, headers, body });
+    }
+
+    // Hold the next `times` requests whose path contains `pathPart` for `ms` before answering
+    delayNext(pathPart, ms, { times = 1 } = {}) {
+        this.delays.push({ pathPart, ms, times });
+    }
+
+    // Cut the connection halfway through the body of the next `times` answers whose path
+    // contains `pathPart`, as iManage dropping a download part way would
+    dropNext(pathPart, { times = 1 } = {}) {
+        this.drops.push({ pathPart, times });
+    }
+
+    // Change profile fields of a document's latest version, e.g. { edit_date } to mark it edited
+    updateDocument(id, changes) {
+        const versions = this.data.documents.get(id.replace(/\.\d+$/, ''));
+        Object.assign(versions[versions.length - 1], changes);
+    }
+
+    deleteDocument(id) {
+        this.data.documents.delete(id.replace(/\.\d+$/, ''));
+    }
+
+    // Limit a document to the given users (null makes it public again)
+    secureDocument(id, users) {
+        for (const version of this.data.documents.get(id.replace(/\.\d+$/, ''))) {
+            version.allowedUsers = users;
+        }
+    }
+
+    canAccess(doc, user) {
+        return !doc.allowedUsers || doc.allowedUsers.includes(user);
+    }
+
+    issueToken(user, { refresh = false } = {}) {
+        const accessToken = crypto.randomBytes(16).toString('hex');
+        this.tokens.set(accessToken, { user, expires: Date.now() + this.tokenLifetime * 1000 });
+        const response = { access_token: accessToken, token_type: 'bearer', expires_in: this.tokenLifetime };
+        if (refresh) {
+            const refreshToken = crypto.randomBytes(16).toString('hex');
+            this.refreshTokens.set(refreshToken, user);
+            response.refresh_token = refreshToken;
+        }
+        return response;
+    }
+
+    createApp() {
+        const app = express();
+        app.use(express.json());
+        app.use(express.urlencoded({ extended: false }));
+
+        app.use((req, res, next) => {
+            req.logEntry = { method: req.method, path: req.path, user: null, requestId: req.get('X-Request-Id') || null, traceparent: req.get('traceparent') || null };
+            this.requests.push(req.logEntry);
+            this.inFlight += 1;
+            this.peakInFlight = Math.max(this.peakInFlight, this.inFlight);
+            res.once('close', () => {
+                this.inFlight -= 1;
+                // The client gave up before the answer was sent
+                if (!res.writableFinished) req.logEntry.aborted = true;
+            });
+            next();
+        });
+
+        app.use((req, res, next) => {
+            const delay = this.delays.find(d => req.path.includes(d.pathPart));
+            if (!delay) return next();
+            delay.times -= 1;
+            if (delay.times <= 0) {
+                this.delays.splice(this.delays.indexOf(delay), 1);
+            }
+            const timer = setTimeout(next, delay.ms);
+            res.once('close', () => clearTimeout(timer));
+        });
+
+        app.use((req, res, next) => {
+            const failure = this.failures.find(f => req.path.includes(f.pathPart));
+            if (!failure) return next();
+            failure.times -= 1;
+            if (failure.times <= 0) {
+                this.failures.splice(this.failures.indexOf(failure), 1);
+            }
+            res.set(failure.headers).status(failure.status).json(failure.body || { error: { code: 'MOCK_FAILURE', message: `Injected ${failure.status}` } });
+        });
+
+        app.use((req, res, next) => {
+            const drop = this.drops.find(d => req.path.includes(d.pathPart));
+            if (!drop) return next();
+            drop.times -= 1;
+            if (drop.times <= 0) {
+                this.drops.splice(this.drops.indexOf(drop), 1);
+            }
+            res.send = body => {
+                const data = Buffer.from(body);
+                res.setHeader('Content-Length', data.length);
+                res.write(data.subarray(0, Math.ceil(data.length / 2)), () => res.destroy());
+                return res;
+            };
+            next();
+        });
+
+        app.post('/auth/oauth2/token', (req, res) => this.token(req, res));
+        app.get('/auth/oauth2/authorize', (req, res) => this.authorize(req, res));
+
+        const work = express.Router();
+        work.use((req, res, next) => this.authenticate(req, res, next));
+        work.get('/api', (req, res) => res.json({ data: { user: { id: req.user } } }));
+
+        const library = express.Router({ mergeParams: true });
+        library.get('/documents', (req, res) => this.searchDocuments(req, res, req.query));
+        library.post('/documents/search', (req, res) => this.searchDocuments(req, res, { ...req.body.filters, ...req.body }));
+        library.get('/documents/:id', (req, res) => this.documentProfile(req, res));
+        library.get('/documents/:id/download', (req, res) => this.download(req, res));
+        library.get('/documents/:id/versions', (req, res) => this.versions(req, res));
+        library.get('/workspaces', (req, res) => this.searchWorkspaces(req, res));
+        library.get('/workspaces/:id', (req, res) => this.workspace(req, res));
+        library.get('/workspaces/:id/children', (req, res) => this.workspaceChildren(req, res));
+        library.get('/folders/:id', (req, res) => this.folder(req, res, folder => ({ data: folder.profile })));
+        library.get('/folders/:id/children', (req, res) => this.folder(req, res, folder => ({ data: folder.children.map(id => this.data.folders.get(id).profile) })));
+        library.get('/folders/:id/documents', (req, res) => this.folderDocuments(req, res));
+
+        work.use('/api/v2/customers/:customer/libraries/:library', (req, res, next) => {
+            if (String(req.params.customer) !== String(this.catalog.customer_id) || !this.catalog.libraries[req.params.library]) {
+                return this.notFound(res, `Unknown customer or library ${req.params.customer}/${req.params.library}`);
+            }
+            next();
+        }, library);
+
+        app.use('/work', work);
+        app.use((req, res) => this.notFound(res, `No mock route for ${req.method} ${req.path}`));
+        return app;
+    }
+
+    notFound(res, message) {
+        res.status(404).json({ error: { code: 'NOT_FOUND', message: message } });
+    }
+
+    forbidden(res, message) {
+        res.status(403).json({ error: { code: 'ACCESS_DENIED', message: message } });
+    }
+
+    token(req, res) {
+        const params = { ...req.query, ...req.body };
+        const client = this.catalog.client;
+        this.tokenRequests.push(params.grant_type);
+
+        if (params.client_id !== client.id || params.client_secret !== client.secret) {
+            return res.status(401).json({ error: 'invalid_client' });
+        }
+
+        switch (params.grant_type) {
+            case 'password': {
+                const user = this.catalog.users.find(u => u.username === params.username && u.password === params.password);
+                if (!user) {
+                    return res.status(401).json({ error: 'invalid_grant', error_description: 'Bad username or password' });
+                }
+                return res.json(this.issueToken(user.id));
+            }
+            case 'authorization_code': {
+                const user = this.codes.get(params.code);
+                this.codes.delete(params.code);
+                if (!user) {
+                    return res.status(400).json({ error: 'invalid_grant' });
+                }
+                return res.json(this.issueToken(user, { refresh: true }));
+            }
+            case 'refresh_token': {
+                const user = this.refreshTokens.get(params.refresh_token);
+                if (!user) {
+                    return res.status(400).json({ error: 'invalid_grant' });
+                }
+                // Like iManage, keep the refresh token and only issue a new access token
+                return res.json(this.issueToken(user));
+            }
+            default:
+                return res.status(400).json({ error: 'unsupported_grant_type' });
+        }
+    }
+
+    // Sign the interactive user in straight away and redirect back with a code
+    authorize(req, res) {
+        const { redirect_uri: redirectUri, state, client_id: clientId } = req.query;
+        if (clientId !== this.catalog.client.id || !redirectUri) {
+            return res.status(400).send('Invalid authorization request');
+        }
+        const code = crypto.randomBytes(8).toString('hex');
+        this.codes.set(code, this.interactiveUser);
+        const target = new URL(redirectUri);
+        target.searchParams.set('code', code);
+        if (state) target.searchParams.set('state', state);
+        res.redirect(target.href);
+    }
+
+    authenticate(req, res, next) {
+        const token = this.tokens.get(req.get('X-Auth-Token'));
+        if (!token || token.expires <= Date.now()) {
+            return res.status(401).json({ error: { code: 'INVALID_TOKEN', message: 'Missing, invalid or expired X-Auth-Token' } });
+        }
+        req.user = token.user;
+        req.logEntry.user = token.user;
+        next();
+    }
+
+    // Document versions of a library that `user` may see
+    libraryDocuments(library, user) {
+        const versions = [];
+        for (const [key, docVersions] of this.data.documents) {
+            if (key.startsWith(`${library}!`)) versions.push(...docVersions.filter(doc => this.canAccess(doc, user)));
+        }
+        return versions;
+    }
+
+    // Find a document version from an id such as ACTIVE!1002.2 (no version means latest)
+    findDocument(library, id) {
+        const [number, version] = String(id).replace(`${library}!`, '').split('.');
+        const versions = this.data.documents.get(`${library}!${number}`);
+        if (!versions) return null;
+        return version ? versions[Number(version) - 1] || null : versions[versions.length - 1];
+    }
+
+    page(res, items, query, toProfile) {
+        const offset = Number(query.offset) || 0;
+        const limit = Number(query.limit) || 25;
+        const body = { data: items.slice(offset, offset + limit).map(toProfile) };
+        if (String(query.total) === 'true') {
+            body.total_count = items.length;
+        }
+        res.json(body);
+    }
+
+    searchDocuments(req, res, query) {
+        let docs = this.libraryDocuments(req.params.library, req.user);
+        if (String(query.latest) === 'true') {
+            docs = docs.filter(doc => doc.version === this.data.documents.get(`${doc.database}!${doc.document_number}`).length);
+        }
+        for (const [filter, fields] of Object.entries(TEXT_FILTERS)) {
+            if (query[filter]) {
+                docs = docs.filter(doc => matches(fields(doc), query[filter]));
+            }
+        }
+        for (const field of ['type', 'custom1', 'custom2', 'extension']) {
+            if (query[field]) {
+                docs = docs.filter(doc => String(doc[field] || doc[`${field}_description`]).toLowerCase() === String(query[field]).toLowerCase());
+            }
+        }
+        if (query.edit_date_from) {
+            docs = docs.filter(doc => new Date(doc.edit_date) >= new Date(query.edit_date_from));
+        }
+        if (query.edit_date_to) {
+            docs = docs.filter(doc => new Date(doc.edit_date) <= new Date(query.edit_date_to));
+        }
+        this.page(res, docs, query, publicProfile);
+    }
+
+    documentProfile(req, res) {
+        const doc = this.findDocument(req.params.library, req.params.id);
+        if (!doc) return this.notFound(res, `Document ${req.params.id} not found`);
+        if (!this.canAccess(doc, req.user)) return this.forbidden(res, `Access to document ${req.params.id} is denied`);
+        res.json({ data: publicProfile(doc) });
+    }
+
+    download(req, res) {
+        const doc = this.findDocument(req.params.library, req.params.id);
+        if (!doc) return this.notFound(res, `Document ${req.params.id} not found`);
+        if (!this.canAccess(doc, req.user)) return this.forbidden(res, `Access to document ${req.params.id} is denied`);
+        res.type(CONTENT_TYPES[doc.extension] || 'application/octet-stream').send(fs.readFileSync(doc.file));
+    }
+
+    versions(req, res) {
+        const doc = this.findDocument(req.params.library, req.params.id);
+        if (!doc) return this.notFound(res, `Document ${req.params.id} not found`);
+        if (!this.canAccess(doc, req.user)) return this.forbidden(res, `Access to document ${req.params.id} is denied`);
+        const versions = this.data.documents.get(`${req.params.library}!${doc.document_number}`);
+        res.json({ data: versions.map(publicProfile) });
+    }
+
+    searchWorkspaces(req, res) {
+        let workspaces = [...this.data.workspaces.values()].map(w => w.profile).filter(w => w.database === req.params.library);
+        const query = req.query.anywhere || req.query.name;
+        if (query) {
+            workspaces = workspaces.filter(w => matches([w.name, w.description, w.custom1_description, w.custom2_description], query));
+        }
+        this.page(res, workspaces, req.query, profile => profile);
+    }
+
+    workspace(req, res) {
+        const workspace = this.data.workspaces.get(req.params.id);
+        if (!workspace) return this.notFound(res, `Workspace ${req.params.id} not found`);
+        res.json({ data: workspace.profile });
+    }
+
+    workspaceChildren(req, res) {
+        const workspace = this.data.workspaces.get(req.params.id);
+        if (!workspace) return this.notFound(res, `Workspace ${req.params.id} not found`);
+        res.json({ data: workspace.folders.map(id => this.data.folders.get(id).profile) });
+    }
+
+    folder(req, res, respond) {
+        const folder = this.data.folders.get(req.params.id);
+        if (!folder) return this.notFound(res, `Folder ${req.params.id} not found`);
+        res.json(respond(folder));
+    }
+
+    folderDocuments(req, res) {
+        const folder = this.data.folders.get(req.params.id);
+        if (!folder) return this.notFound(res, `Folder ${req.params.id} not found`);
+        const docs = folder.documents
+            .filter(key => this.data.documents.has(key))
+            .map(key => {
+                const versions = this.data.documents.get(key);
+                return versions[versions.length - 1];
+            })
+            .filter(doc => this.canAccess(doc, req.user));
+        this.page(res, docs, req.query, publicProfile);
+    }
+}
+
+module.exports = {
+    MockIManage
+};
+
+// `npm run mock` starts the stand-in and prints the settings for .env
+if (require.main === module) {
+    const mock = new MockIManage();
+    mock.start(parseInt(process.env.MOCK_IMANAGE_PORT, 10) || 4000).then(() => {
+        console.log(`🧪 Mock iManage Work API running at ${mock.url}`);
+        console.log('   Point the server at it with these .env settings:');
+        for (const [name, value] of Object.entries(mock.env())) {
+            console.log(`   ${name}=${value}`);
+        }
+    });
+}
@@ -1,58 +1,120 @@
+// In --stdio mode stdout carries MCP JSON-RPC messages, so every log line must go to stderr
+const STDIO_MODE = process.argv.includes('--stdio');
+if (STDIO_MODE) {
+    console.log = console.error;
+    console.info = console.error;
+}
+
 require('dotenv').config();
 
 const express = require('express');
 const axios = require('axios');
 const bodyParser = require('body-parser');
 const https = require('https');
+const { pipeline } = require('stream');
+const { createAuditLog } = require('./lib/audit');
+const { describeAuthScheme, loadAuthConfig, mountAuth, requireAdmin } = require('./lib/auth');
+const { createResponseCache } = require('./lib/cache');
+const { selectChunk } = require('./lib/chunk');
+const { bindCaller, bindRequest, getCaller, getRequestId } = require('./lib/context');
+const { IManageDelegation, UserTokenStore, delegationError } = require('./lib/delegation');
+const { LibraryRegistry, loadLibraryConfig } = require('./lib/libraries');
+const { extractText } = require('./lib/extract');
+const { FolderSource } = require('./lib/folder-source');
+const { createEmbedder } = require('./lib/embeddings');
+const { DEFAULT_RRF_K, fuseRankings, resolveWeights } = require('./lib/fusion');
+const { IManageClient } = require('./lib/imanage');
+const { Indexer } = require('./lib/indexer');
+const { logger } = require('./lib/logger');
+const { mountMcpRoutes, startStdioServer } = require('./lib/mcp');
+const { metrics } = require('./lib/metrics');
+const { decodeSearchCursor, encodeSearchCursor, initialPosition, pageCursor, startPosition } = require('./lib/pagination');
+const { findPassages, highlightPassages } = require('./lib/passages');
+const { disconnectSignal, runPool } = require('./lib/pool');
+const { createRateLimiter } = require('./lib/ratelimit');
+const { SemanticIndex } = require('./lib/semantic');
+const { IManageSource } = require('./lib/sources');
+const { flushTracing, startTracing, traceHttpCall, traceRequest, withSpan } = require('./lib/tracing');
+const { collectCircuitStates, createUpstreamPolicy, upstreamError } = require('./lib/upstream');
+const { compareTexts, parseDocumentId, summarizeVersion, versionId } = require('./lib/versions');
+
+const log = logger.child({ component: 'server' });
+
+// OpenTelemetry spans, exported when an OTLP endpoint is configured (OTEL_* settings)
+startTracing();
 
 const app = express();
 app.use(bodyParser.json());
 
-// Request logging middleware
+// Proxies in front of the server (TRUST_PROXY: how many, e.g. 1 behind Render's, or
+// their addresses), so req.ip is the client's address rather than the proxy's. Rate
+// limits key callers that are not signed in on it.
+const trustProxy = process.env.TRUST_PROXY || (process.env.RENDER ? '1' : '');
+if (trustProxy) {
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
+// Every request gets an id (X-Request-Id) that its log entries and iManage calls carry
+app.use(bindRequest);
+
+// ...and a server span, continuing the trace in the caller's traceparent header
+app.use(traceRequest);
+
+// Request logging middleware: one entry per request once it is answered. The path is
+// logged without its query string; bodies only at debug level, with search terms redacted.
+// The request is also counted and timed in /metrics under the route it matched (its
+// pattern, so ids in paths do not each get a series of their own).
 app.use((req, res, next) => {
-    const timestamp = new Date().toISOString();
-    const method = req.method;
-    const url = req.url;
-    const userAgent = req.get('User-Agent') || 'Unknown';
-    const origin = req.get('Origin') || 'No Origin';
-    
-    // Log all requests with details
-    console.log(`\n📡 [${timestamp}] ${method} ${url}`);
-    console.log(`   🌐 Origin: ${origin}`);
-    console.log(`   🤖 User-Agent: ${userAgent}`);
-    
-    // Log request body for POST requests
-    if (method === 'POST' && req.body && Object.keys(req.body).length > 0) {
-        console.log(`   📤 Body: ${JSON.stringify(req.body, null, 2)}`);
-    }
-    
-    // Log query parameters if present
-    if (Object.keys(req.query).length > 0) {
-        console.log(`   🔍 Query: ${JSON.stringify(req.query)}`);
+    const started = Date.now();
+    const endTimer = metrics.httpRequestDuration.startTimer({ method: req.method });
+    const requestId = res.getHeader('X-Request-Id');
+
+    if (req.method === 'POST' && req.body && Object.keys(req.body).length > 0) {
+        log.debug('Request body', { method: req.method, path: req.path, body: req.body });
     }
-    
-    // Track response
-    const originalSend = res.send;
-    res.send = function(data) {
-        console.log(`   ✅ Response: ${res.statusCode} (${typeof data === 'string' ? data.length : JSON.stringify(data).length} chars)`);
-        originalSend.call(this, data);
-    };
-    
+
+    // The response may finish outside the request's context, so pass its id along
+    res.once('close', () => {
+        const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+        metrics.httpRequests.inc({ method: req.method, route: route, status: res.statusCode });
+        endTimer({ route: route });
+        log.info('Request', {
+            request_id: requestId,
+            method: req.method,
+            path: req.path,
+            status: res.statusCode,
+            duration_ms: Date.now() - started,
+            ...(res.writableFinished ? {} : { aborted: true }),
+            origin: req.get('Origin'),
+            user_agent: req.get('User-Agent')
+        });
+    });
+
     next();
 });
 
+// Allowed browser origins, comma separated (CORS_ORIGINS); defaults to any origin
+const corsOrigins = (process.env.CORS_ORIGINS || '*').split(',').map(origin => origin.trim()).filter(Boolean);
+
 // CORS headers and Content-Type for OpenAI Connector
 app.use((req, res, next) => {
     // Set CORS headers
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+    const origin = req.get('Origin');
+    if (corsOrigins.includes('*')) {
+        res.header('Access-Control-Allow-Origin', '*');
+    } else if (origin && corsOrigins.includes(origin)) {
+        res.header('Access-Control-Allow-Origin', origin);
+        res.header('Vary', 'Origin');
+    }
+    res.header('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, X-Request-Id, traceparent, tracestate, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID');
+    res.header('Access-Control-Expose-Headers', 'Mcp-Session-Id, WWW-Authenticate, X-Request-Id, Retry-After');
     
     // Set default Content-Type for JSON responses
     res.header('Content-Type', 'application/json');
     
     if (req.method === 'OPTIONS') {
-        console.log(`   🔧 OPTIONS preflight request handled`);
+        log.debug('OPTIONS preflight request handled', { path: req.path });
         res.sendStatus(200);
     } else {
         next();
@@ -64,17 +126,311 @@ const PORT = process.env.PORT || 3000;
 // HTTPS agent to handle self-signed certs in test environments
 const httpsAgent = new https.Agent({ rejectUnauthorized: false });
 
-console.log('🚀 Starting iManage MCP Server...');
-console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-console.log(`🌐 Port: ${PORT}`);
-console.log(`📁 iManage Library: ${process.env.LIBRARY_ID || 'Not configured'}`);
+// Named iManage libraries (config.yml), or the single CUSTOMER_ID / LIBRARY_ID library
+const libraries = new LibraryRegistry(loadLibraryConfig());
+
+// iManage tokens per user: the service account of each tenant, plus each delegated
+// user when IMANAGE_AUTH_MODE=delegated so searches and downloads respect their own ACLs
+const tokenStore = new UserTokenStore();
+
+// Timeouts, retries and circuit breakers for every iManage call (UPSTREAM_* settings)
+const upstream = createUpstreamPolicy();
+
+// Document source per library. Routes and MCP tools reach the repository only through
+// these (search, getDetails, download, list), never by calling iManage directly.
+function createSource(library) {
+    if (library.type === 'folder') {
+        return new FolderSource(library);
+    }
+    return new IManageSource(library, new IManageClient(library, { getAccessToken, invalidateToken: invalidateAccessToken, httpsAgent, upstream }));
+}
+
+const sources = new Map(libraries.libraries.map(library => [library.name, createSource(library)]));
+
+function sourceFor(library) {
+    return sources.get(library.name);
+}
+
+// Vector index behind the semantic and hybrid search types, with the embedding model
+// chosen by EMBEDDING_PROVIDER, and the indexer that syncs it with each library.
+// INDEX_PATH persists both; INDEX_SYNC_INTERVAL_SECONDS syncs in the background,
+// otherwise a library is synced on its first semantic search and when it goes stale.
+// Semantic and hybrid searches of a library answer 503 until its first sync finishes.
+const semanticIndex = new SemanticIndex({
+    embedder: createEmbedder(),
+    minScore: process.env.SEMANTIC_MIN_SCORE !== undefined ? Number(process.env.SEMANTIC_MIN_SCORE) : 0.2
+});
+const indexer = new Indexer({
+    index: semanticIndex,
+    libraries: libraries.libraries,
+    sourceFor: sourceFor,
+    loadText: (library, doc) => loadDocumentText(library, doc),
+    path: process.env.INDEX_PATH,
+    intervalSeconds: parseInt(process.env.INDEX_SYNC_INTERVAL_SECONDS, 10) || 0,
+    refreshSeconds: parseInt(process.env.SEMANTIC_REFRESH_SECONDS, 10) || 600,
+    fullSyncSeconds: (parseFloat(process.env.INDEX_FULL_SYNC_HOURS) || 24) * 3600,
+    maxDocuments: parseInt(process.env.SEMANTIC_MAX_DOCUMENTS, 10) || 5000
+});
+indexer.load();
+
+// Search responses, document profiles and extracted text, cached per caller (CACHE_* settings)
+const responseCache = createResponseCache();
+
+// Who searched for what and which documents they opened (AUDIT_* settings)
+const auditLog = createAuditLog();
+
+// Requests per minute and daily download volume per client (RATE_LIMIT_* and DOWNLOAD_QUOTA_* settings)
+const rateLimiter = createRateLimiter();
+
+// Inbound authentication: API keys and/or the OAuth 2.1 authorization server.
+// Discovery and monitoring routes (/, /health, /livez, /readyz, /metrics, /tools,
+// /openapi.json, /.well-known/*) stay public.
+const authConfig = loadAuthConfig();
+const authScheme = describeAuthScheme(authConfig);
+const delegation = authConfig.delegated ? new IManageDelegation({
+    authUrlPrefix: libraries.defaultTenant.authUrlPrefix,
+    urlPrefix: libraries.defaultTenant.urlPrefix,
+    clientId: libraries.defaultTenant.clientId,
+    clientSecret: libraries.defaultTenant.clientSecret,
+    redirectUri: process.env.IMANAGE_REDIRECT_URI || new URL('/oauth/imanage/callback', authConfig.issuerUrl).href,
+    scope: process.env.IMANAGE_OAUTH_SCOPE || 'user',
+    httpsAgent,
+    tokenStore,
+    timeout: upstream.timeoutMs
+}) : null;
+const requireAuth = mountAuth(app, authConfig, delegation);
+
+app.use([
+    '/search',
+    '/search-by-title',
+    '/search-by-keywords',
+    '/search-advanced',
+    '/batch-search',
+    '/fetch',
+    '/fetch-document',
+    '/download-document',
+    '/get-document-details',
+    '/list-workspaces',
+    '/get-workspace',
+    '/list-folder-children',
+    '/list-folder-documents',
+    '/list-versions',
+    '/compare-versions',
+    '/mcp',
+    '/sse',
+    '/messages'
+], requireAuth, bindCaller);
+
+// Rate limits per client and group of routes; the MCP tools take theirs in auditedTool.
+// Routes that return document content also need download quota left.
+app.use(['/search', '/search-by-title', '/search-by-keywords', '/search-advanced', '/batch-search'],
+    rateLimiter.middleware('search', { cost: req => searchCost(req.body || {}) }));
+app.use(['/fetch', '/fetch-document', '/download-document', '/compare-versions'], rateLimiter.middleware('documents', { quota: true }));
+app.use('/get-document-details', rateLimiter.middleware('documents'));
+app.use(['/list-workspaces', '/get-workspace', '/list-folder-children', '/list-folder-documents', '/list-versions'], rateLimiter.middleware('browse'));
+
+// Searches one request makes against the rate limit: each sub-search of a batch, and
+// each strategy a fused (batch or hybrid) search fans out to
+function searchCost(args) {
+    if (Array.isArray(args.searches)) {
+        return Math.max(args.searches.length, 1);
+    }
+    if (Object.hasOwn(FUSED_SEARCHES, args.search_type)) {
+        let weights = FUSED_SEARCHES[args.search_type].weights;
+        try {
+            weights = resolveFusionWeights(args.search_type, args.weights);
+        } catch (error) {
+            // Invalid weights are refused by the search itself; it costs what the defaults would
+        }
+        return Object.values(weights).filter(weight => weight > 0).length;
+    }
+    return 1;
+}
+
+// Rate limit group of each MCP tool, and the tools returning document content
+const TOOL_LIMITS = {
+    search: 'search',
+    fetch: 'documents',
+    compare_versions: 'documents',
+    list_workspaces: 'browse',
+    get_workspace: 'browse',
+    list_folder_children: 'browse',
+    list_folder_documents: 'browse',
+    list_versions: 'browse'
+};
+const QUOTA_TOOLS = ['fetch', 'compare_versions'];
+
+// What the audit log keeps of a search or document access: the search terms as `query`,
+// the other arguments as `filters` (cursors are opaque and left out), the ids of the
+// documents a search or listing `returned`, and the `documents` opened, with their
+// version and how they were opened (content, metadata, a download of the file or the
+// passages a search quoted from it)
+function auditArguments({ query, title, keywords, cursor, ...filters }) {
+    return { query: query || title || keywords || null, filters: filters };
+}
+
+function resultIds(results) {
+    return (results || []).map(doc => doc.id);
+}
+
+function openedDocument(id, version, access) {
+    if (!id) return [];
+    const parsed = parseDocumentId(id);
+    const number = Number(version) || parsed.version;
+    return [{ id: number ? `${parsed.base}.${number}` : String(id), version: number, access: access }];
+}
 
-// Token cache to avoid re-authentication for each request
-let tokenCache = {
-    token: null,
-    expires: null
+// Per tool or route: what it returned and opened, from its arguments and its result.
+// The result is undefined when the call failed, so only what was asked for is recorded.
+const AUDIT_RESULTS = {
+    search: (args, result) => ({
+        returned: resultIds(result && result.results),
+        documents: ((result && result.results) || [])
+            .filter(doc => doc.passages && doc.passages.length > 0)
+            .flatMap(doc => openedDocument(doc.id, null, 'passages'))
+    }),
+    fetch: (args, result) => ({
+        documents: openedDocument(result ? result.id : args.id, result ? result.metadata.version : args.version,
+            args.include_content === false ? 'metadata' : args.include_base64 ? 'download' : 'content')
+    }),
+    list_workspaces: () => ({}),
+    get_workspace: () => ({}),
+    list_folder_children: () => ({}),
+    list_folder_documents: (args, result) => ({ returned: resultIds(result && result.results) }),
+    list_versions: (args, result) => ({ returned: resultIds(result && result.versions) }),
+    compare_versions: (args, result) => ({
+        documents: result
+            ? [result.from, result.to].flatMap(version => openedDocument(version.id, version.version, 'content'))
+            : openedDocument(args.id, null, 'content')
+    }),
+    'search-by-title': (args, result) => ({ returned: resultIds(result && result.results) }),
+    'search-by-keywords': (args, result) => ({ returned: resultIds(result && result.results) }),
+    'search-advanced': (args, result) => ({ returned: resultIds(result && result.results) }),
+    'batch-search': (args, result) => ({ returned: result ? result.results.flatMap(search => resultIds(search.results)) : [] }),
+    'download-document': args => ({ documents: openedDocument(args.docId, null, 'download') }),
+    'get-document-details': (args, result) => ({ documents: openedDocument(args.docId, result && result.details.version, 'metadata') }),
+    'fetch-document': args => ({ documents: openedDocument(args.docId, null, 'download') })
 };
 
+// Record a finished search or document access in the audit log and in /metrics
+function recordAudit(tool, args, { result, status = 200, error = null, cancelled = false, started }, caller) {
+    let outcome = 'error';
+    if (cancelled) {
+        outcome = 'cancelled';
+    } else if (status < 400) {
+        outcome = 'success';
+    } else if (status === 401 || status === 403) {
+        outcome = 'denied';
+    }
+
+    metrics.toolCalls.inc({ tool: tool, outcome: outcome });
+    metrics.toolCallDuration.observe({ tool: tool }, (Date.now() - started) / 1000);
+
+    auditLog.record({
+        tool: tool,
+        ...auditArguments(args),
+        returned: [],
+        documents: [],
+        ...AUDIT_RESULTS[tool](args, outcome === 'success' ? result : undefined),
+        outcome: outcome,
+        status: status,
+        error: error,
+        duration_ms: Date.now() - started
+    }, caller);
+}
+
+// Audit middleware for a route: records the request and the JSON it answered with once
+// the response is sent, or the request as cancelled if the client went away first
+function auditRoute(tool) {
+    return (req, res, next) => {
+        const started = Date.now();
+        const caller = getCaller();
+        let body;
+        const json = res.json;
+        res.json = function (data) {
+            body = data;
+            return json.call(this, data);
+        };
+
+        res.once('close', () => {
+            recordAudit(tool, req.body || {}, {
+                result: body,
+                status: res.statusCode,
+                error: res.statusCode >= 400 && body ? body.message || body.error || null : null,
+                cancelled: !res.writableFinished,
+                started: started
+            }, caller);
+        });
+        next();
+    };
+}
+
+// MCP tool handler that applies the caller's rate limit, traces each call in a span and
+// records it in the audit log
+function auditedTool(name, handler) {
+    return (args, options = {}) => withSpan(`tool ${name}`, { 'mcp.tool.name': name }, async () => {
+        const started = Date.now();
+        try {
+            if (QUOTA_TOOLS.includes(name)) {
+                rateLimiter.checkQuota();
+            }
+            rateLimiter.take(TOOL_LIMITS[name], name === 'search' ? searchCost(args) : 1);
+            const result = await handler(args, options);
+            recordAudit(name, args, { result: result, started: started });
+            return result;
+        } catch (error) {
+            recordAudit(name, args, {
+                status: error.status || 500,
+                error: error.message,
+                cancelled: Boolean(options.signal && options.signal.aborted),
+                started: started
+            });
+            throw error;
+        }
+    });
+}
+
+// /fetch limits: each returned chunk is capped at MAX_CHUNK_CHARS and flagged above
+// LARGE_CHUNK_CHARS; downloads above LARGE_DOWNLOAD_SIZE bytes get a longer timeout
+const MAX_CHUNK_CHARS = parseInt(process.env.FETCH_MAX_CHUNK_CHARS, 10) || 2000000;
+const LARGE_CHUNK_CHARS = parseInt(process.env.FETCH_LARGE_CHUNK_CHARS, 10) || 500000;
+const LARGE_DOWNLOAD_SIZE = 500000;
+const LARGE_DOWNLOAD_TIMEOUT = parseInt(process.env.FETCH_DOWNLOAD_TIMEOUT_MS, 10) || 120000;
+
+// Batch searches run at most BATCH_CONCURRENCY searches at once, each given up to
+// BATCH_SEARCH_TIMEOUT ms before it is abandoned and reported as failed
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 4;
+const BATCH_SEARCH_TIMEOUT = parseInt(process.env.BATCH_SEARCH_TIMEOUT_MS, 10) || 30000;
+
+// Documents larger than this are left out of the semantic index
+const SEMANTIC_MAX_DOCUMENT_BYTES = parseInt(process.env.SEMANTIC_MAX_DOCUMENT_BYTES, 10) || 20000000;
+// Search results larger than this get no matching passages unless the semantic index has them
+const PASSAGES_MAX_DOCUMENT_BYTES = parseInt(process.env.PASSAGES_MAX_DOCUMENT_BYTES, 10) || 5000000;
+
+// Workspace trees are expanded at most MAX_TREE_DEPTH levels and MAX_TREE_FOLDERS folders
+const MAX_TREE_DEPTH = 3;
+const MAX_TREE_FOLDERS = 500;
+// Most results one search may ask for
+const MAX_SEARCH_LIMIT = 200;
+
+// Every route and tool that takes a `limit` checks it here before it reaches iManage
+function searchLimit(limit) {
+    const pageSize = Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_SEARCH_LIMIT) {
+        const error = new Error(`limit must be an integer from 1 to ${MAX_SEARCH_LIMIT}`);
+        error.status = 400;
+        throw error;
+    }
+    return pageSize;
+}
+
+log.info('Starting iManage MCP Server', {
+    environment: process.env.NODE_ENV || 'development',
+    port: PORT,
+    libraries: libraries.libraries.map(l => l.name),
+    default_library: libraries.defaultLibrary.name
+});
+
 // Helper function to format file sizes
 function formatFileSize(bytes) {
     if (bytes === 0) return '0 B';
@@ -84,26 +440,59 @@ function formatFileSize(bytes) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
 }
 
-// Authenticate and get access token
-async function getAccessToken() {
+// Authenticate and get an access token for the current caller on a tenant.
+// Delegated callers get their own iManage token; everyone else (and stdio mode,
+// which has no caller) uses the tenant's service account.
+async function getAccessToken(tenant = libraries.defaultTenant) {
+    const caller = getCaller();
+
+    if (delegation && caller && caller.user) {
+        if (caller.authType !== 'api_key') {
+            if (tenant !== libraries.defaultTenant) {
+                throw delegationError(`Delegated iManage access is only available on tenant ${libraries.defaultTenant.name}`, 403);
+            }
+            return delegation.getAccessToken(caller.user);
+        }
+        if (process.env.IMANAGE_API_KEY_SERVICE_ACCOUNT !== 'true') {
+            throw delegationError('API key callers have no iManage delegation; set IMANAGE_API_KEY_SERVICE_ACCOUNT=true to let them use the service account', 403);
+        }
+    }
+
+    return getServiceAccountToken(tenant);
+}
+
+// Forget a token iManage rejected before its cached expiry, so the next getAccessToken
+// signs the service account in again or refreshes the delegated user's token
+function invalidateAccessToken(tenant, token) {
+    const caller = getCaller();
+    const delegated = delegation && caller && caller.user && caller.authType !== 'api_key';
+    tokenStore.expire(delegated ? caller.user : `${UserTokenStore.SERVICE_ACCOUNT}:${tenant.name}`, token);
+}
+
+// Authenticate a tenant's shared service account with the password grant
+async function getServiceAccountToken(tenant) {
+    const tokenKey = `${UserTokenStore.SERVICE_ACCOUNT}:${tenant.name}`;
+
     // Check if we have a valid cached token
-    if (tokenCache.token && tokenCache.expires && new Date() < tokenCache.expires) {
-        console.log('✅ Using cached access token');
-        return tokenCache.token;
+    const cached = tokenStore.get(tokenKey);
+    if (tokenStore.isValid(cached)) {
+        log.debug('Using cached iManage access token', { tenant: tenant.name });
+        return cached.token;
     }
 
-    console.log('🔐 Authenticating to iManage...');
+    log.info('Signing in to iManage', { tenant: tenant.name });
     
-    const rawBody = `username=${process.env._USERNAME}&` +
-                    `password=${process.env.PASSWORD}&` +
+    const rawBody = `username=${tenant.username}&` +
+                    `password=${tenant.password}&` +
                     `grant_type=password&` +
-                    `client_id=${process.env.CLIENT_ID}&` +
-                    `client_secret=${process.env.CLIENT_SECRET}`;
+                    `client_id=${tenant.clientId}&` +
+                    `client_secret=${tenant.clientSecret}`;
 
     try {
-        const tokenUrl = `${process.env.AUTH_URL_PREFIX}/oauth2/token?scope=admin`;
+        const tokenUrl = `${tenant.authUrlPrefix}/oauth2/token?scope=admin`;
+        const requestId = getRequestId();
         
-        const authResponse = await axios.post(
+        const authResponse = await traceHttpCall('iManage POST /oauth2/token', { 'imanage.tenant': tenant.name, 'imanage.grant_type': 'password' }, traceHeaders => axios.post(
             tokenUrl,
             rawBody,
             {
@@ -111,79 +500,70 @@ async function getAccessToken() {
                     'Content-Type': 'application/x-www-form-urlencoded',
                     'Accept': '*/*',
                     'Accept-Encoding': 'gzip, deflate, br',
-                    'Connection': 'keep-alive'
+                    'Connection': 'keep-alive',
+                    ...(requestId ? { 'X-Request-Id': requestId } : {}),
+                    ...traceHeaders
                 },
-                httpsAgent
+                httpsAgent,
+                timeout: upstream.timeoutMs
             }
-        );
+        ));
 
+        metrics.tokenRequests.inc({ grant: 'password', outcome: 'success' });
         const accessToken = authResponse.data.access_token;
         const expiresIn = authResponse.data.expires_in || 1800; // Default to 30 minutes
         
-        // Cache the token with expiry (subtract 60 seconds for safety margin)
-        tokenCache.token = accessToken;
-        tokenCache.expires = new Date(Date.now() + (expiresIn - 60) * 1000);
+        // Cache the token with expiry (the store subtracts 60 seconds for safety margin)
+        tokenStore.set(tokenKey, { accessToken, expiresIn });
         
-        console.log('✅ Authentication successful');
+        log.info('Signed in to iManage', { tenant: tenant.name });
         return accessToken;
         
     } catch (error) {
-        console.error('❌ Authentication failed:', error.message);
+        metrics.tokenRequests.inc({ grant: 'password', outcome: 'failure' });
+        log.error('iManage sign-in failed', { tenant: tenant.name, error: error });
+        // Rejected credentials are our misconfiguration, not the caller's: report a bad gateway
+        if (error.response && [400, 401].includes(error.response.status)) {
+            throw upstreamError(`iManage rejected the service account credentials of tenant ${tenant.name}`, 502, { cause: error });
+        }
         throw error;
     }
 }
 
 // Search documents using title search
-app.post('/search-by-title', async (req, res) => {
-    const { title, limit = 50 } = req.body;
+app.post('/search-by-title', auditRoute('search-by-title'), async (req, res) => {
+    const { title, limit = 50, library: libraryName, cursor, offset } = req.body;
 
     if (!title) {
         return res.status(400).json({ error: 'Missing required field: title' });
     }
 
     try {
-        console.log(`\n=== Title Search Request: "${title}" ===`);
-        
-        const accessToken = await getAccessToken();
-        
-        // Use GET endpoint for title search
-        const searchUrl = `${process.env.URL_PREFIX}/api/v2/customers/${process.env.CUSTOMER_ID}/libraries/${process.env.LIBRARY_ID}/documents`;
-        
-        console.log(`🔍 Searching by title: ${searchUrl}`);
-        
-        const searchResponse = await axios.get(searchUrl, {
-            headers: {
-                'X-Auth-Token': accessToken
-            },
-            params: {
-                title: title,
-                limit: limit,
-                latest: true // Only get latest versions
-            },
-            httpsAgent
-        });
-
-        console.log(`✅ Found ${searchResponse.data.data?.length || 0} documents`);
+        log.info('Title search', { title: title, library: libraryName });
         
-        // Handle different possible response structures from iManage
-        const iManageData = searchResponse.data.data || searchResponse.data.results || searchResponse.data || [];
-        const results = Array.isArray(iManageData) ? iManageData : (iManageData.results || []);
-        const total = searchResponse.data.total || searchResponse.data.count || results.length || 0;
+        const library = libraries.assertAllowed(libraries.resolve(libraryName), getCaller());
+        const pageSearch = { route: 'title', title: title, library: library.name };
+        const position = startPosition({ cursor, offset }, pageSearch);
+        const page = await sourceFor(library).search({ title: title }, { limit: searchLimit(limit), position });
         
-        console.log(`✅ Found ${results.length} documents`);
+        log.info('Title search completed', { library: library.name, results: page.results.length });
         
         res.json({
             success: true,
             searchType: 'title',
             searchTerm: title,
-            results: results, // Return flat array, not nested object
-            total: total,
-            rawResponseKeys: Object.keys(searchResponse.data) // Debug info
+            library: library.name,
+            results: page.results, // Return flat array, not nested object
+            total: page.total,
+            offset: page.offset,
+            next_cursor: pageCursor(page, pageSearch),
+            has_more: Boolean(page.next),
+            rawResponseKeys: page.responseKeys // Debug info
         });
 
     } catch (error) {
-        console.error('\n❌ Error in title search:', error.message);
-        res.status(500).json({
+        log.error('Title search failed', { status: error.status, error: error });
+        res.status(error.status || 500).json({
             error: 'Title search failed',
             message: error.message,
             searchTerm: title
@@ -192,75 +572,40 @@ app.post('/search-by-title', async (req, res) => {
 });
 
 // Search documents using keyword search (body content)
-app.post('/search-by-keywords', async (req, res) => {
-    const { keywords, searchIn = 'anywhere', limit = 50 } = req.body;
+app.post('/search-by-keywords', auditRoute('search-by-keywords'), async (req, res) => {
+    const { keywords, searchIn = 'anywhere', limit = 50, library: libraryName, cursor, offset } = req.body;
 
     if (!keywords) {
         return res.status(400).json({ error: 'Missing required field: keywords' });
     }
 
     try {
-        console.log(`\n=== Keyword Search Request: "${keywords}" in "${searchIn}" ===`);
-        
-        const accessToken = await getAccessToken();
-        
-        // Use GET endpoint for keyword search
-        const searchUrl = `${process.env.URL_PREFIX}/api/v2/customers/${process.env.CUSTOMER_ID}/libraries/${process.env.LIBRARY_ID}/documents`;
-        
-        console.log(`🔍 Searching by keywords: ${searchUrl}`);
-        
-        const params = {
-            limit: limit,
-            latest: true
-        };
-
-        // Set the appropriate search parameter based on searchIn value
-        switch (searchIn) {
-            case 'body':
-                params.body = keywords;
-                break;
-            case 'comments':
-                params.comments = keywords;
-                break;
-            case 'title':
-                params.title = keywords;
-                break;
-            case 'anywhere':
-            default:
-                params.anywhere = keywords;
-                break;
-        }
-        
-        const searchResponse = await axios.get(searchUrl, {
-            headers: {
-                'X-Auth-Token': accessToken
-            },
-            params: params,
-            httpsAgent
-        });
-
-        console.log(`✅ Found ${searchResponse.data.data?.length || 0} documents`);
+        log.info('Keyword search', { keywords: keywords, search_in: searchIn, library: libraryName });
         
-        // Handle different possible response structures from iManage
-        const iManageData = searchResponse.data.data || searchResponse.data.results || searchResponse.data || [];
-        const results = Array.isArray(iManageData) ? iManageData : (iManageData.results || []);
-        const total = searchResponse.data.total || searchResponse.data.count || results.length || 0;
+        const library = libraries.assertAllowed(libraries.resolve(libraryName), getCaller());
+        const pageSearch = { route: 'keywords', keywords: keywords, searchIn: searchIn, library: library.name };
+        const position = startPosition({ cursor, offset }, pageSearch);
+        const page = await sourceFor(library).search({ keywords: keywords, searchIn: searchIn }, { limit: searchLimit(limit), position });
         
-        console.log(`✅ Found ${results.length} documents`);
+        log.info('Keyword search completed', { library: library.name, results: page.results.length });
         
         res.json({
             success: true,
             searchType: 'keywords',
             searchIn: searchIn,
+            library: library.name,
             searchTerm: keywords,
-            results: results, // Return flat array, not nested object
-            total: total,
-            rawResponseKeys: Object.keys(searchResponse.data) // Debug info
+            results: page.results, // Return flat array, not nested object
+            total: page.total,
+            offset: page.offset,
+            next_cursor: pageCursor(page, pageSearch),
+            has_more: Boolean(page.next),
+            rawResponseKeys: page.responseKeys // Debug info
         });
 
     } catch (error) {
-        console.error('\n❌ Error in keyword search:', error.message);
-        res.status(500).json({
+        log.error('Keyword search failed', { status: error.status, error: error });
+        res.status(error.status || 500).json({
             error: 'Keyword search failed',
             message: error.message,
             searchTerm: keywords
@@ -269,63 +614,39 @@ app.post('/search-by-keywords', async (req, res) => {
 });
 
 // Advanced search using POST endpoint for complex queries
-app.post('/search-advanced', async (req, res) => {
-    const { filters, profileFields, limit = 50 } = req.body;
+app.post('/search-advanced', auditRoute('search-advanced'), async (req, res) => {
+    const { filters, profileFields, limit = 50, library: libraryName, cursor, offset } = req.body;
 
     if (!filters || Object.keys(filters).length === 0) {
         return res.status(400).json({ error: 'Missing required field: filters' });
     }
 
     try {
-        console.log(`\n=== Advanced Search Request ===`);
-        console.log('Filters:', JSON.stringify(filters, null, 2));
-        
-        const accessToken = await getAccessToken();
-        
-        // Use POST endpoint for advanced search
-        const searchUrl = `${process.env.URL_PREFIX}/api/v2/customers/${process.env.CUSTOMER_ID}/libraries/${process.env.LIBRARY_ID}/documents/search`;
-        
-        console.log(`🔍 Advanced search: ${searchUrl}`);
-        
-        const requestBody = {
-            limit: limit,
-            filters: filters
-        };
-
-        // Add profile fields if specified
-        if (profileFields) {
-            requestBody.profile_fields = profileFields;
-        }
-        
-        const searchResponse = await axios.post(searchUrl, requestBody, {
-            headers: {
-                'X-Auth-Token': accessToken,
-                'Content-Type': 'application/json'
-            },
-            httpsAgent
-        });
-
-        console.log(`✅ Found ${searchResponse.data.data?.length || 0} documents`);
+        log.info('Advanced search', { filters: filters, library: libraryName });
         
-        // Handle different possible response structures from iManage
-        const iManageData = searchResponse.data.data || searchResponse.data.results || searchResponse.data || [];
-        const results = Array.isArray(iManageData) ? iManageData : (iManageData.results || []);
-        const total = searchResponse.data.total || searchResponse.data.count || results.length || 0;
+        const library = libraries.assertAllowed(libraries.resolve(libraryName), getCaller());
+        const pageSearch = { route: 'advanced', filters: filters, profileFields: profileFields || null, library: library.name };
+        const position = startPosition({ cursor, offset }, pageSearch);
+        const page = await sourceFor(library).search({ filters: filters, profileFields: profileFields }, { limit: searchLimit(limit), position });
         
-        console.log(`✅ Found ${results.length} documents`);
+        log.info('Advanced search completed', { library: library.name, results: page.results.length });
         
         res.json({
             success: true,
             searchType: 'advanced',
             filters: filters,
-            results: results, // Return flat array, not nested object
-            total: total,
-            rawResponseKeys: Object.keys(searchResponse.data) // Debug info
+            library: library.name,
+            results: page.results, // Return flat array, not nested object
+            total: page.total,
+            offset: page.offset,
+            next_cursor: pageCursor(page, pageSearch),
+            has_more: Boolean(page.next),
+            rawResponseKeys: page.responseKeys // Debug info
         });
 
     } catch (error) {
-        console.error('\n❌ Error in advanced search:', error.message);
-        res.status(500).json({
+        log.error('Advanced search failed', { status: error.status, error: error });
+        res.status(error.status || 500).json({
             error: 'Advanced search failed',
             message: error.message,
             filters: filters
@@ -334,52 +655,49 @@ app.post('/search-advanced', async (req, res) => {
 });
 
 // Download and read document content
-app.post('/download-document', async (req, res) => {
-    const { docId, returnContent = false } = req.body;
+app.post('/download-document', auditRoute('download-document'), async (req, res) => {
+    const { docId, returnContent = false, library: libraryName } = req.body;
 
     if (!docId) {
         return res.status(400).json({ error: 'Missing required field: docId' });
     }
 
     try {
-        console.log(`\n=== Document Download Request: ${docId} ===`);
-        
-        const accessToken = await getAccessToken();
-        
-        // Download document
-        const downloadUrl = `${process.env.URL_PREFIX}/api/v2/customers/${process.env.CUSTOMER_ID}/libraries/${process.env.LIBRARY_ID}/documents/${docId}/download`;
-        console.log(`📥 Downloading from: ${downloadUrl}`);
+        const library = libraries.assertAllowed(libraries.forDocument(docId, libraryName), getCaller());
+        log.info('Document download', { doc_id: docId, library: library.name });
+        const download = await sourceFor(library).download(docId, { stream: !returnContent });
 
-        const downloadResponse = await axios.get(downloadUrl, {
-            headers: {
-                'X-Auth-Token': accessToken
-            },
-            responseType: returnContent ? 'arraybuffer' : 'stream',
-            httpsAgent
-        });
-
-        console.log('✅ Document downloaded successfully');
+        log.info('Document downloaded', { doc_id: docId });
         
         if (returnContent) {
+            rateLimiter.addDownload(download.buffer.length);
             // Return the content as base64 for text processing
-            const buffer = Buffer.from(downloadResponse.data);
             res.json({
                 success: true,
                 docId: docId,
-                contentType: downloadResponse.headers['content-type'] || 'application/octet-stream',
-                size: buffer.length,
-                content: buffer.toString('base64')
+                contentType: download.contentType,
+                size: download.buffer.length,
+                content: download.buffer.toString('base64')
             });
         } else {
             // Return the document as a file download
-            res.setHeader('Content-Type', downloadResponse.headers['content-type'] || 'application/pdf');
+            res.setHeader('Content-Type', download.contentType);
             res.setHeader('Content-Disposition', `attachment; filename="document-${docId}.pdf"`);
-            res.send(downloadResponse.data);
+            const caller = getCaller();
+            download.stream.on('data', chunk => rateLimiter.addDownload(chunk.length, caller));
+            // When iManage drops the download part way, the client's response is cut off too
+            // rather than finishing as if the file were complete
+            pipeline(download.stream, res, error => {
+                if (error) {
+                    log.error('Document download interrupted', { doc_id: docId, error: error });
+                    res.destroy(error);
+                }
+            });
         }
 
     } catch (error) {
-        console.error('\n❌ Error downloading document:', error.message);
-        res.status(500).json({
+        log.error('Document download failed', { doc_id: docId, status: error.status, error: error });
+        res.status(error.status || 500).json({
             error: 'Document download failed',
             message: error.message,
             docId: docId
@@ -388,40 +706,28 @@ app.post('/download-document', async (req, res) => {
 });
 
 // Get document details/metadata
-app.post('/get-document-details', async (req, res) => {
-    const { docId } = req.body;
+app.post('/get-document-details', auditRoute('get-document-details'), async (req, res) => {
+    const { docId, library: libraryName } = req.body;
 
     if (!docId) {
         return res.status(400).json({ error: 'Missing required field: docId' });
     }
 
     try {
-        console.log(`\n=== Document Details Request: ${docId} ===`);
-        
-        const accessToken = await getAccessToken();
-        
-        // Get document details
-        const detailsUrl = `${process.env.URL_PREFIX}/api/v2/customers/${process.env.CUSTOMER_ID}/libraries/${process.env.LIBRARY_ID}/documents/${docId}`;
-        console.log(`📋 Getting details from: ${detailsUrl}`);
-
-        const detailsResponse = await axios.get(detailsUrl, {
-            headers: {
-                'X-Auth-Token': accessToken
-            },
-            httpsAgent
-        });
-
-        console.log('✅ Document details retrieved successfully');
+        const library = libraries.assertAllowed(libraries.forDocument(docId, libraryName), getCaller());
+        log.info('Document details', { doc_id: docId, library: library.name });
+        const details = await getDocumentDetails(library, docId);
         
         res.json({
             success: true,
             docId: docId,
-            details: detailsResponse.data.data
+            library: library.name,
+            details: details
         });
 
     } catch (error) {
-        console.error('\n❌ Error getting document details:', error.message);
-        res.status(500).json({
+        log.error('Document details failed', { doc_id: docId, status: error.status, error: error });
+        res.status(error.status || 500).json({
             error: 'Failed to get document details',
             message: error.message,
             docId: docId
@@ -430,151 +736,73 @@ app.post('/get-document-details', async (req, res) => {
 });
 
 // Batch search - perform multiple searches in one request
-app.post('/batch-search', async (req, res) => {
+app.post('/batch-search', auditRoute('batch-search'), async (req, res) => {
     const { searches } = req.body;
 
     if (!searches || !Array.isArray(searches) || searches.length === 0) {
         return res.status(400).json({ error: 'Missing required field: searches (array)' });
     }
 
+    // Stop the remaining searches if the client goes away
+    const signal = disconnectSignal(res);
+
     try {
-        console.log(`\n=== Batch Search Request: ${searches.length} searches ===`);
-        
-        const results = [];
+        log.info('Batch search', { searches: searches.length });
         
-        for (let i = 0; i < searches.length; i++) {
-            const search = searches[i];
-            console.log(`🔍 Executing search ${i + 1}/${searches.length}: ${search.type}`);
-            
-            try {
-                let searchResult;
-                
-                switch (search.type) {
-                    case 'title':
-                        searchResult = await performTitleSearch(search.query, search.limit || 50);
-                        break;
-                    case 'keywords':
-                        searchResult = await performKeywordSearch(search.query, search.searchIn || 'anywhere', search.limit || 50);
-                        break;
-                    case 'advanced':
-                        searchResult = await performAdvancedSearch(search.filters, search.profileFields, search.limit || 50);
-                        break;
-                    default:
-                        throw new Error(`Unknown search type: ${search.type}`);
-                }
-                
-                results.push({
-                    searchIndex: i,
-                    searchType: search.type,
-                    success: true,
-                    ...searchResult
-                });
-                
-            } catch (error) {
-                console.error(`❌ Search ${i + 1} failed:`, error.message);
-                results.push({
-                    searchIndex: i,
-                    searchType: search.type,
-                    success: false,
-                    error: error.message
-                });
-            }
-        }
+        const batch = await performBatchSearch(searches, { signal });
         
-        console.log(`✅ Batch search completed: ${results.filter(r => r.success).length}/${searches.length} successful`);
+        log.info('Batch search completed', { searches: searches.length, successful: batch.successfulSearches });
         
         res.json({
             success: true,
-            totalSearches: searches.length,
-            successfulSearches: results.filter(r => r.success).length,
-            results: results
+            ...batch
         });
 
     } catch (error) {
-        console.error('\n❌ Error in batch search:', error.message);
-        res.status(500).json({
+        if (signal.aborted) {
+            log.warn('Batch search cancelled: client disconnected');
+            return;
+        }
+        log.error('Batch search failed', { status: error.status, error: error });
+        res.status(error.status || 500).json({
             error: 'Batch search failed',
             message: error.message
         });
     }
 });
 
-// Helper function for title search
-async function performTitleSearch(title, limit = 50) {
-    const accessToken = await getAccessToken();
-    const searchUrl = `${process.env.URL_PREFIX}/api/v2/customers/${process.env.CUSTOMER_ID}/libraries/${process.env.LIBRARY_ID}/documents`;
-    
-    const searchResponse = await axios.get(searchUrl, {
-        headers: { 'X-Auth-Token': accessToken },
-        params: { title: title, limit: limit, latest: true },
-        httpsAgent
-    });
-
-    const iManageData = searchResponse.data.data || searchResponse.data.results || searchResponse.data || [];
-    const results = Array.isArray(iManageData) ? iManageData : (iManageData.results || []);
+// Run a search against a library's document source; `labels` echo the search terms
+// and `signal` abandons the search (batch timeouts and disconnected clients)
+async function performSearch(query, limit, library, position, labels, signal) {
+    const page = await sourceFor(library).search(query, { limit, position, signal });
 
     return {
-        searchTerm: title,
-        results: results,
-        total: searchResponse.data.total || results.length || 0
+        ...labels,
+        library: library.name,
+        results: page.results,
+        total: page.total,
+        offset: page.offset,
+        nextPage: page.next
     };
 }
 
-// Helper function for keyword search
-async function performKeywordSearch(keywords, searchIn = 'anywhere', limit = 50) {
-    const accessToken = await getAccessToken();
-    const searchUrl = `${process.env.URL_PREFIX}/api/v2/customers/${process.env.CUSTOMER_ID}/libraries/${process.env.LIBRARY_ID}/documents`;
-    
-    const params = { limit: limit, latest: true };
-    params[searchIn] = keywords;
-    
-    const searchResponse = await axios.get(searchUrl, {
-        headers: { 'X-Auth-Token': accessToken },
-        params: params,
-        httpsAgent
-    });
-
-    const iManageData = searchResponse.data.data || searchResponse.data.results || searchResponse.data || [];
-    const results = Array.isArray(iManageData) ? iManageData : (iManageData.results || []);
+// Helper function for title search
+async function performTitleSearch(title, limit = 50, library = libraries.defaultLibrary, position = { offset: 0 }, signal) {
+    return performSearch({ title: title }, limit, library, position, { searchTerm: title }, signal);
+}
 
-    return {
-        searchTerm: keywords,
-        searchIn: searchIn,
-        results: results,
-        total: searchResponse.data.total || results.length || 0
-    };
+// Helper function for keyword search
+async function performKeywordSearch(keywords, searchIn = 'anywhere', limit = 50, library = libraries.defaultLibrary, position = { offset: 0 }, signal) {
+    return performSearch({ keywords: keywords, searchIn: searchIn }, limit, library, position, { searchTerm: keywords, searchIn: searchIn }, signal);
 }
 
 // Helper function for advanced search
-async function performAdvancedSearch(filters, profileFields, limit = 50) {
-    const accessToken = await getAccessToken();
-    const searchUrl = `${process.env.URL_PREFIX}/api/v2/customers/${process.env.CUSTOMER_ID}/libraries/${process.env.LIBRARY_ID}/documents/search`;
-    
-    const requestBody = { limit: limit, filters: filters };
-    if (profileFields) {
-        requestBody.profile_fields = profileFields;
-    }
-    
-    const searchResponse = await axios.post(searchUrl, requestBody, {
-        headers: {
-            'X-Auth-Token': accessToken,
-            'Content-Type': 'application/json'
-        },
-        httpsAgent
-    });
-
-    const iManageData = searchResponse.data.data || searchResponse.data.results || searchResponse.data || [];
-    const results = Array.isArray(iManageData) ? iManageData : (iManageData.results || []);
-
-    return {
-        filters: filters,
-        results: results,
-        total: searchResponse.data.total || results.length || 0
-    };
+async function performAdvancedSearch(filters, profileFields, limit = 50, library = libraries.defaultLibrary, position = { offset: 0 }, signal) {
+    return performSearch({ filters: filters, profileFields: profileFields }, limit, library, position, { filters: filters }, signal);
 }
 
 // Legacy endpoint for backward compatibility (Scenario A)
-app.post('/fetch-document', async (req, res) => {
+app.post('/fetch-document', auditRoute('fetch-document'), async (req, res) => {
     const { docId } = req.body;
 
     if (!docId) {
@@ -582,28 +810,18 @@ app.post('/fetch-document', async (req, res) => {
     }
 
     try {
-        console.log(`\n=== Legacy Document Fetch: ${docId} ===`);
-        
-        const accessToken = await getAccessToken();
-        
-        const downloadUrl = `${process.env.URL_PREFIX}/api/v2/customers/${process.env.CUSTOMER_ID}/libraries/${process.env.LIBRARY_ID}/documents/${docId}/download`;
-        console.log(`📥 Downloading from: ${downloadUrl}`);
-
-        const downloadResponse = await axios.get(downloadUrl, {
-            headers: {
-                'X-Auth-Token': accessToken
-            },
-            responseType: 'arraybuffer',
-            httpsAgent
-        });
+        const library = libraries.assertAllowed(libraries.forDocument(docId, req.body.library), getCaller());
+        log.info('Legacy document fetch', { doc_id: docId, library: library.name });
+        const download = await sourceFor(library).download(docId);
 
-        console.log('✅ Document downloaded successfully');
+        log.info('Document downloaded', { doc_id: docId, size: download.buffer.length });
+        rateLimiter.addDownload(download.buffer.length);
         res.setHeader('Content-Type', 'application/pdf');
-        res.send(downloadResponse.data);
+        res.send(download.buffer);
 
     } catch (error) {
-        console.error('\n❌ Error in legacy fetch:', error.message);
-        res.status(500).json({
+        log.error('Legacy document fetch failed', { doc_id: docId, status: error.status, error: error });
+        res.status(error.status || 500).json({
             error: 'Failed to fetch document',
             message: error.message,
             docId: docId
@@ -611,6 +829,66 @@ app.post('/fetch-document', async (req, res) => {
     }
 });
 
+// Plugin manifest form of the configured inbound authentication scheme
+function pluginManifestAuth() {
+    const verificationTokens = process.env.OPENAI_VERIFICATION_TOKEN
+        ? { openai: process.env.OPENAI_VERIFICATION_TOKEN }
+        : {};
+
+    switch (authScheme.type) {
+        case 'oauth':
+            return {
+                type: "oauth",
+                client_url: authScheme.authorization_url,
+                authorization_url: authScheme.token_url,
+                scope: authScheme.scopes.join(' '),
+                authorization_content_type: "application/x-www-form-urlencoded",
+                verification_tokens: verificationTokens
+            };
+        case 'bearer':
+            return {
+                type: "service_http",
+                authorization_type: "bearer",
+                verification_tokens: verificationTokens
+            };
+        default:
+            return {
+                type: "none"
+            };
+    }
+}
+
+// OpenAPI security schemes matching the configured inbound authentication
+function openApiSecurity() {
+    const securitySchemes = {};
+    const security = [];
+
+    if (authScheme.type === 'oauth') {
+        securitySchemes.oauth2 = {
+            type: "oauth2",
+            flows: {
+                authorizationCode: {
+                    authorizationUrl: authScheme.authorization_url,
+                    tokenUrl: authScheme.token_url,
+                    refreshUrl: authScheme.token_url,
+                    scopes: {
+                        "imanage:read": "Search and read iManage documents"
+                    }
+                }
+            }
+        };
+        security.push({ oauth2: ["imanage:read"] });
+    }
+
+    if (authScheme.type === 'bearer' || (authScheme.type === 'oauth' && authScheme.api_keys)) {
+        securitySchemes.bearerAuth = { type: "http", scheme: "bearer" };
+        securitySchemes.apiKey = { type: "apiKey", in: "header", name: "X-API-Key" };
+        security.push({ bearerAuth: [] }, { apiKey: [] });
+    }
+
+    return { securitySchemes, security };
+}
+
 // OpenAI Connector spec requires this exact endpoint
 app.get('/.well-known/ai-plugin.json', (req, res) => {
     res.setHeader('Content-Type', 'application/json');
@@ -622,9 +900,7 @@ app.get('/.well-known/ai-plugin.json', (req, res) => {
         name_for_model: "imanage_research", 
         description_for_human: "Search and analyze documents in iManage for comprehensive research reports",
         description_for_model: "Tool for searching iManage documents using title, keyword, and advanced search strategies, plus document content retrieval for analysis and report generation.",
-        auth: {
-            type: "none"
-        },
+        auth: pluginManifestAuth(),
         api: {
             type: "openapi",
             url: `${req.protocol}://${req.get('host')}/openapi.json`
@@ -641,6 +917,7 @@ app.get('/openapi.json', (req, res) => {
     res.setHeader('Access-Control-Allow-Origin', '*');
     
     const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const { securitySchemes, security } = openApiSecurity();
     
     res.json({
         openapi: "3.0.1",
@@ -654,12 +931,16 @@ app.get('/openapi.json', (req, res) => {
                 url: baseUrl
             }
         ],
+        components: {
+            securitySchemes: securitySchemes
+        },
+        security: security,
         paths: {
             "/search": {
                 post: {
                     operationId: "searchDocuments",
                     summary: "Search iManage documents",
-                    description: "Search for documents using various strategies including title, keywords, advanced filters, and batch operations",
+                    description: "Search for documents using various strategies including title, keywords, advanced filters, batch operations and semantic (meaning-based) search",
                     requestBody: {
                         required: true,
                         content: {
@@ -673,7 +954,7 @@ app.get('/openapi.json', (req, res) => {
                                         },
                                         search_type: {
                                             type: "string",
-                                            enum: ["title", "keywords", "advanced", "batch"],
+                                            enum: ["title", "keywords", "advanced", "batch", "semantic", "hybrid"],
                                             description: "Type of search to perform",
                                             default: "keywords"
                                         },
@@ -687,12 +968,35 @@ app.get('/openapi.json', (req, res) => {
                                             type: "object",
                                             description: "Advanced search filters"
                                         },
+                                        weights: {
+                                            type: "object",
+                                            description: "Batch and hybrid search only: weight of each fused strategy (anywhere, title, body for batch; semantic, keywords for hybrid); 0 leaves a strategy out",
+                                            additionalProperties: { type: "number", minimum: 0 }
+                                        },
                                         limit: {
                                             type: "integer",
                                             description: "Maximum number of results",
                                             default: 50,
                                             minimum: 1,
                                             maximum: 200
+                                        },
+                                        library: {
+                                            type: "string",
+                                            description: "Library to search; all accessible libraries when omitted"
+                                        },
+                                        cursor: {
+                                            type: "string",
+                                            description: "next_cursor from the previous page of this search"
+                                        },
+                                        offset: {
+                                            type: "integer",
+                                            description: "Number of results to skip in each library",
+                                            minimum: 0
+                                        },
+                                        include_passages: {
+                                            type: "boolean",
+                                            description: "Include the passages of each document that match the query; reading them counts against the daily download quota",
+                                            default: false
                                         }
                                     },
                                     required: ["query"]
@@ -717,12 +1021,33 @@ app.get('/openapi.json', (req, res) => {
                                                         title: { type: "string" },
                                                         summary: { type: "string" },
                                                         url: { type: ["string", "null"] },
-                                                        metadata: { type: "object" }
+                                                        metadata: { type: "object" },
+                                                        relevance: {
+                                                            type: "object",
+                                                            description: "Batch, semantic and hybrid search only: score (0-1) and the fused strategies that matched with their ranks"
+                                                        },
+                                                        passages: {
+                                                            type: "array",
+                                                            description: "Passages of the document's text matching the query, best first; empty when its text could not be read",
+                                                            items: {
+                                                                type: "object",
+                                                                properties: {
+                                                                    text: { type: "string" },
+                                                                    highlighted: { type: "string", description: "The passage with the query's words marked as **word**" },
+                                                                    page: { type: ["integer", "null"], description: "Page the passage is on, for paged formats such as PDF" },
+                                                                    offset: { type: "integer", description: "Character offset of the passage in the document text" },
+                                                                    score: { type: "number", description: "Semantic and hybrid search only: similarity to the query" }
+                                                                }
+                                                            }
+                                                        }
                                                     }
                                                 }
                                             },
-                                            total: { type: "integer" },
-                                            search_type: { type: "string" }
+                                            total: { type: ["integer", "null"], description: "Number of matching documents; null for semantic and hybrid searches, which do not count them" },
+                                            search_type: { type: "string" },
+                                            libraries: { type: "array", items: { type: "string" } },
+                                            next_cursor: { type: ["string", "null"] },
+                                            has_more: { type: "boolean" }
                                         }
                                     }
                                 }
@@ -749,8 +1074,50 @@ app.get('/openapi.json', (req, res) => {
                                         },
                                         include_content: {
                                             type: "boolean",
-                                            description: "Whether to include document content",
+                                            description: "Whether to include the extracted document text",
                                             default: true
+                                        },
+                                        include_base64: {
+                                            type: "boolean",
+                                            description: "Also return the raw file bytes (base64) in raw_content",
+                                            default: false
+                                        },
+                                        cursor: {
+                                            type: "string",
+                                            description: "Cursor from a previous chunk's next_cursor/previous_cursor"
+                                        },
+                                        page_start: {
+                                            type: "integer",
+                                            description: "First page to return (paginated formats such as PDF)",
+                                            minimum: 1
+                                        },
+                                        page_end: {
+                                            type: "integer",
+                                            description: "Last page to return",
+                                            minimum: 1
+                                        },
+                                        offset: {
+                                            type: "integer",
+                                            description: "Character offset into the extracted text",
+                                            minimum: 0
+                                        },
+                                        length: {
+                                            type: "integer",
+                                            description: "Number of characters to return from offset",
+                                            minimum: 1
+                                        },
+                                        section: {
+                                            type: "string",
+                                            description: "Section heading title or index to return"
+                                        },
+                                        library: {
+                                            type: "string",
+                                            description: "Library holding the document; defaults to the id's library prefix"
+                                        },
+                                        version: {
+                                            type: "integer",
+                                            description: "Document version to fetch instead of the one in the id",
+                                            minimum: 1
                                         }
                                     },
                                     required: ["id"]
@@ -769,6 +1136,35 @@ app.get('/openapi.json', (req, res) => {
                                             id: { type: "string" },
                                             title: { type: "string" },
                                             text: { type: "string" },
+                                            chunk: {
+                                                type: "object",
+                                                description: "Position of the returned text within the document",
+                                                properties: {
+                                                    mode: { type: "string", enum: ["full", "pages", "chars", "section"] },
+                                                    index: { type: "integer" },
+                                                    total_chunks: { type: "integer" },
+                                                    page_start: { type: "integer" },
+                                                    page_end: { type: "integer" },
+                                                    total_pages: { type: ["integer", "null"] },
+                                                    offset: { type: "integer" },
+                                                    length: { type: "integer" },
+                                                    total_chars: { type: "integer" },
+                                                    total_sections: { type: "integer" },
+                                                    truncated: { type: "boolean" },
+                                                    next_cursor: { type: ["string", "null"] },
+                                                    previous_cursor: { type: ["string", "null"] },
+                                                    outline: { type: "array", items: { type: "object" } }
+                                                }
+                                            },
+                                            raw_content: {
+                                                type: "object",
+                                                properties: {
+                                                    encoding: { type: "string" },
+                                                    content_type: { type: "string" },
+                                                    size: { type: "integer" },
+                                                    data: { type: "string" }
+                                                }
+                                            },
                                             url: { type: ["string", "null"] },
                                             metadata: { type: "object" }
                                         }
@@ -783,211 +1179,914 @@ app.get('/openapi.json', (req, res) => {
     });
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
+// Libraries the caller may search and fetch from
+app.get('/libraries', requireAuth, bindCaller, (req, res) => {
     res.json({
-        status: 'healthy',
-        timestamp: new Date().toISOString(),
-        environment: {
-            authUrlPrefix: process.env.AUTH_URL_PREFIX,
-            urlPrefix: process.env.URL_PREFIX,
-            customerId: process.env.CUSTOMER_ID,
-            libraryId: process.env.LIBRARY_ID
-        }
+        default_library: libraries.defaultLibrary.name,
+        libraries: libraries.describe(getCaller())
     });
 });
 
-// OpenAI Connector Tool Discovery Endpoint (OpenAI Function Calling Format)
-app.get('/tools', (req, res) => {
-    // Ensure proper headers and clean response
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.status(200);
-    
-    res.json([
-        {
-            type: "function",
-            description: "Search for documents using various strategies and filters",
-            function: {
-                name: "search",
-                description: "Search iManage documents using various strategies including title search, keyword search, advanced filters, and batch operations for comprehensive document discovery",
-                parameters: {
-                    type: "object",
-                    properties: {
-                        query: {
-                            type: "string",
-                            description: "Search query or keywords to find relevant documents"
-                        },
-                        search_type: {
-                            type: "string",
-                            enum: ["title", "keywords", "advanced", "batch"],
-                            description: "Type of search strategy: 'title' for document names, 'keywords' for content search, 'advanced' for filtered search, 'batch' for comprehensive multi-strategy search",
-                            default: "keywords"
-                        },
-                        search_in: {
-                            type: "string", 
-                            enum: ["anywhere", "body", "comments", "title"],
-                            description: "Scope of keyword search: 'anywhere' searches all fields, 'body' searches document content, 'comments' searches document comments, 'title' searches document names",
-                            default: "anywhere"
-                        },
-                        filters: {
-                            type: "object",
-                            description: "Advanced search filters for precise document filtering (used with 'advanced' search_type)",
-                            properties: {
-                                type: { 
-                                    type: "string", 
-                                    description: "Document file type filter (e.g., WORD, ACROBAT, EXCEL)" 
-                                },
-                                author: { 
-                                    type: "string", 
-                                    description: "Filter by document author (user ID or email)" 
-                                },
-                                edit_date_from: { 
-                                    type: "string", 
-                                    description: "Filter documents modified after this date (ISO 8601 format: YYYY-MM-DDTHH:mm:ssZ)" 
-                                },
-                                edit_date_to: { 
-                                    type: "string", 
-                                    description: "Filter documents modified before this date (ISO 8601 format: YYYY-MM-DDTHH:mm:ssZ)" 
-                                },
-                                workspace_id: {
-                                    type: "string",
-                                    description: "Filter by specific workspace/container ID"
-                                }
-                            }
-                        },
-                        limit: {
-                            type: "integer",
-                            description: "Maximum number of documents to return in search results",
-                            default: 50,
-                            minimum: 1,
-                            maximum: 200
-                        }
-                    },
-                    required: ["query"]
-                }
-            }
-        },
-        {
-            type: "function",
-            description: "Fetch document metadata and content by ID",
-            function: {
-                name: "fetch",
-                description: "Retrieve detailed content and comprehensive metadata for a specific document identified by its ID, including document text content for analysis and research purposes",
-                parameters: {
-                    type: "object",
-                    properties: {
-                        id: {
-                            type: "string",
-                            description: "Unique document identifier (e.g., 'Legal_QA!3402.1') obtained from search results"
-                        },
-                        include_content: {
-                            type: "boolean",
-                            description: "Whether to include the actual document content (base64 encoded) for text analysis and research. Set to true for document analysis, false for metadata only",
-                            default: true
-                        }
-                    },
-                    required: ["id"]
-                }
-            }
-        }
-    ]);
+// Search index, cache and audit log administration, limited to ADMIN_USERS
+app.use('/admin', requireAuth, bindCaller, requireAdmin(authConfig));
+
+// Sync state of each library's semantic index
+app.get('/admin/index/status', (req, res) => {
+    res.json({
+        embedding_model: semanticIndex.embedder.id,
+        persisted: Boolean(indexer.path),
+        sync_interval_seconds: indexer.intervalSeconds || null,
+        libraries: indexer.status()
+    });
 });
 
-// Unified search endpoint for OpenAI Connector
-app.post('/search', async (req, res) => {
-    const { query, search_type = 'keywords', search_in = 'anywhere', filters, limit = 50 } = req.body;
+// Sync now (`full` also drops deleted and re-secured documents) or, for reindex, drop
+// the index and rebuild it. Runs in the background unless `wait` is set.
+for (const [route, run] of [
+    ['/admin/index/sync', (library, body) => indexer.sync(library, { full: Boolean(body.full) })],
+    ['/admin/index/reindex', library => indexer.reindex(library)]
+]) {
+    app.post(route, async (req, res) => {
+        const body = req.body || {};
 
-    if (!query) {
-        return res.status(400).json({ error: 'Missing required field: query' });
-    }
+        try {
+            const targets = body.library ? [libraries.resolve(body.library)] : libraries.libraries;
+            log.info(`Index ${route.split('/').pop()}`, { libraries: targets.map(l => l.name), wait: Boolean(body.wait) });
+            const runs = targets.map(library => run(library, body));
 
-    try {
-        console.log(`\n=== OpenAI Connector Search: "${query}" (${search_type}) ===`);
-        
-        let searchResult;
-        
-        switch (search_type) {
-            case 'title':
-                searchResult = await performTitleSearch(query, limit);
-                break;
-            case 'keywords':
-                searchResult = await performKeywordSearch(query, search_in, limit);
-                break;
-            case 'advanced':
-                searchResult = await performAdvancedSearch(filters || { anywhere: query }, null, limit);
-                break;
-            case 'batch':
-                // Simplified batch search - just do multiple keyword searches
-                console.log('🔍 Performing batch search with multiple strategies...');
-                const batchSearches = [
-                    await performKeywordSearch(query, 'anywhere', Math.floor(limit/3)),
-                    await performTitleSearch(query, Math.floor(limit/3)),
-                    await performKeywordSearch(query, 'body', Math.floor(limit/3))
-                ];
-                
-                // Combine and deduplicate results
-                const allResults = [];
-                const seenIds = new Set();
-                
-                batchSearches.forEach(result => {
-                    result.results.forEach(doc => {
-                        if (!seenIds.has(doc.id)) {
-                            seenIds.add(doc.id);
-                            allResults.push(doc);
-                        }
-                    });
-                });
-                
-                searchResult = {
-                    searchTerm: query,
-                    results: allResults.slice(0, limit), // Limit total results
-                    total: allResults.length
-                };
-                break;
-            default:
-                throw new Error(`Unknown search type: ${search_type}`);
+            if (body.wait) {
+                await Promise.all(runs);
+            } else {
+                runs.forEach(pending => pending.catch(() => {}));
+            }
+            res.status(body.wait ? 200 : 202).json({
+                libraries: indexer.status().filter(status => targets.some(library => library.name === status.library))
+            });
+        } catch (error) {
+            log.error(`Index ${route.split('/').pop()} failed`, { status: error.status, error: error });
+            res.status(error.status || 500).json({
+                error: 'Index update failed',
+                message: error.message
+            });
         }
+    });
+}
 
-        // Transform results to OpenAI format with size limits
-        const transformedResults = searchResult.results.map(doc => {
-            const size = doc.size || 0;
-            const sizeStr = formatFileSize(size);
-            
-            // Mark large documents in summary
-            const isLarge = size > 1000000; // 1MB threshold
-            const sizeWarning = isLarge ? " [LARGE FILE - May exceed processing limits]" : "";
-            
-            return {
-                id: doc.id,
-                title: doc.name || doc.id,
-                summary: `${doc.workspace_name || 'Unknown workspace'} - ${doc.custom1_description || ''} ${doc.custom2_description || ''} - ${doc.type_description || doc.type || 'Unknown type'} (${sizeStr})${sizeWarning}`.trim(),
-                url: doc.iwl || null,
-                metadata: {
-                    author: doc.author_description || doc.author || 'Unknown',
-                    workspace: doc.workspace_name || 'Unknown',
-                    size: size.toString(),
-                    size_formatted: sizeStr,
-                    is_large_file: isLarge,
-                    edit_date: doc.edit_date || 'Unknown',
-                    document_type: doc.type_description || doc.type || 'Unknown',
-                    custom1: doc.custom1_description || '',
-                    custom2: doc.custom2_description || '',
-                    custom3: doc.custom3_description || ''
-                }
-            };
+// Cache size and hit/miss counts per namespace (search, details, content)
+app.get('/admin/cache', (req, res) => {
+    res.json(responseCache.stats());
+});
+
+// Drop every cached entry, for every user
+app.post('/admin/cache/clear', async (req, res) => {
+    try {
+        await responseCache.clear();
+        log.info('Response cache cleared');
+        res.json(responseCache.stats());
+    } catch (error) {
+        log.error('Cache clear failed', { error: error });
+        res.status(error.status || 500).json({
+            error: 'Cache clear failed',
+            message: error.message
         });
+    }
+});
 
-        res.status(200).json({
-            results: transformedResults,
-            total: searchResult.total || transformedResults.length,
-            search_type: search_type,
-            query: query
+// Audit records, newest first, filtered by user, document (any version unless the id
+// names one), tool, outcome and from/to dates; `limit` caps how many come back
+app.get('/admin/audit', async (req, res) => {
+    try {
+        const result = await auditLog.query(req.query);
+        res.json({ ...auditLog.status(), ...result });
+    } catch (error) {
+        log.error('Audit query failed', { status: error.status, error: error });
+        res.status(error.status || 500).json({
+            error: 'Audit query failed',
+            message: error.message
+        });
+    }
+});
+
+// Configured rate limits and download quotas, and each client's downloads today
+app.get('/admin/rate-limits', (req, res) => {
+    res.json(rateLimiter.status());
+});
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+    res.json({
+        status: 'healthy',
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Liveness probe: the process is up and answering. It never calls iManage, so an
+// iManage outage does not get the server restarted.
+app.get('/livez', (req, res) => {
+    res.json({ status: 'alive' });
+});
+
+// Readiness probe: every library can be used, which for iManage libraries means a
+// token can be had and a one-workspace listing answers within READINESS_TIMEOUT_MS.
+// Results are reused for READINESS_CACHE_SECONDS so frequent probes do not load iManage.
+const READINESS_TIMEOUT = parseInt(process.env.READINESS_TIMEOUT_MS, 10) || 5000;
+const READINESS_CACHE_MS = (process.env.READINESS_CACHE_SECONDS !== undefined && process.env.READINESS_CACHE_SECONDS !== ''
+    ? Number(process.env.READINESS_CACHE_SECONDS) : 5) * 1000;
+let readinessCheck = null;
+let readinessResult = null;
+
+async function checkReadiness() {
+    const checks = await Promise.all(libraries.libraries.map(async library => {
+        const started = Date.now();
+        try {
+            await sourceFor(library).check({ timeout: READINESS_TIMEOUT });
+            return { library: library.name, status: 'ok', duration_ms: Date.now() - started };
+        } catch (error) {
+            return { library: library.name, status: 'failed', error: error.message, duration_ms: Date.now() - started };
+        }
+    }));
+    return { ready: checks.every(check => check.status === 'ok'), checks: checks, checkedAt: Date.now() };
+}
+
+// The last result while it is fresh; probes arriving during a check share it
+function currentReadiness() {
+    if (readinessResult && Date.now() - readinessResult.checkedAt < READINESS_CACHE_MS) {
+        return readinessResult;
+    }
+    if (!readinessCheck) {
+        readinessCheck = checkReadiness().then(result => {
+            readinessResult = result;
+            readinessCheck = null;
+            return result;
         });
+    }
+    return readinessCheck;
+}
+
+app.get('/readyz', async (req, res) => {
+    const result = await currentReadiness();
+    if (!result.ready) {
+        log.warn('Readiness check failed', { checks: result.checks.filter(check => check.status !== 'ok') });
+    }
+    res.status(result.ready ? 200 : 503).json({
+        status: result.ready ? 'ready' : 'not_ready',
+        checked_at: new Date(result.checkedAt).toISOString(),
+        checks: result.checks
+    });
+});
+
+// Values counted elsewhere, copied into the registry whenever /metrics is scraped
+metrics.registry.onCollect(() => {
+    collectCircuitStates(upstream);
+    const cache = responseCache.stats();
+    for (const [namespace, counters] of Object.entries(cache.namespaces)) {
+        for (const result of ['hits', 'misses', 'expired', 'invalidated']) {
+            metrics.cacheLookups.set({ namespace: namespace, result: result }, counters[result]);
+        }
+    }
+    metrics.cacheEntries.set({}, cache.entries);
+    metrics.cacheBytes.set({}, cache.bytes);
+});
+
+// Prometheus metrics: HTTP requests, searches and document access, iManage calls,
+// token requests, downloaded bytes, batch sizes and the response cache
+app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(metrics.registry.render());
+});
+
+// Tool definitions shared by the /tools discovery endpoint and the MCP transport
+const connectorTools = [
+    {
+        type: "function",
+        description: "Search for documents using various strategies and filters",
+        function: {
+            name: "search",
+            description: "Search iManage documents using various strategies including title search, keyword search, advanced filters, batch operations and semantic search for comprehensive document discovery. With include_passages, each result includes the passages matching the query with their page numbers. When has_more is true, call again with next_cursor to get the next page. Semantic and hybrid searches report no total (null); use has_more to tell whether more results follow",
+            parameters: {
+                type: "object",
+                properties: {
+                    query: {
+                        type: "string",
+                        description: "Search query or keywords to find relevant documents"
+                    },
+                    search_type: {
+                        type: "string",
+                        enum: ["title", "keywords", "advanced", "batch", "semantic", "hybrid"],
+                        description: "Type of search strategy: 'title' for document names, 'keywords' for content search, 'advanced' for filtered search, 'batch' for comprehensive multi-strategy search ranked by reciprocal rank fusion of title, body and anywhere matches, 'semantic' for passages similar in meaning to the query even when worded differently, 'hybrid' for semantic and keyword matches fused together",
+                        default: "keywords"
+                    },
+                    search_in: {
+                        type: "string", 
+                        enum: ["anywhere", "body", "comments", "title"],
+                        description: "Scope of keyword search: 'anywhere' searches all fields, 'body' searches document content, 'comments' searches document comments, 'title' searches document names",
+                        default: "anywhere"
+                    },
+                    filters: {
+                        type: "object",
+                        description: "Advanced search filters for precise document filtering (used with 'advanced' search_type)",
+                        properties: {
+                            type: { 
+                                type: "string", 
+                                description: "Document file type filter (e.g., WORD, ACROBAT, EXCEL)" 
+                            },
+                            author: { 
+                                type: "string", 
+                                description: "Filter by document author (user ID or email)" 
+                            },
+                            edit_date_from: { 
+                                type: "string", 
+                                description: "Filter documents modified after this date (ISO 8601 format: YYYY-MM-DDTHH:mm:ssZ)" 
+                            },
+                            edit_date_to: { 
+                                type: "string", 
+                                description: "Filter documents modified before this date (ISO 8601 format: YYYY-MM-DDTHH:mm:ssZ)" 
+                            },
+                            workspace_id: {
+                                type: "string",
+                                description: "Filter by specific workspace/container ID"
+                            }
+                        }
+                    },
+                    weights: {
+                        type: "object",
+                        description: "Batch and hybrid search only: relative weight of each strategy when fusing their rankings, e.g. {\"title\": 2, \"body\": 1, \"anywhere\": 1} for batch or {\"semantic\": 2, \"keywords\": 1} for hybrid. A weight of 0 leaves that strategy out",
+                        properties: {
+                            anywhere: { type: "number", minimum: 0 },
+                            title: { type: "number", minimum: 0 },
+                            body: { type: "number", minimum: 0 },
+                            semantic: { type: "number", minimum: 0 },
+                            keywords: { type: "number", minimum: 0 }
+                        }
+                    },
+                    limit: {
+                        type: "integer",
+                        description: "Maximum number of documents to return in search results",
+                        default: 50,
+                        minimum: 1,
+                        maximum: 200
+                    },
+                    library: {
+                        type: "string",
+                        enum: libraries.libraries.map(l => l.name),
+                        description: "Only search this iManage library. Leave out to search every library you have access to and merge the results"
+                    },
+                    cursor: {
+                        type: "string",
+                        description: "Get the next page of results: pass the next_cursor returned by the previous search, repeating the same query, search_type and filters"
+                    },
+                    offset: {
+                        type: "integer",
+                        description: "Number of results to skip in each library (use cursor to walk through pages)",
+                        minimum: 0
+                    },
+                    include_passages: {
+                        type: "boolean",
+                        description: "Return the passages of each document that match the query, with the query's words marked as **word** and the page they are on, to judge which documents to fetch. Each document's text is read for this, which makes searches slower and counts against the daily download quota",
+                        default: false
+                    }
+                },
+                required: ["query"]
+            }
+        }
+    },
+    {
+        type: "function",
+        description: "Fetch document metadata and content by ID",
+        function: {
+            name: "fetch",
+            description: "Retrieve detailed content and comprehensive metadata for a specific document identified by its ID, including document text content for analysis and research purposes. Large documents are returned in chunks; follow chunk.next_cursor to keep reading",
+            parameters: {
+                type: "object",
+                properties: {
+                    id: {
+                        type: "string",
+                        description: "Unique document identifier (e.g., 'Legal_QA!3402.1') obtained from search results"
+                    },
+                    include_content: {
+                        type: "boolean",
+                        description: "Whether to include the document text, extracted from PDF, Word, Excel, .msg and .eml files as plain text or markdown with pages and headings kept. Set to true for document analysis, false for metadata only",
+                        default: true
+                    },
+                    include_base64: {
+                        type: "boolean",
+                        description: "Also return the original file bytes base64 encoded in raw_content. Only needed when the extracted text is not enough",
+                        default: false
+                    },
+                    cursor: {
+                        type: "string",
+                        description: "Continue reading a large document: pass the next_cursor (or previous_cursor) returned in the previous response's chunk object"
+                    },
+                    page_start: {
+                        type: "integer",
+                        description: "First page to return for paginated documents such as PDFs. Without page_end, 10 pages are returned",
+                        minimum: 1
+                    },
+                    page_end: {
+                        type: "integer",
+                        description: "Last page to return (inclusive)",
+                        minimum: 1
+                    },
+                    offset: {
+                        type: "integer",
+                        description: "Character offset into the extracted text to start reading from",
+                        minimum: 0
+                    },
+                    length: {
+                        type: "integer",
+                        description: "Number of characters to return from offset",
+                        minimum: 1
+                    },
+                    section: {
+                        type: "string",
+                        description: "Return a single section, by heading title or by index from the chunk outline"
+                    },
+                    library: {
+                        type: "string",
+                        enum: libraries.libraries.map(l => l.name),
+                        description: "iManage library holding the document. Usually not needed: the library prefix of the id (e.g. 'Legal_QA' in 'Legal_QA!3402.1') is used"
+                    },
+                    version: {
+                        type: "integer",
+                        description: "Fetch this version instead of the one in the id. See list_versions for the available versions",
+                        minimum: 1
+                    }
+                },
+                required: ["id"]
+            }
+        }
+    }
+];
+
+// Browsing and version tools exposed over MCP and /tools next to search and fetch
+const browseTools = [
+    {
+        type: "function",
+        description: "List or find iManage workspaces (matters)",
+        function: {
+            name: "list_workspaces",
+            description: "List iManage workspaces (matters), optionally filtered by a query matched against workspace name, number and description. Use the returned id with get_workspace to open its folders",
+            parameters: {
+                type: "object",
+                properties: {
+                    query: {
+                        type: "string",
+                        description: "Text to match against workspace name, description and client/matter fields"
+                    },
+                    library: {
+                        type: "string",
+                        enum: libraries.libraries.map(l => l.name),
+                        description: "Library to list workspaces from; defaults to the default library"
+                    },
+                    limit: {
+                        type: "integer",
+                        description: "Maximum number of workspaces to return",
+                        default: 50,
+                        minimum: 1,
+                        maximum: 200
+                    },
+                    cursor: {
+                        type: "string",
+                        description: "next_cursor from the previous page, with the same query"
+                    }
+                }
+            }
+        }
+    },
+    {
+        type: "function",
+        description: "Open a workspace and its folder tree",
+        function: {
+            name: "get_workspace",
+            description: "Get a workspace's profile and its folder tree (folders, tabs and saved searches). Use folder ids with list_folder_documents to see what is filed there",
+            parameters: {
+                type: "object",
+                properties: {
+                    workspace_id: {
+                        type: "string",
+                        description: "Workspace id from list_workspaces or a search result's metadata.workspace_id"
+                    },
+                    depth: {
+                        type: "integer",
+                        description: "How many folder levels to expand",
+                        default: 1,
+                        minimum: 1,
+                        maximum: MAX_TREE_DEPTH
+                    },
+                    library: {
+                        type: "string",
+                        enum: libraries.libraries.map(l => l.name),
+                        description: "Library holding the workspace; defaults to the id's library prefix"
+                    }
+                },
+                required: ["workspace_id"]
+            }
+        }
+    },
+    {
+        type: "function",
+        description: "List the subfolders of a folder",
+        function: {
+            name: "list_folder_children",
+            description: "List the folders, tabs and saved searches directly inside an iManage folder",
+            parameters: {
+                type: "object",
+                properties: {
+                    folder_id: {
+                        type: "string",
+                        description: "Folder id from get_workspace or an earlier list_folder_children call"
+                    },
+                    library: {
+                        type: "string",
+                        enum: libraries.libraries.map(l => l.name),
+                        description: "Library holding the folder; defaults to the id's library prefix"
+                    }
+                },
+                required: ["folder_id"]
+            }
+        }
+    },
+    {
+        type: "function",
+        description: "List the documents filed in a folder",
+        function: {
+            name: "list_folder_documents",
+            description: "List the documents filed in an iManage folder, in the same format as search results. Pass each id to fetch to read the document",
+            parameters: {
+                type: "object",
+                properties: {
+                    folder_id: {
+                        type: "string",
+                        description: "Folder id from get_workspace or list_folder_children"
+                    },
+                    library: {
+                        type: "string",
+                        enum: libraries.libraries.map(l => l.name),
+                        description: "Library holding the folder; defaults to the id's library prefix"
+                    },
+                    limit: {
+                        type: "integer",
+                        description: "Maximum number of documents to return",
+                        default: 50,
+                        minimum: 1,
+                        maximum: 200
+                    },
+                    cursor: {
+                        type: "string",
+                        description: "next_cursor from the previous page of this folder"
+                    }
+                },
+                required: ["folder_id"]
+            }
+        }
+    },
+    {
+        type: "function",
+        description: "List the versions of a document",
+        function: {
+            name: "list_versions",
+            description: "List every version of an iManage document with its author, dates and version comment. Use fetch with a version number to read one, or compare_versions to see what changed",
+            parameters: {
+                type: "object",
+                properties: {
+                    id: {
+                        type: "string",
+                        description: "Document id (any version) from search results"
+                    },
+                    library: {
+                        type: "string",
+                        enum: libraries.libraries.map(l => l.name),
+                        description: "Library holding the document; defaults to the id's library prefix"
+                    }
+                },
+                required: ["id"]
+            }
+        }
+    },
+    {
+        type: "function",
+        description: "Compare two versions of a document",
+        function: {
+            name: "compare_versions",
+            description: "Compare the text of two versions of a document and return a redline summary: counts of words added and removed, and each change with surrounding context as [-removed-]{+added+}. Defaults to the latest version against the previous one",
+            parameters: {
+                type: "object",
+                properties: {
+                    id: {
+                        type: "string",
+                        description: "Document id (any version) from search results"
+                    },
+                    from_version: {
+                        type: "integer",
+                        description: "Older version number; defaults to the version before to_version",
+                        minimum: 1
+                    },
+                    to_version: {
+                        type: "integer",
+                        description: "Newer version number; defaults to the latest version",
+                        minimum: 1
+                    },
+                    library: {
+                        type: "string",
+                        enum: libraries.libraries.map(l => l.name),
+                        description: "Library holding the document; defaults to the id's library prefix"
+                    }
+                },
+                required: ["id"]
+            }
+        }
+    }
+];
+// OpenAI Connector Tool Discovery Endpoint (OpenAI Function Calling Format)
+app.get('/tools', (req, res) => {
+    // Ensure proper headers and clean response
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.status(200);
+    
+    res.json([...connectorTools, ...browseTools].map(tool => ({ ...tool, auth: authScheme })));
+});
+
+const SEARCH_TYPES = ['title', 'keywords', 'advanced', 'batch', 'semantic', 'hybrid'];
+// Search types whose results are ranked by a relevance score rather than by iManage
+const RANKED_SEARCH_TYPES = ['batch', 'semantic', 'hybrid'];
+
+// Strategies fused by the batch search type
+const BATCH_STRATEGIES = {
+    anywhere: (query, limit, library, position, signal) => performKeywordSearch(query, 'anywhere', limit, library, position, signal),
+    title: (query, limit, library, position, signal) => performTitleSearch(query, limit, library, position, signal),
+    body: (query, limit, library, position, signal) => performKeywordSearch(query, 'body', limit, library, position, signal)
+};
+
+// Strategies fused by the hybrid search type: meaning and exact words
+const HYBRID_STRATEGIES = {
+    semantic: (query, limit, library, position) => semanticSearch(query, limit, library, position),
+    keywords: (query, limit, library, position, signal) => performKeywordSearch(query, 'anywhere', limit, library, position, signal)
+};
+
+// Default strategy weights for batch and hybrid fusion; BATCH_WEIGHTS looks like
+// "title=2,body=1,anywhere=1", HYBRID_WEIGHTS like "semantic=2,keywords=1", and
+// requests can override them with `weights`
+const FUSED_SEARCHES = {
+    batch: {
+        strategies: BATCH_STRATEGIES,
+        weights: resolveWeights(Object.keys(BATCH_STRATEGIES), { anywhere: 1, title: 1, body: 1 }, process.env.BATCH_WEIGHTS)
+    },
+    hybrid: {
+        strategies: HYBRID_STRATEGIES,
+        weights: resolveWeights(Object.keys(HYBRID_STRATEGIES), { semantic: 1, keywords: 1 }, process.env.HYBRID_WEIGHTS)
+    }
+};
+
+// The weights a fused search runs with: the defaults, overridden by the request's `weights`
+function resolveFusionWeights(searchType, weights) {
+    const fused = FUSED_SEARCHES[searchType];
+    return resolveWeights(Object.keys(fused.strategies), fused.weights, weights);
+}
+
+const BATCH_RRF_K = parseInt(process.env.BATCH_RRF_K, 10) || DEFAULT_RRF_K;
+// Ranked searches re-rank the top offset + limit hits on every page, up to this depth
+const MAX_BATCH_DEPTH = 500;
+
+function assertOffsetPosition(position) {
+    if (!Number.isInteger(position.offset)) {
+        const error = new Error('Invalid cursor');
+        error.status = 400;
+        throw error;
+    }
+}
+
+// Run every weighted strategy of a fused search type through the batch pool, fuse their
+// rankings and cut the fused list to the page. A strategy that fails or times out fails
+// the library. Semantic passages found for a document are kept in its relevance.
+async function fusedSearch(searchType, query, limit, library, position, weights, signal) {
+    assertOffsetPosition(position);
+
+    log.debug('Fused search', { search_type: searchType, library: library.name });
+    const run = FUSED_SEARCHES[searchType].strategies;
+    const depth = Math.min(position.offset + limit, MAX_BATCH_DEPTH);
+    const strategies = Object.keys(run).filter(name => weights[name] > 0);
+    const outcomes = await runPool(strategies.map(name => strategySignal =>
+        run[name](query, depth, library, { offset: 0 }, strategySignal)
+    ), { concurrency: BATCH_CONCURRENCY, timeout: BATCH_SEARCH_TIMEOUT, signal });
+
+    const failed = outcomes.find(outcome => outcome.status === 'rejected');
+    if (failed) {
+        throw failed.reason;
+    }
+    const rankings = outcomes.map((outcome, i) => ({ strategy: strategies[i], result: outcome.value }));
+
+    const fused = fuseRankings(rankings.map(({ strategy, result }) => ({ strategy, results: result.results })), { weights, k: BATCH_RRF_K });
+    const page = fused.slice(position.offset, position.offset + limit);
+    const consumed = position.offset + page.length;
+    const hasMore = consumed < MAX_BATCH_DEPTH && (fused.length > consumed || rankings.some(({ result }) => result.nextPage));
+    const passagesOf = id => {
+        const ranked = rankings.find(({ result }) => result.relevance && result.relevance.has(id));
+        return ranked ? { passages: ranked.result.relevance.get(id).passages } : {};
+    };
+
+    return {
+        searchTerm: query,
+        results: page.map(hit => hit.doc),
+        relevance: new Map(page.map(hit => [hit.doc.id, { ...hit.relevance, ...passagesOf(hit.doc.id) }])),
+        total: Math.max(fused.length, ...rankings.map(({ result }) => result.total || 0)),
+        nextPage: hasMore ? { offset: consumed } : null
+    };
+}
+
+// Documents whose passages are closest in meaning to the query, from the semantic index
+async function semanticSearch(query, limit, library, position) {
+    assertOffsetPosition(position);
+
+    log.debug('Semantic search', { library: library.name });
+    await indexer.ensureIndexed(library);
+    const { hits, total } = await semanticIndex.search(library, query, { limit: Math.min(position.offset + limit, MAX_BATCH_DEPTH) });
+    const page = hits.slice(position.offset, position.offset + limit);
+    const consumed = position.offset + page.length;
+
+    return {
+        searchTerm: query,
+        results: page.map(hit => hit.doc),
+        relevance: new Map(page.map(hit => [hit.doc.id, { score: hit.score, passages: hit.passages }])),
+        total: total,
+        nextPage: consumed < Math.min(total, MAX_BATCH_DEPTH) ? { offset: consumed } : null
+    };
+}
+
+// The semantic index is built with the service account, so its hits are re-read as the
+// caller: documents they cannot open are left out, and the others get their current
+// profile. Documents deleted since the last sync are also dropped from the index. The
+// index's (or fused ranking's) total would count documents the caller cannot see, and
+// counting the ones they can would mean reading every hit, so no total is reported.
+async function visibleToCaller(library, searchResult, signal) {
+    const outcomes = await runPool(searchResult.results.map(doc => () => getDocumentDetails(library, doc.id)),
+        { concurrency: BATCH_CONCURRENCY, timeout: BATCH_SEARCH_TIMEOUT, signal });
+
+    const results = [];
+    outcomes.forEach((outcome, i) => {
+        if (outcome.status === 'fulfilled') {
+            results.push(outcome.value);
+        } else if (outcome.reason.status === 404) {
+            indexer.evict(library, searchResult.results[i].id);
+        } else if (![401, 403].includes(outcome.reason.status)) {
+            throw outcome.reason;
+        }
+    });
+    return { ...searchResult, results: results, total: null };
+}
+
+// Run one search strategy against a single library. `position` is the page to read;
+// the result's nextPage is the position of the following page (null on the last page).
+async function searchLibrary({ query, search_type, search_in, filters, limit, weights }, library, position, signal) {
+    let searchResult;
+    
+    switch (search_type) {
+        case 'title':
+            searchResult = await performTitleSearch(query, limit, library, position, signal);
+            break;
+        case 'keywords':
+            searchResult = await performKeywordSearch(query, search_in, limit, library, position, signal);
+            break;
+        case 'advanced':
+            searchResult = await performAdvancedSearch(filters || { anywhere: query }, null, limit, library, position, signal);
+            break;
+        case 'batch':
+            searchResult = await fusedSearch('batch', query, limit, library, position, weights, signal);
+            break;
+        case 'semantic':
+            searchResult = await visibleToCaller(library, await semanticSearch(query, limit, library, position), signal);
+            break;
+        case 'hybrid':
+            searchResult = await visibleToCaller(library, await fusedSearch('hybrid', query, limit, library, position, weights, signal), signal);
+            break;
+        default:
+            throw new Error(`Unknown search type: ${search_type}`);
+    }
+    return searchResult;
+}
+
+// Run the search against the requested library, or fan out across every library the
+// caller may use. Each library gets an equal share of the limit and its results are
+// interleaved so each library is represented near the top; ranked (batch, semantic and
+// hybrid) results are ordered by their relevance score instead. `positions` maps library names to their
+// next page; libraries missing from it have no further results. `signal` cancels
+// the searches still running.
+async function searchAcrossLibraries(params, libraryName, positions, signal) {
+    let targets = libraryName
+        ? [libraries.assertAllowed(libraries.resolve(libraryName), getCaller())]
+        : libraries.allowedFor(getCaller());
+
+    if (targets.length === 0) {
+        const error = new Error('No iManage libraries are available to this caller');
+        error.status = 403;
+        throw error;
+    }
+
+    if (positions) {
+        targets = targets.filter(library => positions[library.name]);
+    }
+
+    // The remainder of the limit goes to the first libraries. Asked for fewer results than
+    // there are libraries, the later ones get none and are searched on a following page.
+    const shareOf = index => Math.floor(params.limit / targets.length) + (index < params.limit % targets.length ? 1 : 0);
+    const positionOf = library => positions ? positions[library.name] : initialPosition(params.offset);
+    const waiting = targets.filter((library, i) => shareOf(i) === 0);
+    const outcomes = await Promise.all(targets.filter((library, i) => shareOf(i) > 0).map(async (library, i) => {
+        const position = positionOf(library);
+        try {
+            return { library, position, result: await searchLibrary({ ...params, limit: shareOf(i) }, library, position, signal) };
+        } catch (error) {
+            log.error('Search in library failed', { library: library.name, status: error.status, error: error });
+            return { library, position, error };
+        }
+    }));
+
+    if (signal && signal.aborted) {
+        throw signal.reason;
+    }
+
+    const succeeded = outcomes.filter(o => o.result);
+    if (outcomes.length > 0 && succeeded.length === 0) {
+        throw outcomes[0].error;
+    }
+
+    const merged = [];
+    const seenIds = new Set();
+    const longest = Math.max(0, ...succeeded.map(o => o.result.results.length));
+    for (let i = 0; i < longest; i++) {
+        for (const { library, result } of succeeded) {
+            const doc = result.results[i];
+            if (doc && !seenIds.has(doc.id)) {
+                seenIds.add(doc.id);
+                merged.push({ doc, library, relevance: result.relevance ? result.relevance.get(doc.id) : null });
+            }
+        }
+    }
+    if (RANKED_SEARCH_TYPES.includes(params.search_type)) {
+        // Stable sort, so equal scores keep the interleaved library order
+        merged.sort((a, b) => b.relevance.score - a.relevance.score);
+    }
+
+    // Failed and waiting libraries keep their position so the next page searches them
+    const nextPositions = {};
+    for (const outcome of [...outcomes, ...waiting.map(library => ({ library, position: positionOf(library) }))]) {
+        const next = outcome.result ? outcome.result.nextPage : outcome.position;
+        if (next) {
+            nextPositions[outcome.library.name] = next;
+        }
+    }
+
+    // Semantic and hybrid results carry no total (see visibleToCaller), so neither does the page
+    const uncounted = succeeded.some(o => o.result.total === null);
+    return {
+        hits: merged,
+        total: uncounted ? null : succeeded.reduce((sum, o) => sum + (o.result.total || o.result.results.length), 0),
+        librariesSearched: succeeded.map(o => o.library.name),
+        libraryErrors: outcomes.filter(o => o.error).map(o => ({ library: o.library.name, message: o.error.message })),
+        nextPositions: Object.keys(nextPositions).length > 0 ? nextPositions : null
+    };
+}
+
+// Shape an iManage document profile as an OpenAI connector search result
+function toSearchResult(doc, library) {
+    const size = doc.size || 0;
+    const sizeStr = formatFileSize(size);
+    
+    // Mark large documents in summary
+    const isLarge = size > 1000000; // 1MB threshold
+    const sizeWarning = isLarge ? " [LARGE FILE - Fetch in chunks by page, offset or section]" : "";
+    
+    return {
+        id: doc.id,
+        title: doc.name || doc.id,
+        summary: `${doc.workspace_name || 'Unknown workspace'} - ${doc.custom1_description || ''} ${doc.custom2_description || ''} - ${doc.type_description || doc.type || 'Unknown type'} (${sizeStr})${sizeWarning}`.trim(),
+        url: doc.iwl || null,
+        metadata: {
+            author: doc.author_description || doc.author || 'Unknown',
+            workspace: doc.workspace_name || 'Unknown',
+            workspace_id: doc.workspace_id || null,
+            size: size.toString(),
+            size_formatted: sizeStr,
+            is_large_file: isLarge,
+            edit_date: doc.edit_date || 'Unknown',
+            document_type: doc.type_description || doc.type || 'Unknown',
+            custom1: doc.custom1_description || '',
+            custom2: doc.custom2_description || '',
+            custom3: doc.custom3_description || '',
+            library: library.name
+        }
+    };
+}
+
+// Passages of each hit matching the query: those the semantic index ranked, otherwise
+// passages found in the document's text, downloaded as the caller. A document whose
+// text cannot be read (too large, unsupported format, no access, download quota used
+// up) gets none rather than failing the search.
+async function matchingPassages(hits, query, signal) {
+    const outcomes = await runPool(hits.map(({ doc, library, relevance }) => async () => {
+        if (relevance && relevance.passages) {
+            return highlightPassages(relevance.passages, query);
+        }
+        if ((doc.size || 0) > PASSAGES_MAX_DOCUMENT_BYTES) {
+            return [];
+        }
+        // Reading the text counts against the caller's download quota, as fetching it would
+        rateLimiter.checkQuota();
+        const extraction = await getDocumentText(library, doc);
+        rateLimiter.addDownload(doc.size || 0);
+        return extraction.format ? findPassages(extraction.text, query) : [];
+    }), { concurrency: BATCH_CONCURRENCY, timeout: BATCH_SEARCH_TIMEOUT, signal });
+
+    if (signal && signal.aborted) {
+        throw signal.reason;
+    }
+    return outcomes.map((outcome, i) => {
+        if (outcome.status === 'fulfilled') {
+            return outcome.value;
+        }
+        log.warn('No matching passages', { doc_id: hits[i].doc.id, error: outcome.reason });
+        return [];
+    });
+}
+
+// Unified search used by the /search endpoint and the MCP `search` tool; `signal`
+// cancels it when the client disconnects
+async function searchDocuments({ query, search_type = 'keywords', search_in = 'anywhere', filters, weights, limit = 50, library, cursor, offset, include_passages = false }, { signal } = {}) {
+    if (!SEARCH_TYPES.includes(search_type)) {
+        const error = new Error(`Unknown search type: ${search_type}`);
+        error.status = 400;
+        throw error;
+    }
+    const pageSize = searchLimit(limit);
+    const fusionWeights = FUSED_SEARCHES[search_type] ? resolveFusionWeights(search_type, weights) : null;
+
+    // The cursor carries each library's next page; it only fits the search that produced it
+    const pageSearch = { route: 'search', query, search_type, search_in, filters: filters || null, weights: fusionWeights, library: library || null };
+    const positions = cursor ? (decodeSearchCursor(cursor, pageSearch).libraries || {}) : null;
+
+    // The same page of the same search is answered from the cache for CACHE_SEARCH_TTL_SECONDS
+    const cacheKey = JSON.stringify({ ...pageSearch, limit: pageSize, offset: offset || null, cursor: cursor || null, include_passages });
+    const cached = await responseCache.get('search', cacheKey);
+    if (cached) {
+        return cached;
+    }
+
+    const searchResult = await searchAcrossLibraries({ query, search_type, search_in, filters, weights: fusionWeights, limit: pageSize, offset }, library, positions, signal);
+
+    const passages = include_passages ? await matchingPassages(searchResult.hits, query, signal) : null;
+
+    // Transform results to OpenAI format with size limits; ranked results explain their score
+    const transformedResults = searchResult.hits.map(({ doc, library: docLibrary, relevance }, i) => {
+        const { passages: rankedPassages, ...score } = relevance || {};
+        return {
+            ...toSearchResult(doc, docLibrary),
+            ...(relevance ? { relevance: score } : {}),
+            ...(passages ? { passages: passages[i] } : {})
+        };
+    });
+
+    const response = {
+        results: transformedResults,
+        total: searchResult.total,
+        search_type: search_type,
+        query: query,
+        libraries: searchResult.librariesSearched,
+        next_cursor: searchResult.nextPositions ? encodeSearchCursor(pageSearch, { libraries: searchResult.nextPositions }) : null,
+        has_more: Boolean(searchResult.nextPositions),
+        ...(fusionWeights ? { fusion: { method: 'reciprocal_rank_fusion', k: BATCH_RRF_K, weights: fusionWeights } } : {}),
+        ...(searchResult.libraryErrors.length > 0 ? { library_errors: searchResult.libraryErrors } : {})
+    };
+
+    // A library that failed would keep failing from the cache
+    if (searchResult.libraryErrors.length === 0) {
+        await responseCache.set('search', cacheKey, response);
+    }
+    return response;
+}
+
+// Unified search endpoint for OpenAI Connector
+app.post('/search', auditRoute('search'), async (req, res) => {
+    const { query, search_type = 'keywords' } = req.body;
+
+    if (!query) {
+        return res.status(400).json({ error: 'Missing required field: query' });
+    }
+
+    const signal = disconnectSignal(res);
+
+    try {
+        log.info('Search', { query: query, search_type: search_type });
+        
+        const searchResponse = await searchDocuments(req.body, { signal });
+
+        res.status(200).json(searchResponse);
 
     } catch (error) {
-        console.error('\n❌ Error in OpenAI search:', error.message);
-        res.status(500).json({
+        if (signal.aborted) {
+            log.warn('Search cancelled: client disconnected');
+            return;
+        }
+        log.error('Search failed', { status: error.status, error: error });
+        res.status(error.status || 500).json({
             error: 'Search failed',
             message: error.message,
             query: query
@@ -995,111 +2094,182 @@ app.post('/search', async (req, res) => {
     }
 });
 
-// Unified fetch endpoint for OpenAI Connector  
-app.post('/fetch', async (req, res) => {
-    const { id, include_content = true } = req.body;
+// Convert downloaded document bytes into readable text for /fetch.
+// Unsupported formats and extraction errors are reported in the text rather than thrown,
+// so the caller still gets the document metadata.
+async function extractDocumentText(buffer, doc, contentType) {
+    try {
+        const extracted = await withSpan('extract text', { 'imanage_mcp.extension': doc.extension, 'imanage_mcp.bytes': buffer.length },
+            () => extractText(buffer, { extension: doc.extension, type: doc.type, contentType }));
 
-    if (!id) {
-        return res.status(400).json({ error: 'Missing required field: id' });
+        if (!extracted) {
+            return {
+                text: `[UNSUPPORTED FORMAT] No text extractor is available for ${doc.extension || doc.type || 'this'} documents (${formatFileSize(buffer.length)}). Set include_base64 to true to receive the raw file.`,
+                format: null,
+                pages: null
+            };
+        }
+
+        log.debug('Extracted document text', { doc_id: doc.id, chars: extracted.text.length, format: extracted.format, extension: extracted.extension });
+        return extracted;
+    } catch (error) {
+        log.warn('Text extraction failed', { doc_id: doc.id, error: error });
+        return {
+            text: `[EXTRACTION FAILED] Unable to extract text from this ${doc.extension || doc.type || 'document'} (${formatFileSize(buffer.length)}). Error: ${error.message}`,
+            format: null,
+            pages: null
+        };
     }
+}
 
-    try {
-        console.log(`\n=== OpenAI Connector Fetch: ${id} ===`);
-        
-        const accessToken = await getAccessToken();
-        
-        // Get document details first
-        const detailsUrl = `${process.env.URL_PREFIX}/api/v2/customers/${process.env.CUSTOMER_ID}/libraries/${process.env.LIBRARY_ID}/documents/${id}`;
-        const detailsResponse = await axios.get(detailsUrl, {
-            headers: { 'X-Auth-Token': accessToken },
-            httpsAgent
-        });
+// Document profile, cached per caller for CACHE_DETAILS_TTL_SECONDS
+function getDocumentDetails(library, id) {
+    return responseCache.wrap('details', `${library.name}:${id}`, () => sourceFor(library).getDetails(id));
+}
 
-        const doc = detailsResponse.data.data;
-        let content = '';
-        let contentWarning = '';
-
-        if (include_content) {
-            const docSize = doc.size || 0;
-            
-            // Check if document is too large for ChatGPT processing
-            if (docSize > 2000000) { // 2MB limit
-                contentWarning = `Document is ${formatFileSize(docSize)} which may be too large for analysis. Consider requesting smaller documents or specific sections.`;
-                content = `[LARGE DOCUMENT WARNING] This document (${formatFileSize(docSize)}) exceeds recommended size limits for content analysis. Document metadata is provided below, but full content analysis may not be feasible.`;
-            } else if (docSize > 500000) { // 500KB warning
-                contentWarning = `Document is ${formatFileSize(docSize)} - processing may be slow.`;
-                
-                try {
-                    // Download document content
-                    const downloadUrl = `${process.env.URL_PREFIX}/api/v2/customers/${process.env.CUSTOMER_ID}/libraries/${process.env.LIBRARY_ID}/documents/${id}/download`;
-                    const downloadResponse = await axios.get(downloadUrl, {
-                        headers: { 'X-Auth-Token': accessToken },
-                        responseType: 'arraybuffer',
-                        httpsAgent,
-                        timeout: 30000 // 30 second timeout for large files
-                    });
-
-                    const buffer = Buffer.from(downloadResponse.data);
-                    content = `Document content (${formatFileSize(buffer.length)} ${doc.type || 'file'}): ${buffer.toString('base64')}`;
-                } catch (downloadError) {
-                    console.error('Download failed for large file:', downloadError.message);
-                    content = `[DOWNLOAD FAILED] Unable to download document content due to size (${formatFileSize(docSize)}) or timeout. Document metadata is available below.`;
-                }
+// Extraction result ({ text, format, pages }) of a document's content, cached per caller
+// by document id (which carries the version) until its edit_date changes
+function getDocumentText(library, doc) {
+    return responseCache.wrap('content', `${library.name}:${doc.id}`, async () => {
+        const { buffer, contentType } = await downloadDocument(library, doc);
+        return extractDocumentText(buffer, doc, contentType);
+    }, { version: doc.edit_date || null });
+}
+
+// Download a document's bytes, allowing large files a longer timeout
+async function downloadDocument(library, doc) {
+    const isLargeDownload = (doc.size || 0) > LARGE_DOWNLOAD_SIZE;
+    return sourceFor(library).download(doc.id, isLargeDownload ? { timeout: LARGE_DOWNLOAD_TIMEOUT } : {});
+}
+
+// Extracted text for the semantic index, or null for documents above
+// SEMANTIC_MAX_DOCUMENT_BYTES and formats without a text extractor. The indexer reads
+// each changed document once, so this skips the response cache.
+async function loadDocumentText(library, doc) {
+    if ((doc.size || 0) > SEMANTIC_MAX_DOCUMENT_BYTES) {
+        return null;
+    }
+    const { buffer, contentType } = await downloadDocument(library, doc);
+    const extraction = await extractDocumentText(buffer, doc, contentType);
+    return extraction.format ? extraction.text : null;
+}
+
+// Unified fetch used by the /fetch endpoint and the MCP `fetch` tool.
+// Large documents are read in chunks: by page range, character offset/length,
+// section heading, or the cursor returned with the previous chunk.
+async function fetchDocument({ id: requestedId, version, library: libraryName, include_content = true, include_base64 = false, ...chunkArgs }) {
+    // A version number swaps the version suffix of the id ('Legal_QA!3402.1' -> 'Legal_QA!3402.3')
+    const id = version ? versionId(requestedId, version) : requestedId;
+
+    // Document ids carry their library prefix ('Legal_QA!3402.1'), so route on that
+    const library = libraries.assertAllowed(libraries.forDocument(id, libraryName), getCaller());
+    
+    // Get document details first
+    const doc = await getDocumentDetails(library, id);
+    let content = '';
+    let contentWarning = '';
+    let extraction = null;
+    let rawContent = null;
+    let chunk = null;
+
+    if (include_content) {
+        const docSize = doc.size || 0;
+        const isLargeDownload = docSize > LARGE_DOWNLOAD_SIZE;
+
+        if (isLargeDownload) {
+            contentWarning = `Document is ${formatFileSize(docSize)} - download and extraction may be slow.`;
+        }
+
+        try {
+            if (include_base64) {
+                // The raw bytes are never cached, so download them
+                const { buffer, contentType } = await downloadDocument(library, doc);
+                extraction = await extractDocumentText(buffer, doc, contentType);
+                rawContent = { encoding: 'base64', content_type: contentType, size: buffer.length, data: buffer.toString('base64') };
             } else {
-                // Small document - download normally
-                try {
-                    const downloadUrl = `${process.env.URL_PREFIX}/api/v2/customers/${process.env.CUSTOMER_ID}/libraries/${process.env.LIBRARY_ID}/documents/${id}/download`;
-                    const downloadResponse = await axios.get(downloadUrl, {
-                        headers: { 'X-Auth-Token': accessToken },
-                        responseType: 'arraybuffer',
-                        httpsAgent
-                    });
-
-                    const buffer = Buffer.from(downloadResponse.data);
-                    content = `Document content (${formatFileSize(buffer.length)} ${doc.type || 'file'}): ${buffer.toString('base64')}`;
-                } catch (downloadError) {
-                    console.error('Download failed:', downloadError.message);
-                    content = `[DOWNLOAD FAILED] Unable to download document content. Error: ${downloadError.message}`;
-                }
+                extraction = await getDocumentText(library, doc);
             }
+        } catch (downloadError) {
+            log.warn('Document download failed', { doc_id: doc.id, error: downloadError });
+            content = isLargeDownload
+                ? `[DOWNLOAD FAILED] Unable to download document content due to size (${formatFileSize(docSize)}) or timeout. Document metadata is available below.`
+                : `[DOWNLOAD FAILED] Unable to download document content. Error: ${downloadError.message}`;
+        }
+
+        // The whole document counts against the download quota, whichever chunk is returned
+        if (extraction) {
+            rateLimiter.addDownload(rawContent ? rawContent.size : doc.size || 0);
         }
 
-        const response = {
-            id: doc.id,
-            title: doc.name || doc.id,
-            text: content,
-            url: doc.iwl || null,
-            metadata: {
-                author: doc.author_description || doc.author || 'Unknown',
-                author_email: doc.author || '',
-                workspace: doc.workspace_name || 'Unknown',
-                workspace_id: doc.workspace_id || '',
-                size: (doc.size || 0).toString(),
-                size_formatted: formatFileSize(doc.size || 0),
-                is_large_file: (doc.size || 0) > 1000000,
-                edit_date: doc.edit_date || 'Unknown',
-                create_date: doc.create_date || 'Unknown',
-                document_type: doc.type_description || doc.type || 'Unknown',
-                extension: doc.extension || '',
-                version: (doc.version || 1).toString(),
-                custom1: doc.custom1_description || '',
-                custom2: doc.custom2_description || '',
-                custom3: doc.custom3_description || '',
-                database: doc.database || '',
-                document_number: (doc.document_number || '').toString(),
-                last_user: doc.last_user_description || doc.last_user || '',
-                default_security: doc.default_security || 'private',
-                content_warning: contentWarning
+        if (extraction && extraction.format) {
+            // Size limits apply to each chunk rather than to the whole document
+            const selected = selectChunk(extraction, chunkArgs, { maxChunkChars: MAX_CHUNK_CHARS });
+            content = selected.text;
+            chunk = selected.chunk;
+
+            if (content.length > LARGE_CHUNK_CHARS) {
+                contentWarning = [contentWarning, `Chunk is ${content.length} characters; request a smaller page range or length for faster analysis.`].filter(Boolean).join(' ');
             }
-        };
+        } else if (extraction) {
+            content = extraction.text;
+        }
+    }
 
-        res.status(200).json(response);
+    const response = {
+        id: doc.id,
+        title: doc.name || doc.id,
+        text: content,
+        ...(chunk ? { chunk: chunk } : {}),
+        ...(rawContent ? { raw_content: rawContent } : {}),
+        url: doc.iwl || null,
+        metadata: {
+            author: doc.author_description || doc.author || 'Unknown',
+            author_email: doc.author || '',
+            workspace: doc.workspace_name || 'Unknown',
+            workspace_id: doc.workspace_id || '',
+            size: (doc.size || 0).toString(),
+            size_formatted: formatFileSize(doc.size || 0),
+            is_large_file: (doc.size || 0) > 1000000,
+            edit_date: doc.edit_date || 'Unknown',
+            create_date: doc.create_date || 'Unknown',
+            document_type: doc.type_description || doc.type || 'Unknown',
+            extension: doc.extension || '',
+            version: (doc.version || 1).toString(),
+            custom1: doc.custom1_description || '',
+            custom2: doc.custom2_description || '',
+            custom3: doc.custom3_description || '',
+            database: doc.database || '',
+            library: library.name,
+            document_number: (doc.document_number || '').toString(),
+            last_user: doc.last_user_description || doc.last_user || '',
+            default_security: doc.default_security || 'private',
+            content_format: extraction ? extraction.format : null,
+            page_count: extraction && extraction.pages ? extraction.pages.length : null,
+            content_warning: contentWarning
+        }
+    };
 
-        console.log('✅ Document fetched successfully for OpenAI Connector');
+    return response;
+}
+
+// Unified fetch endpoint for OpenAI Connector  
+app.post('/fetch', auditRoute('fetch'), async (req, res) => {
+    const { id } = req.body;
+
+    if (!id) {
+        return res.status(400).json({ error: 'Missing required field: id' });
+    }
+
+    try {
+        log.info('Fetch', { doc_id: id });
+        
+        const response = await fetchDocument(req.body);
+
+        res.status(200).json(response);
 
     } catch (error) {
-        console.error('\n❌ Error in OpenAI fetch:', error.message);
-        res.status(500).json({
+        log.error('Fetch failed', { doc_id: id, status: error.status, error: error });
+        res.status(error.status || 500).json({
             error: 'Fetch failed',
             message: error.message,
             id: id
@@ -1107,7 +2277,242 @@ app.post('/fetch', async (req, res) => {
     }
 });
 
-// Helper function to format file sizes
+// Workspace and folder browsing, shared by the browse routes and MCP tools.
+// Workspaces and folders have library-prefixed ids like documents ('ACTIVE!1234').
+
+function browseError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Route a workspace or folder id to its library and check the caller may use it
+function libraryForContainer(id, libraryName) {
+    return libraries.assertAllowed(libraries.forDocument(id, libraryName), getCaller());
+}
+
+function summarizeWorkspace(workspace, library) {
+    return {
+        id: workspace.id,
+        name: workspace.name || workspace.id,
+        description: workspace.description || '',
+        owner: workspace.owner_description || workspace.owner || '',
+        custom1: workspace.custom1_description || workspace.custom1 || '',
+        custom2: workspace.custom2_description || workspace.custom2 || '',
+        edit_date: workspace.edit_date || null,
+        url: workspace.iwl || null,
+        library: library.name
+    };
+}
+
+function summarizeFolder(folder) {
+    return {
+        id: folder.id,
+        name: folder.name || folder.id,
+        folder_type: folder.folder_type || 'regular', // regular, search or tab
+        has_subfolders: Boolean(folder.has_subfolders),
+        parent_id: folder.parent_id || null,
+        workspace_id: folder.workspace_id || null
+    };
+}
+
+// Expand folders level by level, stopping at maxDepth or MAX_TREE_FOLDERS
+async function expandFolders(library, folders, maxDepth) {
+    let level = folders;
+    let count = folders.length;
+    let truncated = false;
+
+    for (let depth = 2; depth <= maxDepth && level.length > 0; depth++) {
+        const nextLevel = [];
+        for (const folder of level) {
+            if (!folder.has_subfolders) continue;
+            if (count >= MAX_TREE_FOLDERS) {
+                truncated = true;
+                break;
+            }
+            const page = await sourceFor(library).list({ type: 'folders', folder_id: folder.id });
+            folder.children = page.results.map(summarizeFolder);
+            count += folder.children.length;
+            nextLevel.push(...folder.children);
+        }
+        level = nextLevel;
+    }
+
+    return { count, truncated };
+}
+
+async function listWorkspaces({ query, library: libraryName, limit = 50, cursor, offset }) {
+    const library = libraries.assertAllowed(libraries.resolve(libraryName), getCaller());
+    const pageSearch = { route: 'list_workspaces', query: query || null, library: library.name };
+    const position = startPosition({ cursor, offset }, pageSearch);
+
+    const page = await sourceFor(library).list({ type: 'workspaces', query, limit: searchLimit(limit), position });
+    log.info('Listed workspaces', { library: library.name, results: page.results.length });
+
+    return {
+        library: library.name,
+        workspaces: page.results.map(workspace => summarizeWorkspace(workspace, library)),
+        total: page.total,
+        offset: page.offset,
+        next_cursor: pageCursor(page, pageSearch),
+        has_more: Boolean(page.next)
+    };
+}
+
+// Workspace profile plus its folder tree, `depth` levels deep
+async function getWorkspace({ workspace_id, library: libraryName, depth = 1 }) {
+    if (!workspace_id) {
+        throw browseError('Missing required field: workspace_id');
+    }
+    const maxDepth = Number(depth);
+    if (!Number.isInteger(maxDepth) || maxDepth < 1 || maxDepth > MAX_TREE_DEPTH) {
+        throw browseError(`depth must be an integer from 1 to ${MAX_TREE_DEPTH}`);
+    }
+
+    const library = libraryForContainer(workspace_id, libraryName);
+    const source = sourceFor(library);
+    const workspace = await source.getWorkspace(workspace_id);
+    const folders = (await source.list({ type: 'folders', workspace_id })).results.map(summarizeFolder);
+    const tree = await expandFolders(library, folders, maxDepth);
+
+    return {
+        workspace: summarizeWorkspace(workspace, library),
+        folders: folders,
+        folder_count: tree.count,
+        truncated: tree.truncated
+    };
+}
+
+async function listFolderChildren({ folder_id, library: libraryName }) {
+    if (!folder_id) {
+        throw browseError('Missing required field: folder_id');
+    }
+
+    const library = libraryForContainer(folder_id, libraryName);
+    const folders = (await sourceFor(library).list({ type: 'folders', folder_id })).results.map(summarizeFolder);
+
+    return {
+        folder_id: folder_id,
+        library: library.name,
+        folders: folders,
+        total: folders.length
+    };
+}
+
+// Documents filed in a folder, in the same shape as search results so they can be fetched
+async function listFolderDocuments({ folder_id, library: libraryName, limit = 50, cursor, offset }) {
+    if (!folder_id) {
+        throw browseError('Missing required field: folder_id');
+    }
+
+    const library = libraryForContainer(folder_id, libraryName);
+    const pageSearch = { route: 'list_folder_documents', folder_id: folder_id, library: library.name };
+    const position = startPosition({ cursor, offset }, pageSearch);
+
+    const page = await sourceFor(library).list({ type: 'documents', folder_id, limit: searchLimit(limit), position });
+    log.info('Listed folder documents', { folder_id: folder_id, results: page.results.length });
+
+    return {
+        folder_id: folder_id,
+        library: library.name,
+        results: page.results.map(doc => toSearchResult(doc, library)),
+        total: page.total,
+        offset: page.offset,
+        next_cursor: pageCursor(page, pageSearch),
+        has_more: Boolean(page.next)
+    };
+}
+
+// Version history of a document, oldest first
+async function listVersions({ id, library: libraryName }) {
+    if (!id) {
+        throw browseError('Missing required field: id');
+    }
+
+    const library = libraries.assertAllowed(libraries.forDocument(id, libraryName), getCaller());
+    const versions = (await sourceFor(library).listVersions(id)).map(summarizeVersion).sort((a, b) => a.version - b.version);
+    log.info('Listed versions', { doc_id: id, versions: versions.length });
+
+    return {
+        id: id,
+        library: library.name,
+        versions: versions,
+        total: versions.length,
+        latest_version: versions.length > 0 ? versions[versions.length - 1].version : null
+    };
+}
+
+// Download a version and extract its text for comparison
+async function loadVersionText(library, id) {
+    const doc = await getDocumentDetails(library, id);
+    const extraction = await getDocumentText(library, doc);
+    if (!extraction.format) {
+        throw browseError(`Cannot compare version ${doc.version || id}: ${extraction.text}`, 422);
+    }
+    return { doc, text: extraction.text };
+}
+
+// Redline summary between two versions. Defaults to the latest version against the one before it.
+async function compareVersions({ id, from_version, to_version, library: libraryName }) {
+    if (!id) {
+        throw browseError('Missing required field: id');
+    }
+
+    const library = libraries.assertAllowed(libraries.forDocument(id, libraryName), getCaller());
+    let fromVersion = from_version;
+    let toVersion = to_version;
+
+    if (!fromVersion || !toVersion) {
+        const { versions } = await listVersions({ id, library: library.name });
+        const numbers = versions.map(v => v.version);
+        toVersion = toVersion || numbers[numbers.length - 1];
+        fromVersion = fromVersion || numbers.filter(n => n < Number(toVersion)).pop();
+        if (!fromVersion) {
+            throw browseError(`Document ${id} has no version before version ${toVersion} to compare with`);
+        }
+    }
+    if (Number(fromVersion) === Number(toVersion)) {
+        throw browseError('from_version and to_version must be different versions');
+    }
+
+    log.info('Comparing versions', { doc_id: id, from_version: fromVersion, to_version: toVersion });
+    const before = await loadVersionText(library, versionId(id, fromVersion));
+    const after = await loadVersionText(library, versionId(id, toVersion));
+    rateLimiter.addDownload((before.doc.size || 0) + (after.doc.size || 0));
+    const comparison = compareTexts(before.text, after.text);
+
+    return {
+        id: id,
+        library: library.name,
+        from: summarizeVersion(before.doc),
+        to: summarizeVersion(after.doc),
+        ...comparison
+    };
+}
+
+// POST routes for the browse and version functions; errors carry their status like /search
+function toolRoute(name, handler) {
+    return async (req, res) => {
+        try {
+            log.info(name);
+            res.json(await handler(req.body || {}));
+        } catch (error) {
+            log.error(`${name} failed`, { status: error.status, error: error });
+            res.status(error.status || (error.response && error.response.status === 404 ? 404 : 500)).json({
+                error: `${name} failed`,
+                message: error.message
+            });
+        }
+    };
+}
+
+app.post('/list-workspaces', auditRoute('list_workspaces'), toolRoute('List workspaces', listWorkspaces));
+app.post('/get-workspace', auditRoute('get_workspace'), toolRoute('Get workspace', getWorkspace));
+app.post('/list-folder-children', auditRoute('list_folder_children'), toolRoute('List folder children', listFolderChildren));
+app.post('/list-folder-documents', auditRoute('list_folder_documents'), toolRoute('List folder documents', listFolderDocuments));
+app.post('/list-versions', auditRoute('list_versions'), toolRoute('List versions', listVersions));
+app.post('/compare-versions', auditRoute('compare_versions'), toolRoute('Compare versions', compareVersions));
+
 // Root endpoint with API documentation
 app.get('/', (req, res) => {
     res.json({
@@ -1119,15 +2524,39 @@ app.get('/', (req, res) => {
             search_endpoint: '/search', 
             fetch_endpoint: '/fetch'
         },
+        authentication: authScheme,
+        mcp: {
+            streamable_http_endpoint: '/mcp',
+            sse_endpoint: '/sse',
+            sse_messages_endpoint: '/messages',
+            tools: ['search', 'fetch', 'list_workspaces', 'get_workspace', 'list_folder_children', 'list_folder_documents', 'list_versions', 'compare_versions']
+        },
         legacy_endpoints: {
             '/search-by-title': 'POST - Search documents by title',
             '/search-by-keywords': 'POST - Search documents by keywords in body/anywhere/comments',
             '/search-advanced': 'POST - Advanced search with complex filters',
             '/download-document': 'POST - Download document content',
             '/get-document-details': 'POST - Get document metadata',
+            '/libraries': 'GET - List the iManage libraries available to the caller',
+            '/list-workspaces': 'POST - List or find workspaces',
+            '/get-workspace': 'POST - Workspace profile and folder tree',
+            '/list-folder-children': 'POST - Subfolders of a folder',
+            '/list-folder-documents': 'POST - Documents filed in a folder',
+            '/list-versions': 'POST - Version history of a document',
+            '/compare-versions': 'POST - Redline summary between two document versions',
             '/batch-search': 'POST - Perform multiple searches in one request',
             '/fetch-document': 'POST - Legacy endpoint (Scenario A compatibility)',
-            '/health': 'GET - Health check'
+            '/admin/index/status': 'GET - Semantic index sync state (ADMIN_USERS)',
+            '/admin/index/sync': 'POST - Sync the semantic index now (ADMIN_USERS)',
+            '/admin/index/reindex': 'POST - Rebuild the semantic index (ADMIN_USERS)',
+            '/admin/cache': 'GET - Response cache size and hit/miss counts (ADMIN_USERS)',
+            '/admin/cache/clear': 'POST - Empty the response cache (ADMIN_USERS)',
+            '/admin/audit': 'GET - Audit records by user, document and date range (ADMIN_USERS)',
+            '/admin/rate-limits': 'GET - Rate limits, download quotas and downloads today per client (ADMIN_USERS)',
+            '/health': 'GET - Health check',
+            '/livez': 'GET - Liveness probe',
+            '/readyz': 'GET - Readiness probe: checks sign-in and a lightweight call to each library',
+            '/metrics': 'GET - Prometheus metrics'
         },
         usage: {
             openai_connector: {
@@ -1149,48 +2578,54 @@ app.get('/', (req, res) => {
     });
 });
 
-// Helper function for batch search
-async function performBatchSearch(searches) {
-    const results = [];
-    
-    for (let i = 0; i < searches.length; i++) {
-        const search = searches[i];
-        console.log(`  Executing search ${i + 1}/${searches.length}: ${search.type}`);
-        
-        try {
-            let searchResult;
-            
-            switch (search.type) {
-                case 'title':
-                    searchResult = await performTitleSearch(search.query, search.limit || 50);
-                    break;
-                case 'keywords':
-                    searchResult = await performKeywordSearch(search.query, search.searchIn || 'anywhere', search.limit || 50);
-                    break;
-                case 'advanced':
-                    searchResult = await performAdvancedSearch(search.filters, search.profileFields, search.limit || 50);
-                    break;
-                default:
-                    throw new Error(`Unknown search type: ${search.type}`);
-            }
-            
-            results.push({
+// Helper function for batch search. Searches run through the batch pool, so up to
+// BATCH_CONCURRENCY are in flight; results keep the order of `searches`.
+async function performBatchSearch(searches, { signal } = {}) {
+    // A bad limit rejects the whole batch before any search runs
+    const limits = searches.map(search => searchLimit(search.limit === undefined ? 50 : search.limit));
+    metrics.batchSearchSize.observe({}, searches.length);
+    const outcomes = await runPool(searches.map((search, i) => searchSignal => withSpan(`batch search ${i + 1}`, {
+        'imanage_mcp.batch.step': i + 1,
+        'imanage_mcp.search_type': search.type
+    }, async () => {
+        log.debug('Batch search step', { step: i + 1, searches: searches.length, search_type: search.type });
+        const library = libraries.assertAllowed(libraries.resolve(search.library), getCaller());
+        const position = initialPosition(search.offset);
+
+        switch (search.type) {
+            case 'title':
+                return performTitleSearch(search.query, limits[i], library, position, searchSignal);
+            case 'keywords':
+                return performKeywordSearch(search.query, search.searchIn || 'anywhere', limits[i], library, position, searchSignal);
+            case 'advanced':
+                return performAdvancedSearch(search.filters, search.profileFields, limits[i], library, position, searchSignal);
+            default:
+                throw new Error(`Unknown search type: ${search.type}`);
+        }
+    })), { concurrency: BATCH_CONCURRENCY, timeout: BATCH_SEARCH_TIMEOUT, signal });
+
+    if (signal && signal.aborted) {
+        throw signal.reason;
+    }
+
+    const results = outcomes.map((outcome, i) => {
+        if (outcome.status === 'fulfilled') {
+            return {
                 searchIndex: i,
-                searchType: search.type,
+                searchType: searches[i].type,
                 success: true,
-                ...searchResult
-            });
-            
-        } catch (error) {
-            console.error(`❌ Search ${i + 1} failed:`, error.message);
-            results.push({
-                searchIndex: i,
-                searchType: search.type,
-                success: false,
-                error: error.message
-            });
+                ...outcome.value
+            };
         }
-    }
+
+        log.warn('Batch search step failed', { step: i + 1, error: outcome.reason });
+        return {
+            searchIndex: i,
+            searchType: searches[i].type,
+            success: false,
+            error: outcome.reason.message
+        };
+    });
     
     return {
         totalSearches: searches.length,
@@ -1199,25 +2634,60 @@ async function performBatchSearch(searches) {
     };
 }
 
-app.listen(PORT, () => {
-    console.log(`🚀 Enhanced MCP Server running at http://localhost:${PORT}`);
-    console.log(`📋 Scenario B: Deep Research with iManage Work API`);
-    console.log(`🔍 Features: Title Search, Keyword Search, Advanced Search, Batch Operations`);
-    console.log(`🌐 Environment: ${process.env.URL_PREFIX}`);
-    console.log(`📁 Library: ${process.env.LIBRARY_ID}`);
-    
-    // Show deployment info
-    if (process.env.RENDER) {
-        console.log(`🚀 Deployed on Render`);
-        console.log(`🔗 Public URL: https://${process.env.RENDER_EXTERNAL_HOSTNAME || 'your-app.onrender.com'}`);
+// MCP tools backed by the same implementations as the HTTP routes
+const toolHandlers = {
+    search: searchDocuments,
+    fetch: fetchDocument,
+    list_workspaces: listWorkspaces,
+    get_workspace: getWorkspace,
+    list_folder_children: listFolderChildren,
+    list_folder_documents: listFolderDocuments,
+    list_versions: listVersions,
+    compare_versions: compareVersions
+};
+
+const mcpTools = [...connectorTools, ...browseTools].map(tool => ({
+    name: tool.function.name,
+    description: tool.function.description,
+    inputSchema: tool.function.parameters,
+    handler: auditedTool(tool.function.name, toolHandlers[tool.function.name])
+}));
+
+function startHttpServer(port = PORT) {
+    mountMcpRoutes(app, mcpTools);
+    indexer.start();
+
+    const server = app.listen(port, () => {
+        // The endpoints are listed by GET /; iManage URLs are left out of the logs
+        log.info('iManage MCP Server listening', {
+            port: server.address().port,
+            features: ['title', 'keywords', 'advanced', 'batch', 'semantic', 'hybrid', 'passages'],
+            libraries: libraries.libraries.map(l => l.name),
+            deployment: process.env.RENDER ? 'render' : 'local',
+            ...(process.env.RENDER ? { public_url: `https://${process.env.RENDER_EXTERNAL_HOSTNAME || 'your-app.onrender.com'}` } : {})
+        });
+    });
+    server.on('close', () => {
+        indexer.stop();
+        flushTracing();
+    });
+    return server;
+}
+
+// Start when run directly; the test suite requires this module and starts the HTTP server itself
+if (require.main === module) {
+    if (STDIO_MODE) {
+        indexer.start();
+        startStdioServer(mcpTools).catch(error => {
+            log.error('Failed to start MCP stdio server', { error: error });
+            process.exit(1);
+        });
     } else {
-        console.log(`💻 Running locally`);
+        startHttpServer();
     }
-    
-    console.log(`\n📡 Available endpoints:`);
-    console.log(`   GET  /health - Health check`);
-    console.log(`   GET  /tools - OpenAI tool discovery`);
-    console.log(`   POST /search - Unified search endpoint`);
-    console.log(`   POST /fetch - Document retrieval`);
-    console.log(`   GET  /.well-known/ai-plugin.json - OpenAI plugin manifest`);
-});
\ No newline at end of file
+}
+
+module.exports = {
+    app,
+    startHttpServer
+};
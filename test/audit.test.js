@@ -0,0 +1,185 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const { AuditLog } = require('../lib/audit');
+const { startStack } = require('./helpers');
+
+describe('audit log', () => {
+    let stack;
+    let root;
+
+    before(async () => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'imanage-audit-'));
+        stack = await startStack({
+            env: {
+                API_KEYS: 'alice:key-alice,bob:key-bob',
+                ADMIN_USERS: 'alice',
+                AUDIT_ENABLED: 'true',
+                AUDIT_DIR: path.join(root, 'server')
+            }
+        });
+    });
+
+    after(async () => {
+        await stack.stop();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    const asUser = key => ({ headers: { 'X-API-Key': key } });
+    const audit = query => stack.get(`/admin/audit?${new URLSearchParams(query)}`, asUser('key-alice'));
+
+    describe('routes', () => {
+        it('records a search with its query, filters and returned documents', async () => {
+            const search = await stack.post('/search', { query: 'agreement', library: 'Active', include_passages: false }, asUser('key-alice'));
+            const res = await audit({ user: 'alice', tool: 'search' });
+
+            assert.equal(res.status, 200);
+            const [record] = res.body.records;
+            assert.equal(record.route, '/search');
+            assert.equal(record.auth_type, 'api_key');
+            assert.equal(record.query, 'agreement');
+            assert.deepEqual(record.filters, { library: 'Active', include_passages: false });
+            assert.deepEqual(record.returned, search.body.results.map(r => r.id));
+            assert.deepEqual(record.documents, []);
+            assert.equal(record.outcome, 'success');
+            assert.equal(record.status, 200);
+        });
+
+        it('records the documents a search quoted passages from', async () => {
+            const search = await stack.post('/search', { query: 'breach', library: 'Active', include_passages: true }, asUser('key-alice'));
+            const quoted = search.body.results.filter(r => r.passages.length > 0).map(r => r.id);
+            const res = await audit({ user: 'alice', tool: 'search' });
+
+            assert.ok(quoted.length > 0);
+            assert.deepEqual(res.body.records[0].documents.map(doc => [doc.id, doc.access]), quoted.map(id => [id, 'passages']));
+        });
+
+        it('records fetched and downloaded documents with their version', async () => {
+            await stack.post('/fetch', { id: 'ACTIVE!1002.1', version: 2 }, asUser('key-alice'));
+            await stack.post('/download-document', { docId: 'ACTIVE!1005.1' }, asUser('key-alice'));
+
+            const fetched = await audit({ tool: 'fetch' });
+            assert.deepEqual(fetched.body.records[0].documents, [{ id: 'ACTIVE!1002.2', version: 2, access: 'content' }]);
+
+            const downloaded = await audit({ tool: 'download-document' });
+            assert.deepEqual(downloaded.body.records[0].documents, [{ id: 'ACTIVE!1005.1', version: 1, access: 'download' }]);
+        });
+
+        it('records denied and failed access', async () => {
+            await stack.post('/fetch', { id: 'ARCHIVE!2001.1' }, asUser('key-bob'));
+            await stack.post('/fetch', { id: 'ACTIVE!9999.1' }, asUser('key-bob'));
+
+            const res = await audit({ user: 'BOB' });
+            assert.deepEqual(res.body.records.map(r => [r.documents[0].id, r.outcome, r.status]), [
+                ['ACTIVE!9999.1', 'error', 404],
+                ['ARCHIVE!2001.1', 'denied', 403]
+            ]);
+            assert.match(res.body.records[1].error, /not allowed/);
+        });
+
+        it('records MCP tool calls', async () => {
+            const client = new Client({ name: 'audit-test-client', version: '1.0.0' });
+            await client.connect(new StreamableHTTPClientTransport(new URL('/mcp', stack.baseUrl), {
+                requestInit: { headers: { 'X-API-Key': 'key-bob' } }
+            }));
+            await client.callTool({ name: 'list_versions', arguments: { id: 'ACTIVE!1002.1' } });
+            await client.close();
+
+            const [record] = (await audit({ tool: 'list_versions' })).body.records;
+            assert.equal(record.user, 'bob');
+            assert.equal(record.route, '/mcp');
+            assert.deepEqual(record.returned, ['ACTIVE!1002.1', 'ACTIVE!1002.2']);
+        });
+
+        it('finds every version of a document, or only the version asked for', async () => {
+            const any = await audit({ document: 'ACTIVE!1002' });
+            assert.ok(any.body.records.some(r => r.tool === 'fetch'));
+            assert.ok(any.body.records.some(r => r.tool === 'list_versions'));
+
+            const first = await audit({ document: 'ACTIVE!1002.2', tool: 'fetch' });
+            assert.equal(first.body.total, 1);
+        });
+
+        it('filters by date range and limits the records returned', async () => {
+            const today = new Date().toISOString().slice(0, 10);
+            const all = await audit({ from: today, to: today });
+            assert.ok(all.body.total >= 6);
+
+            const limited = await audit({ from: today, limit: 2 });
+            assert.equal(limited.body.records.length, 2);
+            assert.equal(limited.body.truncated, true);
+            assert.ok(limited.body.records[0].time >= limited.body.records[1].time);
+
+            const future = await audit({ from: '2999-01-01' });
+            assert.equal(future.body.total, 0);
+
+            const invalid = await audit({ from: 'yesterday' });
+            assert.equal(invalid.status, 400);
+        });
+
+        it('is limited to ADMIN_USERS', async () => {
+            const res = await stack.get('/admin/audit', asUser('key-bob'));
+            assert.equal(res.status, 403);
+        });
+    });
+
+    describe('AuditLog', () => {
+        it('rotates files past maxBytes and queries across them', async () => {
+            const dir = path.join(root, 'rotate');
+            const log = new AuditLog({ dir, maxBytes: 200 });
+            for (let i = 0; i < 5; i++) {
+                await log.record({ tool: 'search', query: `query ${i}`, returned: [], documents: [] });
+            }
+
+            const files = fs.readdirSync(dir);
+            assert.ok(files.length > 1);
+            assert.ok(files.includes('audit.jsonl'));
+
+            const result = await log.query();
+            assert.deepEqual(result.records.map(r => r.query).sort(), ['query 0', 'query 1', 'query 2', 'query 3', 'query 4']);
+        });
+
+        it('stops reading older files once it has the newest records', async () => {
+            const dir = path.join(root, 'newest');
+            fs.mkdirSync(dir);
+            const old = path.join(dir, 'audit-2020-01-01T00-00-00-000Z.jsonl');
+            // Dated after the records below, so it would come first were the file read
+            fs.writeFileSync(old, JSON.stringify({ time: '2999-01-01T00:00:00.000Z', tool: 'search', query: 'old file' }) + '\n');
+            const longAgo = new Date('2020-01-01T00:00:00Z');
+            fs.utimesSync(old, longAgo, longAgo);
+
+            const log = new AuditLog({ dir, retentionDays: 0 });
+            for (let i = 0; i < 3; i++) {
+                await log.record({ tool: 'search', query: `query ${i}`, returned: [], documents: [] });
+            }
+
+            const result = await log.query({ limit: 2 });
+            assert.equal(result.records.length, 2);
+            assert.ok(result.records.every(r => r.query !== 'old file'));
+            assert.equal(result.truncated, true);
+
+            const all = await log.query({ limit: 10 });
+            assert.equal(all.records[0].query, 'old file');
+            assert.equal(all.total, 4);
+        });
+
+        it('deletes rotated files past the retention period', async () => {
+            const dir = path.join(root, 'retention');
+            fs.mkdirSync(dir);
+            const old = path.join(dir, 'audit-2020-01-01T00-00-00-000Z.jsonl');
+            const recent = path.join(dir, 'audit-2020-01-02T00-00-00-000Z.jsonl');
+            fs.writeFileSync(old, '{}\n');
+            fs.writeFileSync(recent, '{}\n');
+            const longAgo = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000);
+            fs.utimesSync(old, longAgo, longAgo);
+
+            await new AuditLog({ dir, retentionDays: 30 }).record({ tool: 'fetch' });
+
+            assert.deepEqual(fs.readdirSync(dir).sort(), ['audit-2020-01-02T00-00-00-000Z.jsonl', 'audit.jsonl']);
+        });
+    });
+});
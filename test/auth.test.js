@@ -0,0 +1,240 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const { ConnectorAuthProvider, loadAuthConfig } = require('../lib/auth');
+const { LibraryRegistry } = require('../lib/libraries');
+const { oauthSignIn, startStack } = require('./helpers');
+
+describe('inbound authentication', () => {
+    let stack;
+
+    before(async () => {
+        stack = await startStack({
+            env: {
+                API_KEYS: 'alice:key-alice,bob:key-bob',
+                OAUTH_USERS: 'carol:carol-password'
+            }
+        });
+    });
+
+    after(() => stack.stop());
+
+    const asUser = key => ({ headers: { 'X-API-Key': key } });
+
+    describe('API keys', () => {
+        it('rejects requests without credentials', async () => {
+            const res = await stack.post('/search', { query: 'acme' });
+
+            assert.equal(res.status, 401);
+            assert.match(res.headers.get('www-authenticate'), /resource_metadata=/);
+        });
+
+        it('rejects unknown keys', async () => {
+            const res = await stack.post('/search', { query: 'acme' }, asUser('key-mallory'));
+
+            assert.equal(res.status, 401);
+        });
+
+        it('accepts keys in X-API-Key or as a bearer token', async () => {
+            const header = await stack.post('/search', { query: 'acme' }, asUser('key-alice'));
+            assert.equal(header.status, 200);
+
+            const bearer = await stack.post('/search', { query: 'acme' }, { headers: { Authorization: 'Bearer key-alice' } });
+            assert.equal(bearer.status, 200);
+        });
+
+        it('protects every iManage route', async () => {
+            for (const route of ['/search-by-title', '/fetch', '/download-document', '/batch-search', '/list-workspaces', '/compare-versions', '/mcp']) {
+                const res = await stack.post(route, {});
+                assert.equal(res.status, 401, route);
+            }
+        });
+
+        it('keeps MCP sessions to the caller who started them', async () => {
+            const transport = new StreamableHTTPClientTransport(new URL('/mcp', stack.baseUrl), { requestInit: asUser('key-alice') });
+            const client = new Client({ name: 'auth-test-client', version: '1.0.0' });
+            await client.connect(transport);
+
+            const hijack = await stack.post('/mcp', { jsonrpc: '2.0', id: 1, method: 'tools/list' }, {
+                headers: { 'X-API-Key': 'key-bob', 'mcp-session-id': transport.sessionId, Accept: 'application/json, text/event-stream' }
+            });
+            assert.equal(hijack.status, 404);
+
+            const { tools } = await client.listTools();
+            assert.ok(tools.length > 0);
+            await client.close();
+        });
+
+        it('leaves discovery routes open', async () => {
+            for (const route of ['/health', '/tools', '/openapi.json', '/.well-known/oauth-authorization-server']) {
+                const res = await stack.get(route);
+                assert.equal(res.status, 200, route);
+            }
+        });
+    });
+
+    describe('library access', () => {
+        it('limits restricted libraries to their allowed users', async () => {
+            const alice = await stack.post('/search', { query: 'lease', library: 'Archive' }, asUser('key-alice'));
+            assert.equal(alice.status, 200);
+
+            const bob = await stack.post('/search', { query: 'lease', library: 'Archive' }, asUser('key-bob'));
+            assert.equal(bob.status, 403);
+
+            const bobFetch = await stack.post('/fetch', { id: 'ARCHIVE!2001.1' }, asUser('key-bob'));
+            assert.equal(bobFetch.status, 403);
+        });
+
+        it('matches allowed users without regard to case', () => {
+            const tenant = { name: 'default' };
+            const registry = new LibraryRegistry({
+                tenants: [tenant],
+                libraries: [{ name: 'Archive', id: 'ARCHIVE', tenant: tenant, allowedUsers: ['Alice'] }],
+                defaultLibrary: 'Archive'
+            });
+            const archive = registry.find('Archive');
+
+            assert.equal(registry.isAllowed(archive, { user: 'alice' }), true);
+            assert.equal(registry.isAllowed(archive, { user: 'ALICE' }), true);
+            assert.equal(registry.isAllowed(archive, { user: 'bob' }), false);
+        });
+
+        it('refuses ids that would lead into another library', async () => {
+            const before = stack.mock.requests.length;
+            for (const id of ['ACTIVE!1/../../../ARCHIVE/documents/ARCHIVE!2001.1', 'ACTIVE!1001.1?library=ARCHIVE', 'ACTIVE!1001.1#x']) {
+                const res = await stack.post('/fetch', { id: id }, asUser('key-bob'));
+                assert.equal(res.status, 400, id);
+            }
+            assert.ok(!stack.mock.requests.slice(before).some(r => r.path.includes('ARCHIVE')));
+        });
+
+        it('refuses a library that disagrees with the document id', async () => {
+            const res = await stack.post('/download-document', { docId: 'ARCHIVE!2001.1', library: 'Active', returnContent: true }, asUser('key-alice'));
+
+            assert.equal(res.status, 400);
+            assert.match(res.body.message, /belongs to library Archive, not Active/);
+        });
+
+        it('only fans out to libraries the caller may use', async () => {
+            const alice = await stack.post('/search', { query: 'acme' }, asUser('key-alice'));
+            assert.deepEqual(alice.body.libraries, ['Active', 'Archive']);
+
+            const bob = await stack.post('/search', { query: 'acme' }, asUser('key-bob'));
+            assert.deepEqual(bob.body.libraries, ['Active']);
+
+            const libraries = await stack.get('/libraries', asUser('key-bob'));
+            assert.deepEqual(libraries.body.libraries.map(l => l.name), ['Active']);
+        });
+    });
+
+    describe('OAuth', () => {
+        it('publishes authorization server metadata', async () => {
+            const res = await stack.get('/.well-known/oauth-authorization-server');
+
+            assert.equal(res.body.issuer, `${stack.baseUrl}/`);
+            assert.ok(res.body.code_challenge_methods_supported.includes('S256'));
+        });
+
+        it('issues tokens through the sign-in form', async () => {
+            const tokens = await oauthSignIn(stack, { username: 'carol', password: 'carol-password' });
+            assert.ok(tokens.access_token);
+
+            const res = await stack.post('/search', { query: 'acme' }, { headers: { Authorization: `Bearer ${tokens.access_token}` } });
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.libraries, ['Active']);
+        });
+
+        it('rejects a wrong password', async () => {
+            await assert.rejects(oauthSignIn(stack, { username: 'carol', password: 'wrong' }), /did not redirect/);
+        });
+
+        it('makes the client start again after repeated wrong passwords', async () => {
+            const registration = await stack.post('/register', {
+                client_name: 'guessing client',
+                redirect_uris: ['http://localhost:9/callback'],
+                token_endpoint_auth_method: 'none'
+            });
+            const authorize = await stack.get('/authorize?' + new URLSearchParams({
+                response_type: 'code',
+                client_id: registration.body.client_id,
+                redirect_uri: 'http://localhost:9/callback',
+                code_challenge: 'E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM',
+                code_challenge_method: 'S256'
+            }));
+            const loginId = authorize.body.match(/name="login_id" value="([^"]+)"/)[1];
+            const signIn = password => stack.post('/oauth/login', undefined, { form: { login_id: loginId, username: 'carol', password } });
+
+            assert.equal((await signIn('guess-1')).status, 401);
+            assert.equal((await signIn('guess-2')).status, 401);
+            assert.match((await signIn('guess-3')).body, /Too many failed sign-in attempts/);
+
+            const res = await signIn('carol-password');
+            assert.equal(res.status, 400);
+            assert.equal(res.headers.get('location'), null);
+        });
+
+        it('rotates refresh tokens', async () => {
+            const tokens = await oauthSignIn(stack, { username: 'carol', password: 'carol-password' });
+            const refresh = refreshToken => stack.post('/token', undefined, {
+                form: { grant_type: 'refresh_token', refresh_token: refreshToken, client_id: tokens.client_id }
+            });
+
+            const rotated = await refresh(tokens.refresh_token);
+            assert.equal(rotated.status, 200);
+            assert.notEqual(rotated.body.refresh_token, tokens.refresh_token);
+
+            const search = await stack.post('/search', { query: 'acme' }, { headers: { Authorization: `Bearer ${rotated.body.access_token}` } });
+            assert.equal(search.status, 200);
+
+            const reused = await refresh(tokens.refresh_token);
+            assert.equal(reused.status, 400);
+        });
+    });
+
+    describe('configuration', () => {
+        it('never names a caller after a key listed without a name', () => {
+            const config = loadAuthConfig({ API_KEYS: 'alice:key-a,rawsecret123', OAUTH_USERS: 'carol' });
+
+            assert.equal(config.apiKeys[0].name, 'alice');
+            assert.match(config.apiKeys[1].name, /^key-[0-9a-f]{8}$/);
+            assert.equal(config.apiKeys[1].secret, 'rawsecret123');
+            assert.deepEqual(config.users, []);
+        });
+    });
+
+    describe('sign-in state', () => {
+        const now = () => Math.floor(Date.now() / 1000);
+
+        it('drops expired sign-ins, codes and tokens when storing new ones', () => {
+            const provider = new ConnectorAuthProvider(loadAuthConfig({}));
+            const stores = [provider.pendingLogins, provider.authorizationCodes, provider.accessTokens, provider.refreshTokens];
+            for (const store of stores) {
+                store.set('expired', { expiresAt: now() - 1 });
+                store.set('current', { expiresAt: now() + 60 });
+            }
+            provider.failedLogins.set('mallory', { count: 2, since: now() - 16 * 60 });
+            provider.failedLogins.set('carol', { count: 2, since: now() });
+            provider.prunedAt = 0;
+
+            provider.issueTokens('client', 'carol', ['imanage:read']);
+
+            for (const store of stores) {
+                assert.ok(!store.has('expired'));
+                assert.ok(store.has('current'));
+            }
+            assert.deepEqual([...provider.failedLogins.keys()], ['carol']);
+        });
+
+        it('tracks wrong passwords for a bounded number of users', () => {
+            const provider = new ConnectorAuthProvider(loadAuthConfig({}));
+            for (let i = 0; i <= 10000; i++) {
+                provider.recordFailedLogin(`user${i}`);
+            }
+
+            assert.equal(provider.failedLogins.size, 10000);
+            assert.ok(!provider.failedLogins.has('user0'));
+            assert.ok(provider.failedLogins.has('user10000'));
+        });
+    });
+});
@@ -0,0 +1,119 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('timers/promises');
+const { runPool } = require('../lib/pool');
+const { startStack } = require('./helpers');
+
+describe('concurrent batch searches', () => {
+    let stack;
+
+    before(async () => {
+        stack = await startStack({ env: { BATCH_CONCURRENCY: '2', BATCH_SEARCH_TIMEOUT_MS: '500' } });
+        // Sign the service account in before the tests count requests
+        await stack.post('/search-by-title', { title: 'Fee' });
+    });
+
+    after(() => stack.stop());
+
+    beforeEach(() => {
+        stack.mock.delays = [];
+        stack.mock.peakInFlight = 0;
+    });
+
+    const searchRequests = () => stack.mock.requests.filter(r => r.path.endsWith('/documents'));
+
+    it('runs up to BATCH_CONCURRENCY searches at once', async () => {
+        stack.mock.delayNext('/documents', 100, { times: 4 });
+        const res = await stack.post('/batch-search', {
+            searches: ['Fee', 'Services', 'Settlement', 'Attendance'].map(title => ({ type: 'title', query: title }))
+        });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.successfulSearches, 4);
+        assert.deepEqual(res.body.results.map(r => r.searchTerm), ['Fee', 'Services', 'Settlement', 'Attendance']);
+        assert.equal(stack.mock.peakInFlight, 2);
+    });
+
+    it('rejects a batch holding a search with a bad limit before running any', async () => {
+        const started = searchRequests().length;
+        for (const limit of [0, -1, 10000]) {
+            const res = await stack.post('/batch-search', {
+                searches: [{ type: 'title', query: 'Fee' }, { type: 'keywords', query: 'agreement', limit: limit }]
+            });
+
+            assert.equal(res.status, 400);
+            assert.match(res.body.message, /limit must be an integer from 1 to 200/);
+        }
+        assert.equal(searchRequests().length, started);
+    });
+
+    it('reports a search that times out without failing the others', async () => {
+        const started = searchRequests().length;
+        stack.mock.delayNext('/documents', 2000);
+        const res = await stack.post('/batch-search', {
+            searches: [{ type: 'title', query: 'Fee' }, { type: 'title', query: 'Services' }]
+        });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.successfulSearches, 1);
+        assert.equal(res.body.results[0].success, false);
+        assert.match(res.body.results[0].error, /timed out after 500ms/);
+        assert.equal(res.body.results[1].results[0].id, 'ACTIVE!1002.2');
+        // The abandoned iManage call is aborted rather than left running
+        await sleep(100);
+        assert.equal(searchRequests().slice(started)[0].aborted, true);
+    });
+
+    it('fails a fused batch search whose strategies time out', async () => {
+        stack.mock.delayNext('/documents', 2000, { times: 3 });
+        const res = await stack.post('/search', { query: 'agreement', search_type: 'batch', library: 'Active' });
+
+        assert.equal(res.status, 504);
+        assert.match(res.body.message, /timed out/);
+    });
+
+    it('cancels the remaining searches when the client disconnects', async () => {
+        const started = searchRequests().length;
+        stack.mock.delayNext('/documents', 2000, { times: 4 });
+        const controller = new AbortController();
+        const pending = stack.post('/batch-search', {
+            searches: ['Fee', 'Services', 'Settlement', 'Attendance'].map(title => ({ type: 'title', query: title }))
+        }, { signal: controller.signal });
+
+        await sleep(150);
+        controller.abort();
+        await assert.rejects(pending);
+        await sleep(300);
+
+        const sent = searchRequests().slice(started);
+        assert.equal(sent.length, 2);
+        assert.ok(sent.every(r => r.aborted));
+    });
+
+    describe('runPool', () => {
+        it('settles every task in order', async () => {
+            const outcomes = await runPool([
+                async () => 'a',
+                async () => { throw new Error('boom'); },
+                async () => 'c'
+            ], { concurrency: 2 });
+
+            assert.deepEqual(outcomes.map(o => o.status), ['fulfilled', 'rejected', 'fulfilled']);
+            assert.equal(outcomes[2].value, 'c');
+            assert.equal(outcomes[1].reason.message, 'boom');
+        });
+
+        it('does not start tasks after the run is cancelled', async () => {
+            const controller = new AbortController();
+            const started = [];
+            const outcomes = await runPool([0, 1, 2].map(i => async signal => {
+                started.push(i);
+                controller.abort();
+                await sleep(1000, null, { signal }).catch(() => {});
+            }), { concurrency: 1, signal: controller.signal });
+
+            assert.deepEqual(started, [0]);
+            assert.ok(outcomes.every(o => o.status === 'rejected' && o.reason.status === 499));
+        });
+    });
+});
@@ -0,0 +1,162 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { compareTexts } = require('../lib/versions');
+const { startStack } = require('./helpers');
+
+describe('workspace and version routes', () => {
+    let stack;
+
+    before(async () => {
+        stack = await startStack();
+    });
+
+    after(() => stack.stop());
+
+    describe('POST /list-workspaces', () => {
+        it('lists and filters workspaces', async () => {
+            const all = await stack.post('/list-workspaces', {});
+            assert.equal(all.status, 200);
+            assert.deepEqual(all.body.workspaces.map(w => w.id), ['ACTIVE!100', 'ACTIVE!200']);
+
+            const filtered = await stack.post('/list-workspaces', { query: 'dispute' });
+            assert.deepEqual(filtered.body.workspaces.map(w => w.name), ['Acme v Beta']);
+            assert.equal(filtered.body.workspaces[0].custom1, 'Acme Manufacturing Limited');
+        });
+
+        it('pages through workspaces', async () => {
+            const first = await stack.post('/list-workspaces', { limit: 1 });
+            assert.equal(first.body.has_more, true);
+
+            const second = await stack.post('/list-workspaces', { limit: 1, cursor: first.body.next_cursor });
+            assert.deepEqual(second.body.workspaces.map(w => w.id), ['ACTIVE!200']);
+            assert.equal(second.body.has_more, false);
+        });
+
+        it('lists workspaces in another library', async () => {
+            const res = await stack.post('/list-workspaces', { library: 'Archive' });
+
+            assert.deepEqual(res.body.workspaces.map(w => w.name), ['Riverside lease']);
+        });
+    });
+
+    describe('POST /get-workspace', () => {
+        it('returns the workspace and its top-level folders', async () => {
+            const res = await stack.post('/get-workspace', { workspace_id: 'ACTIVE!100' });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.workspace.name, 'Acme v Beta');
+            assert.deepEqual(res.body.folders.map(f => f.name), ['Pleadings', 'Correspondence', 'Agreements', 'Notes']);
+            assert.equal(res.body.folders[0].children, undefined);
+        });
+
+        it('expands subfolders up to the requested depth', async () => {
+            const res = await stack.post('/get-workspace', { workspace_id: 'ACTIVE!100', depth: 2 });
+
+            assert.deepEqual(res.body.folders[0].children.map(f => f.name), ['Drafts']);
+            assert.equal(res.body.folder_count, 5);
+            assert.equal(res.body.truncated, false);
+        });
+
+        it('validates depth and workspace_id', async () => {
+            const depth = await stack.post('/get-workspace', { workspace_id: 'ACTIVE!100', depth: 7 });
+            assert.equal(depth.status, 400);
+
+            const missing = await stack.post('/get-workspace', {});
+            assert.equal(missing.status, 400);
+        });
+
+        it('returns 404 for unknown workspaces', async () => {
+            const res = await stack.post('/get-workspace', { workspace_id: 'ACTIVE!999' });
+
+            assert.equal(res.status, 404);
+        });
+    });
+
+    describe('POST /list-folder-children', () => {
+        it('lists subfolders', async () => {
+            const res = await stack.post('/list-folder-children', { folder_id: 'ACTIVE!110' });
+
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.folders.map(f => f.id), ['ACTIVE!111']);
+            assert.equal(res.body.folders[0].parent_id, 'ACTIVE!110');
+        });
+    });
+
+    describe('POST /list-folder-documents', () => {
+        it('lists the documents in a folder as search results', async () => {
+            const res = await stack.post('/list-folder-documents', { folder_id: 'ACTIVE!130' });
+
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.results.map(r => r.id), ['ACTIVE!1002.2', 'ACTIVE!1003.1']);
+            assert.equal(res.body.results[0].metadata.library, 'Active');
+        });
+
+        it('requires folder_id', async () => {
+            const res = await stack.post('/list-folder-documents', {});
+
+            assert.equal(res.status, 400);
+        });
+    });
+
+    describe('POST /list-versions', () => {
+        it('lists versions oldest first', async () => {
+            const res = await stack.post('/list-versions', { id: 'ACTIVE!1002.2' });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.latest_version, 2);
+            assert.deepEqual(res.body.versions.map(v => [v.version, v.author, v.comment]), [
+                [1, 'ALICE', 'First draft'],
+                [2, 'BOB', 'Counterparty markup']
+            ]);
+        });
+    });
+
+    describe('POST /compare-versions', () => {
+        it('compares the latest version with the previous one', async () => {
+            const res = await stack.post('/compare-versions', { id: 'ACTIVE!1002.1' });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.from.version, 1);
+            assert.equal(res.body.to.version, 2);
+            assert.equal(res.body.summary.identical, false);
+            assert.ok(res.body.changes.some(c => c.removed.includes('30') && c.added.includes('90')));
+            assert.match(res.body.redline, /\{\+.*English law.*\+\}/s);
+        });
+
+        it('compares in either direction', async () => {
+            const res = await stack.post('/compare-versions', { id: 'ACTIVE!1002.2', from_version: 2, to_version: 1 });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.from.version, 2);
+            assert.ok(res.body.summary.words_removed > 0);
+        });
+
+        it('needs a previous version to compare with', async () => {
+            const res = await stack.post('/compare-versions', { id: 'ACTIVE!1001.1' });
+
+            assert.equal(res.status, 400);
+        });
+
+        it('returns 404 for unknown documents', async () => {
+            const res = await stack.post('/compare-versions', { id: 'ACTIVE!9999.1' });
+
+            assert.equal(res.status, 404);
+        });
+    });
+
+    describe('compareTexts', () => {
+        it('compares long texts line by line', () => {
+            const lines = Array.from({ length: 20000 }, (_, i) => `Clause ${i} of the agreement.`);
+            const edited = [...lines];
+            edited[10] = 'Clause 10 of the amended agreement.';
+            const result = compareTexts(lines.join('\n'), edited.join('\n'));
+
+            assert.equal(result.granularity, 'lines');
+            assert.equal(result.summary.changes, 1);
+
+            const short = compareTexts(lines[10], edited[10]);
+            assert.equal(short.granularity, 'words');
+            assert.equal(short.changes[0].added, 'amended ');
+        });
+    });
+});
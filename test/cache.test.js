@@ -0,0 +1,151 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ResponseCache } = require('../lib/cache');
+const { requestContext } = require('../lib/context');
+const { oauthSignIn, startStack } = require('./helpers');
+
+describe('response cache', () => {
+    let stack;
+    let root;
+
+    before(async () => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'imanage-cache-'));
+        stack = await startStack({
+            env: {
+                API_KEYS: 'alice:key-alice,bob:key-bob',
+                OAUTH_USERS: 'alice:alice-password',
+                ADMIN_USERS: 'alice',
+                CACHE_ENABLED: 'true',
+                CACHE_DIR: path.join(root, 'server'),
+                // Profiles are read fresh, so edits show up in the next fetch
+                CACHE_DETAILS_TTL_SECONDS: '0'
+            }
+        });
+    });
+
+    after(async () => {
+        await stack.stop();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    const asUser = key => ({ headers: { 'X-API-Key': key } });
+    const calls = suffix => stack.mock.requests.filter(r => r.path.endsWith(suffix)).length;
+
+    describe('routes', () => {
+        it('reads a document fetched again from the cache', async () => {
+            const first = await stack.post('/fetch', { id: 'ACTIVE!1005.1' }, asUser('key-alice'));
+            const second = await stack.post('/fetch', { id: 'ACTIVE!1005.1' }, asUser('key-alice'));
+
+            assert.equal(second.status, 200);
+            assert.equal(second.body.text, first.body.text);
+            assert.equal(calls('/ACTIVE!1005.1/download'), 1);
+        });
+
+        it('keeps each user\'s entries apart', async () => {
+            const before = calls('/ACTIVE!1005.1/download');
+            const res = await stack.post('/fetch', { id: 'ACTIVE!1005.1' }, asUser('key-bob'));
+
+            assert.equal(res.status, 200);
+            assert.equal(calls('/ACTIVE!1005.1/download'), before + 1);
+        });
+
+        it('keeps an API key caller and an OAuth user of the same name apart', async () => {
+            const before = calls('/ACTIVE!1005.1/download');
+            const token = await oauthSignIn(stack, { username: 'alice', password: 'alice-password' });
+            const res = await stack.post('/fetch', { id: 'ACTIVE!1005.1' }, { headers: { Authorization: `Bearer ${token.access_token}` } });
+
+            assert.equal(res.status, 200);
+            assert.equal(calls('/ACTIVE!1005.1/download'), before + 1);
+        });
+
+        it('reads a document again once its edit_date changes', async () => {
+            const before = calls('/ACTIVE!1005.1/download');
+            stack.mock.updateDocument('ACTIVE!1005.1', { edit_date: new Date().toISOString() });
+
+            await stack.post('/fetch', { id: 'ACTIVE!1005.1' }, asUser('key-alice'));
+
+            assert.equal(calls('/ACTIVE!1005.1/download'), before + 1);
+        });
+
+        it('answers a repeated search from the cache', async () => {
+            const search = { query: 'agreement', library: 'Active' };
+            const first = await stack.post('/search', search, asUser('key-alice'));
+            const before = stack.mock.requests.length;
+            const second = await stack.post('/search', search, asUser('key-alice'));
+
+            assert.deepEqual(second.body, first.body);
+            assert.equal(stack.mock.requests.length, before);
+
+            await stack.post('/search', { ...search, limit: 1 }, asUser('key-alice'));
+            assert.ok(stack.mock.requests.length > before);
+        });
+
+        it('reports hits and misses to ADMIN_USERS and clears on request', async () => {
+            const bob = await stack.get('/admin/cache', asUser('key-bob'));
+            assert.equal(bob.status, 403);
+
+            const stats = await stack.get('/admin/cache', asUser('key-alice'));
+            assert.equal(stats.status, 200);
+            assert.equal(stats.body.enabled, true);
+            assert.ok(stats.body.namespaces.content.hits >= 1);
+            assert.ok(stats.body.namespaces.content.invalidated >= 1);
+            assert.equal(stats.body.namespaces.search.hits, 1);
+            assert.ok(stats.body.entries > 0 && stats.body.disk.entries > 0);
+
+            const cleared = await stack.post('/admin/cache/clear', {}, asUser('key-alice'));
+            assert.equal(cleared.body.entries, 0);
+            assert.equal(cleared.body.disk.entries, 0);
+        });
+    });
+
+    describe('ResponseCache', () => {
+        const asCaller = (user, fn, authType = 'api_key') => requestContext.run({ user, authType }, fn);
+
+        it('expires entries after their TTL', async () => {
+            const cache = new ResponseCache({ ttlSeconds: { details: 0.05 } });
+            await cache.set('details', 'doc', { id: 1 });
+
+            assert.deepEqual(await cache.get('details', 'doc'), { id: 1 });
+            await new Promise(resolve => setTimeout(resolve, 60));
+            assert.equal(await cache.get('details', 'doc'), undefined);
+            assert.equal(cache.stats().namespaces.details.expired, 1);
+        });
+
+        it('drops the least recently used entries when full', async () => {
+            const cache = new ResponseCache({ maxBytes: 30 });
+            await cache.set('content', 'a', 'x'.repeat(10));
+            await cache.set('content', 'b', 'y'.repeat(10));
+            await cache.get('content', 'a');
+            await cache.set('content', 'c', 'z'.repeat(10));
+
+            assert.equal(await cache.get('content', 'b'), undefined);
+            assert.ok(await cache.get('content', 'a'));
+            assert.equal(cache.stats().evicted, 1);
+        });
+
+        it('scopes keys to the caller', async () => {
+            const cache = new ResponseCache();
+            await asCaller('alice', () => cache.set('search', 'q', ['secret']));
+
+            assert.deepEqual(await asCaller('ALICE', () => cache.get('search', 'q')), ['secret']);
+            assert.equal(await asCaller('bob', () => cache.get('search', 'q')), undefined);
+            assert.equal(await asCaller('alice', () => cache.get('search', 'q'), 'oauth'), undefined);
+            assert.equal(await cache.get('search', 'q'), undefined);
+        });
+
+        it('keeps entries on disk across restarts', async () => {
+            const dir = path.join(root, 'unit');
+            await new ResponseCache({ dir }).set('content', 'doc', { text: 'hello' }, { version: 'v1' });
+
+            const restarted = new ResponseCache({ dir });
+            assert.deepEqual(await restarted.get('content', 'doc', { version: 'v1' }), { text: 'hello' });
+
+            const another = new ResponseCache({ dir });
+            assert.equal(await another.get('content', 'doc', { version: 'v2' }), undefined);
+            assert.equal(fs.readdirSync(dir).length, 0);
+        });
+    });
+});
@@ -0,0 +1,79 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('timers/promises');
+const { oauthSignIn, startStack } = require('./helpers');
+
+// Same early-expiry margin as the service account tests: delegated tokens stay cached for about a second
+const TOKEN_LIFETIME = 61;
+
+describe('delegated iManage sign-in', () => {
+    let stack;
+    let bearer;
+
+    before(async () => {
+        stack = await startStack({
+            env: { IMANAGE_AUTH_MODE: 'delegated', API_KEYS: 'svc:key-svc' },
+            mock: { tokenLifetime: TOKEN_LIFETIME }
+        });
+        const tokens = await oauthSignIn(stack);
+        bearer = { headers: { Authorization: `Bearer ${tokens.access_token}` } };
+    });
+
+    after(() => stack.stop());
+
+    it('signs users in through iManage', () => {
+        assert.deepEqual(stack.mock.tokenRequests, ['authorization_code']);
+    });
+
+    it('calls iManage as the signed-in user', async () => {
+        const res = await stack.post('/search-by-title', { title: 'Fee' }, bearer);
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.results.length, 1);
+        assert.equal(stack.mock.requests.at(-1).user, 'ALICE');
+    });
+
+    it('refreshes the user token once it expires', async () => {
+        await sleep(1100);
+        const res = await stack.post('/fetch', { id: 'ACTIVE!1005.1' }, bearer);
+
+        assert.equal(res.status, 200);
+        assert.equal(stack.mock.tokenRequests.at(-1), 'refresh_token');
+        assert.equal(stack.mock.requests.at(-1).user, 'ALICE');
+    });
+
+    it('refreshes a user token iManage rejects before it expires', async () => {
+        await stack.post('/search-by-title', { title: 'Fee' }, bearer);
+        stack.mock.expireTokens();
+        const res = await stack.post('/search-by-title', { title: 'Fee' }, bearer);
+
+        assert.equal(res.status, 200);
+        assert.equal(stack.mock.tokenRequests.at(-1), 'refresh_token');
+        assert.equal(stack.mock.requests.at(-1).user, 'ALICE');
+    });
+
+    it('asks the user to sign in again when the refresh token is revoked', async () => {
+        stack.mock.refreshTokens.clear();
+        await sleep(1100);
+        const res = await stack.post('/search-by-title', { title: 'Fee' }, bearer);
+
+        assert.equal(res.status, 401);
+        assert.match(res.body.message, /sign in to the connector again/);
+    });
+
+    it('only lets API key callers use the service account when allowed', async () => {
+        const apiKey = { headers: { 'X-API-Key': 'key-svc' } };
+
+        const denied = await stack.post('/search-by-title', { title: 'Fee' }, apiKey);
+        assert.equal(denied.status, 403);
+
+        process.env.IMANAGE_API_KEY_SERVICE_ACCOUNT = 'true';
+        try {
+            const allowed = await stack.post('/search-by-title', { title: 'Fee' }, apiKey);
+            assert.equal(allowed.status, 200);
+            assert.equal(stack.mock.requests.at(-1).user, 'SVC_RESEARCH');
+        } finally {
+            delete process.env.IMANAGE_API_KEY_SERVICE_ACCOUNT;
+        }
+    });
+});
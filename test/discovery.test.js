@@ -0,0 +1,74 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStack } = require('./helpers');
+
+describe('discovery routes', () => {
+    let stack;
+
+    before(async () => {
+        stack = await startStack();
+    });
+
+    after(() => stack.stop());
+
+    it('GET / describes the endpoints', async () => {
+        const res = await stack.get('/');
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.mcp.streamable_http_endpoint, '/mcp');
+        assert.equal(res.body.authentication.type, 'none');
+    });
+
+    it('GET /health reports healthy', async () => {
+        const res = await stack.get('/health');
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, 'healthy');
+    });
+
+    it('GET /tools lists the connector and browsing tools', async () => {
+        const res = await stack.get('/tools');
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.map(t => t.function.name), [
+            'search', 'fetch', 'list_workspaces', 'get_workspace', 'list_folder_children',
+            'list_folder_documents', 'list_versions', 'compare_versions'
+        ]);
+        const search = res.body.find(t => t.function.name === 'search');
+        assert.deepEqual(search.function.parameters.properties.library.enum, ['Active', 'Archive']);
+    });
+
+    it('GET /openapi.json documents the connector routes', async () => {
+        const res = await stack.get('/openapi.json');
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.servers[0].url, stack.baseUrl);
+        for (const route of ['/search', '/fetch']) {
+            assert.ok(res.body.paths[route], route);
+        }
+    });
+
+    it('GET /.well-known/ai-plugin.json points at the OpenAPI document', async () => {
+        const res = await stack.get('/.well-known/ai-plugin.json');
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.api.url, `${stack.baseUrl}/openapi.json`);
+        assert.equal(res.body.auth.type, 'none');
+    });
+
+    it('GET /libraries lists the configured libraries', async () => {
+        const res = await stack.get('/libraries');
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.default_library, 'Active');
+        assert.deepEqual(res.body.libraries.map(l => l.name), ['Active', 'Archive']);
+    });
+
+    it('answers CORS preflight requests', async () => {
+        const res = await stack.get('/search', { method: 'OPTIONS', headers: { Origin: 'https://chat.example.com' } });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('access-control-allow-origin'), '*');
+        assert.match(res.headers.get('access-control-allow-headers'), /Mcp-Session-Id/);
+    });
+});
@@ -0,0 +1,227 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startStack } = require('./helpers');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'mock', 'fixtures');
+
+describe('document routes', () => {
+    let stack;
+
+    before(async () => {
+        stack = await startStack();
+    });
+
+    after(() => stack.stop());
+
+    describe('POST /fetch', () => {
+        it('extracts PDF text page by page and returns the first chunk', async () => {
+            const res = await stack.post('/fetch', { id: 'ACTIVE!1001.1' });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.title, 'Particulars of Claim');
+            assert.match(res.body.text, /--- Page 1 ---\nIN THE HIGH COURT OF JUSTICE/);
+            assert.equal(res.body.metadata.content_format, 'text');
+            assert.equal(res.body.metadata.page_count, 12);
+            assert.equal(res.body.metadata.library, 'Active');
+            assert.equal(res.body.chunk.total_pages, 12);
+        });
+
+        it('returns a page range and follows next_cursor', async () => {
+            const first = await stack.post('/fetch', { id: 'ACTIVE!1001.1', page_start: 1, page_end: 6 });
+            assert.equal(first.status, 200);
+            assert.match(first.body.text, /--- Page 6 ---/);
+            assert.doesNotMatch(first.body.text, /--- Page 7 ---/);
+
+            const second = await stack.post('/fetch', { id: 'ACTIVE!1001.1', cursor: first.body.chunk.next_cursor });
+            assert.match(second.body.text, /^--- Page 7 ---/);
+            assert.match(second.body.text, /--- Page 12 ---/);
+            assert.equal(second.body.chunk.next_cursor, null);
+        });
+
+        it('returns one section of a Word document as markdown', async () => {
+            const res = await stack.post('/fetch', { id: 'ACTIVE!1002.2', section: 'Termination' });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.metadata.content_format, 'markdown');
+            assert.match(res.body.text, /## Termination/);
+            assert.match(res.body.text, /90 days written notice/);
+            assert.doesNotMatch(res.body.text, /Liability/);
+        });
+
+        it('reads characters from an offset', async () => {
+            const res = await stack.post('/fetch', { id: 'ACTIVE!1005.1', offset: 0, length: 15 });
+
+            assert.equal(res.body.text, 'Attendance note');
+            assert.ok(res.body.chunk.next_cursor);
+        });
+
+        it('extracts spreadsheets and emails', async () => {
+            const sheet = await stack.post('/fetch', { id: 'ACTIVE!1003.1' });
+            assert.match(sheet.body.text, /\| Acme v Beta \| Disclosure \| 65000 \|/);
+
+            const email = await stack.post('/fetch', { id: 'ACTIVE!1004.1' });
+            assert.match(email.body.text, /^# Acme v Beta - without prejudice settlement offer/);
+            assert.match(email.body.text, /GBP 350,000/);
+        });
+
+        it('reports unsupported formats but still returns metadata', async () => {
+            const res = await stack.post('/fetch', { id: 'ACTIVE!1006.1' });
+
+            assert.equal(res.status, 200);
+            assert.match(res.body.text, /^\[UNSUPPORTED FORMAT\]/);
+            assert.equal(res.body.metadata.extension, 'tif');
+            assert.equal(res.body.metadata.content_format, null);
+        });
+
+        it('returns the original bytes when include_base64 is set', async () => {
+            const res = await stack.post('/fetch', { id: 'ACTIVE!1005.1', include_base64: true });
+            const original = fs.readFileSync(path.join(FIXTURES_DIR, 'attendance-note.txt'));
+
+            assert.equal(res.body.raw_content.encoding, 'base64');
+            assert.equal(res.body.raw_content.size, original.length);
+            assert.ok(Buffer.from(res.body.raw_content.data, 'base64').equals(original));
+        });
+
+        it('skips the download when include_content is false', async () => {
+            const before = stack.mock.requests.length;
+            const res = await stack.post('/fetch', { id: 'ACTIVE!1001.1', include_content: false });
+
+            assert.equal(res.body.text, '');
+            assert.equal(res.body.metadata.version, '1');
+            assert.ok(!stack.mock.requests.slice(before).some(r => r.path.endsWith('/download')));
+        });
+
+        it('fetches an earlier version', async () => {
+            const res = await stack.post('/fetch', { id: 'ACTIVE!1002.2', version: 1 });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.id, 'ACTIVE!1002.1');
+            assert.match(res.body.text, /30 days notice/);
+        });
+
+        it('routes documents to their library by id prefix', async () => {
+            const res = await stack.post('/fetch', { id: 'ARCHIVE!2001.1' });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.metadata.library, 'Archive');
+            assert.match(res.body.text, /Riverside Trading Estate/);
+        });
+
+        it('rejects out-of-range pages and bad cursors', async () => {
+            const pages = await stack.post('/fetch', { id: 'ACTIVE!1001.1', page_start: 50 });
+            assert.equal(pages.status, 400);
+
+            const cursor = await stack.post('/fetch', { id: 'ACTIVE!1001.1', cursor: 'bogus' });
+            assert.equal(cursor.status, 400);
+        });
+
+        it('rejects cursors holding an impossible position', async () => {
+            const forged = [
+                { mode: 'pages', start: 1, span: 0 },
+                { mode: 'pages', start: -2, span: 10 },
+                { mode: 'pages', start: 1.5, span: 10 },
+                { mode: 'chars', offset: -1, length: 100 },
+                { mode: 'chars', offset: 0.5, length: 100 },
+                { mode: 'chars', offset: 0, length: -1 },
+                { mode: 'section', section: -1 },
+                { mode: 'section', section: 'x' }
+            ];
+            for (const position of forged) {
+                const cursor = Buffer.from(JSON.stringify(position)).toString('base64url');
+                const res = await stack.post('/fetch', { id: 'ACTIVE!1001.1', cursor: cursor });
+
+                assert.equal(res.status, 400, JSON.stringify(position));
+                assert.match(res.body.message, /Invalid cursor/);
+            }
+        });
+
+        it('passes through 404 for unknown documents', async () => {
+            const res = await stack.post('/fetch', { id: 'ACTIVE!9999.1' });
+
+            assert.equal(res.status, 404);
+            assert.equal(res.body.error, 'Fetch failed');
+        });
+
+        it('reports a failed download in the text', async () => {
+            stack.mock.failNext('/documents/ACTIVE!1005.1/download', 500, { times: 3 });
+            const res = await stack.post('/fetch', { id: 'ACTIVE!1005.1' });
+
+            assert.equal(res.status, 200);
+            assert.match(res.body.text, /^\[DOWNLOAD FAILED\]/);
+        });
+
+        it('requires an id', async () => {
+            const res = await stack.post('/fetch', {});
+
+            assert.equal(res.status, 400);
+        });
+    });
+
+    describe('POST /download-document', () => {
+        it('streams the file', async () => {
+            const res = await stack.post('/download-document', { docId: 'ACTIVE!1005.1' });
+
+            assert.equal(res.status, 200);
+            assert.match(res.headers.get('content-disposition'), /attachment/);
+            assert.match(res.body, /^Attendance note/);
+        });
+
+        it('returns base64 content with returnContent', async () => {
+            const res = await stack.post('/download-document', { docId: 'ACTIVE!1003.1', returnContent: true });
+            const original = fs.readFileSync(path.join(FIXTURES_DIR, 'fee-schedule.xlsx'));
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.size, original.length);
+            assert.ok(Buffer.from(res.body.content, 'base64').equals(original));
+        });
+
+        it('cuts the download off when iManage drops it part way', async () => {
+            stack.mock.dropNext('/download');
+            await assert.rejects(stack.post('/download-document', { docId: 'ACTIVE!1005.1' }), /terminated/);
+
+            const res = await stack.post('/download-document', { docId: 'ACTIVE!1005.1' });
+            assert.equal(res.status, 200);
+            assert.match(res.body, /^Attendance note/);
+        });
+
+        it('requires a docId', async () => {
+            const res = await stack.post('/download-document', {});
+
+            assert.equal(res.status, 400);
+        });
+    });
+
+    describe('POST /get-document-details', () => {
+        it('returns the iManage profile', async () => {
+            const res = await stack.post('/get-document-details', { docId: 'ACTIVE!1002.2' });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.details.name, 'Services Agreement');
+            assert.equal(res.body.details.comment, 'Counterparty markup');
+            assert.equal(res.body.library, 'Active');
+        });
+
+        it('passes through 404 for unknown documents', async () => {
+            const res = await stack.post('/get-document-details', { docId: 'ACTIVE!1.1' });
+
+            assert.equal(res.status, 404);
+        });
+    });
+
+    describe('POST /fetch-document', () => {
+        it('returns the raw document body', async () => {
+            const res = await stack.post('/fetch-document', { docId: 'ACTIVE!1005.1' });
+
+            assert.equal(res.status, 200);
+            assert.match(res.body, /delivery logs/);
+        });
+
+        it('requires a docId', async () => {
+            const res = await stack.post('/fetch-document', {});
+
+            assert.equal(res.status, 400);
+        });
+    });
+});
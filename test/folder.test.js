@@ -0,0 +1,193 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startStack } = require('./helpers');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'mock', 'fixtures');
+
+// Directory tree served by the folder library: top-level directories are workspaces
+const FILES = {
+    'Acme v Beta/Pleadings/particulars-of-claim.pdf': 'particulars-of-claim.pdf',
+    'Acme v Beta/Agreements/services-agreement.docx': 'services-agreement-v2.docx',
+    'Acme v Beta/Correspondence/settlement-offer.eml': 'settlement-offer.eml',
+    'Acme v Beta/attendance-note.txt': 'attendance-note.txt',
+    'Riverside/riverside-lease.pdf': 'riverside-lease.pdf',
+    'Riverside/Scans/scanned-exhibit.tif': 'scanned-exhibit.tif'
+};
+
+const CONFIG = `
+default_library: Local
+libraries:
+  - name: Local
+    id: LOCAL
+    type: folder
+    path: ./documents
+    refresh_seconds: 0
+  - name: Active
+    id: ACTIVE
+`;
+
+describe('folder document source', () => {
+    let stack;
+    let root;
+
+    before(async () => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'imanage-folder-'));
+        for (const [target, fixture] of Object.entries(FILES)) {
+            const file = path.join(root, 'documents', target);
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.copyFileSync(path.join(FIXTURES_DIR, fixture), file);
+        }
+        fs.writeFileSync(path.join(root, 'libraries.yml'), CONFIG);
+
+        stack = await startStack({ env: { LIBRARIES_CONFIG: path.join(root, 'libraries.yml') } });
+    });
+
+    after(async () => {
+        await stack.stop();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    const local = body => ({ library: 'Local', ...body });
+
+    describe('legacy searches', () => {
+        it('searches titles', async () => {
+            const res = await stack.post('/search-by-title', local({ title: 'agreement' }));
+
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.results.map(d => d.name), ['services-agreement']);
+            assert.match(res.body.results[0].id, /^LOCAL!\d+\.1$/);
+            assert.equal(res.body.results[0].type, 'WORDX');
+            assert.equal(res.body.results[0].workspace_name, 'Acme v Beta');
+        });
+
+        it('searches keywords in the body, title or anywhere', async () => {
+            const body = await stack.post('/search-by-keywords', local({ keywords: 'written notice', searchIn: 'body' }));
+            assert.deepEqual(body.body.results.map(d => d.name), ['services-agreement']);
+
+            const title = await stack.post('/search-by-keywords', local({ keywords: 'written notice', searchIn: 'title' }));
+            assert.equal(title.body.results.length, 0);
+
+            const anywhere = await stack.post('/search-by-keywords', local({ keywords: 'riverside' }));
+            assert.deepEqual(anywhere.body.results.map(d => d.name).sort(), ['riverside-lease', 'scanned-exhibit']);
+        });
+
+        it('applies advanced filters', async () => {
+            const pdfs = await stack.post('/search-advanced', local({ filters: { type: 'ACROBAT' } }));
+            assert.deepEqual(pdfs.body.results.map(d => d.name).sort(), ['particulars-of-claim', 'riverside-lease']);
+
+            const email = await stack.post('/search-advanced', local({ filters: { author: 'alice', extension: 'eml' } }));
+            assert.equal(email.body.results.length, 1);
+            assert.match(email.body.results[0].author, /Alice Partner.*<alice@example-llp\.com>/);
+
+            const future = await stack.post('/search-advanced', local({ filters: { edit_date_from: '2999-01-01T00:00:00Z' } }));
+            assert.equal(future.body.results.length, 0);
+        });
+
+        it('rejects filters it cannot apply', async () => {
+            const unknown = await stack.post('/search-advanced', local({ filters: { custom9: 'x' } }));
+            assert.equal(unknown.status, 400);
+
+            const date = await stack.post('/search-advanced', local({ filters: { edit_date_to: 'yesterday' } }));
+            assert.equal(date.status, 400);
+        });
+
+        it('pages through results', async () => {
+            const first = await stack.post('/search-by-keywords', local({ keywords: 'acme', limit: 3 }));
+            assert.equal(first.body.total, 5);
+            assert.equal(first.body.has_more, true);
+
+            const second = await stack.post('/search-by-keywords', local({ keywords: 'acme', limit: 3, cursor: first.body.next_cursor }));
+            assert.equal(second.body.results.length, 2);
+            assert.equal(second.body.has_more, false);
+            assert.equal(new Set([...first.body.results, ...second.body.results].map(d => d.id)).size, 5);
+        });
+    });
+
+    describe('connector tools', () => {
+        it('returns /search results in the usual shape', async () => {
+            const res = await stack.post('/search', local({ query: 'lease', search_type: 'title' }));
+
+            assert.equal(res.status, 200);
+            const [result] = res.body.results;
+            assert.equal(result.title, 'riverside-lease');
+            assert.equal(result.url, null);
+            assert.equal(result.metadata.workspace, 'Riverside');
+            assert.equal(result.metadata.document_type, 'Adobe Acrobat');
+            assert.equal(result.metadata.library, 'Local');
+        });
+
+        it('searches folder and iManage libraries together', async () => {
+            const res = await stack.post('/search', { query: 'acme' });
+
+            assert.deepEqual(res.body.libraries, ['Local', 'Active']);
+            assert.ok(res.body.results.some(r => r.metadata.library === 'Local'));
+            assert.ok(res.body.results.some(r => r.metadata.library === 'Active'));
+        });
+
+        it('fetches documents by id', async () => {
+            const search = await stack.post('/search-by-title', local({ title: 'particulars' }));
+            const res = await stack.post('/fetch', { id: search.body.results[0].id, page_start: 2, page_end: 2 });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.metadata.library, 'Local');
+            assert.equal(res.body.metadata.page_count, 12);
+            assert.match(res.body.text, /^--- Page 2 ---/);
+        });
+
+        it('downloads the original file', async () => {
+            const search = await stack.post('/search-by-title', local({ title: 'attendance' }));
+            const res = await stack.post('/download-document', { docId: search.body.results[0].id });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body, fs.readFileSync(path.join(FIXTURES_DIR, 'attendance-note.txt'), 'utf8'));
+        });
+
+        it('returns 404 for unknown documents', async () => {
+            const res = await stack.post('/fetch', { id: 'LOCAL!1.1' });
+
+            assert.equal(res.status, 404);
+        });
+
+        it('describes the library type', async () => {
+            const res = await stack.get('/libraries');
+
+            assert.deepEqual(res.body.libraries.map(l => [l.name, l.type]), [['Local', 'folder'], ['Active', 'imanage']]);
+        });
+    });
+
+    describe('browsing', () => {
+        it('lists directories as workspaces and folders', async () => {
+            const workspaces = await stack.post('/list-workspaces', local({}));
+            assert.deepEqual(workspaces.body.workspaces.map(w => w.name).sort(), ['Acme v Beta', 'Riverside']);
+
+            const acme = workspaces.body.workspaces.find(w => w.name === 'Acme v Beta');
+            const tree = await stack.post('/get-workspace', { workspace_id: acme.id });
+            assert.deepEqual(tree.body.folders.map(f => f.name), ['Agreements', 'Correspondence', 'Pleadings']);
+        });
+
+        it('lists the documents in a folder', async () => {
+            const workspaces = await stack.post('/list-workspaces', local({ query: 'riverside' }));
+            const tree = await stack.post('/get-workspace', { workspace_id: workspaces.body.workspaces[0].id });
+            const scans = tree.body.folders.find(f => f.name === 'Scans');
+
+            const res = await stack.post('/list-folder-documents', { folder_id: scans.id });
+            assert.deepEqual(res.body.results.map(r => r.title), ['scanned-exhibit']);
+        });
+    });
+
+    describe('indexing', () => {
+        it('picks up new and changed files with stable ids', async () => {
+            const before = await stack.post('/search-by-title', local({ title: 'attendance' }));
+
+            fs.writeFileSync(path.join(root, 'documents', 'Riverside', 'rent-review.txt'), 'Rent review memorandum for the Riverside unit');
+            const added = await stack.post('/search-by-keywords', local({ keywords: 'rent review memorandum' }));
+            assert.deepEqual(added.body.results.map(d => d.name), ['rent-review']);
+
+            const after = await stack.post('/search-by-title', local({ title: 'attendance' }));
+            assert.equal(after.body.results[0].id, before.body.results[0].id);
+        });
+    });
+});
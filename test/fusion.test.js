@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { fuseRankings, resolveWeights } = require('../lib/fusion');
+
+const STRATEGIES = ['anywhere', 'title', 'body'];
+const DEFAULTS = { anywhere: 1, title: 1, body: 1 };
+
+describe('reciprocal rank fusion', () => {
+    describe('resolveWeights', () => {
+        it('reads weights from an object or an env string', () => {
+            assert.deepEqual(resolveWeights(STRATEGIES, DEFAULTS, { title: 2 }), { anywhere: 1, title: 2, body: 1 });
+            assert.deepEqual(resolveWeights(STRATEGIES, DEFAULTS, 'title=3, body=0.5'), { anywhere: 1, title: 3, body: 0.5 });
+            assert.deepEqual(resolveWeights(STRATEGIES, DEFAULTS, undefined), DEFAULTS);
+        });
+
+        it('rejects unknown strategies and unusable weights', () => {
+            assert.throws(() => resolveWeights(STRATEGIES, DEFAULTS, { fuzzy: 1 }), { status: 400 });
+            assert.throws(() => resolveWeights(STRATEGIES, DEFAULTS, 'title=high'), { status: 400 });
+            assert.throws(() => resolveWeights(STRATEGIES, DEFAULTS, { anywhere: 0, title: 0, body: 0 }), { status: 400 });
+        });
+    });
+
+    describe('fuseRankings', () => {
+        const doc = id => ({ id: id });
+
+        it('ranks documents found by several strategies above single top hits', () => {
+            const fused = fuseRankings([
+                { strategy: 'title', results: [doc('a'), doc('b')] },
+                { strategy: 'body', results: [doc('c'), doc('b')] }
+            ], { weights: DEFAULTS, k: 60 });
+
+            assert.deepEqual(fused.map(f => f.doc.id), ['b', 'a', 'c']);
+            assert.deepEqual(fused[0].relevance.matched, ['title', 'body']);
+            assert.equal(fused[0].relevance.rrf, Math.round(2 / 62 * 1e6) / 1e6);
+        });
+
+        it('scores a document ranked first everywhere as 1', () => {
+            const fused = fuseRankings([
+                { strategy: 'title', results: [doc('a')] },
+                { strategy: 'body', results: [doc('a'), doc('b')] }
+            ], { weights: { title: 2, body: 1 } });
+
+            assert.equal(fused[0].relevance.score, 1);
+            assert.ok(fused[1].relevance.score < 1);
+        });
+    });
+});
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const net = require('net');
+const path = require('path');
+const { once } = require('events');
+const { logger } = require('../lib/logger');
+const { MockIManage } = require('../mock/imanage');
+
+const LIBRARIES_CONFIG = path.join(__dirname, 'fixtures', 'libraries.yml');
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// The server logs every request; keep test output readable unless TEST_VERBOSE is set
+function quietLogs() {
+    if (process.env.TEST_VERBOSE) return;
+    logger.setLevel('silent');
+}
+
+// JSON request, or a urlencoded form when `form` is given. Redirects are not followed.
+async function request(baseUrl, route, { method = 'GET', body, form, headers = {}, signal } = {}) {
+    let payload;
+    if (form) {
+        payload = new URLSearchParams(form).toString();
+        headers = { 'Content-Type': 'application/x-www-form-urlencoded', ...headers };
+    } else if (body !== undefined) {
+        payload = JSON.stringify(body);
+        headers = { 'Content-Type': 'application/json', ...headers };
+    }
+
+    const response = await fetch(new URL(route, baseUrl), {
+        method: method,
+        headers: headers,
+        body: payload,
+        redirect: 'manual',
+        signal: signal
+    });
+    const type = response.headers.get('content-type') || '';
+    const data = type.includes('json') ? await response.json() : await response.text();
+    return { status: response.status, headers: response.headers, body: data };
+}
+
+// Start the mock iManage and the server pointed at it. server.js reads its configuration
+// when it is first required, and node --test runs each file in its own process, so each
+// test file starts one stack with the environment it needs. The response cache is off
+// unless a test file turns it on, so requests reach the mock, the audit log is off so
+// tests write no files, rate limits are off so suites can call as fast as they like, and
+// upstream retries back off for milliseconds rather than seconds.
+async function startStack({ env = {}, mock: mockOptions } = {}) {
+    const mock = new MockIManage(mockOptions);
+    await mock.start();
+    const port = await freePort();
+
+    Object.assign(process.env, {
+        PORT: String(port),
+        LIBRARIES_CONFIG: LIBRARIES_CONFIG,
+        OAUTH_ISSUER_URL: `http://localhost:${port}`,
+        API_KEYS: '',
+        OAUTH_USERS: '',
+        IMANAGE_AUTH_MODE: '',
+        CACHE_ENABLED: 'false',
+        AUDIT_ENABLED: 'false',
+        RATE_LIMIT_ENABLED: 'false',
+        UPSTREAM_RETRY_BASE_MS: '10'
+    }, mock.env(), env);
+
+    quietLogs();
+    const { startHttpServer } = require('../server');
+    const server = startHttpServer(port);
+    await once(server, 'listening');
+    const baseUrl = `http://localhost:${port}`;
+
+    return {
+        mock: mock,
+        baseUrl: baseUrl,
+        get: (route, options = {}) => request(baseUrl, route, options),
+        post: (route, body, options = {}) => request(baseUrl, route, { ...options, method: 'POST', body: body }),
+        stop: async () => {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+            await mock.stop();
+        }
+    };
+}
+
+// Run the OAuth authorization code flow as an MCP client would: register, authorize with
+// PKCE, sign in (with the login form, or through the mock iManage when delegated) and
+// exchange the code. Returns the token response along with the registered client_id.
+async function oauthSignIn(stack, { username, password } = {}) {
+    const redirectUri = 'http://localhost:9/callback';
+    const registration = await stack.post('/register', {
+        client_name: 'test client',
+        redirect_uris: [redirectUri],
+        token_endpoint_auth_method: 'none',
+        grant_types: ['authorization_code', 'refresh_token'],
+        response_types: ['code']
+    });
+    const clientId = registration.body.client_id;
+    const verifier = crypto.randomBytes(32).toString('base64url');
+    const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+
+    let res = await stack.get('/authorize?' + new URLSearchParams({
+        response_type: 'code',
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        code_challenge: challenge,
+        code_challenge_method: 'S256',
+        scope: 'imanage:read',
+        state: 'test-state'
+    }));
+
+    if (username) {
+        const loginId = res.body.match(/name="login_id" value="([^"]+)"/)[1];
+        res = await stack.post('/oauth/login', undefined, { form: { login_id: loginId, username, password } });
+    }
+
+    let location = res.headers.get('location');
+    while (location && !location.startsWith(redirectUri)) {
+        res = await request(location, '');
+        location = res.headers.get('location');
+    }
+    if (!location) {
+        throw new Error(`Sign-in did not redirect back to the client (status ${res.status})`);
+    }
+
+    const code = new URL(location).searchParams.get('code');
+    const token = await stack.post('/token', undefined, {
+        form: { grant_type: 'authorization_code', code, code_verifier: verifier, client_id: clientId, redirect_uri: redirectUri }
+    });
+    return { ...token.body, client_id: clientId };
+}
+
+module.exports = {
+    oauthSignIn,
+    request,
+    startStack
+};
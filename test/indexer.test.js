@@ -0,0 +1,177 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HashingEmbedder } = require('../lib/embeddings');
+const { Indexer } = require('../lib/indexer');
+const { SemanticIndex } = require('../lib/semantic');
+const { startStack } = require('./helpers');
+
+describe('search indexer', () => {
+    let stack;
+    let root;
+    let indexPath;
+
+    before(async () => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'imanage-index-'));
+        indexPath = path.join(root, 'index', 'search-index.json');
+        stack = await startStack({
+            env: {
+                API_KEYS: 'alice:key-alice,bob:key-bob',
+                ADMIN_USERS: 'alice',
+                EMBEDDING_PROVIDER: 'hashing',
+                INDEX_PATH: indexPath
+            }
+        });
+    });
+
+    after(async () => {
+        await stack.stop();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    const asAdmin = { headers: { 'X-API-Key': 'key-alice' } };
+    const status = async name => (await stack.get('/admin/index/status', asAdmin)).body.libraries.find(l => l.library === name);
+    const sync = body => stack.post('/admin/index/sync', { library: 'Active', wait: true, ...body }, asAdmin);
+    const downloads = () => stack.mock.requests.filter(r => r.path.endsWith('/download')).map(r => r.path.split('/').slice(-2)[0]);
+
+    describe('admin routes', () => {
+        it('are limited to ADMIN_USERS', async () => {
+            const anonymous = await stack.get('/admin/index/status');
+            assert.equal(anonymous.status, 401);
+
+            const bob = await stack.get('/admin/index/status', { headers: { 'X-API-Key': 'key-bob' } });
+            assert.equal(bob.status, 403);
+
+            const alice = await stack.get('/admin/index/status', asAdmin);
+            assert.equal(alice.status, 200);
+            assert.equal(alice.body.embedding_model, 'hashing:512');
+            assert.deepEqual(alice.body.libraries.map(l => [l.library, l.documents, l.last_sync]), [['Active', 0, null], ['Archive', 0, null]]);
+        });
+
+        it('reject unknown libraries', async () => {
+            const res = await sync({ library: 'Nowhere' });
+
+            assert.equal(res.status, 404);
+        });
+    });
+
+    describe('syncing', () => {
+        it('indexes a library and persists the index with its checkpoint', async () => {
+            const res = await sync();
+
+            assert.equal(res.status, 200);
+            const active = await status('Active');
+            assert.equal(active.last_run.full, true);
+            assert.equal(active.last_run.indexed, active.documents);
+            assert.ok(active.documents > 0 && active.passages > 0);
+            assert.ok(active.checkpoint);
+
+            const saved = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+            assert.equal(saved.checkpoints.Active.checkpoint, active.checkpoint);
+            assert.equal(saved.index.libraries.Active.length, active.documents);
+        });
+
+        it('only reads documents edited since the checkpoint', async () => {
+            const before = downloads().length;
+            const edited = new Date().toISOString();
+            stack.mock.updateDocument('ACTIVE!1003.1', { edit_date: edited });
+
+            await sync();
+
+            const active = await status('Active');
+            assert.equal(active.last_run.full, false);
+            assert.equal(active.last_run.indexed, 1);
+            assert.equal(active.checkpoint, edited);
+            assert.deepEqual(downloads().slice(before), ['ACTIVE!1003.1']);
+        });
+
+        it('drops deleted documents found by a search', async () => {
+            const { documents } = await status('Active');
+            stack.mock.deleteDocument('ACTIVE!1005.1');
+
+            const res = await stack.post('/search', { query: 'late deliveries', search_type: 'semantic', library: 'Active' }, asAdmin);
+
+            assert.equal(res.status, 200);
+            assert.ok(!res.body.results.some(r => r.id === 'ACTIVE!1005.1'));
+            assert.equal((await status('Active')).documents, documents - 1);
+        });
+
+        it('drops deleted and re-secured documents on a full sync', async () => {
+            const { documents } = await status('Active');
+            stack.mock.deleteDocument('ACTIVE!1004.1');
+            stack.mock.secureDocument('ACTIVE!1001.1', ['ALICE']);
+
+            await sync({ full: true });
+
+            const active = await status('Active');
+            assert.equal(active.last_run.removed, 2);
+            assert.equal(active.documents, documents - 2);
+        });
+
+        it('rebuilds a library from scratch on reindex', async () => {
+            const res = await stack.post('/admin/index/reindex', { library: 'Active', wait: true }, asAdmin);
+
+            assert.equal(res.status, 200);
+            const [active] = res.body.libraries;
+            assert.equal(active.last_run.indexed, active.documents);
+        });
+
+        it('reports a failed sync', async () => {
+            stack.mock.failNext('/documents/search', 500, { times: 3 });
+            const res = await sync();
+
+            assert.equal(res.status, 502);
+            assert.match((await status('Active')).last_error, /returned 500/);
+        });
+    });
+
+    describe('Indexer', () => {
+        it('keeps the checkpoint when an incremental listing is cut off', async () => {
+            const documents = [
+                { id: 'ACTIVE!1.1', version: 1, edit_date: '2026-01-03T00:00:00Z' },
+                { id: 'ACTIVE!2.1', version: 1, edit_date: '2026-01-02T00:00:00Z' },
+                { id: 'ACTIVE!3.1', version: 1, edit_date: '2026-01-01T00:00:00Z' }
+            ];
+            // One document a page, newest first
+            const source = {
+                search: async (query, { position }) => ({
+                    results: documents.slice(position.offset, position.offset + 1),
+                    next: position.offset + 1 < documents.length ? { offset: position.offset + 1 } : null
+                })
+            };
+            const index = new SemanticIndex({ embedder: new HashingEmbedder() });
+            const indexer = new Indexer({ index, libraries: [{ name: 'Active' }], sourceFor: () => source, loadText: async doc => `text of ${doc.id}`, maxDocuments: 2 });
+            const state = indexer.state({ name: 'Active' });
+            Object.assign(state, { checkpoint: '2025-12-01T00:00:00Z', lastFullSync: new Date().toISOString() });
+
+            const run = await indexer.sync({ name: 'Active' });
+
+            assert.equal(run.full, false);
+            assert.equal(run.truncated, true);
+            assert.equal(run.indexed, 2);
+            assert.equal(state.checkpoint, '2025-12-01T00:00:00Z');
+        });
+    });
+
+    describe('persistence', () => {
+        it('restores the saved index and checkpoints', () => {
+            const index = new SemanticIndex({ embedder: new HashingEmbedder() });
+            const indexer = new Indexer({ index, libraries: [{ name: 'Active' }], path: indexPath });
+
+            assert.equal(indexer.load(), true);
+            const [active] = indexer.status();
+            assert.ok(active.documents > 0);
+            assert.ok(active.checkpoint);
+        });
+
+        it('discards an index built with another embedding model', () => {
+            const index = new SemanticIndex({ embedder: new HashingEmbedder({ dimensions: 64 }) });
+            const indexer = new Indexer({ index, libraries: [{ name: 'Active' }], path: indexPath });
+
+            assert.equal(indexer.load(), false);
+            assert.equal(indexer.status()[0].documents, 0);
+        });
+    });
+});
@@ -0,0 +1,130 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { requestContext } = require('../lib/context');
+const { createLogger, logger } = require('../lib/logger');
+const { startStack } = require('./helpers');
+
+// Lines written to stdout and stderr while `fn` runs
+async function capture(fn) {
+    const lines = { out: [], err: [] };
+    const { log, error } = console;
+    console.log = line => lines.out.push(line);
+    console.error = line => lines.err.push(line);
+    try {
+        await fn();
+    } finally {
+        console.log = log;
+        console.error = error;
+    }
+    return lines;
+}
+
+describe('logging', () => {
+    let stack;
+
+    before(async () => {
+        stack = await startStack();
+    });
+
+    afterEach(() => {
+        if (!process.env.TEST_VERBOSE) logger.setLevel('silent');
+    });
+
+    after(() => stack.stop());
+
+    describe('requests', () => {
+        it('echoes the client\'s request id and sends it to iManage', async () => {
+            const res = await stack.post('/search-by-title', { title: 'Fee' }, { headers: { 'X-Request-Id': 'trace-42' } });
+
+            assert.equal(res.headers.get('x-request-id'), 'trace-42');
+            assert.equal(stack.mock.requests.at(-1).requestId, 'trace-42');
+        });
+
+        it('sends the request id with the service account sign-in', async () => {
+            stack.mock.expireTokens();
+            const res = await stack.post('/search-by-title', { title: 'Fee' }, { headers: { 'X-Request-Id': 'trace-43' } });
+
+            assert.equal(res.status, 200);
+            assert.equal(stack.mock.requests.findLast(r => r.path.endsWith('/oauth2/token')).requestId, 'trace-43');
+        });
+
+        it('makes up a request id when the client sends none or an unusable one', async () => {
+            const plain = await stack.post('/search-by-title', { title: 'Fee' });
+            const odd = await stack.post('/search-by-title', { title: 'Fee' }, { headers: { 'X-Request-Id': 'two words' } });
+
+            assert.match(plain.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+            assert.notEqual(odd.headers.get('x-request-id'), 'two words');
+            assert.equal(stack.mock.requests.at(-1).requestId, odd.headers.get('x-request-id'));
+        });
+
+        it('logs requests with their id and without search terms', async () => {
+            logger.setLevel('debug');
+            let res;
+            const lines = await capture(async () => {
+                res = await stack.post('/search-by-title?matter=secret-matter', { title: 'Project Falcon' });
+                // The request entry is written once the response has closed
+                await new Promise(resolve => setTimeout(resolve, 20));
+            });
+            const output = [...lines.out, ...lines.err].join('\n');
+
+            assert.doesNotMatch(output, /Project Falcon|secret-matter/);
+            assert.match(output, /title=\[REDACTED\]/);
+            const request = lines.out.find(line => line.includes(' Request ') && line.includes('status=200'));
+            assert.ok(request.includes(`request_id=${res.headers.get('x-request-id')}`));
+            assert.ok(request.includes('path=/search-by-title '));
+        });
+    });
+
+    describe('Logger', () => {
+        it('redacts credentials and the configured fields at any depth', async () => {
+            const log = createLogger({ LOG_FORMAT: 'json' });
+            const lines = await capture(() => log.info('call', {
+                query: 'Project Falcon',
+                library: 'Active',
+                request: { headers: { Authorization: 'Bearer abc' }, searches: [{ title: 'Falcon' }] },
+                refresh_token: 'xyz'
+            }));
+            const entry = JSON.parse(lines.out[0]);
+
+            assert.equal(entry.query, '[REDACTED]');
+            assert.equal(entry.library, 'Active');
+            assert.equal(entry.request.headers.Authorization, '[REDACTED]');
+            assert.equal(entry.request.searches[0].title, '[REDACTED]');
+            assert.equal(entry.refresh_token, '[REDACTED]');
+        });
+
+        it('redacts only credentials with LOG_REDACT=none, or the fields it names', async () => {
+            const none = await capture(() => createLogger({ LOG_FORMAT: 'json', LOG_REDACT: 'none' }).info('call', { query: 'Falcon', token: 'abc' }));
+            assert.deepEqual(JSON.parse(none.out[0]), { ...JSON.parse(none.out[0]), query: 'Falcon', token: '[REDACTED]' });
+
+            const named = await capture(() => createLogger({ LOG_FORMAT: 'json', LOG_REDACT: 'client' }).info('call', { query: 'Falcon', client: 'Acme' }));
+            assert.equal(JSON.parse(named.out[0]).query, 'Falcon');
+            assert.equal(JSON.parse(named.out[0]).client, '[REDACTED]');
+        });
+
+        it('writes JSON lines with the level, component and request id', async () => {
+            const log = createLogger({ LOG_FORMAT: 'json' }).child({ component: 'test' });
+            const lines = await capture(() => requestContext.run({ requestId: 'req-1' }, () => {
+                log.info('started', { count: 2 });
+                log.error('failed', { error: new Error('boom') });
+            }));
+
+            assert.deepEqual(JSON.parse(lines.out[0]), { ...JSON.parse(lines.out[0]), level: 'info', msg: 'started', component: 'test', request_id: 'req-1', count: 2 });
+            assert.equal(JSON.parse(lines.err[0]).error, 'boom');
+        });
+
+        it('skips entries below the level and writes nothing when silent', async () => {
+            const log = createLogger({ LOG_LEVEL: 'warn' });
+            const lines = await capture(() => {
+                log.info('hidden');
+                log.warn('shown');
+                log.setLevel('silent');
+                log.error('hidden too');
+            });
+
+            assert.deepEqual(lines.out, []);
+            assert.equal(lines.err.length, 1);
+            assert.match(lines.err[0], /WARN {2}shown$/);
+        });
+    });
+});
@@ -0,0 +1,79 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const { SSEClientTransport } = require('@modelcontextprotocol/sdk/client/sse.js');
+const { startStack } = require('./helpers');
+
+async function connect(transport) {
+    const client = new Client({ name: 'imanage-test-client', version: '1.0.0' });
+    await client.connect(transport);
+    return client;
+}
+
+describe('MCP transports', () => {
+    let stack;
+
+    before(async () => {
+        stack = await startStack();
+    });
+
+    after(() => stack.stop());
+
+    describe('Streamable HTTP', () => {
+        let client;
+
+        before(async () => {
+            client = await connect(new StreamableHTTPClientTransport(new URL('/mcp', stack.baseUrl)));
+        });
+
+        after(() => client.close());
+
+        it('lists every connector tool', async () => {
+            const { tools } = await client.listTools();
+
+            assert.deepEqual(tools.map(t => t.name).sort(), [
+                'compare_versions', 'fetch', 'get_workspace', 'list_folder_children',
+                'list_folder_documents', 'list_versions', 'list_workspaces', 'search'
+            ]);
+            assert.deepEqual(tools.find(t => t.name === 'fetch').inputSchema.required, ['id']);
+        });
+
+        it('calls search and fetch', async () => {
+            const search = await client.callTool({ name: 'search', arguments: { query: 'Services', search_type: 'title', library: 'Active' } });
+            assert.equal(search.isError, undefined);
+            assert.deepEqual(search.structuredContent.results.map(r => r.id), ['ACTIVE!1002.2']);
+
+            const fetched = await client.callTool({ name: 'fetch', arguments: { id: 'ACTIVE!1005.1' } });
+            assert.match(JSON.parse(fetched.content[0].text).text, /^Attendance note/);
+        });
+
+        it('reports missing arguments and tool failures as tool errors', async () => {
+            const missing = await client.callTool({ name: 'fetch', arguments: {} });
+            assert.equal(missing.isError, true);
+            assert.match(missing.content[0].text, /Missing required field: id/);
+
+            const failed = await client.callTool({ name: 'list_versions', arguments: { id: 'ACTIVE!9999.1' } });
+            assert.equal(failed.isError, true);
+        });
+
+        it('rejects unknown tools', async () => {
+            await assert.rejects(client.callTool({ name: 'delete_everything', arguments: {} }), /Unknown tool/);
+        });
+    });
+
+    describe('SSE', () => {
+        it('serves the same tools', async () => {
+            const client = await connect(new SSEClientTransport(new URL('/sse', stack.baseUrl)));
+            try {
+                const { tools } = await client.listTools();
+                assert.equal(tools.length, 8);
+
+                const workspaces = await client.callTool({ name: 'list_workspaces', arguments: { library: 'Archive' } });
+                assert.deepEqual(workspaces.structuredContent.workspaces.map(w => w.name), ['Riverside lease']);
+            } finally {
+                await client.close();
+            }
+        });
+    });
+});
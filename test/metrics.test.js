@@ -0,0 +1,134 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MetricsRegistry } = require('../lib/metrics');
+const { startStack } = require('./helpers');
+
+// The value of a sample line in Prometheus text output, or undefined without one
+function sample(text, series) {
+    const line = text.split('\n').find(l => l.startsWith(`${series} `));
+    return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+describe('metrics and probes', () => {
+    let stack;
+
+    before(async () => {
+        stack = await startStack({ env: { READINESS_CACHE_SECONDS: '0' } });
+    });
+
+    after(() => stack.stop());
+
+    describe('probes', () => {
+        it('/readyz fails while the service account cannot sign in', async () => {
+            stack.mock.failNext('/oauth2/token', 401, { times: 2 });
+            const res = await stack.get('/readyz');
+
+            assert.equal(res.status, 503);
+            assert.equal(res.body.status, 'not_ready');
+            assert.deepEqual(res.body.checks.map(check => [check.library, check.status]), [['Active', 'failed'], ['Archive', 'failed']]);
+            assert.match(res.body.checks[0].error, /rejected the service account credentials/);
+        });
+
+        it('/readyz signs in and lists a workspace of each library', async () => {
+            const before = stack.mock.requests.length;
+            const res = await stack.get('/readyz');
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.status, 'ready');
+            assert.deepEqual(res.body.checks.map(check => check.status), ['ok', 'ok']);
+            const calls = stack.mock.requests.slice(before).filter(r => r.path.endsWith('/workspaces'));
+            assert.equal(calls.length, 2);
+        });
+
+        it('/readyz fails when iManage does not answer the workspace listing', async () => {
+            stack.mock.failNext('/workspaces', 500);
+            const res = await stack.get('/readyz');
+
+            assert.equal(res.status, 503);
+            assert.equal(res.body.checks.filter(check => check.status === 'failed').length, 1);
+            assert.match(res.body.checks.find(check => check.status === 'failed').error, /returned 500/);
+        });
+
+        it('/livez answers without calling iManage', async () => {
+            const before = stack.mock.requests.length;
+            const res = await stack.get('/livez');
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.status, 'alive');
+            assert.equal(stack.mock.requests.length, before);
+        });
+
+        it('/health no longer exposes the iManage settings', async () => {
+            const res = await stack.get('/health');
+
+            assert.equal(res.status, 200);
+            assert.deepEqual(Object.keys(res.body).sort(), ['status', 'timestamp']);
+        });
+    });
+
+    describe('/metrics', () => {
+        it('counts requests, tool calls, iManage calls, downloads and batch sizes', async () => {
+            await stack.post('/search-by-title', { title: 'Fee' });
+            await stack.post('/download-document', { docId: 'ACTIVE!1005.1' });
+            await stack.post('/batch-search', { searches: [{ type: 'title', query: 'Fee' }, { type: 'keywords', query: 'agreement' }] });
+            await stack.post('/fetch', { id: 'ACTIVE!9999.1' });
+
+            const res = await stack.get('/metrics');
+            assert.equal(res.status, 200);
+            assert.match(res.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+            const text = res.body;
+
+            assert.equal(sample(text, 'imanage_mcp_http_requests_total{method="POST",route="/search-by-title",status="200"}'), 1);
+            assert.equal(sample(text, 'imanage_mcp_http_request_duration_seconds_count{method="POST",route="/search-by-title"}'), 1);
+            assert.equal(sample(text, 'imanage_mcp_tool_calls_total{tool="fetch",outcome="error"}'), 1);
+            assert.equal(sample(text, 'imanage_mcp_tool_calls_total{tool="download-document",outcome="success"}'), 1);
+            assert.ok(sample(text, 'imanage_mcp_upstream_requests_total{upstream="iManage (default)",result="200"}') >= 4);
+            assert.ok(sample(text, 'imanage_mcp_upstream_request_duration_seconds_count{upstream="iManage (default)"}') >= 4);
+            assert.ok(sample(text, 'imanage_mcp_downloaded_bytes_total{library="Active"}') > 0);
+            assert.equal(sample(text, 'imanage_mcp_batch_search_size_bucket{le="2"}'), 1);
+            assert.equal(sample(text, 'imanage_mcp_token_requests_total{grant="password",outcome="failure"}'), 2);
+            assert.ok(sample(text, 'imanage_mcp_token_requests_total{grant="password",outcome="success"}') >= 1);
+            assert.equal(sample(text, 'imanage_mcp_upstream_circuit_state{upstream="iManage (default)"}'), 0);
+        });
+
+        it('labels unmatched paths as one route', async () => {
+            await stack.get('/no-such-route/123');
+            const res = await stack.get('/metrics');
+
+            assert.equal(sample(res.body, 'imanage_mcp_http_requests_total{method="GET",route="unmatched",status="404"}'), 1);
+            assert.doesNotMatch(res.body, /no-such-route/);
+        });
+    });
+
+    describe('MetricsRegistry', () => {
+        it('renders counters, gauges and histograms in the text format', () => {
+            const registry = new MetricsRegistry();
+            const calls = registry.counter('test_calls_total', 'Calls', ['name']);
+            const size = registry.gauge('test_size', 'Size', []);
+            const latency = registry.histogram('test_seconds', 'Latency', [], [0.1, 1]);
+            registry.onCollect(() => size.set({}, 7));
+
+            calls.inc({ name: 'a "quoted"\nname' });
+            calls.inc({ name: 'a "quoted"\nname' }, 2);
+            latency.observe({}, 0.5);
+            latency.observe({}, 2);
+
+            assert.equal(registry.render(), [
+                '# HELP test_calls_total Calls',
+                '# TYPE test_calls_total counter',
+                'test_calls_total{name="a \\"quoted\\"\\nname"} 3',
+                '# HELP test_size Size',
+                '# TYPE test_size gauge',
+                'test_size 7',
+                '# HELP test_seconds Latency',
+                '# TYPE test_seconds histogram',
+                'test_seconds_bucket{le="0.1"} 0',
+                'test_seconds_bucket{le="1"} 1',
+                'test_seconds_bucket{le="+Inf"} 2',
+                'test_seconds_sum 2.5',
+                'test_seconds_count 2',
+                ''
+            ].join('\n'));
+        });
+    });
+});
@@ -0,0 +1,178 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const { RateLimiter, parseClientLimits } = require('../lib/ratelimit');
+const { startStack } = require('./helpers');
+
+describe('rate limits', () => {
+    let stack;
+
+    before(async () => {
+        stack = await startStack({
+            env: {
+                API_KEYS: 'alice:key-alice,bob:key-bob,bot:key-bot,dave:key-dave,erin:key-erin,frank:key-frank',
+                ADMIN_USERS: 'alice',
+                RATE_LIMIT_ENABLED: 'true',
+                RATE_LIMIT_SEARCH_PER_MINUTE: '5',
+                RATE_LIMIT_CLIENTS: 'bot:search=3;documents=1,dave:download_mb=0.005,erin:download_mb=0.001,frank:search=2'
+            }
+        });
+    });
+
+    after(() => stack.stop());
+
+    const asUser = key => ({ headers: { 'X-API-Key': key } });
+
+    describe('routes', () => {
+        it('answers 429 with Retry-After once a client has used its searches', async () => {
+            for (let i = 0; i < 5; i++) {
+                const res = await stack.post('/search-by-title', { title: 'Fee' }, asUser('key-bob'));
+                assert.equal(res.status, 200);
+            }
+            const res = await stack.post('/search', { query: 'agreement' }, asUser('key-bob'));
+
+            assert.equal(res.status, 429);
+            assert.equal(res.body.error, 'Too many requests');
+            assert.ok(Number(res.headers.get('retry-after')) >= 1 && Number(res.headers.get('retry-after')) <= 12);
+            assert.equal(res.body.retry_after, Number(res.headers.get('retry-after')));
+        });
+
+        it('keeps a bucket per client and per group of routes', async () => {
+            const search = await stack.post('/search-by-title', { title: 'Fee' }, asUser('key-alice'));
+            const browse = await stack.post('/list-workspaces', {}, asUser('key-bob'));
+
+            assert.equal(search.status, 200);
+            assert.equal(browse.status, 200);
+        });
+
+        it('counts each sub-search of a batch', async () => {
+            const searches = [{ type: 'title', query: 'Fee' }, { type: 'keywords', query: 'agreement' }];
+            const first = await stack.post('/batch-search', { searches }, asUser('key-bot'));
+            const calls = stack.mock.requests.length;
+            const second = await stack.post('/batch-search', { searches }, asUser('key-bot'));
+
+            assert.equal(first.status, 200);
+            assert.equal(second.status, 429);
+            assert.equal(stack.mock.requests.length, calls);
+        });
+
+        it('charges a fused search for the strategies its weights turn on', async () => {
+            const all = await stack.post('/search', { query: 'agreement', search_type: 'batch' }, asUser('key-frank'));
+            assert.equal(all.status, 429);
+
+            const two = await stack.post('/search', { query: 'agreement', search_type: 'batch', weights: { body: 0 } }, asUser('key-frank'));
+            assert.equal(two.status, 200);
+            assert.deepEqual(two.body.fusion.weights, { anywhere: 1, title: 1, body: 0 });
+        });
+
+        it('refuses a batch larger than the client may ever send at once', async () => {
+            const searches = Array.from({ length: 4 }, () => ({ type: 'title', query: 'Fee' }));
+            const res = await stack.post('/batch-search', { searches }, asUser('key-bot'));
+
+            assert.equal(res.status, 429);
+            assert.equal(res.headers.get('retry-after'), null);
+            assert.match(res.body.message, /split it into smaller requests/);
+        });
+
+        it('refuses downloads once the daily quota is used, until midnight UTC', async () => {
+            let res;
+            for (let i = 0; i < 5; i++) {
+                res = await stack.post('/download-document', { docId: 'ACTIVE!1001.1', returnContent: true }, asUser('key-dave'));
+                if (res.status !== 200) break;
+            }
+            assert.equal(res.status, 429);
+            assert.equal(res.body.error, 'Download quota exceeded');
+            const midnight = Math.ceil((Date.parse(new Date().toISOString().slice(0, 10)) + 24 * 3600 * 1000 - Date.now()) / 1000);
+            assert.ok(Math.abs(Number(res.headers.get('retry-after')) - midnight) <= 2);
+
+            const fetched = await stack.post('/fetch', { id: 'ACTIVE!1002.1' }, asUser('key-dave'));
+            assert.equal(fetched.status, 429);
+            const search = await stack.post('/search-by-title', { title: 'Fee' }, asUser('key-dave'));
+            assert.equal(search.status, 200);
+        });
+
+        it('counts the documents read for search passages against the download quota', async () => {
+            const search = await stack.post('/search', { query: 'breach', library: 'Active', include_passages: true }, asUser('key-erin'));
+            assert.equal(search.status, 200);
+            assert.ok(search.body.results.some(r => r.passages.length > 0));
+
+            const fetched = await stack.post('/fetch', { id: 'ACTIVE!1002.1' }, asUser('key-erin'));
+            assert.equal(fetched.status, 429);
+            assert.equal(fetched.body.error, 'Download quota exceeded');
+        });
+
+        it('shows the limits and downloads today to admins', async () => {
+            const res = await stack.get('/admin/rate-limits', asUser('key-alice'));
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.limits.search.perMinute, 5);
+            assert.deepEqual(res.body.clients.bot, { search: { perMinute: 3, burst: 3 }, documents: { perMinute: 1, burst: 1 } });
+            const dave = res.body.downloads_today.find(usage => usage.client === 'api_key:dave');
+            assert.ok(dave.bytes >= 0.005 * 1024 * 1024);
+
+            const denied = await stack.get('/admin/rate-limits', asUser('key-bob'));
+            assert.equal(denied.status, 403);
+        });
+    });
+
+    describe('MCP tools', () => {
+        it('count against the same limits as the routes', async () => {
+            const client = new Client({ name: 'ratelimit-test-client', version: '1.0.0' });
+            await client.connect(new StreamableHTTPClientTransport(new URL('/mcp', stack.baseUrl), {
+                requestInit: asUser('key-bot')
+            }));
+            const first = await client.callTool({ name: 'fetch', arguments: { id: 'ACTIVE!1002.1' } });
+            const second = await client.callTool({ name: 'fetch', arguments: { id: 'ACTIVE!1002.1' } });
+            await client.close();
+
+            assert.ok(!first.isError);
+            assert.equal(second.isError, true);
+            assert.match(second.content[0].text, /Rate limit of 1 documents calls per minute exceeded; retry in \d+s/);
+        });
+    });
+
+    describe('RateLimiter', () => {
+        it('refills buckets at the configured rate', () => {
+            let now = Date.parse('2026-01-01T12:00:00Z');
+            const limiter = new RateLimiter({ limits: { search: { perMinute: 2, burst: 2 } }, now: () => now });
+            const caller = { user: 'carol' };
+
+            limiter.take('search', 1, caller);
+            limiter.take('search', 1, caller);
+            assert.throws(() => limiter.take('search', 1, caller), error => error.status === 429 && error.retryAfter === 30000);
+
+            now += 30000;
+            limiter.take('search', 1, caller);
+            assert.throws(() => limiter.take('search', 1, caller), { status: 429 });
+            limiter.take('search', 1, { user: 'dan' });
+        });
+
+        it('keeps an API key and an OAuth user of the same name apart', () => {
+            const limiter = new RateLimiter({ limits: { search: { perMinute: 1, burst: 1 } }, clients: { carol: { search: { perMinute: 2, burst: 2 } } } });
+
+            limiter.take('search', 2, { user: 'carol', authType: 'api_key' });
+            assert.throws(() => limiter.take('search', 1, { user: 'Carol', authType: 'api_key' }), { status: 429 });
+            limiter.take('search', 2, { user: 'carol', authType: 'oauth' });
+        });
+
+        it('resets download quotas at midnight UTC', () => {
+            let now = Date.parse('2026-01-01T23:59:00Z');
+            const limiter = new RateLimiter({ downloadBytes: 100, now: () => now });
+            const caller = { user: 'carol' };
+
+            limiter.addDownload(150, caller);
+            assert.throws(() => limiter.checkQuota(caller), error => error.status === 429 && error.retryAfter === 60000);
+
+            now += 60000;
+            limiter.checkQuota(caller);
+        });
+
+        it('parses per-client overrides', () => {
+            assert.deepEqual(parseClientLimits('Research-Bot:search=300;download_mb=2, alice:browse=0'), {
+                'Research-Bot': { search: { perMinute: 300, burst: 300 }, downloadBytes: 2 * 1024 * 1024 },
+                alice: { browse: { perMinute: 0, burst: 0 } }
+            });
+        });
+    });
+});
@@ -0,0 +1,392 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { findPassages } = require('../lib/passages');
+const { startStack } = require('./helpers');
+
+describe('search routes', () => {
+    let stack;
+
+    before(async () => {
+        stack = await startStack();
+    });
+
+    after(() => stack.stop());
+
+    describe('POST /search', () => {
+        it('searches every library and merges the results', async () => {
+            const res = await stack.post('/search', { query: 'acme' });
+
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.libraries, ['Active', 'Archive']);
+            const ids = res.body.results.map(r => r.id);
+            assert.ok(ids.includes('ACTIVE!1001.1'));
+            assert.ok(ids.includes('ARCHIVE!2001.1'));
+            assert.equal(res.body.has_more, false);
+            assert.equal(res.body.next_cursor, null);
+        });
+
+        it('returns no more results than the limit across libraries', async () => {
+            const all = await stack.post('/search', { query: 'acme' });
+
+            const one = await stack.post('/search', { query: 'acme', limit: 1 });
+            assert.equal(one.body.results.length, 1);
+            assert.equal(one.body.has_more, true);
+
+            const three = await stack.post('/search', { query: 'acme', limit: 3 });
+            assert.equal(three.body.results.length, 3);
+
+            // Walking the pages one result at a time still reaches every library's results
+            const seen = [];
+            let cursor = null;
+            for (let pages = 0; pages < 20; pages++) {
+                const res = await stack.post('/search', { query: 'acme', limit: 1, ...(cursor ? { cursor } : {}) });
+                seen.push(...res.body.results.map(r => r.id));
+                cursor = res.body.next_cursor;
+                if (!cursor) break;
+            }
+            assert.deepEqual(seen.sort(), all.body.results.map(r => r.id).sort());
+        });
+
+        it('returns connector-shaped results with library metadata', async () => {
+            const res = await stack.post('/search', { query: 'Particulars', search_type: 'title', library: 'Active' });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.results.length, 1);
+            const [result] = res.body.results;
+            assert.equal(result.id, 'ACTIVE!1001.1');
+            assert.equal(result.title, 'Particulars of Claim');
+            assert.match(result.summary, /Acme v Beta/);
+            assert.equal(result.metadata.library, 'Active');
+            assert.equal(result.metadata.workspace_id, 'ACTIVE!100');
+            assert.equal(result.metadata.author, 'ALICE');
+        });
+
+        it('searches document bodies with search_in', async () => {
+            const res = await stack.post('/search', { query: 'delivery logs', search_in: 'body', library: 'Active' });
+
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.results.map(r => r.id), ['ACTIVE!1005.1']);
+        });
+
+        it('runs advanced searches with filters', async () => {
+            const res = await stack.post('/search', { query: 'ignored', search_type: 'advanced', filters: { author: 'carol' }, library: 'Active' });
+
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.results.map(r => r.id).sort(), ['ACTIVE!1005.1', 'ACTIVE!1006.1']);
+        });
+
+        it('combines strategies for batch searches without duplicates', async () => {
+            const res = await stack.post('/search', { query: 'agreement', search_type: 'batch', library: 'Active' });
+
+            assert.equal(res.status, 200);
+            const ids = res.body.results.map(r => r.id);
+            assert.equal(new Set(ids).size, ids.length);
+            assert.ok(ids.includes('ACTIVE!1002.2'));
+        });
+
+        it('ranks documents found by several batch strategies first', async () => {
+            const res = await stack.post('/search', { query: 'agreement', search_type: 'batch', library: 'Active' });
+            const [first, second] = res.body.results;
+
+            assert.equal(first.id, 'ACTIVE!1002.2');
+            assert.deepEqual([...first.relevance.matched].sort(), ['anywhere', 'body', 'title']);
+            assert.deepEqual([...second.relevance.matched].sort(), ['anywhere', 'body']);
+            assert.ok(first.relevance.score > second.relevance.score);
+            assert.ok(first.relevance.score <= 1);
+            assert.deepEqual(first.relevance.strategies.find(s => s.strategy === 'title'), { strategy: 'title', rank: 1, weight: 1, contribution: 0.016393 });
+            assert.equal(res.body.fusion.method, 'reciprocal_rank_fusion');
+        });
+
+        it('weights batch strategies', async () => {
+            const res = await stack.post('/search', { query: 'agreement', search_type: 'batch', library: 'Active', weights: { title: 0 } });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.results[0].id, 'ACTIVE!1001.1');
+            assert.ok(res.body.results.every(r => !r.relevance.matched.includes('title')));
+            assert.deepEqual(res.body.fusion.weights, { anywhere: 1, title: 0, body: 1 });
+        });
+
+        it('rejects invalid batch weights', async () => {
+            const unknown = await stack.post('/search', { query: 'agreement', search_type: 'batch', weights: { fuzzy: 1 } });
+            assert.equal(unknown.status, 400);
+
+            const negative = await stack.post('/search', { query: 'agreement', search_type: 'batch', weights: { title: -1 } });
+            assert.equal(negative.status, 400);
+        });
+
+        it('pages through fused batch results', async () => {
+            const search = { query: 'acme', search_type: 'batch', library: 'Active', limit: 2 };
+            const seen = [];
+            let cursor;
+            let pages = 0;
+
+            do {
+                const res = await stack.post('/search', { ...search, ...(cursor ? { cursor } : {}) });
+                assert.equal(res.status, 200);
+                seen.push(...res.body.results.map(r => r.id));
+                cursor = res.body.next_cursor;
+                pages++;
+            } while (cursor && pages < 10);
+
+            assert.equal(seen.length, 6);
+            assert.equal(new Set(seen).size, 6);
+        });
+
+        it('returns the passages matching the query with their pages', async () => {
+            const res = await stack.post('/search', { query: 'breach deliveries', search_in: 'body', library: 'Active', include_passages: true });
+
+            const [result] = res.body.results;
+            assert.equal(result.id, 'ACTIVE!1001.1');
+            const [best] = result.passages;
+            assert.equal(best.page, 4);
+            assert.match(best.highlighted, /In \*\*breach\*\* of that term the Defendant failed to \*\*deliver\*\*/);
+            assert.ok(!best.text.includes('**') && !best.text.includes('--- Page'));
+        });
+
+        it('returns no passages for documents without extractable text', async () => {
+            const res = await stack.post('/search', { query: 'exhibit', search_type: 'title', library: 'Active', include_passages: true });
+
+            assert.equal(res.body.results[0].id, 'ACTIVE!1006.1');
+            assert.deepEqual(res.body.results[0].passages, []);
+        });
+
+        it('leaves passages out unless asked for', async () => {
+            const before = stack.mock.requests.length;
+            const res = await stack.post('/search', { query: 'breach', library: 'Active' });
+
+            assert.ok(res.body.results.length > 0);
+            assert.ok(res.body.results.every(r => !('passages' in r)));
+            assert.ok(!stack.mock.requests.slice(before).some(r => r.path.endsWith('/download')));
+        });
+
+        it('only returns the latest version of each document', async () => {
+            const res = await stack.post('/search', { query: 'Services Agreement', search_type: 'title' });
+
+            assert.deepEqual(res.body.results.map(r => r.id), ['ACTIVE!1002.2']);
+        });
+
+        it('walks through pages with next_cursor', async () => {
+            const search = { query: 'acme', library: 'Active', limit: 2 };
+            const seen = [];
+            let cursor;
+            let pages = 0;
+
+            do {
+                const res = await stack.post('/search', { ...search, ...(cursor ? { cursor } : {}) });
+                assert.equal(res.status, 200);
+                seen.push(...res.body.results.map(r => r.id));
+                cursor = res.body.next_cursor;
+                pages++;
+            } while (cursor && pages < 10);
+
+            assert.equal(pages, 3);
+            assert.equal(seen.length, 6);
+            assert.equal(new Set(seen).size, 6);
+        });
+
+        it('rejects a cursor from a different search', async () => {
+            const first = await stack.post('/search', { query: 'acme', library: 'Active', limit: 2 });
+            const res = await stack.post('/search', { query: 'beta', library: 'Active', limit: 2, cursor: first.body.next_cursor });
+
+            assert.equal(res.status, 400);
+            assert.match(res.body.message, /Cursor does not belong/);
+        });
+
+        it('rejects a malformed cursor', async () => {
+            const res = await stack.post('/search', { query: 'a', cursor: 'not-a-cursor' });
+
+            assert.equal(res.status, 400);
+        });
+
+        it('requires a query', async () => {
+            const res = await stack.post('/search', {});
+
+            assert.equal(res.status, 400);
+            assert.match(res.body.error, /query/);
+        });
+
+        it('rejects unknown search types', async () => {
+            const res = await stack.post('/search', { query: 'acme', search_type: 'fuzzy' });
+
+            assert.equal(res.status, 400);
+            assert.match(res.body.message, /Unknown search type/);
+        });
+
+        it('rejects a limit that is not a whole number from 1 to 200', async () => {
+            for (const limit of [0, -5, 201, 2.5, 'many']) {
+                const res = await stack.post('/search', { query: 'agreement', limit: limit });
+
+                assert.equal(res.status, 400);
+                assert.match(res.body.message, /limit must be an integer from 1 to 200/);
+            }
+        });
+
+        it('applies the same limit check on every search route', async () => {
+            const started = stack.mock.requests.length;
+            const routes = [
+                ['/search-by-title', { title: 'Fee' }],
+                ['/search-by-keywords', { keywords: 'agreement' }],
+                ['/search-advanced', { filters: { author: 'JSMITH' } }],
+                ['/list-workspaces', {}],
+                ['/list-folder-documents', { folder_id: 'ACTIVE!130' }]
+            ];
+            for (const [route, body] of routes) {
+                for (const limit of [0, -1, 10000]) {
+                    const res = await stack.post(route, { ...body, limit: limit });
+
+                    assert.equal(res.status, 400, `${route} limit ${limit}`);
+                    assert.match(res.body.message, /limit must be an integer from 1 to 200/);
+                }
+            }
+            assert.equal(stack.mock.requests.length, started);
+        });
+
+        it('returns 404 for an unknown library', async () => {
+            const res = await stack.post('/search', { query: 'acme', library: 'Nowhere' });
+
+            assert.equal(res.status, 404);
+        });
+    });
+
+    describe('findPassages', () => {
+        const text = '--- Page 1 ---\nThe lease runs for ten years.\n\n--- Page 2 ---\nRent is reviewed every five years. The tenant may break the lease after five years.';
+
+        it('prefers passages holding more of the query words', () => {
+            const [best] = findPassages(text, 'tenant break rent', { size: 80 });
+
+            assert.equal(best.page, 2);
+            assert.equal(best.highlighted, '…years. **Rent** is reviewed every five years. The **tenant** may **break** the lease…');
+            assert.equal(best.offset, text.indexOf('years.'));
+        });
+
+        it('returns separate passages without overlaps', () => {
+            const passages = findPassages(text, 'lease', { size: 40 });
+
+            assert.deepEqual(passages.map(p => p.page), [1, 2]);
+            assert.ok(passages[0].offset + 40 <= passages[1].offset);
+        });
+
+        it('finds nothing for stop words or missing words', () => {
+            assert.deepEqual(findPassages(text, 'the of'), []);
+            assert.deepEqual(findPassages(text, 'indemnity'), []);
+        });
+    });
+
+    describe('POST /search-by-title', () => {
+        it('returns raw iManage profiles with paging fields', async () => {
+            const res = await stack.post('/search-by-title', { title: 'Fee' });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.success, true);
+            assert.equal(res.body.library, 'Active');
+            assert.equal(res.body.results[0].id, 'ACTIVE!1003.1');
+            assert.equal(res.body.total, 1);
+            assert.equal(res.body.offset, 0);
+            assert.equal(res.body.has_more, false);
+        });
+
+        it('pages with offset and cursor', async () => {
+            const first = await stack.post('/search-by-title', { title: 'e', limit: 3 });
+            assert.equal(first.body.total, 5);
+            assert.equal(first.body.results.length, 3);
+            assert.equal(first.body.has_more, true);
+
+            const second = await stack.post('/search-by-title', { title: 'e', limit: 3, cursor: first.body.next_cursor });
+            assert.equal(second.body.offset, 3);
+            assert.equal(second.body.results.length, 2);
+            assert.equal(second.body.has_more, false);
+
+            const byOffset = await stack.post('/search-by-title', { title: 'e', limit: 3, offset: 3 });
+            assert.deepEqual(byOffset.body.results.map(r => r.id), second.body.results.map(r => r.id));
+        });
+
+        it('rejects a negative offset', async () => {
+            const res = await stack.post('/search-by-title', { title: 'e', offset: -1 });
+
+            assert.equal(res.status, 400);
+        });
+
+        it('requires a title', async () => {
+            const res = await stack.post('/search-by-title', {});
+
+            assert.equal(res.status, 400);
+        });
+    });
+
+    describe('POST /search-by-keywords', () => {
+        it('searches the requested field', async () => {
+            const res = await stack.post('/search-by-keywords', { keywords: 'Counterparty', searchIn: 'comments' });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.searchIn, 'comments');
+            assert.deepEqual(res.body.results.map(r => r.id), ['ACTIVE!1002.2']);
+        });
+
+        it('searches another library', async () => {
+            const res = await stack.post('/search-by-keywords', { keywords: 'landlord', library: 'Archive' });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.library, 'Archive');
+            assert.deepEqual(res.body.results.map(r => r.id), ['ARCHIVE!2001.1']);
+        });
+
+        it('requires keywords', async () => {
+            const res = await stack.post('/search-by-keywords', { searchIn: 'body' });
+
+            assert.equal(res.status, 400);
+        });
+    });
+
+    describe('POST /search-advanced', () => {
+        it('applies filters', async () => {
+            const res = await stack.post('/search-advanced', { filters: { type: 'MIME' } });
+
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.results.map(r => r.id), ['ACTIVE!1004.1']);
+        });
+
+        it('requires filters', async () => {
+            const res = await stack.post('/search-advanced', { filters: {} });
+
+            assert.equal(res.status, 400);
+        });
+    });
+
+    describe('POST /batch-search', () => {
+        it('runs each search and reports failures individually', async () => {
+            const res = await stack.post('/batch-search', {
+                searches: [
+                    { type: 'title', query: 'Fee' },
+                    { type: 'keywords', query: 'landlord', library: 'Archive' },
+                    { type: 'advanced', filters: { author: 'dave' }, library: 'Archive' },
+                    { type: 'unknown', query: 'x' }
+                ]
+            });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.totalSearches, 4);
+            assert.equal(res.body.successfulSearches, 3);
+            assert.equal(res.body.results[0].results[0].id, 'ACTIVE!1003.1');
+            assert.equal(res.body.results[1].results[0].id, 'ARCHIVE!2001.1');
+            assert.equal(res.body.results[2].results.length, 1);
+            assert.equal(res.body.results[3].success, false);
+            assert.match(res.body.results[3].error, /Unknown search type/);
+        });
+
+        it('requires a searches array', async () => {
+            const res = await stack.post('/batch-search', { searches: [] });
+
+            assert.equal(res.status, 400);
+        });
+    });
+
+    describe('GET /libraries', () => {
+        it('lists the configured libraries', async () => {
+            const res = await stack.get('/libraries');
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.default_library, 'Active');
+            assert.deepEqual(res.body.libraries.map(l => l.name), ['Active', 'Archive']);
+        });
+    });
+});
@@ -0,0 +1,130 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { HashingEmbedder, TransformersEmbedder } = require('../lib/embeddings');
+const { splitPassages } = require('../lib/semantic');
+const { startStack } = require('./helpers');
+
+// The offline hashing embedder stands in for the transformers model, which would
+// have to be downloaded
+describe('semantic search', () => {
+    let stack;
+
+    before(async () => {
+        stack = await startStack({ env: { EMBEDDING_PROVIDER: 'hashing' } });
+    });
+
+    after(() => stack.stop());
+
+    describe('search_type semantic', () => {
+        it('answers 503 until the index is first built, and builds it in the background', async () => {
+            const res = await stack.post('/search', { query: 'late deliveries', search_type: 'semantic', library: 'Active' });
+
+            assert.equal(res.status, 503);
+            assert.match(res.body.message, /index of library Active is still being built/);
+
+            const sync = await stack.post('/admin/index/sync', { wait: true });
+            assert.equal(sync.status, 200);
+            assert.ok(sync.body.libraries.every(library => library.last_sync));
+        });
+
+        it('returns documents with their best passages and scores', async () => {
+            const res = await stack.post('/search', { query: 'late deliveries', search_type: 'semantic', library: 'Active', include_passages: true });
+
+            assert.equal(res.status, 200);
+            const [first] = res.body.results;
+            assert.equal(first.id, 'ACTIVE!1005.1');
+            assert.ok(first.relevance.score >= 0.2 && first.relevance.score <= 1);
+            assert.match(first.passages[0].highlighted, /^Attendance note .* the \*\*late\*\* \*\*deliveries\*\*/);
+            assert.ok(first.passages.every(p => typeof p.score === 'number' && Number.isInteger(p.offset)));
+            assert.ok(!('passages' in first.relevance));
+        });
+
+        it('ranks by similarity and indexes only the latest version', async () => {
+            const res = await stack.post('/search', { query: 'termination notice for the warehousing services', search_type: 'semantic', library: 'Active' });
+
+            assert.equal(res.body.results[0].id, 'ACTIVE!1002.2');
+            assert.ok(!res.body.results.some(r => r.id === 'ACTIVE!1002.1'));
+            const scores = res.body.results.map(r => r.relevance.score);
+            assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+        });
+
+        it('leaves out documents the caller can no longer open', async () => {
+            stack.mock.failNext('/documents/ACTIVE!1005.1', 403);
+            const res = await stack.post('/search', { query: 'late deliveries', search_type: 'semantic', library: 'Active' });
+
+            assert.equal(res.status, 200);
+            assert.ok(!res.body.results.some(r => r.id === 'ACTIVE!1005.1'));
+        });
+
+        it('searches every library the caller may use', async () => {
+            const res = await stack.post('/search', { query: 'riverside lease landlord', search_type: 'semantic', include_passages: true });
+
+            assert.equal(res.body.results[0].id, 'ARCHIVE!2001.1');
+            assert.equal(res.body.results[0].metadata.library, 'Archive');
+            assert.equal(res.body.results[0].passages[0].page, 1);
+        });
+    });
+
+    describe('search_type hybrid', () => {
+        it('fuses semantic and keyword rankings', async () => {
+            const res = await stack.post('/search', { query: 'agreement', search_type: 'hybrid', library: 'Active', include_passages: true });
+
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.fusion.weights, { semantic: 1, keywords: 1 });
+            const [first] = res.body.results;
+            assert.deepEqual([...first.relevance.matched].sort(), ['keywords', 'semantic']);
+            assert.ok(first.passages.length > 0);
+        });
+
+        it('leaves out documents the caller cannot open and reports no total', async () => {
+            const all = await stack.post('/search', { query: 'agreement', search_type: 'hybrid', library: 'Active' });
+            const hidden = all.body.results[0].id;
+            stack.mock.failNext(`/documents/${hidden}`, 403);
+            const res = await stack.post('/search', { query: 'agreement', search_type: 'hybrid', library: 'Active' });
+
+            assert.ok(!res.body.results.some(r => r.id === hidden));
+            assert.equal(all.body.total, null);
+            assert.equal(res.body.total, null);
+
+            const paged = await stack.post('/search', { query: 'agreement', search_type: 'semantic', library: 'Active', limit: 1 });
+            assert.equal(paged.body.has_more, true);
+            assert.equal(paged.body.total, null);
+        });
+
+        it('weights the strategies', async () => {
+            const res = await stack.post('/search', { query: 'agreement', search_type: 'hybrid', library: 'Active', weights: { semantic: 0 } });
+
+            assert.ok(res.body.results.every(r => r.relevance.matched.join() === 'keywords'));
+
+            const invalid = await stack.post('/search', { query: 'agreement', search_type: 'hybrid', weights: { title: 1 } });
+            assert.equal(invalid.status, 400);
+        });
+    });
+
+    describe('embedders and passages', () => {
+        it('gives texts sharing words a higher similarity', async () => {
+            const [query, close, far] = await new HashingEmbedder().embed(['notice of termination', 'termination notice period', 'warehouse fees invoice']);
+            const similarity = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+            assert.ok(Math.abs(similarity(query, query) - 1) < 1e-6);
+            assert.ok(similarity(query, close) > similarity(query, far));
+        });
+
+        it('reports a model that cannot be loaded as unavailable', async () => {
+            const embedder = new TransformersEmbedder({ model: 'missing/model', localOnly: true });
+
+            await assert.rejects(embedder.embed(['text']), { status: 503, message: /missing\/model could not be loaded/ });
+        });
+
+        it('splits text into overlapping passages at word boundaries', () => {
+            const text = Array.from({ length: 400 }, (_, i) => `word${i}`).join(' ');
+            const passages = splitPassages(text, { size: 500, overlap: 100 });
+
+            assert.ok(passages.length > 1);
+            assert.ok(passages.every(p => p.text.length <= 500 && /^word\d+/.test(p.text) && /word\d+$/.test(p.text)));
+            assert.ok(passages.every(p => text.startsWith(p.text, p.start)));
+            const [first, second] = passages;
+            assert.ok(second.start < first.start + first.text.length);
+        });
+    });
+});
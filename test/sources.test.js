@@ -0,0 +1,84 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { IManageClient } = require('../lib/imanage');
+const { DocumentSource, IManageSource } = require('../lib/sources');
+const { MockIManage } = require('../mock/imanage');
+
+describe('document sources', () => {
+    let mock;
+    let source;
+
+    before(async () => {
+        mock = new MockIManage();
+        await mock.start();
+        const tenant = { urlPrefix: mock.urlPrefix, customerId: String(mock.catalog.customer_id) };
+        const library = { name: 'Active', id: 'ACTIVE', tenant: tenant };
+        const { access_token: token } = mock.issueToken('SVC_RESEARCH');
+        source = new IManageSource(library, new IManageClient(library, { getAccessToken: async () => token }));
+    });
+
+    after(() => mock.stop());
+
+    describe('IManageSource', () => {
+        it('searches by title, keywords and filters', async () => {
+            const title = await source.search({ title: 'Services' }, { limit: 10 });
+            assert.deepEqual(title.results.map(d => d.id), ['ACTIVE!1002.2']);
+
+            const keywords = await source.search({ keywords: 'acme', searchIn: 'anywhere' }, { limit: 2 });
+            assert.equal(keywords.results.length, 2);
+            assert.deepEqual(keywords.next, { offset: 2 });
+
+            const filters = await source.search({ filters: { type: 'WORDX' } }, { limit: 10 });
+            assert.deepEqual(filters.results.map(d => d.id), ['ACTIVE!1002.1', 'ACTIVE!1002.2']);
+        });
+
+        it('falls back to an anywhere search for unknown keyword fields', async () => {
+            const unknown = await source.search({ keywords: 'settlement', searchIn: 'everywhere' }, { limit: 10 });
+            const anywhere = await source.search({ keywords: 'settlement', searchIn: 'anywhere' }, { limit: 10 });
+
+            assert.ok(unknown.results.length > 0);
+            assert.deepEqual(unknown.results, anywhere.results);
+        });
+
+        it('returns details and downloads', async () => {
+            const details = await source.getDetails('ACTIVE!1005.1');
+            assert.equal(details.extension, 'txt');
+
+            const download = await source.download('ACTIVE!1005.1');
+            assert.match(download.buffer.toString('utf8'), /^Attendance note/);
+            assert.match(download.contentType, /text\/plain/);
+        });
+
+        it('keeps ids inside the library path', async () => {
+            const before = mock.requests.length;
+            await assert.rejects(source.getDetails('ACTIVE!1/../../../ARCHIVE/documents/ARCHIVE!2001.1'), { status: 404 });
+
+            assert.match(mock.requests[before].path, /\/libraries\/ACTIVE\/documents\/ACTIVE!1%2F/);
+        });
+
+        it('lists workspaces, folders and folder documents', async () => {
+            const workspaces = await source.list({ type: 'workspaces', query: 'dispute' });
+            assert.deepEqual(workspaces.results.map(w => w.id), ['ACTIVE!100']);
+
+            const folders = await source.list({ type: 'folders', workspace_id: 'ACTIVE!100' });
+            assert.equal(folders.results.length, 4);
+            assert.equal(folders.next, null);
+
+            const documents = await source.list({ type: 'documents', folder_id: 'ACTIVE!140' });
+            assert.deepEqual(documents.results.map(d => d.id), ['ACTIVE!1005.1', 'ACTIVE!1006.1']);
+        });
+
+        it('passes through iManage errors with their status', async () => {
+            await assert.rejects(source.getDetails('ACTIVE!9999.1'), { status: 404 });
+        });
+    });
+
+    describe('DocumentSource', () => {
+        it('reports operations a source does not implement as 501', async () => {
+            const bare = new DocumentSource({ name: 'Empty' });
+
+            await assert.rejects(bare.search({ title: 'x' }, {}), { status: 501 });
+            await assert.rejects(bare.listVersions('x'), /Version history is not supported/);
+        });
+    });
+});
@@ -0,0 +1,70 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('timers/promises');
+const { startStack } = require('./helpers');
+
+// The server treats iManage tokens as expired 60 seconds early, so a 61 second
+// lifetime leaves each service account token cached for about one second.
+const TOKEN_LIFETIME = 61;
+
+describe('service account tokens', () => {
+    let stack;
+
+    before(async () => {
+        stack = await startStack({ mock: { tokenLifetime: TOKEN_LIFETIME } });
+    });
+
+    after(() => stack.stop());
+
+    const passwordGrants = () => stack.mock.tokenRequests.filter(grant => grant === 'password').length;
+
+    it('signs in with the configured service account', async () => {
+        const res = await stack.post('/search-by-title', { title: 'Fee' });
+
+        assert.equal(res.status, 200);
+        assert.equal(passwordGrants(), 1);
+        assert.equal(stack.mock.requests.at(-1).user, 'SVC_RESEARCH');
+    });
+
+    it('reuses the cached token while it is valid', async () => {
+        const grants = passwordGrants();
+        await stack.post('/search-by-title', { title: 'Fee' });
+        await stack.post('/fetch', { id: 'ACTIVE!1005.1' });
+
+        assert.equal(passwordGrants(), grants);
+    });
+
+    it('requests a new token after the cached one expires', async () => {
+        await sleep(1100);
+        const grants = passwordGrants();
+        const res = await stack.post('/search-by-title', { title: 'Fee' });
+
+        assert.equal(res.status, 200);
+        assert.equal(passwordGrants(), grants + 1);
+    });
+
+    it('signs in again when iManage rejects a token that is still cached', async () => {
+        const grants = passwordGrants();
+        stack.mock.expireTokens();
+        const res = await stack.post('/search-by-title', { title: 'Fee' });
+
+        assert.equal(res.status, 200);
+        assert.equal(passwordGrants(), grants + 1);
+    });
+
+    it('fails searches when the service account credentials are rejected', async () => {
+        const user = stack.mock.catalog.users[0];
+        const password = user.password;
+        user.password = 'rotated';
+        await sleep(1100);
+
+        try {
+            const res = await stack.post('/search', { query: 'acme', library: 'Active' });
+            assert.equal(res.status, 502);
+            assert.equal(res.body.error, 'Search failed');
+            assert.match(res.body.message, /rejected the service account credentials/);
+        } finally {
+            user.password = password;
+        }
+    });
+});
@@ -0,0 +1,119 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const express = require('express');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const { flushTracing } = require('../lib/tracing');
+const { startStack } = require('./helpers');
+
+// A local OTLP/HTTP collector keeping the spans it is sent, with their attributes unpacked
+async function startCollector() {
+    const spans = [];
+    const app = express();
+    app.use(express.json({ limit: '10mb' }));
+    app.post('/v1/traces', (req, res) => {
+        for (const resource of req.body.resourceSpans) {
+            const service = resource.resource.attributes.find(a => a.key === 'service.name').value.stringValue;
+            for (const scope of resource.scopeSpans) {
+                for (const span of scope.spans) {
+                    const attributes = Object.fromEntries(span.attributes.map(a => [a.key, Object.values(a.value)[0]]));
+                    spans.push({ ...span, service: service, attributes: attributes });
+                }
+            }
+        }
+        res.json({});
+    });
+    const server = app.listen(0);
+    await once(server, 'listening');
+    return { spans, server, url: `http://localhost:${server.address().port}` };
+}
+
+describe('tracing', () => {
+    let stack;
+    let collector;
+
+    before(async () => {
+        collector = await startCollector();
+        stack = await startStack({ env: { OTEL_EXPORTER_OTLP_ENDPOINT: collector.url, OTEL_SERVICE_NAME: 'imanage-test' } });
+    });
+
+    after(async () => {
+        await stack.stop();
+        collector.server.close();
+    });
+
+    // Spans of one trace once every finished span has reached the collector
+    async function spansOf(traceId) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        await flushTracing();
+        return collector.spans.filter(span => span.traceId === traceId);
+    }
+
+    const traceparent = traceId => ({ headers: { traceparent: `00-${traceId}-00f067aa0ba902b7-01` } });
+
+    it('continues the caller\'s trace and traces the iManage calls under the route', async () => {
+        const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+        await stack.post('/search-by-title', { title: 'Fee' }, traceparent(traceId));
+        const spans = await spansOf(traceId);
+
+        const server = spans.find(span => span.name === 'POST /search-by-title');
+        assert.equal(server.parentSpanId, '00f067aa0ba902b7');
+        assert.equal(server.service, 'imanage-test');
+        assert.equal(server.attributes['http.route'], '/search-by-title');
+        assert.equal(server.attributes['http.response.status_code'], 200);
+
+        const children = spans.filter(span => span.parentSpanId === server.spanId).map(span => span.name);
+        assert.ok(children.includes('iManage POST /oauth2/token'));
+        assert.ok(children.includes('iManage GET /documents'));
+
+        // iManage is sent the trace too
+        const call = stack.mock.requests.findLast(r => r.path.endsWith('/documents'));
+        assert.match(call.traceparent, new RegExp(`^00-${traceId}-`));
+        assert.doesNotMatch(JSON.stringify(spans), /"Fee"/);
+    });
+
+    it('names iManage spans by operation and marks failed calls', async () => {
+        const traceId = '5bf92f3577b34da6a3ce929d0e0e4736';
+        stack.mock.failNext('/download', 404);
+        await stack.post('/download-document', { docId: 'ACTIVE!1005.1' }, traceparent(traceId));
+        const spans = await spansOf(traceId);
+
+        const download = spans.find(span => span.name === 'iManage GET /documents/{id}/download');
+        assert.equal(download.attributes['http.response.status_code'], 404);
+        assert.equal(download.attributes['imanage.library'], 'Active');
+        assert.equal(download.status.code, 2);
+    });
+
+    it('traces each batch sub-search', async () => {
+        const traceId = '6bf92f3577b34da6a3ce929d0e0e4736';
+        await stack.post('/batch-search', {
+            searches: [{ type: 'title', query: 'Fee' }, { type: 'keywords', query: 'agreement' }]
+        }, traceparent(traceId));
+        const spans = await spansOf(traceId);
+
+        const server = spans.find(span => span.name === 'POST /batch-search');
+        const steps = spans.filter(span => span.name.startsWith('batch search '));
+        assert.deepEqual(steps.map(span => span.name).sort(), ['batch search 1', 'batch search 2']);
+        assert.ok(steps.every(span => span.parentSpanId === server.spanId));
+        for (const step of steps) {
+            assert.ok(spans.some(span => span.parentSpanId === step.spanId && span.name === 'iManage GET /documents'));
+        }
+    });
+
+    it('traces MCP tool calls under the /mcp request', async () => {
+        const traceId = '7bf92f3577b34da6a3ce929d0e0e4736';
+        const client = new Client({ name: 'tracing-test-client', version: '1.0.0' });
+        await client.connect(new StreamableHTTPClientTransport(new URL('/mcp', stack.baseUrl), {
+            requestInit: traceparent(traceId)
+        }));
+        await client.callTool({ name: 'list_versions', arguments: { id: 'ACTIVE!1002.1' } });
+        await client.close();
+        const spans = await spansOf(traceId);
+
+        const tool = spans.find(span => span.name === 'tool list_versions');
+        assert.equal(tool.attributes['mcp.tool.name'], 'list_versions');
+        assert.equal(spans.find(span => span.spanId === tool.parentSpanId).name, 'POST /mcp');
+        assert.ok(spans.some(span => span.parentSpanId === tool.spanId && span.name === 'iManage GET /documents/{id}/versions'));
+    });
+});
@@ -0,0 +1,151 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('timers/promises');
+const axios = require('axios');
+const { UpstreamPolicy, toUpstreamError } = require('../lib/upstream');
+const { startStack } = require('./helpers');
+
+// An axios-like error for a response with this status
+function responseError(status, headers = {}) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.isAxiosError = true;
+    error.response = { status, headers, data: {} };
+    return error;
+}
+
+describe('upstream policy', () => {
+    let stack;
+
+    before(async () => {
+        stack = await startStack({
+            env: {
+                UPSTREAM_TIMEOUT_MS: '300',
+                UPSTREAM_MAX_RETRY_AFTER_MS: '2000',
+                // The breaker has its own tests below; keep it out of the way here
+                UPSTREAM_BREAKER_THRESHOLD: '100'
+            }
+        });
+    });
+
+    after(() => stack.stop());
+
+    const searches = () => stack.mock.requests.filter(r => r.path.endsWith('/documents')).length;
+
+    describe('iManage calls', () => {
+        it('retries server errors until iManage answers', async () => {
+            const before = searches();
+            stack.mock.failNext('/documents', 503, { times: 2 });
+            const res = await stack.post('/search-by-title', { title: 'Fee' });
+
+            assert.equal(res.status, 200);
+            assert.equal(searches(), before + 3);
+        });
+
+        it('waits as long as Retry-After asks', async () => {
+            stack.mock.failNext('/documents', 429, { headers: { 'Retry-After': '1' } });
+            const started = Date.now();
+            const res = await stack.post('/search-by-title', { title: 'Fee' });
+
+            assert.equal(res.status, 200);
+            assert.ok(Date.now() - started >= 1000);
+        });
+
+        it('returns a 429 whose Retry-After is too long to wait for', async () => {
+            const before = searches();
+            stack.mock.failNext('/documents', 429, { headers: { 'Retry-After': '60' } });
+            const res = await stack.post('/search-by-title', { title: 'Fee' });
+
+            assert.equal(res.status, 429);
+            assert.match(res.body.message, /returned 429/);
+            assert.equal(searches(), before + 1);
+        });
+
+        it('reports server errors that persist as a bad gateway', async () => {
+            stack.mock.failNext('/documents', 500, { times: 3 });
+            const res = await stack.post('/search-by-title', { title: 'Fee' });
+
+            assert.equal(res.status, 502);
+            assert.match(res.body.message, /iManage \(default\) returned 500: Injected 500/);
+        });
+
+        it('times out calls that take too long', async () => {
+            stack.mock.delayNext('/documents', 2000, { times: 3 });
+            const res = await stack.post('/search-by-title', { title: 'Fee' });
+
+            assert.equal(res.status, 504);
+            assert.match(res.body.message, /did not answer in time/);
+        });
+
+        it('does not retry client errors', async () => {
+            const before = stack.mock.requests.length;
+            const res = await stack.post('/fetch', { id: 'ACTIVE!9999.1' });
+
+            assert.equal(res.status, 404);
+            assert.equal(stack.mock.requests.length, before + 1);
+        });
+    });
+
+    describe('circuit breaker', () => {
+        const failing = status => async () => { throw responseError(status); };
+
+        it('fails calls at once after repeated failures, then lets a trial call through', async () => {
+            const policy = new UpstreamPolicy({ retries: 0, breakerThreshold: 2, breakerCooldownMs: 100 });
+            let calls = 0;
+            const counted = attempt => () => { calls++; return attempt(); };
+
+            await assert.rejects(policy.run('api', counted(failing(500))), { status: 502 });
+            await assert.rejects(policy.run('api', counted(failing(500))), { status: 502 });
+            await assert.rejects(policy.run('api', counted(failing(500))), { status: 503, message: /unavailable after repeated failures/ });
+            assert.equal(calls, 2);
+            assert.equal(policy.status()[0].state, 'open');
+
+            await sleep(120);
+            assert.equal(await policy.run('api', counted(async () => 'ok')), 'ok');
+            assert.equal(policy.status()[0].state, 'closed');
+        });
+
+        it('opens again when the trial call fails', async () => {
+            const policy = new UpstreamPolicy({ retries: 0, breakerThreshold: 1, breakerCooldownMs: 50 });
+
+            await assert.rejects(policy.run('api', failing(503)), { status: 503 });
+            await sleep(60);
+            await assert.rejects(policy.run('api', failing(503)), { status: 503 });
+            assert.equal(policy.status()[0].state, 'open');
+        });
+
+        it('leaves the breaker half-open when the trial call is cancelled', async () => {
+            const policy = new UpstreamPolicy({ retries: 0, breakerThreshold: 1, breakerCooldownMs: 50 });
+            // What axios throws when the caller's signal aborts the request
+            const cancelled = async () => { throw new axios.CanceledError(); };
+
+            await assert.rejects(policy.run('api', failing(503)), { status: 503 });
+            await sleep(60);
+            await assert.rejects(policy.run('api', cancelled), { code: 'ERR_CANCELED' });
+            assert.equal(policy.status()[0].state, 'half-open');
+
+            assert.equal(await policy.run('api', async () => 'ok'), 'ok');
+            assert.equal(policy.status()[0].state, 'closed');
+        });
+
+        it('does not count client errors and rate limiting', async () => {
+            const policy = new UpstreamPolicy({ retries: 0, breakerThreshold: 1 });
+
+            await assert.rejects(policy.run('api', failing(404)), { status: 404 });
+            await assert.rejects(policy.run('api', failing(429)), { status: 429 });
+            assert.equal(policy.status()[0].state, 'closed');
+        });
+    });
+
+    describe('toUpstreamError', () => {
+        it('maps upstream failures to statuses for our clients', () => {
+            assert.equal(toUpstreamError(responseError(403)).status, 403);
+            assert.equal(toUpstreamError(responseError(502)).status, 502);
+            assert.equal(toUpstreamError(responseError(503, { 'retry-after': '5' })).retryAfter, 5000);
+            assert.equal(toUpstreamError(Object.assign(new Error('timeout'), { isAxiosError: true, code: 'ECONNABORTED' })).status, 504);
+            assert.equal(toUpstreamError(Object.assign(new Error('refused'), { isAxiosError: true, code: 'ECONNREFUSED' })).status, 502);
+
+            const ours = Object.assign(new Error('Library not found'), { status: 404 });
+            assert.equal(toUpstreamError(ours), ours);
+        });
+    });
+});